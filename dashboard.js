@@ -0,0 +1,1473 @@
+// Browser dashboard: renders the fleet into index.html and wires up its controls.
+// All mining logic lives in lib/ (shared with the headless daemon, server.js). Opened from
+// GitHub Pages or as the installed app, the dashboard runs a fleet of its own in the browser
+// (BrowserFleet); served by the daemon, it shows and changes the daemon's fleet through the
+// daemon's API (DaemonFleet). VDIDashboard renders either one.
+
+import { ConfigDBManager, MiningEconomics, MetricsExporter, BrowserNotificationSink, AlertEngine, ThermalGovernor, Scheduler, VDIMonitor, StratumClient, PoolConfig, MiningAlgorithm, VDIManager } from './lib/index.js';
+
+let fleet;
+let monitor;
+const USER_ACTOR = { 'type': 'user', 'id': null }; // Audit-log actor for changes made from the dashboard
+
+// --- Fleet run in the browser ---
+class BrowserFleet extends VDIMonitor {
+    /**
+     * The fleet this browser runs itself, with its state in ConfigDBManager (IndexedDB).
+     * Reads return plain data shaped like the daemon's API responses, and changes return
+     * promises, so the dashboard treats it like a DaemonFleet.
+     */
+    constructor(vdi_manager, db_manager, alert_engine) {
+        super(vdi_manager, db_manager, alert_engine);
+        this.scheduler = null; // Set by initializeApplication; runs the refresh loop and the schedules
+        this.on_update = null; // Called after every metrics update, to redraw the dashboard
+    }
+
+    updateFrontEndDisplay() {
+        if (this.on_update) this.on_update();
+    }
+
+    refresh() {
+        /**
+         * Live metrics while online; without a network the devices and pools are out of
+         * reach, so show the last snapshot saved in ConfigDBManager instead.
+         */
+        if (!VDIDashboard.is_online()) return Promise.resolve(this.show_persisted_metrics());
+        return this.update_all_metrics();
+    }
+
+    show_persisted_metrics() {
+        const snapshot = this.db_manager.latest_metrics_snapshot();
+        if (snapshot) {
+            this.metrics = snapshot.metrics;
+            this.updated_at = snapshot.timestamp;
+            this.update_economics();
+        }
+        this.updateFrontEndDisplay();
+    }
+
+    start() {
+        this.scheduler.start();
+    }
+
+    stop() {
+        this.scheduler.stop();
+        this.db_manager.flush(); // A hidden page may be discarded without notice
+    }
+
+    is_running() {
+        return this.scheduler.is_running();
+    }
+
+    as_user(change) {
+        /** Runs a change as the dashboard user (for the audit log); rejects if it throws. */
+        return new Promise(resolve => resolve(this.db_manager.with_actor(USER_ACTOR, change)));
+    }
+
+    require_worker(worker_id) {
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) throw new Error(`Worker ${worker_id} not found`);
+        return found.worker;
+    }
+
+    // --- Reads ---
+    vm_views() {
+        return Object.values(this.vdi_manager.vms).map(vm => vm.describe());
+    }
+
+    worker_configuration(worker_id) {
+        const found = this.vdi_manager.find_worker(worker_id);
+        return found ? found.worker.get_configuration().to_json() : null;
+    }
+
+    worker_pools(worker_id) {
+        const found = this.vdi_manager.find_worker(worker_id);
+        return found ? found.worker.pools : [];
+    }
+
+    worker_history(worker_id, window_ms) {
+        const data = this.metrics[worker_id];
+        return data ? this.db_manager.get_worker_history(worker_id, data.vm_id, window_ms) : null;
+    }
+
+    thermal_states() {
+        return this.thermal_governor.get_states();
+    }
+
+    thermal_actions(limit) {
+        return this.db_manager.load_audit_log({ 'action': 'thermal.', 'limit': limit });
+    }
+
+    thermal_policy() {
+        return ThermalGovernor.policy_for(this.db_manager);
+    }
+
+    economics_settings() {
+        return { ...MiningEconomics.DEFAULT_SETTINGS, ...this.db_manager.load_economics_settings() };
+    }
+
+    scheduler_settings() {
+        return this.scheduler.settings();
+    }
+
+    schedule_view(limit) {
+        if (!this.scheduler) return null;
+        return {
+            'schedules': Object.values(this.db_manager.load_schedules()),
+            'windows': this.scheduler.get_states(),
+            'upcoming': this.scheduler.upcoming_runs(Date.now(), limit),
+            'past': this.scheduler.past_runs(limit)
+        };
+    }
+
+    audit_entries(limit) {
+        return this.db_manager.load_audit_log({ 'limit': limit }).map(entry => {
+            const revert = this.db_manager.find_revert_of(entry.id);
+            return { ...entry, 'reverted_by': revert ? revert.id : null };
+        });
+    }
+
+    active_alerts() {
+        return this.alert_engine.get_active_alerts();
+    }
+
+    status_notes() {
+        /** Says when the figures shown are the saved ones, and how many pool edits wait for the network. */
+        const notes = [];
+        if (!VDIDashboard.is_online()) {
+            notes.push(this.updated_at
+                ? `Offline - showing metrics saved ${new Date(this.updated_at).toLocaleString()}`
+                : 'Offline - no saved metrics yet');
+        }
+        const queued = this.db_manager.load_pending_pool_changes().length;
+        if (queued > 0) notes.push(`${queued} pool change(s) will be applied when back online`);
+        if (this.db_manager.persist_error) notes.push(`Changes are not being saved: ${this.db_manager.persist_error}`);
+        return notes;
+    }
+
+    // --- Changes ---
+    create_worker(worker_id, algorithm, config) {
+        /** Resolves with the worker ID once it is on a VM, which may first have to be spun up. */
+        return this.as_user(() => this.vdi_manager.create_worker(worker_id, algorithm, { config }))
+            .then(worker => worker.worker_id);
+    }
+
+    decommission_vm(vm_id) {
+        return this.as_user(() => this.vdi_manager.decommission_vm(vm_id));
+    }
+
+    preview_configuration(worker_id, changes) {
+        return this.as_user(() => this.require_worker(worker_id).preview_configuration(changes));
+    }
+
+    update_configuration(worker_id, changes) {
+        return this.as_user(() => this.require_worker(worker_id).update_configuration(changes));
+    }
+
+    preview_profile(name, target) {
+        return this.as_user(() => this.vdi_manager.preview_profile(name, target));
+    }
+
+    apply_profile(name, target) {
+        return this.as_user(() => this.vdi_manager.apply_profile(name, target));
+    }
+
+    save_pool_settings(worker_id, new_worker_id, pools) {
+        /**
+         * Renames are local; switching pools needs the network, so offline it waits in a
+         * queue. Resolves with { queued } saying which happened to the pools.
+         */
+        const online = VDIDashboard.is_online();
+        return this.as_user(() => {
+            if (new_worker_id && new_worker_id !== worker_id) this.vdi_manager.rename_worker(worker_id, new_worker_id);
+            const name = new_worker_id || worker_id;
+            if (pools.length > 0) {
+                if (online) this.vdi_manager.update_pool_settings(name, pools);
+                else this.vdi_manager.queue_pool_change(name, pools);
+            }
+            return { 'queued': pools.length > 0 && !online };
+        });
+    }
+
+    replay_queued_changes() {
+        /** Applies the pool edits queued while offline; returns those that failed. */
+        return VDIDashboard.is_online() ? this.vdi_manager.replay_pool_changes().failed : [];
+    }
+
+    save_economics_settings(settings) {
+        return this.as_user(() => {
+            MiningEconomics.validate_settings({ ...MiningEconomics.DEFAULT_SETTINGS, ...settings });
+            this.db_manager.save_economics_settings(settings);
+        });
+    }
+
+    save_thermal_policy(changes) {
+        return this.as_user(() => {
+            const policy = { ...this.db_manager.load_thermal_policy(), ...changes };
+            ThermalGovernor.validate_policy({ ...ThermalGovernor.DEFAULT_POLICY, ...policy });
+            this.db_manager.save_thermal_policy(policy);
+        });
+    }
+
+    save_scheduler_settings(settings) {
+        return this.as_user(() => this.scheduler.save_settings(settings));
+    }
+
+    add_schedule(schedule) {
+        return this.as_user(() => {
+            const added = this.scheduler.add_schedule(schedule);
+            this.scheduler.tick(); // A window already open applies at once
+            return added;
+        });
+    }
+
+    update_schedule(schedule_id, changes) {
+        return this.as_user(() => this.scheduler.update_schedule(schedule_id, changes));
+    }
+
+    remove_schedule(schedule_id) {
+        return this.as_user(() => this.scheduler.remove_schedule(schedule_id));
+    }
+
+    upgrade_to_stratum_v2(worker_id, pool_url, on_state_change) {
+        /** Resolves with 'v2' once the worker's VM has switched, 'v1' if it stayed (browsers can't do V2). */
+        return this.as_user(() => this.vdi_manager.upgrade_to_stratum_v2(worker_id, pool_url, on_state_change));
+    }
+
+    revert_change(entry_id) {
+        return this.as_user(() => this.vdi_manager.revert_audit_entry(entry_id));
+    }
+
+    silence_alert(rule_id, duration_ms) {
+        return this.as_user(() => this.alert_engine.silence_rule(rule_id, duration_ms));
+    }
+}
+
+// --- Fleet run by the daemon ---
+class DaemonApi {
+    /** Calls the REST API of the daemon that served this page, with the bearer token kept in localStorage. */
+    constructor(storage = localStorage, base_url = 'api/') {
+        this.storage = storage;
+        this.base_url = base_url;
+    }
+
+    static detect() {
+        /**
+         * Resolves with a DaemonApi when the page was served by the daemon, whose API answers
+         * an unauthenticated request with 401 and its Bearer realm, or null on a static host
+         * (GitHub Pages answers 404). Without a network, a token saved before decides.
+         */
+        const api = new DaemonApi();
+        return fetch(`${api.base_url}vms`, { 'cache': 'no-store' })
+            .then(response => (response.status === 401 && (response.headers.get('WWW-Authenticate') || '').includes(DaemonApi.REALM) ? api : null))
+            .catch(() => (api.token() ? api : null));
+    }
+
+    token() {
+        return this.storage.getItem(DaemonApi.TOKEN_KEY);
+    }
+
+    ask_token(message) {
+        const token = (prompt(message) || '').trim();
+        if (token) this.storage.setItem(DaemonApi.TOKEN_KEY, token);
+        else this.storage.removeItem(DaemonApi.TOKEN_KEY);
+    }
+
+    ensure_token() {
+        if (!this.token()) this.ask_token('API token of this daemon (server.js logs where it keeps it):');
+    }
+
+    request(method, path, body) {
+        /**
+         * Resolves with the JSON response; rejects with the API's error message (and .status).
+         * A rejected token is asked for again once, then the request is retried.
+         */
+        const token = this.token();
+        if (!token) return Promise.reject(new Error('No API token - reload the page to enter it'));
+        const options = { 'method': method, 'cache': 'no-store', 'headers': { 'Authorization': `Bearer ${token}` } };
+        if (method === 'POST' || method === 'PUT') {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body || {});
+        }
+        return fetch(`${this.base_url}${path}`, options).then(response => {
+            if (response.status === 401) {
+                // Requests sent together all fail; only the first one asks for a new token
+                if (this.token() === token) this.ask_token('The daemon rejected the API token. Enter it again:');
+                if (this.token() && this.token() !== token) return this.request(method, path, body);
+            }
+            return response.json().then(json => {
+                if (!response.ok) throw Object.assign(new Error(json.error || `HTTP ${response.status}`), { 'status': response.status });
+                return json;
+            });
+        });
+    }
+}
+
+DaemonApi.REALM = 'realm="vdi-manager"';
+DaemonApi.TOKEN_KEY = 'vdi_api_token';
+
+class DaemonFleet {
+    /**
+     * The fleet of the daemon that served this page, read and changed through its API; the
+     * browser keeps nothing but the API token. Same interface as BrowserFleet. The daemon
+     * audits the changes as { type: 'api' }.
+     */
+    constructor(api) {
+        this.api = api;
+        this.metrics = {};
+        this.economics = null;
+        this.updated_at = null;
+        this.storage_error = null; // Why the daemon could not save its state, if it can't
+        this.currency = MiningEconomics.DEFAULT_SETTINGS.currency;
+        this.state = null; // Latest { vms, workers, thermal, schedules, alerts, audit, economics_settings }
+        this.history = null; // Response to history_request, once it arrived
+        this.history_request = null; // { worker_id, window_ms } of the detailed metrics shown
+        this.error = null; // Why the latest refresh failed; the last state fetched stays on screen
+        this.timer = null;
+        this.on_update = null;
+    }
+
+    notify() {
+        if (this.on_update) this.on_update();
+    }
+
+    static history_path(request) {
+        return `workers/${encodeURIComponent(request.worker_id)}/history?window_ms=${request.window_ms}`;
+    }
+
+    refresh() {
+        const get = (path) => this.api.request('GET', path);
+        const history_request = this.history_request;
+        return Promise.all([
+            get('vms'), get('workers'), get('metrics'), get('thermal'), get('schedules'), get('alerts'), get('audit'),
+            get('economics/settings'), history_request ? get(DaemonFleet.history_path(history_request)) : null
+        ])
+            .then(([vms, workers, metrics, thermal, schedules, alerts, audit, economics_settings, history]) => {
+                this.state = { vms, workers, thermal, schedules, alerts, audit, economics_settings };
+                this.metrics = metrics.workers;
+                this.economics = metrics.economics;
+                this.updated_at = metrics.updated_at;
+                this.storage_error = metrics.storage_error;
+                this.currency = metrics.currency;
+                if (history_request === this.history_request) this.history = history;
+                this.error = null;
+            })
+            .catch(err => {
+                this.error = err.message;
+                console.warn(`Daemon API: ${err.message}`);
+            })
+            .then(() => this.notify());
+    }
+
+    start() {
+        /** Refreshes now, then at the daemon's metrics cadence. */
+        if (this.is_running()) return;
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.scheduler_settings().metrics_interval_ms);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    is_running() {
+        return this.timer !== null;
+    }
+
+    find_worker(worker_id) {
+        return (this.state && this.state.workers.find(worker => worker.worker_id === worker_id)) || null;
+    }
+
+    // --- Reads ---
+    vm_views() {
+        return this.state ? this.state.vms : [];
+    }
+
+    worker_configuration(worker_id) {
+        const worker = this.find_worker(worker_id);
+        return worker ? worker.config : null;
+    }
+
+    worker_pools(worker_id) {
+        // The API never returns pool passwords
+        const worker = this.find_worker(worker_id);
+        return worker ? worker.pools.map(pool => ({ ...pool, 'password': '' })) : [];
+    }
+
+    worker_history(worker_id, window_ms) {
+        /** From the latest refresh; another worker or window is fetched, and drawn once it arrives. */
+        const current = this.history_request;
+        if (!current || current.worker_id !== worker_id || current.window_ms !== window_ms) {
+            const request = { worker_id, window_ms };
+            this.history_request = request;
+            this.history = null;
+            this.api.request('GET', DaemonFleet.history_path(request))
+                .then(history => {
+                    if (this.history_request !== request) return; // The selection changed meanwhile
+                    this.history = history;
+                    this.notify();
+                })
+                .catch(err => console.warn(`Daemon API: ${err.message}`));
+        }
+        return this.history;
+    }
+
+    thermal_states() {
+        return this.state ? this.state.thermal.workers : {};
+    }
+
+    thermal_actions(limit) {
+        return this.state ? this.state.thermal.actions.slice(0, limit) : [];
+    }
+
+    thermal_policy() {
+        return this.state ? this.state.thermal.policy : ThermalGovernor.DEFAULT_POLICY;
+    }
+
+    economics_settings() {
+        return this.state ? this.state.economics_settings : MiningEconomics.DEFAULT_SETTINGS;
+    }
+
+    economics_currency() {
+        return this.currency;
+    }
+
+    scheduler_settings() {
+        return this.state ? this.state.schedules.settings : Scheduler.DEFAULT_SETTINGS;
+    }
+
+    schedule_view(limit) {
+        if (!this.state) return null;
+        const { schedules, windows, upcoming, past } = this.state.schedules;
+        return { schedules, windows, 'upcoming': upcoming.slice(0, limit), 'past': past.slice(0, limit) };
+    }
+
+    audit_entries(limit) {
+        return this.state ? this.state.audit.slice(0, limit) : [];
+    }
+
+    active_alerts() {
+        return this.state ? this.state.alerts : [];
+    }
+
+    status_notes() {
+        if (!this.error) return this.storage_error ? [`The daemon is not saving changes: ${this.storage_error}`] : [];
+        return [this.updated_at
+            ? `Daemon unreachable (${this.error}) - showing metrics from ${new Date(this.updated_at).toLocaleString()}`
+            : `Daemon unreachable (${this.error})`];
+    }
+
+    // --- Changes ---
+    worker_path(worker_id, action) {
+        return `workers/${encodeURIComponent(worker_id)}/${action}`;
+    }
+
+    create_worker(worker_id, algorithm, config) {
+        return this.api.request('POST', 'workers', { worker_id, algorithm, config }).then(worker => worker.worker_id);
+    }
+
+    decommission_vm(vm_id) {
+        return this.api.request('POST', `vms/${encodeURIComponent(vm_id)}/decommission`);
+    }
+
+    preview_configuration(worker_id, changes) {
+        return this.api.request('PUT', this.worker_path(worker_id, 'config'), { 'config': changes, 'dry_run': true })
+            .then(result => result.diff);
+    }
+
+    update_configuration(worker_id, changes) {
+        return this.api.request('PUT', this.worker_path(worker_id, 'config'), { 'config': changes })
+            .then(result => result.diff);
+    }
+
+    preview_profile(name, target) {
+        return this.api.request('POST', `profiles/${encodeURIComponent(name)}`, { ...target, 'dry_run': true })
+            .then(result => result.diffs);
+    }
+
+    apply_profile(name, target) {
+        return this.api.request('POST', `profiles/${encodeURIComponent(name)}`, target).then(result => result.diffs);
+    }
+
+    save_pool_settings(worker_id, new_worker_id, pools) {
+        /** The daemon applies pool changes itself, so nothing is ever queued here. */
+        const renamed = new_worker_id && new_worker_id !== worker_id
+            ? this.api.request('POST', this.worker_path(worker_id, 'rename'), { 'worker_id': new_worker_id })
+            : Promise.resolve(null);
+        // Passwords are never sent back, so a blank one tells the daemon to keep the pool's current password
+        const sent = pools.map(({ password, ...pool }) => (password ? { ...pool, password } : pool));
+        return renamed
+            .then(() => sent.length > 0 && this.api.request('PUT', this.worker_path(new_worker_id || worker_id, 'pools'), { 'pools': sent }))
+            .then(() => ({ 'queued': false }));
+    }
+
+    replay_queued_changes() {
+        return [];
+    }
+
+    save_economics_settings(settings) {
+        return this.api.request('PUT', 'economics/settings', settings);
+    }
+
+    save_thermal_policy(changes) {
+        return this.api.request('PUT', 'thermal/policy', changes);
+    }
+
+    save_scheduler_settings(settings) {
+        return this.api.request('PUT', 'scheduler/settings', settings).then(saved => {
+            if (this.state) this.state.schedules.settings = saved;
+            if (this.is_running()) {
+                this.stop();
+                this.start();
+            }
+        });
+    }
+
+    add_schedule(schedule) {
+        return this.api.request('POST', 'schedules', schedule);
+    }
+
+    update_schedule(schedule_id, changes) {
+        return this.api.request('PUT', `schedules/${encodeURIComponent(schedule_id)}`, changes);
+    }
+
+    remove_schedule(schedule_id) {
+        return this.api.request('DELETE', `schedules/${encodeURIComponent(schedule_id)}`);
+    }
+
+    upgrade_to_stratum_v2(worker_id, pool_url, on_state_change) {
+        /** The daemon negotiates; only the outcome comes back. */
+        on_state_change('connecting', pool_url);
+        return this.api.request('POST', this.worker_path(worker_id, 'upgrade-v2'), { pool_url }).then(result => {
+            on_state_change(result.protocol === 'v2' ? 'ready' : 'failed', result.reason);
+            return result.protocol;
+        });
+    }
+
+    revert_change(entry_id) {
+        return this.api.request('POST', `audit/${entry_id}/revert`);
+    }
+
+    silence_alert(rule_id, duration_ms) {
+        return this.api.request('POST', `alerts/${encodeURIComponent(rule_id)}/silence`, { duration_ms });
+    }
+}
+
+// --- Dashboard (renders a BrowserFleet or a DaemonFleet into index.html) ---
+class VDIDashboard {
+    /** The dashboard's view state (selection, fleet table sorting, chart window) and rendering. */
+    constructor(fleet) {
+        this.fleet = fleet;
+        this.chart_window_ms = 24 * 60 * 60 * 1000; // Window selected in the detailed metrics modal
+        this.selected_worker_id = null; // Worker shown in the live cards, modal and pool editor
+        this.fleet_sort = { ...VDIMonitor.DEFAULT_FLEET_SORT };
+        this.fleet_filter = '';
+        this.tuning_worker_id = null; // Worker whose saved settings fill the tuning form
+        fleet.on_update = () => this.updateFrontEndDisplay();
+    }
+
+    get_selected_worker_id() {
+        /** The selected worker if it still exists, otherwise the first one reported. */
+        if (this.selected_worker_id && this.fleet.metrics[this.selected_worker_id]) return this.selected_worker_id;
+        return Object.keys(this.fleet.metrics)[0] || null;
+    }
+
+    select_worker(worker_id) {
+        this.selected_worker_id = worker_id;
+        this.updateFrontEndDisplay();
+    }
+
+    static is_online() {
+        return navigator.onLine !== false;
+    }
+
+    static algorithm_of(data) {
+        /** The MiningAlgorithm a metrics entry's hashrate is measured in. */
+        return MiningAlgorithm.find(data.algorithm) || MiningAlgorithm.get(MiningAlgorithm.DEFAULT);
+    }
+
+    updateFrontEndDisplay() {
+        this.renderOfflineBanner();
+        this.renderFleetTable();
+        const mainWorkerId = this.get_selected_worker_id();
+        if (!mainWorkerId) return;
+
+        const data = this.fleet.metrics[mainWorkerId];
+
+        // Connection card follows the selected worker
+        document.getElementById('worker-id').textContent = mainWorkerId;
+        this.renderConnectionStatus();
+        document.getElementById('metrics-worker-id').textContent = mainWorkerId;
+
+        // Update live metrics section
+        document.getElementById('current-hashrate').textContent = VDIDashboard.algorithm_of(data).format_hashrate(data.hashrate);
+        // Offline workers and older daemons report null or leave fields out
+        const show = VDIDashboard.format_number;
+        document.getElementById('shares-accepted').textContent = show(data.shares_accepted, 0);
+        document.getElementById('fan-speed').textContent = show(data.fan_rpm, 0, ' RPM');
+        document.getElementById('power-draw').textContent = show(data.power_consumption, 0, ' W');
+        const economics = this.fleet.economics && this.fleet.economics.workers[mainWorkerId];
+        document.getElementById('worker-profit').textContent = economics
+            ? `${economics.profit.toFixed(2)} ${this.fleet.economics_currency()}/day` : 'n/a';
+
+        // Update detailed metrics modal (assuming the modal is visible to the user)
+        document.getElementById('shares-rejected').textContent = show(data.shares_rejected, 0);
+        document.getElementById('chip-temp').textContent = data.temperature == null ? 'n/a' : `${data.temperature} °C`;
+        this.renderDetailedMetrics(mainWorkerId);
+
+        this.renderEconomicsPanel();
+        // The tuning form is only refilled when the selection changes, so edits survive refreshes
+        if (mainWorkerId !== this.tuning_worker_id) this.renderTuningPanel(mainWorkerId);
+        this.renderAlertPanel();
+        this.renderThermalPanel();
+        this.renderSchedulePanel();
+        this.renderAuditTimeline();
+        console.log("Front-end dashboard updated.");
+    }
+
+    renderOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        const notes = this.fleet.status_notes();
+        banner.textContent = notes.join(' · ');
+        banner.classList.toggle('hidden', notes.length === 0);
+    }
+
+    renderTuningPanel(workerId) {
+        /** Fills the tuning form with a worker's saved settings (blank = device default). */
+        const config = this.fleet.worker_configuration(workerId);
+        if (!config) return;
+        this.tuning_worker_id = workerId;
+        document.getElementById('tuning-worker-id').textContent = `${workerId} (${config.algorithm})`;
+        for (const [id, field] of Object.entries(VDIDashboard.TUNING_FIELDS)) {
+            document.getElementById(id).value = config[field] === null ? '' : config[field];
+        }
+        // Chip settings accept a different range per algorithm (ASIC vs GPU vs CPU)
+        const limits = MiningAlgorithm.get(config.algorithm).chip_limits;
+        for (const [id, field] of [['tune-frequency', 'frequency_mhz'], ['tune-voltage', 'voltage_mv']]) {
+            Object.assign(document.getElementById(id), limits[field]);
+        }
+    }
+
+    static describe_diff(diff) {
+        const show = (value) => (value === null ? 'default' : value);
+        return Object.entries(diff).map(([field, change]) => `  ${field}: ${show(change.from)} → ${show(change.to)}`).join('\n');
+    }
+
+    renderDetailedMetrics(workerId) {
+        /** Rolling averages and charts for a worker (and its VM) from the metrics time series. */
+        const algorithm = VDIDashboard.algorithm_of(this.fleet.metrics[workerId]);
+        const history = this.fleet.worker_history(workerId, this.chart_window_ms); // null until a daemon has answered
+        for (const label of Object.keys(ConfigDBManager.HISTORY_AVERAGES)) {
+            document.getElementById(`hashrate-${label}`).textContent = algorithm.format_hashrate(history ? history.averages[label] : null);
+        }
+        document.getElementById('vm-hashrate-24h').textContent = algorithm.format_hashrate(history ? history.vm_hashrate_24h : null);
+
+        const charts = [
+            ['chart-hashrate', 'hashrate', algorithm.unit, '#f7931a'],
+            ['chart-temperature', 'temperature', '°C', '#e74c3c'],
+            ['chart-power', 'power_consumption', 'W', '#3498db'],
+        ];
+        for (const [canvasId, field, unit, color] of charts) {
+            drawLineChart(document.getElementById(canvasId), history ? history.points[field] : [], { unit, color });
+        }
+    }
+
+    renderFleetTable() {
+        /** Fleet table: one group per VM, worker rows sorted and filtered per the table controls. */
+        const body = document.getElementById('fleet-table-body');
+        const show = VDIDashboard.format_number;
+        const selected = this.get_selected_worker_id();
+        const thermal = this.fleet.thermal_states();
+        const groups = VDIMonitor.fleet_groups(this.fleet.vm_views(), this.fleet.metrics, this.fleet.economics,
+            { 'filter': this.fleet_filter, 'sort': this.fleet_sort });
+
+        body.innerHTML = '';
+        for (const { vm, rows } of groups) {
+            const groupRow = document.createElement('tr');
+            groupRow.className = 'fleet-vm-row';
+            groupRow.innerHTML = `<th colspan="9"><span class="fleet-vm-label"></span> <button class="action-button secondary fleet-decommission">⏏️ Decommission</button></th>`;
+            groupRow.querySelector('.fleet-vm-label').textContent = `${vm.vm_id} [${vm.status}] · ${vm.connection.pool_url} · load ${vm.load.toFixed(2)} · ${vm.workers.length} worker(s)`;
+            groupRow.querySelector('.fleet-decommission').dataset.vmId = vm.vm_id;
+            body.appendChild(groupRow);
+
+            for (const row of rows) {
+                const tr = document.createElement('tr');
+                tr.className = row.worker_id === selected ? 'fleet-worker-row selected' : 'fleet-worker-row';
+                if (row.online === false) tr.className += ' offline';
+                if (thermal[row.worker_id]) tr.className += ` thermal-${thermal[row.worker_id].action}`;
+                tr.dataset.workerId = row.worker_id;
+                for (const text of [
+                    thermal[row.worker_id] ? `${row.worker_id} 🌡️ ${thermal[row.worker_id].action}` : row.worker_id,
+                    row.algorithm,
+                    VDIDashboard.algorithm_of(row).format_hashrate(row.hashrate),
+                    `${show(row.shares_accepted, 0)} / ${show(row.shares_rejected, 0)}`,
+                    show(row.temperature, 0, ' °C'),
+                    show(row.power_consumption, 0, ' W'),
+                    show(row.load, 2),
+                    show(row.profit, 2, '/day'),
+                ]) {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                }
+                const actions = document.createElement('td');
+                actions.innerHTML = '<button class="action-button secondary fleet-drilldown">📊</button>';
+                tr.appendChild(actions);
+                body.appendChild(tr);
+            }
+        }
+    }
+
+    renderConnectionStatus(now = Date.now()) {
+        /** Live state, uptime, latency and job age of the selected worker's pool connection. */
+        const data = this.fleet.metrics[this.get_selected_worker_id()];
+        const vm = data && this.fleet.vm_views().find(view => view.vm_id === data.vm_id);
+        if (!vm) return;
+        const connection = vm.connection;
+        const target = StratumClient.parse_pool_url(connection.pool_url);
+        document.getElementById('pool-address').textContent = connection.pool_url;
+        document.getElementById('pool-protocol').textContent = `Stratum ${connection.protocol.toUpperCase()}`
+            + (target ? ` (${target.scheme === 'ssl' ? 'TLS' : 'TCP'})` : '')
+            + (connection.pool_url !== vm.pool_url ? ' - failover' : '');
+        const state = document.getElementById('connection-state');
+        state.textContent = (connection.state_detail ? `${connection.state} (${connection.state_detail})` : connection.state)
+            + (connection.rejected_workers.length > 0 ? ` - rejected: ${connection.rejected_workers.join(', ')}` : '');
+        state.dataset.state = connection.state;
+        document.getElementById('connection-uptime').textContent = VDIDashboard.format_duration(
+            connection.connected_since ? now - new Date(connection.connected_since).getTime() : 0
+        );
+        document.getElementById('connection-latency').textContent = connection.latency_ms === null ? 'n/a' : `${connection.latency_ms} ms`;
+        document.getElementById('connection-last-job').textContent = connection.last_job_at
+            ? `${VDIDashboard.format_duration(now - new Date(connection.last_job_at).getTime())} ago` : 'n/a';
+    }
+
+    static format_number(value, digits, unit = '') {
+        /** 'n/a' for a missing value (null or undefined), e.g. a share count an offline worker has no figure for. */
+        return value == null ? 'n/a' : `${value.toFixed(digits)}${unit}`;
+    }
+
+    static format_duration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const [d, h, m, s] = [Math.floor(seconds / 86400), Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60];
+        if (d > 0) return `${d}d ${h}h ${m}m`;
+        if (h > 0) return `${h}h ${m}m ${s}s`;
+        return m > 0 ? `${m}m ${s}s` : `${s}s`;
+    }
+
+    renderEconomicsPanel() {
+        /** Fleet-wide revenue, energy cost and profit per day. */
+        const fleet = this.fleet.economics && this.fleet.economics.fleet;
+        const currency = this.fleet.economics_currency();
+        const money = (value) => (fleet ? `${value.toFixed(2)} ${currency}` : 'n/a');
+        document.getElementById('fleet-revenue-btc').textContent = fleet ? `${fleet.revenue_btc.toFixed(8)} BTC` : 'n/a';
+        document.getElementById('fleet-revenue').textContent = money(fleet && fleet.revenue);
+        document.getElementById('fleet-energy-cost').textContent = money(fleet && fleet.energy_cost);
+        document.getElementById('fleet-profit').textContent = money(fleet && fleet.profit);
+        document.getElementById('fleet-efficiency').textContent = fleet && Number.isFinite(fleet.efficiency_j_per_th)
+            ? `${fleet.efficiency_j_per_th.toFixed(1)} J/TH` : 'n/a';
+        document.getElementById('fleet-break-even').textContent = fleet && fleet.break_even_rate_per_kwh !== null
+            ? `${fleet.break_even_rate_per_kwh.toFixed(3)} ${currency}/kWh` : 'n/a';
+    }
+
+    static describe_audit(entry) {
+        const target = `${entry.target.type} ${entry.target.id}`;
+        switch (entry.action) {
+            case 'pool.changed':
+                return `${target}: pool ${entry.before.pools.length > 0 ? entry.before.pools[0].url : entry.before.pool_url} → ${entry.after.pools[0].url}`;
+            case 'pool.failover':
+                return `${target}: failed over ${entry.before.url} → ${entry.after.url} (${entry.before.reason})`;
+            case 'worker.migrated':
+                return `${target}: moved ${entry.before.vm_id} → ${entry.after.vm_id}`;
+            case 'worker.renamed':
+                return `worker ${entry.before.id} renamed to ${entry.after.id}`;
+            case 'thermal.throttled':
+                return `${target}: ${entry.before.temperature} °C, power target ${VDIDashboard.describe_watts(entry.before.power_target_watts)} → ${VDIDashboard.describe_watts(entry.after.power_target_watts)}`;
+            case 'thermal.paused':
+                return `${target}: paused (${entry.after.reason})`;
+            case 'thermal.restored':
+                return `${target}: cooled to ${entry.after.temperature} °C, restored at ${VDIDashboard.describe_watts(entry.after.power_target_watts)}`;
+            case 'schedule_run.started':
+            case 'schedule_run.ended':
+                return `${entry.after.name} ${entry.action.split('.')[1]}: ${entry.after.workers.length > 0 ? entry.after.workers.join(', ') : 'no workers affected'}`;
+            case 'schedule_run.failed':
+                return `${entry.after.name} failed: ${entry.after.error}`;
+            default: {
+                // Generic record writes: list the top-level fields that changed
+                const before = entry.before || {};
+                const after = entry.after || {};
+                const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+                return `${target} ${entry.action.split('.')[1]}${entry.before && entry.after ? `: ${fields.join(', ')}` : ''}`;
+            }
+        }
+    }
+
+    static describe_watts(watts) {
+        return watts === null ? 'device default' : `${watts} W`;
+    }
+
+    renderThermalPanel() {
+        /** Workers currently throttled or paused by the thermal governor, and its latest actions. */
+        const list = document.getElementById('thermal-workers');
+        const states = Object.entries(this.fleet.thermal_states());
+        list.innerHTML = '';
+        if (states.length === 0) {
+            list.innerHTML = '<li class="thermal-empty">All workers within limits</li>';
+        }
+        for (const [worker_id, state] of states) {
+            const item = document.createElement('li');
+            item.className = `thermal-item thermal-${state.action}`;
+            const detail = state.action === 'paused' ? state.reason : `power target ${VDIDashboard.describe_watts(state.power_target_watts)}`;
+            item.textContent = `${worker_id}: ${state.action} since ${new Date(state.since).toLocaleTimeString()} at ${state.temperature} °C (${detail})`
+                + (state.cooling_since ? ` - cooling down since ${new Date(state.cooling_since).toLocaleTimeString()}` : '');
+            list.appendChild(item);
+        }
+
+        const actions = document.getElementById('thermal-actions');
+        actions.innerHTML = '';
+        for (const entry of this.fleet.thermal_actions(VDIDashboard.THERMAL_ACTIONS_LENGTH)) {
+            const item = document.createElement('li');
+            item.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${VDIDashboard.describe_audit(entry)}`;
+            actions.appendChild(item);
+        }
+    }
+
+    static describe_schedule(schedule) {
+        const target = schedule.target.vm_id || schedule.target.worker_id || 'all workers';
+        const what = schedule.action === 'profile' ? `${schedule.params.profile} profile on ${target}` : `${schedule.action} ${target}`;
+        return schedule.end ? `${what} from "${schedule.start}" until "${schedule.end}"` : `${what} at "${schedule.start}"`;
+    }
+
+    renderSchedulePanel() {
+        /** Saved schedules with enable/delete buttons, their next start and end times, and the latest runs. */
+        const view = this.fleet.schedule_view(VDIDashboard.SCHEDULE_RUNS_LENGTH);
+        if (!view) return;
+        const list = document.getElementById('schedule-list');
+        const { schedules, windows: states } = view;
+        list.innerHTML = '';
+        if (schedules.length === 0) {
+            list.innerHTML = '<li class="schedule-empty">No schedules yet</li>';
+        }
+        for (const schedule of schedules) {
+            const state = states[schedule.id] || {};
+            const item = document.createElement('li');
+            item.className = 'schedule-item' + (schedule.enabled ? '' : ' disabled') + (state.active ? ' active' : '') + (state.error ? ' failed' : '');
+            item.textContent = `${schedule.name}: ${VDIDashboard.describe_schedule(schedule)}`
+                + (state.active ? ' - in force' : '') + (state.error ? ` - last run failed (${state.error})` : '');
+            for (const [className, label] of [['toggle-schedule', schedule.enabled ? '⏸️ Disable' : '▶️ Enable'], ['delete-schedule', '🗑️ Delete']]) {
+                const button = document.createElement('button');
+                button.className = `action-button secondary ${className}`;
+                button.dataset.scheduleId = schedule.id;
+                button.textContent = label;
+                item.appendChild(button);
+            }
+            list.appendChild(item);
+        }
+
+        const upcoming = document.getElementById('schedule-upcoming');
+        const runs = view.upcoming;
+        upcoming.innerHTML = runs.length === 0 ? '<li class="schedule-empty">Nothing scheduled</li>' : '';
+        for (const run of runs) {
+            const item = document.createElement('li');
+            item.textContent = `${new Date(run.at).toLocaleString()} · ${run.name} ${run.phase === 'start' ? 'starts' : 'ends'}`;
+            upcoming.appendChild(item);
+        }
+
+        const history = document.getElementById('schedule-history');
+        const entries = view.past;
+        history.innerHTML = entries.length === 0 ? '<li class="schedule-empty">No runs yet</li>' : '';
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.className = entry.action === 'schedule_run.failed' ? 'schedule-item failed' : 'schedule-item';
+            item.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${VDIDashboard.describe_audit(entry)}`;
+            history.appendChild(item);
+        }
+    }
+
+    renderAuditTimeline() {
+        /** Most recent configuration changes, with a revert button on pool changes and migrations. */
+        const list = document.getElementById('audit-timeline');
+        const entries = this.fleet.audit_entries(VDIDashboard.AUDIT_TIMELINE_LENGTH);
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="audit-empty">No changes recorded yet</li>';
+            return;
+        }
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.className = `audit-item audit-${entry.actor.type}`;
+            const actor = entry.actor.id ? `${entry.actor.type}:${entry.actor.id}` : entry.actor.type;
+            item.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${actor} · ${VDIDashboard.describe_audit(entry)}`
+                + (entry.reverts ? ` (undo of #${entry.reverts})` : '');
+            if (VDIManager.REVERTIBLE_ACTIONS.includes(entry.action)) {
+                if (entry.reverted_by) {
+                    item.className += ' reverted';
+                    item.textContent += ` - reverted by #${entry.reverted_by}`;
+                } else {
+                    const revertButton = document.createElement('button');
+                    revertButton.className = 'action-button secondary revert-change';
+                    revertButton.dataset.entryId = entry.id;
+                    revertButton.textContent = '↩️ Revert';
+                    item.appendChild(revertButton);
+                }
+            }
+            list.appendChild(item);
+        }
+    }
+
+    renderAlertPanel() {
+        const list = document.getElementById('alert-list');
+        const alerts = this.fleet.active_alerts();
+        list.innerHTML = '';
+        if (alerts.length === 0) {
+            list.innerHTML = '<li class="alert-empty">No active alerts</li>';
+            return;
+        }
+        for (const alert of alerts) {
+            const item = document.createElement('li');
+            item.className = alert.silenced ? 'alert-item silenced' : 'alert-item';
+            item.textContent = `${AlertEngine.describe(alert)} - since ${new Date(alert.since).toLocaleTimeString()}`;
+            if (!alert.silenced) {
+                const silenceButton = document.createElement('button');
+                silenceButton.className = 'action-button secondary silence-alert';
+                silenceButton.dataset.ruleId = alert.rule_id;
+                silenceButton.textContent = '🔕 Silence 1h';
+                item.appendChild(silenceButton);
+            }
+            list.appendChild(item);
+        }
+    }
+}
+
+VDIDashboard.AUDIT_TIMELINE_LENGTH = 30;
+VDIDashboard.THERMAL_ACTIONS_LENGTH = 10;
+VDIDashboard.SCHEDULE_RUNS_LENGTH = 10;
+VDIDashboard.TUNING_FIELDS = { // form input -> WorkerConfig field
+    'tune-frequency': 'frequency_mhz',
+    'tune-voltage': 'voltage_mv',
+    'tune-fan-mode': 'fan_mode',
+    'tune-fan-speed': 'fan_speed_percent',
+    'tune-power-target': 'power_target_watts'
+};
+
+
+function editedPools(current, workerId, workerName, urls, password) {
+    /**
+     * The pool list to save from the config modal, or [] when it is unchanged. Pools kept
+     * from the current list keep their own login (following a rename when it was the
+     * worker ID); the password field only applies to the primary, and only once edited.
+     * New pools log in as the worker with that password.
+     */
+    const passwordEdited = password !== (current.length > 0 ? current[0].password : 'x');
+    const unchanged = !passwordEdited && workerName === workerId
+        && urls.length === current.length && urls.every((url, i) => url === current[i].url);
+    if (unchanged) return [];
+    return urls.map((url, i) => {
+        const kept = current.find(pool => pool.url === url);
+        if (!kept) return { 'url': url, 'worker_name': workerName, 'password': password };
+        return {
+            'url': url,
+            'worker_name': kept.worker_name === workerId ? workerName : kept.worker_name,
+            'password': i === 0 && passwordEdited ? password : kept.password
+        };
+    });
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function registerServiceWorker() {
+    /** Caches the app shell (service-worker.js) so the installed dashboard opens offline. */
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('service-worker.js')
+        .catch(err => console.warn(`Service worker not registered: ${err.message}`));
+}
+
+function drawLineChart(canvas, points, options = {}) {
+    /** Minimal canvas line chart: min/max labels on the left, time running left to right. */
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = 30;
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#888';
+    if (points.length < 2) {
+        ctx.fillText('Not enough data yet', pad, height / 2);
+        return;
+    }
+
+    const values = points.map(p => p.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const t0 = points[0].t;
+    const tSpan = points[points.length - 1].t - t0 || 1;
+    const x = (t) => pad + ((t - t0) / tSpan) * (width - pad - 5);
+    const y = (v) => height - 12 - ((v - min) / span) * (height - 24);
+
+    ctx.fillText(`${max.toFixed(1)} ${options.unit || ''}`, 2, 10);
+    ctx.fillText(`${min.toFixed(1)}`, 2, height - 2);
+    ctx.strokeStyle = options.color || '#f7931a';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.t), y(p.value)) : ctx.lineTo(x(p.t), y(p.value))));
+    ctx.stroke();
+}
+
+function openBrowserFleet() {
+    /** The fleet kept in this browser, restoring any state persisted by a previous session. */
+    return ConfigDBManager.open().then(db_manager => {
+        const vdi_manager = new VDIManager(db_manager);
+        const browser_fleet = new BrowserFleet(vdi_manager, db_manager);
+        vdi_manager.on_state_change = () => browser_fleet.update_all_metrics()
+            .catch(err => console.error(`Metrics update failed: ${err.message}`));
+        browser_fleet.alert_engine.add_sink(new BrowserNotificationSink());
+        if (Object.keys(db_manager.load_alert_rules()).length === 0) {
+            // Sensible default for a fresh install: sustained chip overheating
+            browser_fleet.alert_on_condition('temperature', '>', 85, { name: 'Chip overheating', for_samples: 3, hysteresis: 5 });
+        }
+        // The scheduler refreshes metrics, checks rebalancing (every 5 seconds unless configured
+        // otherwise) and runs the saved schedules
+        browser_fleet.scheduler = new Scheduler(vdi_manager, browser_fleet, db_manager, {
+            'update_metrics': () => browser_fleet.refresh(),
+            // Rebalancing moves workers between pool connections, which needs the network
+            'rebalance': () => VDIDashboard.is_online() && vdi_manager.monitor_and_rebalance()
+        });
+        return browser_fleet;
+    });
+}
+
+async function initializeApplication() {
+    // 1. Initialize Core Components: the daemon's fleet when it served this page, otherwise our own
+    const api = await DaemonApi.detect();
+    if (api) {
+        api.ensure_token();
+        fleet = new DaemonFleet(api);
+        await fleet.refresh(); // The settings forms below are filled from the daemon's state
+        // History files and the offline queue only exist in the browser fleet
+        document.querySelectorAll('.browser-fleet-only').forEach(element => element.classList.add('hidden'));
+    } else {
+        fleet = await openBrowserFleet();
+    }
+    monitor = new VDIDashboard(fleet);
+
+    // 2. Set up Periodic Updates (The heart of the dashboard)
+    // The fleet refreshes at its metrics cadence and the connection uptime ticks each second.
+    // Both only run while the dashboard is visible: in the background the timers would keep
+    // the phone awake for nothing. Coming back refreshes (and catches up on schedules) at once.
+    let connectionTimer = null;
+    const startRefreshing = () => {
+        if (fleet.is_running()) return;
+        fleet.start();
+        connectionTimer = setInterval(() => monitor.renderConnectionStatus(), 1000);
+    };
+    const stopRefreshing = () => {
+        fleet.stop();
+        clearInterval(connectionTimer);
+    };
+    document.addEventListener('visibilitychange', () => (document.hidden ? stopRefreshing() : startRefreshing()));
+    if (!document.hidden) startRefreshing();
+
+    // Connection card: redraw on every state change
+    if (fleet.vdi_manager) fleet.vdi_manager.on_connection_change = () => monitor.renderConnectionStatus();
+
+    // Offline: show the saved metrics; back online: apply the pool edits queued meanwhile
+    window.addEventListener('offline', () => fleet.refresh());
+    window.addEventListener('online', () => {
+        const failed = fleet.replay_queued_changes();
+        if (failed.length > 0) {
+            alert(`Queued pool changes not applied:\n${failed.map(({ change, error }) => `${change.worker_id}: ${error}`).join('\n')}`);
+        }
+        fleet.refresh();
+    });
+    fleet.replay_queued_changes(); // Queued in a session that closed offline
+    registerServiceWorker();
+
+    // 3. Set up Event Listeners for Modals and Actions
+
+    // --- Modals Logic ---
+    const metricsModal = document.getElementById('miningMetricsModal');
+    const configModal = document.getElementById('poolConfigModal');
+
+    // Open Detailed Metrics Modal
+    document.getElementById('open-metrics-modal').addEventListener('click', () => {
+        metricsModal.classList.remove('hidden');
+    });
+
+    // Close Detailed Metrics Modal
+    document.querySelector('.close-modal-metrics').addEventListener('click', () => {
+        metricsModal.classList.add('hidden');
+    });
+
+    // Open Pool Config Modal
+    document.getElementById('open-config-modal').addEventListener('click', () => {
+        configModal.classList.remove('hidden');
+        // Pre-fill inputs with the selected worker's pool list
+        const pools = fleet.worker_pools(monitor.get_selected_worker_id());
+        document.getElementById('new-pool-input').value = pools.length > 0 ? pools[0].url : document.getElementById('pool-address').textContent;
+        document.getElementById('new-worker-input').value = monitor.get_selected_worker_id();
+        document.getElementById('new-password-input').value = pools.length > 0 ? pools[0].password : 'x';
+        document.getElementById('failover-pools-input').value = pools.slice(1).map(pool => pool.url).join('\n');
+    });
+
+    // Close Pool Config Modal
+    document.querySelector('.close-modal-config').addEventListener('click', () => {
+        configModal.classList.add('hidden');
+    });
+
+    // Cancel Settings Button
+    document.getElementById('cancel-settings').addEventListener('click', () => {
+        configModal.classList.add('hidden');
+    });
+
+    // --- Fleet Table ---
+    const algorithmSelect = document.getElementById('add-worker-algorithm');
+    for (const algorithm of MiningAlgorithm.list()) {
+        const option = document.createElement('option');
+        option.value = algorithm.name;
+        option.textContent = `${algorithm.name} (${algorithm.coins.join('/')})`;
+        algorithmSelect.appendChild(option);
+    }
+
+    document.getElementById('add-worker').addEventListener('click', () => {
+        // With a device address the worker is read over the CGMiner API, otherwise simulated
+        const workerId = document.getElementById('add-worker-id').value.trim();
+        const device = document.getElementById('add-worker-device').value.trim();
+        const [host, port] = device.split(':');
+        const config = device ? { 'driver': { 'type': 'cgminer', 'host': host, 'port': port ? parseInt(port, 10) : 4028 } } : {};
+        fleet.create_worker(workerId, algorithmSelect.value, config)
+            .then(createdId => {
+                document.getElementById('add-worker-id').value = '';
+                document.getElementById('add-worker-device').value = '';
+                return fleet.refresh().then(() => monitor.select_worker(createdId));
+            })
+            .catch(err => alert(`Worker not added: ${err.message}`));
+    });
+
+    document.getElementById('fleet-filter').addEventListener('input', (event) => {
+        monitor.fleet_filter = event.target.value;
+        monitor.renderFleetTable();
+    });
+
+    document.querySelectorAll('#fleet-table th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => {
+            const key = header.dataset.sort;
+            monitor.fleet_sort = {
+                key,
+                descending: monitor.fleet_sort.key === key ? !monitor.fleet_sort.descending : false
+            };
+            monitor.renderFleetTable();
+        });
+    });
+
+    // Clicking a worker row selects it; the 📊 button also drills down into the detailed metrics
+    document.getElementById('fleet-table-body').addEventListener('click', (event) => {
+        if (event.target.classList.contains('fleet-decommission')) {
+            const vmId = event.target.dataset.vmId;
+            if (!confirm(`Drain and decommission ${vmId}? Its workers will be moved to other VMs.`)) return;
+            fleet.decommission_vm(vmId)
+                .catch(err => alert(`Decommission failed: ${err.message}`))
+                .then(() => fleet.refresh());
+            return;
+        }
+        const row = event.target.closest('tr[data-worker-id]');
+        if (!row) return;
+        monitor.select_worker(row.dataset.workerId);
+        if (event.target.classList.contains('fleet-drilldown')) {
+            metricsModal.classList.remove('hidden');
+        }
+    });
+
+    // Chart window selector in the Detailed Metrics Modal
+    document.getElementById('chart-window').addEventListener('change', (event) => {
+        monitor.chart_window_ms = parseInt(event.target.value, 10);
+        monitor.updateFrontEndDisplay();
+    });
+
+    // Profitability settings
+    const economicsSettings = fleet.economics_settings();
+    const economicsFields = {
+        'econ-difficulty': 'network_difficulty',
+        'econ-subsidy': 'block_subsidy_btc',
+        'econ-tx-fees': 'avg_tx_fees_btc',
+        'econ-pool-fee': 'pool_fee',
+        'econ-luck': 'pplns_luck',
+        'econ-btc-price': 'btc_price'
+    };
+    for (const [id, key] of Object.entries(economicsFields)) document.getElementById(id).value = economicsSettings[key];
+    document.getElementById('econ-scheme').value = economicsSettings.payout_scheme;
+    document.getElementById('econ-currency').value = economicsSettings.currency;
+    document.getElementById('econ-rate').value = economicsSettings.tariff.rate_per_kwh;
+    document.getElementById('econ-time-of-use').value = JSON.stringify(economicsSettings.tariff.time_of_use || []);
+
+    document.getElementById('save-economics').addEventListener('click', () => {
+        Promise.resolve()
+            .then(() => {
+                const settings = {
+                    'payout_scheme': document.getElementById('econ-scheme').value,
+                    'currency': document.getElementById('econ-currency').value || 'USD',
+                    'tariff': {
+                        'rate_per_kwh': parseFloat(document.getElementById('econ-rate').value),
+                        'time_of_use': JSON.parse(document.getElementById('econ-time-of-use').value || '[]')
+                    }
+                };
+                for (const [id, key] of Object.entries(economicsFields)) settings[key] = parseFloat(document.getElementById(id).value);
+                return fleet.save_economics_settings(settings);
+            })
+            .then(() => fleet.refresh())
+            .catch(err => alert(`Invalid economics settings: ${err.message}`));
+    });
+
+    // Thermal protection policy
+    const thermalFields = {
+        'thermal-limit': 'temperature_limit_c',
+        'thermal-critical': 'critical_temperature_c',
+        'thermal-resume': 'resume_temperature_c',
+        'thermal-min-fan': 'min_fan_rpm'
+    };
+    const thermalPolicy = fleet.thermal_policy();
+    for (const [id, key] of Object.entries(thermalFields)) document.getElementById(id).value = thermalPolicy[key];
+    document.getElementById('thermal-cooldown').value = thermalPolicy.cooldown_ms / 60000;
+    document.getElementById('thermal-enabled').checked = thermalPolicy.enabled;
+
+    document.getElementById('save-thermal').addEventListener('click', () => {
+        const changes = {
+            'enabled': document.getElementById('thermal-enabled').checked,
+            'cooldown_ms': parseFloat(document.getElementById('thermal-cooldown').value) * 60000
+        };
+        for (const [id, key] of Object.entries(thermalFields)) changes[key] = parseFloat(document.getElementById(id).value);
+        fleet.save_thermal_policy(changes)
+            .then(() => fleet.refresh())
+            .catch(err => alert(`Invalid thermal policy: ${err.message}`));
+    });
+
+    // Schedules and update cadence
+    const cadence = fleet.scheduler_settings();
+    document.getElementById('cadence-metrics').value = cadence.metrics_interval_ms / 1000;
+    document.getElementById('cadence-rebalance').value = cadence.rebalance_interval_ms / 1000;
+
+    document.getElementById('save-cadence').addEventListener('click', () => {
+        fleet.save_scheduler_settings({
+            'metrics_interval_ms': parseFloat(document.getElementById('cadence-metrics').value) * 1000,
+            'rebalance_interval_ms': parseFloat(document.getElementById('cadence-rebalance').value) * 1000
+        }).catch(err => alert(`Invalid cadence: ${err.message}`));
+    });
+
+    document.getElementById('add-schedule').addEventListener('click', () => {
+        const scope = document.getElementById('schedule-scope').value;
+        const targetId = document.getElementById('schedule-target').value.trim();
+        const action = document.getElementById('schedule-action').value;
+        fleet.add_schedule({
+            'name': document.getElementById('schedule-name').value.trim() || null,
+            'action': action,
+            'target': scope === 'all' ? {} : { [scope === 'vm' ? 'vm_id' : 'worker_id']: targetId },
+            'params': action === 'profile' ? { 'profile': document.getElementById('schedule-profile').value } : {},
+            'start': document.getElementById('schedule-start').value.trim(),
+            'end': document.getElementById('schedule-end').value.trim() || null
+        })
+            .then(() => {
+                for (const id of ['schedule-name', 'schedule-target', 'schedule-start', 'schedule-end']) document.getElementById(id).value = '';
+                return fleet.refresh();
+            })
+            .catch(err => alert(`Schedule not added: ${err.message}`));
+    });
+
+    // Enable/disable and delete buttons in the schedule list (rendered dynamically)
+    document.getElementById('schedule-list').addEventListener('click', (event) => {
+        const scheduleId = event.target.dataset.scheduleId;
+        if (!scheduleId) return;
+        let change;
+        if (event.target.classList.contains('delete-schedule')) {
+            if (!confirm(`Delete schedule ${scheduleId}? If it is in force it is undone first.`)) return;
+            change = fleet.remove_schedule(scheduleId);
+        } else if (event.target.classList.contains('toggle-schedule')) {
+            const schedule = fleet.schedule_view().schedules.find(candidate => candidate.id === scheduleId);
+            change = fleet.update_schedule(scheduleId, { 'enabled': !schedule.enabled });
+        } else {
+            return;
+        }
+        change
+            .catch(err => alert(`Schedule not changed: ${err.message}`))
+            .then(() => fleet.refresh());
+    });
+
+    // Worker tuning: both the form and the profiles show the diff and ask before changing anything
+    document.getElementById('save-tuning').addEventListener('click', () => {
+        const workerId = monitor.get_selected_worker_id();
+        if (!workerId) return;
+        const changes = {};
+        for (const [id, field] of Object.entries(VDIDashboard.TUNING_FIELDS)) changes[field] = document.getElementById(id).value;
+        fleet.preview_configuration(workerId, changes)
+            .then(diff => {
+                if (Object.keys(diff).length === 0) {
+                    alert('No changes to apply.');
+                    return null;
+                }
+                if (!confirm(`Apply to ${workerId}?\n${VDIDashboard.describe_diff(diff)}`)) return null;
+                return fleet.update_configuration(workerId, changes).then(() => {
+                    monitor.tuning_worker_id = null; // Refill the form from the saved settings
+                    return fleet.refresh();
+                });
+            })
+            .catch(err => alert(`Invalid settings: ${err.message}`));
+    });
+
+    document.getElementById('apply-profile').addEventListener('click', () => {
+        const name = document.getElementById('tuning-profile').value;
+        const workerId = monitor.get_selected_worker_id();
+        const data = fleet.metrics[workerId];
+        if (!data) return;
+        const target = document.getElementById('tuning-scope').value === 'vm' ? { 'vm_id': data.vm_id } : { 'worker_id': workerId };
+        fleet.preview_profile(name, target)
+            .then(diffs => {
+                if (Object.keys(diffs).length === 0) {
+                    alert(`Already on the ${name} profile.`);
+                    return null;
+                }
+                const summary = Object.entries(diffs).map(([id, diff]) => `${id}:\n${VDIDashboard.describe_diff(diff)}`).join('\n');
+                if (!confirm(`Apply the ${name} profile?\n${summary}`)) return null;
+                return fleet.apply_profile(name, target).then(() => {
+                    monitor.tuning_worker_id = null;
+                    return fleet.refresh();
+                });
+            })
+            .catch(err => alert(`Profile not applied: ${err.message}`));
+    });
+
+    // Export / import of the metrics history (browser fleet only)
+    document.getElementById('export-metrics').addEventListener('click', () => {
+        const value = (id) => document.getElementById(id).value || null;
+        const filters = {
+            'worker_id': value('export-worker'),
+            'vm_id': value('export-vm'),
+            'from': value('export-from') && new Date(value('export-from')).toISOString(),
+            'to': value('export-to') && new Date(value('export-to')).toISOString()
+        };
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (value('export-format') === 'json') {
+            downloadFile(`metrics-${stamp}.json`, MetricsExporter.to_json(fleet.db_manager.metric_collection, filters), 'application/json');
+        } else {
+            downloadFile(`metrics-${stamp}.csv`, MetricsExporter.to_csv(fleet.db_manager.metric_collection, filters), 'text/csv');
+        }
+    });
+
+    document.getElementById('import-metrics').addEventListener('click', () => {
+        const file = document.getElementById('import-metrics-file').files[0];
+        if (!file) {
+            alert('Choose a CSV or JSON history file first.');
+            return;
+        }
+        file.text()
+            .then(text => {
+                const imported = fleet.db_manager.import_metrics_history(MetricsExporter.parse(text));
+                monitor.updateFrontEndDisplay();
+                alert(`Imported ${imported} snapshots.`);
+            })
+            .catch(err => alert(`Import failed: ${err.message}`));
+    });
+
+    // --- Action Button Logic ---
+    document.getElementById('refresh-metrics').addEventListener('click', () => {
+        fleet.refresh();
+    });
+
+    document.getElementById('save-settings').addEventListener('click', () => {
+        // Pool edits apply to the worker selected in the fleet table
+        const workerId = monitor.get_selected_worker_id();
+        const newPoolAddress = document.getElementById('new-pool-input').value.trim();
+        const newWorkerId = document.getElementById('new-worker-input').value.trim();
+        const password = document.getElementById('new-password-input').value;
+        const failoverPools = document.getElementById('failover-pools-input').value
+            .split('\n').map(line => line.trim()).filter(line => line !== '');
+        const pools = newPoolAddress
+            ? editedPools(fleet.worker_pools(workerId), workerId, newWorkerId || workerId, [newPoolAddress, ...failoverPools], password)
+            : [];
+
+        fleet.save_pool_settings(workerId, newWorkerId, pools)
+            .then(({ queued }) => {
+                if (newWorkerId) monitor.selected_worker_id = newWorkerId;
+                configModal.classList.add('hidden');
+                fleet.refresh();
+                alert(queued
+                    ? 'You are offline: the pool change is saved and will be applied when the connection is back.'
+                    : 'Settings saved and connection may be restarting!');
+            })
+            .catch(err => alert(`Settings not saved: ${err.message}`));
+    });
+
+    // Stratum V2 Upgrade Button (negotiated by the daemon; browsers lack the crypto V2 needs)
+    const V2_STATE_LABELS = {
+        'connecting': 'Connecting to V2 pool...',
+        'handshake': 'Noise NX handshake...',
+        'setup': 'SetupConnection sent...',
+        'ready': 'Connected via Stratum V2',
+        'failed': 'V2 negotiation failed',
+        'disconnected': 'V2 connection lost',
+    };
+    document.getElementById('upgrade-button').addEventListener('click', () => {
+        const statusEl = document.getElementById('v2-status');
+        const upgradeButton = document.getElementById('upgrade-button');
+        let v2Address;
+        try {
+            v2Address = PoolConfig.validate_url(document.getElementById('new-pool-address').value);
+            if (!/^stratum2\+/.test(v2Address)) throw new Error('expected a stratum2+tcp:// URL');
+        } catch (err) {
+            statusEl.textContent = `Status: **Upgrade unavailable** (${err.message})`;
+            return;
+        }
+        upgradeButton.disabled = true;
+
+        const showState = (state, detail) => {
+            statusEl.textContent = `Status: **${V2_STATE_LABELS[state] || state}**${detail ? ` (${detail})` : ''}`;
+        };
+        fleet.upgrade_to_stratum_v2(monitor.get_selected_worker_id(), v2Address, showState)
+            .then(protocol => {
+                if (protocol === 'v2') {
+                    document.getElementById('pool-address').textContent = v2Address;
+                } else {
+                    statusEl.textContent += ' - still on Stratum V1';
+                    upgradeButton.disabled = false;
+                }
+            })
+            .catch(err => {
+                statusEl.textContent = `Status: **Upgrade unavailable** (${err.message})`;
+                upgradeButton.disabled = false;
+            });
+    });
+
+    // Revert buttons in the change timeline (rendered dynamically)
+    document.getElementById('audit-timeline').addEventListener('click', (event) => {
+        if (!event.target.classList.contains('revert-change')) return;
+        fleet.revert_change(Number(event.target.dataset.entryId))
+            .catch(err => alert(`Revert failed: ${err.message}`))
+            .then(() => fleet.refresh());
+    });
+
+    // Silence buttons in the alert panel (rendered dynamically)
+    document.getElementById('alert-list').addEventListener('click', (event) => {
+        if (!event.target.classList.contains('silence-alert')) return;
+        fleet.silence_alert(event.target.dataset.ruleId, 60 * 60 * 1000)
+            .catch(err => alert(`Alert not silenced: ${err.message}`))
+            .then(() => fleet.refresh());
+    });
+
+    // Close modals when clicking outside of them
+    window.addEventListener('click', (event) => {
+        if (event.target === metricsModal) {
+            metricsModal.classList.add('hidden');
+        }
+        if (event.target === configModal) {
+            configModal.classList.add('hidden');
+        }
+    });
+}
+
+// Ensure the application initializes after the entire HTML document is loaded
+window.addEventListener('DOMContentLoaded', initializeApplication);
@@ -0,0 +1,273 @@
+// Alert sinks and the threshold-based alert rule engine.
+
+import { MiningAlgorithm } from './algorithms.js';
+
+// --- Alert Sinks (Where fired/resolved alerts are delivered) ---
+// A sink is any object with notify(alert); alert = { rule_id, rule_name, target,
+// metric, value, operator, threshold, state: 'firing' | 'resolved', timestamp }.
+
+class ConsoleAlertSink {
+    notify(alert) {
+        const log = alert.state === 'firing' ? console.warn : console.log;
+        log(`ALERT ${alert.state.toUpperCase()}: ${AlertEngine.describe(alert)}`);
+    }
+}
+
+class BrowserNotificationSink {
+    /** Shows a system notification; asks for permission the first time it is created. */
+    constructor() {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    notify(alert) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        new Notification(`⛏️ ${alert.rule_name} ${alert.state}`, { body: AlertEngine.describe(alert), tag: `${alert.rule_id}:${alert.target}` });
+    }
+}
+
+class WebhookAlertSink {
+    /** POSTs each alert as JSON to the given URL. */
+    constructor(url) {
+        this.url = url;
+    }
+
+    notify(alert) {
+        fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(alert)
+        }).catch(err => console.error(`Alert webhook ${this.url} failed: ${err.message}`));
+    }
+}
+
+
+// --- Alert Rule Engine ---
+class AlertEngine {
+    /**
+     * Evaluates the alert rules stored in ConfigDBManager against each metrics
+     * snapshot. A rule fires after its condition has held for `for_samples`
+     * consecutive snapshots and resolves once the value has moved back past
+     * the threshold by at least `hysteresis`.
+     */
+    constructor(db_manager, sinks = [new ConsoleAlertSink()]) {
+        this.db_manager = db_manager;
+        this.sinks = sinks;
+        this.rule_state = {}; // `${rule_id}:${target}` -> { consecutive, firing, value, since }
+    }
+
+    add_sink(sink) {
+        this.sinks.push(sink);
+    }
+
+    // --- Rule Management ---
+    add_rule(rule) {
+        if (!AlertEngine.METRICS.includes(rule.metric)) throw new Error(`Unknown alert metric '${rule.metric}'`);
+        if (!AlertEngine.OPERATORS[rule.operator]) throw new Error(`Unknown alert operator '${rule.operator}'`);
+        if (!(typeof rule.threshold === 'number' && Number.isFinite(rule.threshold))) {
+            throw new Error(`Alert threshold must be a finite number (got '${rule.threshold}')`);
+        }
+        if (rule.aggregate && !AlertEngine.AGGREGATES.includes(rule.aggregate)) {
+            throw new Error(`Unknown alert aggregate '${rule.aggregate}' (expected ${AlertEngine.AGGREGATES.join(', ')})`);
+        }
+        const for_samples = rule.for_samples ?? 1;
+        if (!(Number.isInteger(for_samples) && for_samples >= 1)) throw new Error(`for_samples must be an integer of at least 1 (got '${for_samples}')`);
+        const hysteresis = rule.hysteresis ?? 0;
+        if (!(typeof hysteresis === 'number' && Number.isFinite(hysteresis) && hysteresis >= 0)) {
+            throw new Error(`hysteresis must be a non-negative number (got '${hysteresis}')`);
+        }
+        const scope = rule.scope ?? 'worker';
+        if (!AlertEngine.SCOPES.includes(scope)) throw new Error(`Unknown alert scope '${scope}' (expected ${AlertEngine.SCOPES.join(' or ')})`);
+        const algorithm = rule.algorithm ? MiningAlgorithm.get(rule.algorithm).name : null;
+        const saved = {
+            'id': rule.id || this.db_manager.get_next_alert_rule_id(),
+            'name': rule.name || `${rule.metric} ${rule.operator} ${rule.threshold}`,
+            'metric': rule.metric,
+            'operator': rule.operator,
+            'threshold': rule.threshold,
+            'scope': scope,                      // 'worker' (each worker, or worker_id) | 'fleet'
+            'worker_id': rule.worker_id || null,
+            'algorithm': algorithm,              // Only workers on this algorithm; null for all
+            'aggregate': rule.aggregate || AlertEngine.DEFAULT_AGGREGATES[rule.metric],
+            'for_samples': for_samples,
+            'hysteresis': hysteresis,
+            'silenced_until': rule.silenced_until || null,
+            'enabled': rule.enabled !== false
+        };
+        this.db_manager.save_alert_rule(saved);
+        return saved;
+    }
+
+    remove_rule(rule_id) {
+        this.db_manager.delete_alert_rule(rule_id);
+        for (const key of Object.keys(this.rule_state)) {
+            if (key.startsWith(`${rule_id}:`)) delete this.rule_state[key];
+        }
+    }
+
+    silence_rule(rule_id, duration_ms) {
+        /** Suppresses notifications for a rule; evaluation (and the panel) carries on. */
+        const rule = this.db_manager.load_alert_rules()[rule_id];
+        if (!rule) return false;
+        rule.silenced_until = new Date(Date.now() + duration_ms).toISOString();
+        this.db_manager.save_alert_rule(rule);
+        return true;
+    }
+
+    is_silenced(rule) {
+        return rule.silenced_until !== null && new Date(rule.silenced_until).getTime() > Date.now();
+    }
+
+    // --- Evaluation ---
+    static worker_values(data) {
+        const total_shares = data.shares_accepted + data.shares_rejected;
+        return {
+            'hashrate': data.hashrate,
+            'temperature': data.temperature,
+            'power_consumption': data.power_consumption,
+            'reject_ratio': total_shares === 0 ? 0 : data.shares_rejected / total_shares
+        };
+    }
+
+    static algorithm_of(data) {
+        const algorithm = MiningAlgorithm.find(data.algorithm || MiningAlgorithm.DEFAULT);
+        return algorithm ? algorithm.name : data.algorithm;
+    }
+
+    static fleet_value(metrics, metric, aggregate) {
+        /** Aggregates the workers' known (finite) values of metric; null when none is known. */
+        const values = Object.values(metrics)
+            .map(data => AlertEngine.worker_values(data)[metric])
+            .filter(value => typeof value === 'number' && Number.isFinite(value));
+        if (values.length === 0) return null;
+        if (aggregate === 'max') return Math.max(...values);
+        if (aggregate === 'min') return Math.min(...values);
+        const sum = values.reduce((a, b) => a + b, 0);
+        return aggregate === 'avg' ? sum / values.length : sum;
+    }
+
+    static fleet_values(metrics, metric, aggregate) {
+        /**
+         * Fleet targets for a rule: hashrates are in each algorithm's native unit, so they are
+         * aggregated per algorithm ('fleet/SHA-256', ...); other metrics over the whole fleet.
+         */
+        if (!AlertEngine.PER_ALGORITHM_METRICS.includes(metric)) return { 'fleet': AlertEngine.fleet_value(metrics, metric, aggregate) };
+        const groups = {};
+        for (const [worker_id, data] of Object.entries(metrics)) {
+            const algorithm = AlertEngine.algorithm_of(data);
+            (groups[algorithm] = groups[algorithm] || {})[worker_id] = data;
+        }
+        const targets = {};
+        for (const [algorithm, group] of Object.entries(groups)) targets[`fleet/${algorithm}`] = AlertEngine.fleet_value(group, metric, aggregate);
+        return targets;
+    }
+
+    evaluate(metrics) {
+        /** Checks every enabled rule against a snapshot and notifies sinks of transitions. */
+        const transitions = [];
+        for (const rule of Object.values(this.db_manager.load_alert_rules())) {
+            if (!rule.enabled) continue;
+            let targets = {};
+            const matching = Object.fromEntries(Object.entries(metrics)
+                .filter(([, data]) => !rule.algorithm || AlertEngine.algorithm_of(data) === rule.algorithm));
+            if (rule.scope === 'fleet') {
+                targets = AlertEngine.fleet_values(matching, rule.metric, rule.aggregate);
+            } else {
+                for (const [worker_id, data] of Object.entries(matching)) {
+                    if (rule.worker_id && rule.worker_id !== worker_id) continue;
+                    targets[worker_id] = AlertEngine.worker_values(data)[rule.metric];
+                }
+            }
+            for (const [target, value] of Object.entries(targets)) {
+                if (value === null || value === undefined) continue;
+                const transition = this.evaluate_target(rule, target, value);
+                if (transition) transitions.push(transition);
+            }
+        }
+        for (const alert of transitions) {
+            const rule = this.db_manager.load_alert_rules()[alert.rule_id];
+            if (this.is_silenced(rule)) continue;
+            for (const sink of this.sinks) sink.notify(alert);
+        }
+        return transitions;
+    }
+
+    evaluate_target(rule, target, value) {
+        const key = `${rule.id}:${target}`;
+        const state = this.rule_state[key] || (this.rule_state[key] = { consecutive: 0, firing: false, value: null, since: null });
+        const compare = AlertEngine.OPERATORS[rule.operator];
+        state.value = value;
+
+        if (!state.firing) {
+            state.consecutive = compare(value, rule.threshold) ? state.consecutive + 1 : 0;
+            if (state.consecutive < rule.for_samples) return null;
+            state.firing = true;
+            state.since = new Date().toISOString();
+            return this.build_alert(rule, target, value, 'firing');
+        }
+
+        // Firing: only resolve once the value has cleared the threshold by the hysteresis margin.
+        const upward = rule.operator === '>' || rule.operator === '>=';
+        const clear_threshold = upward ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+        const cleared = upward ? value < clear_threshold : value > clear_threshold;
+        if (!cleared) return null;
+        state.firing = false;
+        state.consecutive = 0;
+        state.since = null;
+        return this.build_alert(rule, target, value, 'resolved');
+    }
+
+    build_alert(rule, target, value, state) {
+        return {
+            'rule_id': rule.id,
+            'rule_name': rule.name,
+            'target': target,
+            'metric': rule.metric,
+            'value': value,
+            'operator': rule.operator,
+            'threshold': rule.threshold,
+            'state': state,
+            'timestamp': new Date().toISOString()
+        };
+    }
+
+    get_active_alerts() {
+        /** Alerts currently firing, for the dashboard panel. */
+        const rules = this.db_manager.load_alert_rules();
+        return Object.entries(this.rule_state)
+            .filter(([, state]) => state.firing)
+            .map(([key, state]) => {
+                const separator = key.indexOf(':');
+                const rule = rules[key.slice(0, separator)];
+                if (!rule) return null;
+                return { ...this.build_alert(rule, key.slice(separator + 1), state.value, 'firing'),
+                    'since': state.since, 'silenced': this.is_silenced(rule) };
+            })
+            .filter(alert => alert !== null);
+    }
+
+    static describe(alert) {
+        const value = Number.isInteger(alert.value) ? alert.value : alert.value.toFixed(3);
+        return `${alert.rule_name} on ${alert.target}: ${alert.metric} = ${value} (${alert.operator} ${alert.threshold})`;
+    }
+}
+
+AlertEngine.METRICS = ['hashrate', 'temperature', 'power_consumption', 'reject_ratio'];
+AlertEngine.OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+};
+AlertEngine.AGGREGATES = ['sum', 'avg', 'min', 'max'];
+AlertEngine.SCOPES = ['worker', 'fleet'];
+AlertEngine.PER_ALGORITHM_METRICS = ['hashrate']; // Native units differ between algorithms
+AlertEngine.DEFAULT_AGGREGATES = {
+    'hashrate': 'sum',
+    'power_consumption': 'sum',
+    'temperature': 'max',
+    'reject_ratio': 'avg',
+};
+
+export { ConsoleAlertSink, BrowserNotificationSink, WebhookAlertSink, AlertEngine };
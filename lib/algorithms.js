@@ -0,0 +1,145 @@
+// Mining algorithms: native hashrate units, VM load normalization and default pools.
+
+// --- Algorithm Registry ---
+// Every hashrate in the app (worker status, metrics, history, exports) is in the
+// worker's algorithm's native unit, e.g. TH/s for SHA-256 or kH/s for RandomX, so
+// existing SHA-256 data keeps its meaning. Convert with to_hashes_per_second()
+// before comparing or adding hashrates of different algorithms.
+
+class MiningAlgorithm {
+    /**
+     * name/aliases: canonical name and alternative spellings accepted on input.
+     * unit_hs: H/s per native unit. load_reference: native hashrate that counts as a
+     * VM load of 1.0. default_pool: { url, password } used when a worker is added
+     * without pools. typical_device: { hashrate, power_watts } the simulator reproduces.
+     * profiles: tuning presets (eco, balanced, performance) for this algorithm's devices;
+     * by default they set only the fan mode and a power target scaled from typical_device,
+     * leaving chip frequency and voltage to the device. chip_limits: { frequency_mhz, voltage_mv }
+     * as { min, max }, the range a worker's tuning may set on this algorithm's devices.
+     */
+    constructor({ name, aliases = [], coins = [], unit_hs, load_reference, default_pool, typical_device, profiles = null,
+        chip_limits = MiningAlgorithm.DEFAULT_CHIP_LIMITS }) {
+        this.name = name;
+        this.aliases = aliases;
+        this.coins = coins;
+        this.unit_hs = unit_hs;
+        this.unit = MiningAlgorithm.unit_for(unit_hs);
+        this.efficiency_unit = `J/${this.unit.replace(/\/s$/, '')}`; // Watts per native unit, e.g. J/TH
+        this.load_reference = load_reference;
+        this.default_pool = default_pool;
+        this.typical_device = typical_device;
+        this.profiles = profiles || MiningAlgorithm.scaled_profiles(typical_device.power_watts);
+        this.chip_limits = chip_limits;
+    }
+
+    static scaled_profiles(power_watts) {
+        const profiles = {};
+        for (const [name, scale] of Object.entries(MiningAlgorithm.PROFILE_POWER_SCALE)) {
+            profiles[name] = {
+                'frequency_mhz': null, 'voltage_mv': null, 'fan_mode': name === 'performance' ? 'max' : 'auto',
+                'fan_speed_percent': null, 'power_target_watts': Math.round(power_watts * scale / 10) * 10
+            };
+        }
+        return profiles;
+    }
+
+    static unit_for(hs) {
+        const exponent = Math.min(Math.max(Math.floor(Math.log10(hs) / 3), 0), MiningAlgorithm.PREFIXES.length - 1);
+        return `${MiningAlgorithm.PREFIXES[exponent]}H/s`;
+    }
+
+    static format_hashes_per_second(hs, digits = 2) {
+        /** Auto-scales a rate from H/s up to EH/s, e.g. 5.25e13 -> '52.50 TH/s'. */
+        if (hs === null || hs === undefined || !isFinite(hs)) return 'n/a';
+        let exponent = 0;
+        while (exponent < MiningAlgorithm.PREFIXES.length - 1 && Math.abs(hs) >= 1000 ** (exponent + 1)) exponent++;
+        return `${(hs / 1000 ** exponent).toFixed(digits)} ${MiningAlgorithm.PREFIXES[exponent]}H/s`;
+    }
+
+    static register(spec) {
+        const algorithm = new MiningAlgorithm(spec);
+        for (const key of [algorithm.name, ...algorithm.aliases]) MiningAlgorithm.REGISTRY[key.toLowerCase()] = algorithm;
+        return algorithm;
+    }
+
+    static find(name) {
+        return (typeof name === 'string' && MiningAlgorithm.REGISTRY[name.trim().toLowerCase()]) || null;
+    }
+
+    static get(name) {
+        const algorithm = MiningAlgorithm.find(name);
+        if (!algorithm) {
+            throw new Error(`Unknown algorithm '${name}' (expected ${MiningAlgorithm.list().map(a => a.name).join(', ')})`);
+        }
+        return algorithm;
+    }
+
+    static list() {
+        return [...new Set(Object.values(MiningAlgorithm.REGISTRY))];
+    }
+
+    to_hashes_per_second(hashrate) {
+        return hashrate * this.unit_hs;
+    }
+
+    to_load(hashrate) {
+        return hashrate / this.load_reference;
+    }
+
+    format_hashrate(hashrate, digits = 2) {
+        return MiningAlgorithm.format_hashes_per_second(hashrate === null ? null : this.to_hashes_per_second(hashrate), digits);
+    }
+}
+
+MiningAlgorithm.PREFIXES = ['', 'k', 'M', 'G', 'T', 'P', 'E'];
+MiningAlgorithm.REGISTRY = {}; // lower-cased name or alias -> MiningAlgorithm
+MiningAlgorithm.DEFAULT = 'SHA-256'; // Assumed for workers and metrics recorded before algorithms were tracked
+MiningAlgorithm.PROFILE_POWER_SCALE = { 'eco': 0.8, 'balanced': 1.0, 'performance': 1.35 }; // x typical_device.power_watts
+// GPUs and CPUs (Ethash, RandomX, ...) run well below ASIC core voltages and above their clocks
+MiningAlgorithm.DEFAULT_CHIP_LIMITS = {
+    'frequency_mhz': { 'min': 100, 'max': 6000 },
+    'voltage_mv': { 'min': 500, 'max': 1600 }
+};
+
+// Load references are roughly two current-generation devices per VM. Default pools
+// are public pools for each algorithm's main coin; pools that speak a different
+// Stratum dialect than Bitcoin's (e.g. Monero's login-based one) need a proxy.
+MiningAlgorithm.register({
+    'name': 'SHA-256', 'aliases': ['sha256', 'sha256d'], 'coins': ['BTC', 'BCH'],
+    'unit_hs': 1e12, 'load_reference': 100,
+    'default_pool': { 'url': 'stratum+tcp://stratum.braiins.com:3333', 'password': 'x' },
+    'typical_device': { 'hashrate': 52.5, 'power_watts': 2050 },
+    // Chip settings are well known for SHA-256 ASICs, so their presets tune them too
+    'chip_limits': { 'frequency_mhz': { 'min': 100, 'max': 1200 }, 'voltage_mv': { 'min': 1000, 'max': 1600 } },
+    'profiles': {
+        'eco': { 'frequency_mhz': 525, 'voltage_mv': 1280, 'fan_mode': 'auto', 'fan_speed_percent': null, 'power_target_watts': 1600 },
+        'balanced': { 'frequency_mhz': 650, 'voltage_mv': 1360, 'fan_mode': 'auto', 'fan_speed_percent': null, 'power_target_watts': 2100 },
+        'performance': { 'frequency_mhz': 775, 'voltage_mv': 1450, 'fan_mode': 'max', 'fan_speed_percent': null, 'power_target_watts': 2800 }
+    }
+});
+MiningAlgorithm.register({
+    'name': 'Scrypt', 'aliases': ['scrypt'], 'coins': ['LTC', 'DOGE'],
+    'unit_hs': 1e9, 'load_reference': 20,
+    'default_pool': { 'url': 'stratum+tcp://litecoinpool.org:3333', 'password': 'x' },
+    'typical_device': { 'hashrate': 9.5, 'power_watts': 3425 }
+});
+MiningAlgorithm.register({
+    'name': 'Ethash', 'aliases': ['etchash', 'dagger-hashimoto'], 'coins': ['ETC'],
+    'unit_hs': 1e6, 'load_reference': 2000,
+    'default_pool': { 'url': 'stratum+tcp://etc.2miners.com:1010', 'password': 'x' },
+    'typical_device': { 'hashrate': 360, 'power_watts': 850 }
+});
+MiningAlgorithm.register({
+    'name': 'kHeavyHash', 'aliases': ['kheavyhash', 'heavyhash'], 'coins': ['KAS'],
+    'unit_hs': 1e12, 'load_reference': 20,
+    'default_pool': { 'url': 'stratum+tcp://kas.2miners.com:2020', 'password': 'x' },
+    'typical_device': { 'hashrate': 9.4, 'power_watts': 3500 }
+});
+MiningAlgorithm.register({
+    'name': 'RandomX', 'aliases': ['randomx', 'rx/0'], 'coins': ['XMR'],
+    'unit_hs': 1e3, 'load_reference': 200,
+    'default_pool': { 'url': 'stratum+tcp://pool.supportxmr.com:3333', 'password': 'x' },
+    'typical_device': { 'hashrate': 18, 'power_watts': 180 }
+});
+
+export { MiningAlgorithm };
@@ -0,0 +1,552 @@
+// REST/JSON API, Prometheus endpoint and dashboard hosting for the headless daemon (Node only).
+
+import { node_require } from './platform.js';
+import { PoolConfig } from './stratum.js';
+import { MetricsExporter } from './metrics_exporter.js';
+import { MiningAlgorithm } from './algorithms.js';
+import { MiningEconomics } from './economics.js';
+import { ThermalGovernor } from './thermal.js';
+import { Scheduler } from './scheduler.js';
+import { VDIManager } from './vdi_manager.js';
+
+// --- HTTP API ---
+// Every /api route and /metrics needs "Authorization: Bearer <token>" (401 otherwise).
+// Request bodies must be sent as application/json (415 otherwise), which also keeps other
+// web pages from posting to the API: browsers only send that cross-site after a CORS
+// preflight, and no CORS headers are served. Failures answer { error: message } with
+// 400 (invalid request), 404 (unknown worker, VM, schedule, alert rule or audit entry),
+// 409 (already exists), 413 (body too large), 503 (no scheduler) or 500 (a bug; logged,
+// details not sent).
+//   GET  /api/vms                  VMs with their pool connection and worker IDs
+//   POST /api/vms/:id/decommission Drains the VM onto the others, then stops and removes it
+//   GET  /api/workers              Workers with their pools, latest metrics and profit
+//   GET  /api/workers/:id          One worker
+//   GET  /api/workers/:id/history  ?window_ms= -> hashrate averages and chart points (default 24h)
+//   GET  /api/metrics              Latest metrics of every worker plus fleet economics
+//   GET  /api/algorithms           Supported algorithms with their unit, default pool and tuning profiles
+//   POST /api/workers              { worker_id, algorithm, pools, config } -> 201 with the placed worker
+//   PUT  /api/workers/:id/pools    { pools: [url | { url, worker_name, password }] } (primary first)
+//   PUT  /api/workers/:id/config   { config: { frequency_mhz, ... }, dry_run } -> { diff }
+//   POST /api/workers/:id/rename   { worker_id } -> the renamed worker
+//   POST /api/workers/:id/upgrade-v2 { pool_url } -> { protocol: 'v2' | 'v1', reason, vm } once negotiated
+//   POST /api/profiles/:name       { worker_id | vm_id, dry_run } -> { diffs: { worker_id: diff } }
+//   POST /api/rebalance            { dry_run, threshold, max_migrations, strategy, strategy_options } -> the rebalance plan
+//   GET  /api/rebalance/settings   The saved strategy and its options
+//   PUT  /api/rebalance/settings   { strategy, strategy_options } (fields to change)
+//   GET  /api/thermal              Thermal policy, throttled/paused workers and recent actions
+//   PUT  /api/thermal/policy       { temperature_limit_c, ... } (fields to change)
+//   GET  /api/schedules            Schedules, their open windows, upcoming and past runs, cadence
+//   POST /api/schedules            { name, action, target, params, start, end } -> 201 with the schedule
+//   PUT  /api/schedules/:id        Fields to change, e.g. { enabled: false }
+//   DELETE /api/schedules/:id      Undoes the schedule if it is in force, then removes it
+//   PUT  /api/scheduler/settings   { metrics_interval_ms, rebalance_interval_ms } (fields to change)
+//   GET  /api/economics/settings   Network, pool and tariff settings used for profit
+//   PUT  /api/economics/settings   { btc_price, tariff, ... } (fields to change)
+//   GET  /api/alerts               Alerts currently firing
+//   POST /api/alerts/:rule/silence { duration_ms } (default one hour)
+//   GET  /api/audit                ?limit=&action= -> newest changes first, with reverted_by
+//   POST /api/audit/:id/revert     Undoes a pool change or migration -> the undo entry
+//   GET  /metrics                  Prometheus text exposition of the latest metrics
+// Any other GET is answered from static_root, which serves the dashboard.
+
+class ApiServer {
+    /**
+     * Options: token (required; the bearer token clients must send), port (default 8080),
+     * host (default 127.0.0.1, i.e. this machine only), static_root (directory with
+     * index.html; null disables the dashboard), scheduler (the daemon's Scheduler; without
+     * one the schedule routes answer 503). Changes made through the API are audited as
+     * { type: 'api' } with the client address as the actor ID.
+     */
+    constructor(vdi_manager, monitor, options = {}) {
+        if (typeof options.token !== 'string' || options.token.length < ApiServer.MIN_TOKEN_LENGTH) {
+            throw new Error(`ApiServer needs a token of at least ${ApiServer.MIN_TOKEN_LENGTH} characters`);
+        }
+        this.vdi_manager = vdi_manager;
+        this.monitor = monitor;
+        this.db_manager = vdi_manager.db_manager;
+        this.token_digest = ApiServer.digest(options.token);
+        this.port = options.port !== undefined ? options.port : ApiServer.DEFAULT_PORT;
+        this.host = options.host || ApiServer.DEFAULT_HOST;
+        this.static_root = options.static_root || null;
+        this.scheduler = options.scheduler || null;
+        this.server = null;
+        this.routes = [
+            ['GET', /^\/api\/vms$/, () => this.list_vms()],
+            ['POST', /^\/api\/vms\/([^/]+)\/decommission$/, (params) => this.decommission_vm(params[0])],
+            ['GET', /^\/api\/workers$/, () => this.list_workers()],
+            ['GET', /^\/api\/workers\/([^/]+)$/, (params) => this.get_worker(params[0])],
+            ['GET', /^\/api\/workers\/([^/]+)\/history$/, (params, body, query) => this.get_history(params[0], query)],
+            ['GET', /^\/api\/metrics$/, () => this.get_metrics()],
+            ['GET', /^\/api\/algorithms$/, () => this.list_algorithms()],
+            ['POST', /^\/api\/workers$/, (params, body) => this.create_worker(body)],
+            ['PUT', /^\/api\/workers\/([^/]+)\/pools$/, (params, body) => this.change_pools(params[0], body)],
+            ['PUT', /^\/api\/workers\/([^/]+)\/config$/, (params, body) => this.change_config(params[0], body)],
+            ['POST', /^\/api\/workers\/([^/]+)\/rename$/, (params, body) => this.rename_worker(params[0], body)],
+            ['POST', /^\/api\/workers\/([^/]+)\/upgrade-v2$/, (params, body) => this.upgrade_stratum_v2(params[0], body)],
+            ['POST', /^\/api\/profiles\/([^/]+)$/, (params, body) => this.apply_profile(params[0], body)],
+            ['POST', /^\/api\/rebalance$/, (params, body) => this.rebalance(body)],
+            ['GET', /^\/api\/rebalance\/settings$/, () => this.get_rebalance_settings()],
+            ['PUT', /^\/api\/rebalance\/settings$/, (params, body) => this.change_rebalance_settings(body)],
+            ['GET', /^\/api\/thermal$/, () => this.get_thermal()],
+            ['PUT', /^\/api\/thermal\/policy$/, (params, body) => this.change_thermal_policy(body)],
+            ['GET', /^\/api\/schedules$/, () => this.list_schedules()],
+            ['POST', /^\/api\/schedules$/, (params, body) => this.create_schedule(body)],
+            ['PUT', /^\/api\/schedules\/([^/]+)$/, (params, body) => this.change_schedule(params[0], body)],
+            ['DELETE', /^\/api\/schedules\/([^/]+)$/, (params) => this.delete_schedule(params[0])],
+            ['PUT', /^\/api\/scheduler\/settings$/, (params, body) => this.change_scheduler_settings(body)],
+            ['GET', /^\/api\/economics\/settings$/, () => this.get_economics_settings()],
+            ['PUT', /^\/api\/economics\/settings$/, (params, body) => this.change_economics_settings(body)],
+            ['GET', /^\/api\/alerts$/, () => this.list_alerts()],
+            ['POST', /^\/api\/alerts\/([^/]+)\/silence$/, (params, body) => this.silence_alert(params[0], body)],
+            ['GET', /^\/api\/audit$/, (params, body, query) => this.list_audit(query)],
+            ['POST', /^\/api\/audit\/([^/]+)\/revert$/, (params) => this.revert_change(params[0])],
+        ];
+    }
+
+    listen() {
+        /** Starts the HTTP server; resolves with the bound address. */
+        const http = node_require('http');
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                console.log(`API: listening on http://${this.host}:${this.server.address().port}`);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    handle(request, response) {
+        let url;
+        try {
+            url = new URL(request.url, 'http://localhost');
+        } catch (err) {
+            return this.send_json(response, 400, { 'error': 'Malformed request URL' }); // e.g. 'GET //'
+        }
+        const is_api = url.pathname === '/metrics' || url.pathname.startsWith('/api/');
+        if (!is_api) {
+            if (request.method === 'GET') return this.serve_static(url.pathname, response);
+            return this.send_json(response, 405, { 'error': `${request.method} not allowed on ${url.pathname}` });
+        }
+        if (!this.is_authorized(request)) {
+            response.setHeader('WWW-Authenticate', 'Bearer realm="vdi-manager"');
+            return this.send_json(response, 401, { 'error': 'Missing or invalid API token' });
+        }
+        if (request.method === 'GET' && url.pathname === '/metrics') {
+            return this.send(response, 200, ApiServer.PROMETHEUS_CONTENT_TYPE, this.prometheus_metrics());
+        }
+        const matching = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+        const route = matching.find(([method]) => method === request.method);
+        if (!route) {
+            if (matching.length > 0) return this.send_json(response, 405, { 'error': `${request.method} not allowed on ${url.pathname}` });
+            return this.send_json(response, 404, { 'error': `No route for ${request.method} ${url.pathname}` });
+        }
+
+        const actor = { 'type': 'api', 'id': request.socket.remoteAddress || null };
+        return this.read_body(request)
+            .then(body => {
+                const params = url.pathname.match(route[1]).slice(1).map(ApiServer.decode_param);
+                return this.db_manager.with_actor(actor, () => route[2](params, body, url.searchParams));
+            })
+            .then(result => this.send_json(response, result.status || 200, result.body))
+            .catch(err => {
+                const status = ApiServer.status_for(err);
+                if (status === 413 || status === 415) response.setHeader('Connection', 'close'); // Don't read the rest of the body
+                if (status === 500) console.error(`API: ${request.method} ${url.pathname} failed:`, err);
+                this.send_json(response, status, { 'error': status === 500 ? 'Internal server error' : err.message });
+            });
+    }
+
+    static digest(token) {
+        return node_require('crypto').createHash('sha256').update(String(token)).digest();
+    }
+
+    is_authorized(request) {
+        /** Compares digests in constant time, so response timing reveals nothing about the token. */
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(request.headers.authorization || '');
+        return Boolean(match) && node_require('crypto').timingSafeEqual(ApiServer.digest(match[1]), this.token_digest);
+    }
+
+    static status_for(err) {
+        /**
+         * The lib/ modules report invalid input with plain Errors (400); the API sets
+         * err.status where it knows better. Any other error type is a bug (500).
+         */
+        if (err.status) return err.status;
+        return err.constructor === Error ? 400 : 500;
+    }
+
+    static decode_param(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (err) {
+            throw ApiServer.http_error(400, `Malformed percent-encoding in '${value}'`);
+        }
+    }
+
+    static http_error(status, message) {
+        return Object.assign(new Error(message), { status });
+    }
+
+    read_body(request) {
+        /**
+         * Parses a JSON request body ({} when empty). A body that is not declared as
+         * application/json is refused with 415, one over MAX_BODY_BYTES with 413.
+         */
+        return new Promise((resolve, reject) => {
+            const has_body = request.headers['transfer-encoding'] !== undefined || Number(request.headers['content-length'] || 0) > 0;
+            const media_type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if ((has_body || ['POST', 'PUT'].includes(request.method)) && media_type !== 'application/json') {
+                reject(ApiServer.http_error(415, 'Request bodies must be sent as application/json'));
+                return;
+            }
+            let raw = '';
+            request.setEncoding('utf8');
+            request.on('data', chunk => {
+                if (raw === null) return; // Already refused; the connection closes after the reply
+                raw += chunk;
+                if (raw.length > ApiServer.MAX_BODY_BYTES) {
+                    raw = null;
+                    reject(ApiServer.http_error(413, 'Request body too large'));
+                }
+            });
+            request.on('end', () => {
+                if (raw === null) return;
+                try {
+                    resolve(raw.trim() === '' ? {} : JSON.parse(raw));
+                } catch (err) {
+                    reject(ApiServer.http_error(400, `Invalid JSON body: ${err.message}`));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, content_type, body) {
+        response.writeHead(status, { 'Content-Type': content_type, 'Cache-Control': 'no-store' });
+        response.end(body);
+    }
+
+    send_json(response, status, body) {
+        this.send(response, status, 'application/json; charset=utf-8', JSON.stringify(body, null, 2));
+    }
+
+    // --- Resources ---
+    worker_json(vm, worker) {
+        const economics = this.monitor.economics && this.monitor.economics.workers[worker.worker_id];
+        return {
+            'worker_id': worker.worker_id,
+            'vm_id': vm.vm_id,
+            'algorithm': worker.algorithm,
+            'online': worker.is_online(),
+            // Pool passwords are write-only through the API
+            'pools': worker.pools.map(pool => ({ 'url': pool.url, 'worker_name': pool.worker_name })),
+            'config': worker.get_configuration().to_json(),
+            'metrics': this.monitor.metrics[worker.worker_id] || null,
+            'profit_per_day': economics ? economics.profit : null
+        };
+    }
+
+    list_vms() {
+        return { 'body': Object.values(this.vdi_manager.vms).map(vm => vm.describe()) };
+    }
+
+    decommission_vm(vm_id) {
+        /** Resolves once the VM's workers have moved and it is gone. */
+        if (!this.vdi_manager.vms[vm_id]) throw ApiServer.http_error(404, `VM ${vm_id} not found`);
+        return this.vdi_manager.decommission_vm(vm_id).then(() => ({ 'body': { 'decommissioned': vm_id } }));
+    }
+
+    list_workers() {
+        const workers = Object.values(this.vdi_manager.vms).flatMap(vm => vm.workers.map(worker => this.worker_json(vm, worker)));
+        return { 'body': workers };
+    }
+
+    get_worker(worker_id) {
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) return { 'status': 404, 'body': { 'error': `Worker ${worker_id} not found` } };
+        return { 'body': this.worker_json(found.vm, found.worker) };
+    }
+
+    get_history(worker_id, query) {
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) throw ApiServer.http_error(404, `Worker ${worker_id} not found`);
+        const window_ms = query.has('window_ms') ? Number(query.get('window_ms')) : ApiServer.HISTORY_WINDOW_MS;
+        if (!Number.isFinite(window_ms) || window_ms <= 0) throw new Error('window_ms must be a positive number of milliseconds');
+        return { 'body': this.db_manager.get_worker_history(worker_id, found.vm.vm_id, window_ms) };
+    }
+
+    get_metrics() {
+        return {
+            'body': {
+                'updated_at': this.monitor.updated_at,
+                'storage_error': this.db_manager.persist_error, // null while saving works
+                'workers': this.monitor.metrics,
+                'economics': this.monitor.economics,
+                'currency': this.monitor.economics_currency()
+            }
+        };
+    }
+
+    list_algorithms() {
+        const algorithms = MiningAlgorithm.list().map(algorithm => ({
+            'name': algorithm.name,
+            'coins': algorithm.coins,
+            'unit': algorithm.unit,
+            'default_pool_url': algorithm.default_pool.url,
+            'profiles': algorithm.profiles,
+            'chip_limits': algorithm.chip_limits
+        }));
+        return { 'body': algorithms };
+    }
+
+    create_worker(body) {
+        /** Resolves once the worker is on a VM, which may first have to be spun up. */
+        if (!body.worker_id || !body.algorithm) throw new Error('Body must name a worker_id and an algorithm');
+        if (this.db_manager.worker_collection[body.worker_id]) throw ApiServer.http_error(409, `Worker ${body.worker_id} already exists`);
+        return this.vdi_manager.create_worker(body.worker_id, body.algorithm, { 'pools': body.pools, 'config': body.config })
+            .then(worker => ({ 'status': 201, 'body': this.get_worker(worker.worker_id).body }));
+    }
+
+    change_pools(worker_id, body) {
+        if (!Array.isArray(body.pools)) throw new Error("Body must be { pools: [...] }");
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) return { 'status': 404, 'body': { 'error': `Worker ${worker_id} not found` } };
+        // Passwords are never sent back, so a pool given without one keeps the password it has now
+        const pools = body.pools.map(entry => {
+            const pool = typeof entry === 'string' ? { 'url': entry } : entry;
+            if (!pool || typeof pool !== 'object' || (pool.password !== undefined && pool.password !== '')) return entry;
+            const current = found.worker.pools.find(existing => existing.url === String(pool.url).trim());
+            return current ? { ...pool, 'password': current.password } : entry;
+        });
+        this.vdi_manager.update_pool_settings(worker_id, pools);
+        return this.get_worker(worker_id);
+    }
+
+    change_config(worker_id, body) {
+        if (!body.config || typeof body.config !== 'object') throw new Error('Body must be { config: {...} }');
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) return { 'status': 404, 'body': { 'error': `Worker ${worker_id} not found` } };
+        const diff = body.dry_run ? found.worker.preview_configuration(body.config) : found.worker.update_configuration(body.config);
+        return { 'body': { 'diff': diff, 'dry_run': Boolean(body.dry_run) } };
+    }
+
+    rename_worker(worker_id, body) {
+        if (typeof body.worker_id !== 'string') throw new Error('Body must be { worker_id: new name }');
+        if (!this.vdi_manager.find_worker(worker_id)) throw ApiServer.http_error(404, `Worker ${worker_id} not found`);
+        if (body.worker_id !== worker_id && this.db_manager.worker_collection[body.worker_id]) {
+            throw ApiServer.http_error(409, `Worker ${body.worker_id} already exists`);
+        }
+        return this.get_worker(this.vdi_manager.rename_worker(worker_id, body.worker_id).worker_id);
+    }
+
+    upgrade_stratum_v2(worker_id, body) {
+        /** Resolves once negotiation is over: 'v2' if the worker's VM switched, 'v1' (with the reason) if it stayed. */
+        const pool_url = PoolConfig.validate_url(body.pool_url);
+        if (!/^stratum2\+/.test(pool_url)) throw new Error('pool_url must be a stratum2+tcp:// URL');
+        const found = this.vdi_manager.find_worker(worker_id);
+        if (!found) throw ApiServer.http_error(404, `Worker ${worker_id} not found`);
+        let reason = null;
+        const on_state_change = (state, detail) => {
+            if (state === 'failed') reason = detail;
+        };
+        return this.vdi_manager.upgrade_to_stratum_v2(worker_id, pool_url, on_state_change)
+            .then(protocol => ({ 'body': { protocol, reason, 'vm': found.vm.describe() } }));
+    }
+
+    apply_profile(name, body) {
+        const target = { 'worker_id': body.worker_id, 'vm_id': body.vm_id };
+        if (!target.worker_id && !target.vm_id) throw new Error('Body must name a worker_id or a vm_id');
+        if (target.worker_id && !this.vdi_manager.find_worker(target.worker_id)) throw ApiServer.http_error(404, `Worker ${target.worker_id} not found`);
+        if (!target.worker_id && !this.vdi_manager.vms[target.vm_id]) throw ApiServer.http_error(404, `VM ${target.vm_id} not found`);
+        const diffs = body.dry_run ? this.vdi_manager.preview_profile(name, target) : this.vdi_manager.apply_profile(name, target);
+        return { 'body': { 'diffs': diffs, 'dry_run': Boolean(body.dry_run) } };
+    }
+
+    rebalance(body) {
+        const options = VDIManager.validate_rebalance_options({
+            'dry_run': Boolean(body.dry_run),
+            'threshold': body.threshold,
+            'max_migrations': body.max_migrations,
+            'strategy': body.strategy, // For this run only; PUT /api/rebalance/settings changes the saved one
+            'strategy_options': body.strategy_options
+        });
+        return { 'body': this.vdi_manager.monitor_and_rebalance(options) };
+    }
+
+    get_rebalance_settings() {
+        return { 'body': this.vdi_manager.rebalance_settings() };
+    }
+
+    change_rebalance_settings(body) {
+        return { 'body': this.vdi_manager.save_rebalance_settings({ ...this.db_manager.load_rebalance_settings(), ...body }) };
+    }
+
+    get_thermal() {
+        return {
+            'body': {
+                'policy': ThermalGovernor.policy_for(this.db_manager),
+                'workers': this.monitor.thermal_governor.get_states(),
+                'actions': this.db_manager.load_audit_log({ 'action': 'thermal.', 'limit': ApiServer.THERMAL_ACTIONS_LENGTH })
+            }
+        };
+    }
+
+    change_thermal_policy(body) {
+        const unknown = Object.keys(body).filter(key => !(key in ThermalGovernor.DEFAULT_POLICY));
+        if (unknown.length > 0) throw new Error(`Unknown thermal policy field(s): ${unknown.join(', ')}`);
+        const policy = { ...this.db_manager.load_thermal_policy(), ...body };
+        ThermalGovernor.validate_policy({ ...ThermalGovernor.DEFAULT_POLICY, ...policy });
+        this.db_manager.save_thermal_policy(policy);
+        return this.get_thermal();
+    }
+
+    require_scheduler() {
+        if (!this.scheduler) throw ApiServer.http_error(503, 'No scheduler is running');
+        return this.scheduler;
+    }
+
+    require_schedule(schedule_id) {
+        const scheduler = this.require_scheduler();
+        if (!this.db_manager.load_schedules()[schedule_id]) throw ApiServer.http_error(404, `Schedule ${schedule_id} not found`);
+        return scheduler;
+    }
+
+    list_schedules() {
+        const scheduler = this.require_scheduler();
+        return {
+            'body': {
+                'settings': scheduler.settings(),
+                'schedules': Object.values(this.db_manager.load_schedules()),
+                'windows': scheduler.get_states(),
+                'upcoming': scheduler.upcoming_runs(),
+                'past': scheduler.past_runs(ApiServer.SCHEDULE_RUNS_LENGTH)
+            }
+        };
+    }
+
+    create_schedule(body) {
+        return { 'status': 201, 'body': this.require_scheduler().add_schedule(body) };
+    }
+
+    change_schedule(schedule_id, body) {
+        const unknown = Object.keys(body).filter(key => !ApiServer.SCHEDULE_FIELDS.includes(key));
+        if (unknown.length > 0) throw new Error(`Unknown schedule field(s): ${unknown.join(', ')}`);
+        return { 'body': this.require_schedule(schedule_id).update_schedule(schedule_id, body) };
+    }
+
+    delete_schedule(schedule_id) {
+        this.require_schedule(schedule_id).remove_schedule(schedule_id);
+        return { 'body': { 'deleted': schedule_id } };
+    }
+
+    change_scheduler_settings(body) {
+        const scheduler = this.require_scheduler();
+        const unknown = Object.keys(body).filter(key => !(key in Scheduler.DEFAULT_SETTINGS));
+        if (unknown.length > 0) throw new Error(`Unknown scheduler setting(s): ${unknown.join(', ')}`);
+        scheduler.save_settings({ ...this.db_manager.load_scheduler_settings(), ...body });
+        return { 'body': scheduler.settings() };
+    }
+
+    get_economics_settings() {
+        return { 'body': { ...MiningEconomics.DEFAULT_SETTINGS, ...this.db_manager.load_economics_settings() } };
+    }
+
+    change_economics_settings(body) {
+        const unknown = Object.keys(body).filter(key => !(key in MiningEconomics.DEFAULT_SETTINGS));
+        if (unknown.length > 0) throw new Error(`Unknown economics setting(s): ${unknown.join(', ')}`);
+        const settings = { ...this.db_manager.load_economics_settings(), ...body };
+        MiningEconomics.validate_settings({ ...MiningEconomics.DEFAULT_SETTINGS, ...settings });
+        this.db_manager.save_economics_settings(settings);
+        this.monitor.update_economics();
+        return this.get_economics_settings();
+    }
+
+    list_alerts() {
+        return { 'body': this.monitor.alert_engine.get_active_alerts() };
+    }
+
+    silence_alert(rule_id, body) {
+        const duration_ms = body.duration_ms === undefined ? ApiServer.SILENCE_MS : body.duration_ms;
+        if (!Number.isFinite(duration_ms) || duration_ms <= 0) throw new Error('duration_ms must be a positive number of milliseconds');
+        if (!this.monitor.alert_engine.silence_rule(rule_id, duration_ms)) throw ApiServer.http_error(404, `Alert rule ${rule_id} not found`);
+        return this.list_alerts();
+    }
+
+    list_audit(query) {
+        /** Newest first, each entry with the ID of the entry that reverted it (or null). */
+        const limit = query.has('limit') ? Number(query.get('limit')) : ApiServer.AUDIT_LENGTH;
+        if (!Number.isInteger(limit) || limit <= 0) throw new Error('limit must be a positive integer');
+        const entries = this.db_manager.load_audit_log({ 'action': query.get('action'), 'limit': limit });
+        return {
+            'body': entries.map(entry => {
+                const revert = this.db_manager.find_revert_of(entry.id);
+                return { ...entry, 'reverted_by': revert ? revert.id : null };
+            })
+        };
+    }
+
+    revert_change(entry_id) {
+        if (!this.db_manager.get_audit_entry(Number(entry_id))) throw ApiServer.http_error(404, `Audit entry ${entry_id} not found`);
+        return { 'body': this.vdi_manager.revert_audit_entry(Number(entry_id)) };
+    }
+
+    prometheus_metrics() {
+        return MetricsExporter.to_prometheus(this.monitor.metrics, {
+            'vms': Object.values(this.vdi_manager.vms).map(vm => vm.describe()),
+            'economics': this.monitor.economics,
+            'currency': this.monitor.economics_currency()
+        });
+    }
+
+    // --- Dashboard ---
+    serve_static(pathname, response) {
+        /**
+         * Serves the dashboard files. Only front-end file types are served, so the JSON
+         * state file (which holds pool passwords) never leaves the host.
+         */
+        const path = node_require('path');
+        const not_found = () => this.send_json(response, 404, { 'error': `${pathname} not found` });
+        if (!this.static_root) return not_found();
+        const root = path.resolve(this.static_root);
+        let file;
+        try {
+            file = path.resolve(root, `.${decodeURIComponent(pathname === '/' ? '/index.html' : pathname)}`);
+        } catch (err) {
+            return this.send_json(response, 400, { 'error': `Malformed percent-encoding in ${pathname}` });
+        }
+        const content_type = ApiServer.CONTENT_TYPES[path.extname(file)];
+        if (!content_type || !file.startsWith(root + path.sep)) return not_found();
+        node_require('fs').promises.readFile(file)
+            .then(content => this.send(response, 200, content_type, content))
+            .catch(not_found);
+    }
+}
+
+ApiServer.DEFAULT_PORT = 8080;
+ApiServer.DEFAULT_HOST = '127.0.0.1';
+ApiServer.MIN_TOKEN_LENGTH = 16;
+ApiServer.MAX_BODY_BYTES = 64 * 1024;
+ApiServer.THERMAL_ACTIONS_LENGTH = 50;
+ApiServer.AUDIT_LENGTH = 50;
+ApiServer.HISTORY_WINDOW_MS = 24 * 60 * 60 * 1000;
+ApiServer.SILENCE_MS = 60 * 60 * 1000;
+ApiServer.SCHEDULE_RUNS_LENGTH = 50;
+ApiServer.SCHEDULE_FIELDS = ['name', 'enabled', 'action', 'target', 'params', 'start', 'end']; // Changeable through PUT
+ApiServer.PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+ApiServer.CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+export { ApiServer };
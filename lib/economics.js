@@ -0,0 +1,196 @@
+// Power efficiency, electricity tariffs and mining revenue / profit estimates.
+
+// --- Power Usage/Efficiency Utility ---
+class PowerUsageSimulator {
+    /** Utility class for performance calculations. Hashrates are in TH/s, power in W (= J/s). */
+    static calculate_power_draw(hashrate, efficiency_joule_per_th) {
+        // TH/s * J/TH = J/s = W
+        return hashrate * efficiency_joule_per_th;
+    }
+    
+    static calculate_efficiency(hashrate, power_watts) {
+        if (hashrate === 0) return Infinity;
+        // J/s divided by TH/s = J/TH
+        return power_watts / hashrate;
+    }
+}
+
+
+// --- Mining Economics (Electricity Tariffs, Revenue, Profit) ---
+class ElectricityTariff {
+    /**
+     * A flat rate per kWh with optional time-of-use periods, e.g.
+     *   new ElectricityTariff({ rate_per_kwh: 0.12, time_of_use: [
+     *       { start: '17:00', end: '21:00', rate_per_kwh: 0.30 },                // peak, every day
+     *       { start: '00:00', end: '24:00', rate_per_kwh: 0.08, days: [0, 6] }   // weekends
+     *   ] })
+     * Periods are in local time; `end` before `start` wraps past midnight. The
+     * first matching period wins, otherwise the flat rate applies.
+     */
+    constructor(settings = {}) {
+        this.rate_per_kwh = settings.rate_per_kwh !== undefined ? settings.rate_per_kwh : 0.10;
+        if (!ElectricityTariff.is_rate(this.rate_per_kwh)) throw new Error('rate_per_kwh must be a non-negative number');
+        this.time_of_use = (settings.time_of_use || []).map(period => ElectricityTariff.validate_period(period));
+        this.daily_average_cache = new Map();
+    }
+
+    static is_rate(rate) {
+        return typeof rate === 'number' && Number.isFinite(rate) && rate >= 0;
+    }
+
+    static parse_minutes(hhmm) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm));
+        if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+            throw new Error(`Invalid time "${hhmm}" (expected HH:MM)`);
+        }
+        return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+    }
+
+    static validate_period(period) {
+        if (!ElectricityTariff.is_rate(period.rate_per_kwh)) {
+            throw new Error(`Time-of-use period ${period.start}-${period.end} needs a non-negative rate_per_kwh`);
+        }
+        return {
+            ...period,
+            'start_minute': ElectricityTariff.parse_minutes(period.start),
+            'end_minute': ElectricityTariff.parse_minutes(period.end),
+        };
+    }
+
+    static period_applies(period, weekday, minute) {
+        if (period.days && !period.days.includes(weekday)) return false;
+        if (period.start_minute < period.end_minute) {
+            return minute >= period.start_minute && minute < period.end_minute;
+        }
+        return minute >= period.start_minute || minute < period.end_minute; // wraps midnight
+    }
+
+    rate_at(date = new Date()) {
+        /** Price per kWh in effect at the given moment. */
+        const weekday = date.getDay();
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const period = this.time_of_use.find(p => ElectricityTariff.period_applies(p, weekday, minute));
+        return period ? period.rate_per_kwh : this.rate_per_kwh;
+    }
+
+    average_rate(date = new Date()) {
+        /** Time-weighted rate over the calendar day of `date` (rates only vary by weekday and time). */
+        const weekday = date.getDay();
+        if (!this.daily_average_cache.has(weekday)) {
+            const minutes_at_rate = new Map(); // Counting minutes per rate keeps the sum exact
+            for (let minute = 0; minute < 24 * 60; minute++) {
+                const period = this.time_of_use.find(p => ElectricityTariff.period_applies(p, weekday, minute));
+                const rate = period ? period.rate_per_kwh : this.rate_per_kwh;
+                minutes_at_rate.set(rate, (minutes_at_rate.get(rate) || 0) + 1);
+            }
+            let total = 0;
+            for (const [rate, minutes] of minutes_at_rate) total += rate * minutes;
+            this.daily_average_cache.set(weekday, total / (24 * 60));
+        }
+        return this.daily_average_cache.get(weekday);
+    }
+
+    daily_cost(power_watts, date = new Date()) {
+        /** Cost of drawing power_watts for the whole day, e.g. 3250 W at a flat 0.10/kWh = 7.80. */
+        return (power_watts * 24 / 1000) * this.average_rate(date);
+    }
+}
+
+
+class MiningEconomics {
+    /**
+     * Expected revenue, energy cost and profit per day from locally supplied
+     * network figures (no price or difficulty feeds are queried). Revenue is the
+     * expected number of blocks found, hashes / (difficulty * 2^32), times the
+     * block reward net of the pool fee:
+     *   FPPS  - block subsidy plus average transaction fees, paid per share.
+     *   PPLNS - the same expectation scaled by the pool's recent luck (1.0 = average).
+     * Reference: 100 TH/s at difficulty 1e14 finds 100e12 * 86400 / (1e14 * 2^32)
+     * = 2.0117e-5 blocks/day, i.e. 6.2864e-5 BTC/day at a 3.125 BTC subsidy, no fees.
+     */
+    constructor(settings = {}) {
+        this.settings = MiningEconomics.validate_settings({ ...MiningEconomics.DEFAULT_SETTINGS, ...settings });
+        this.tariff = new ElectricityTariff(this.settings.tariff);
+    }
+
+    static validate_settings(settings) {
+        const positive = ['network_difficulty', 'block_subsidy_btc'];
+        for (const key of positive) {
+            if (!(Number.isFinite(settings[key]) && settings[key] > 0)) throw new Error(`${key} must be a positive number`);
+        }
+        const non_negative = ['avg_tx_fees_btc', 'btc_price', 'pplns_luck'];
+        for (const key of non_negative) {
+            if (!(Number.isFinite(settings[key]) && settings[key] >= 0)) throw new Error(`${key} must be a non-negative number`);
+        }
+        if (!(settings.pool_fee >= 0 && settings.pool_fee < 1)) throw new Error('pool_fee must be a fraction between 0 and 1');
+        if (!MiningEconomics.PAYOUT_SCHEMES.includes(settings.payout_scheme)) {
+            throw new Error(`Unknown payout scheme "${settings.payout_scheme}" (expected ${MiningEconomics.PAYOUT_SCHEMES.join(' or ')})`);
+        }
+        new ElectricityTariff(settings.tariff); // throws on a bad rate or a malformed time-of-use period
+        return settings;
+    }
+
+    expected_blocks_per_day(hashrate_th) {
+        return (hashrate_th * 1e12 * 86400) / (this.settings.network_difficulty * 2 ** 32);
+    }
+
+    expected_btc_per_day(hashrate_th) {
+        const { block_subsidy_btc, avg_tx_fees_btc, pool_fee, payout_scheme, pplns_luck } = this.settings;
+        const luck = payout_scheme === 'PPLNS' ? pplns_luck : 1;
+        return this.expected_blocks_per_day(hashrate_th) * (block_subsidy_btc + avg_tx_fees_btc) * (1 - pool_fee) * luck;
+    }
+
+    worker_economics(hashrate_th, power_watts, date = new Date()) {
+        /** Per-day figures for one miner; fiat values are in the tariff's currency (settings.currency). */
+        const revenue_btc = this.expected_btc_per_day(hashrate_th);
+        const revenue = revenue_btc * this.settings.btc_price;
+        const energy_kwh = power_watts * 24 / 1000;
+        const energy_cost = this.tariff.daily_cost(power_watts, date);
+        return {
+            'hashrate': hashrate_th,
+            'power_consumption': power_watts,
+            'efficiency_j_per_th': PowerUsageSimulator.calculate_efficiency(hashrate_th, power_watts),
+            'energy_kwh': energy_kwh,
+            'energy_cost': energy_cost,
+            'revenue_btc': revenue_btc,
+            'revenue': revenue,
+            'profit': revenue - energy_cost,
+            'break_even_rate_per_kwh': energy_kwh > 0 ? revenue / energy_kwh : null,
+        };
+    }
+
+    fleet_economics(metrics, date = new Date()) {
+        /**
+         * Per-worker and fleet totals for a VDIMonitor metrics map; offline workers earn nothing
+         * but still draw what they report. The model is Bitcoin's, so workers on other
+         * algorithms are left out of both (metrics without an algorithm are SHA-256).
+         */
+        const workers = {};
+        let hashrate = 0;
+        let power = 0;
+        for (const [worker_id, data] of Object.entries(metrics)) {
+            if ((data.algorithm || MiningEconomics.ALGORITHM) !== MiningEconomics.ALGORITHM) continue;
+            const worker_hashrate = data.online === false ? 0 : (data.hashrate || 0);
+            workers[worker_id] = this.worker_economics(worker_hashrate, data.power_consumption || 0, date);
+            hashrate += worker_hashrate;
+            power += data.power_consumption || 0;
+        }
+        return { 'workers': workers, 'fleet': this.worker_economics(hashrate, power, date) };
+    }
+}
+
+MiningEconomics.ALGORITHM = 'SHA-256'; // Hashrates are TH/s of this algorithm
+MiningEconomics.PAYOUT_SCHEMES = ['FPPS', 'PPLNS'];
+MiningEconomics.DEFAULT_SETTINGS = {
+    'network_difficulty': 1.0e14,
+    'block_subsidy_btc': 3.125,
+    'avg_tx_fees_btc': 0.1,
+    'pool_fee': 0.025,
+    'payout_scheme': 'FPPS',
+    'pplns_luck': 1.0,
+    'btc_price': 60000,
+    'currency': 'USD',
+    'tariff': { 'rate_per_kwh': 0.10, 'time_of_use': [] },
+};
+
+export { PowerUsageSimulator, ElectricityTariff, MiningEconomics };
@@ -0,0 +1,17 @@
+// Public surface of the VDI mining manager, shared by the browser dashboard and the headless daemon.
+
+export { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter, JsonFileStorageAdapter, MetricsTimeSeries, ConfigDBManager } from './storage.js';
+export { PowerUsageSimulator, ElectricityTariff, MiningEconomics } from './economics.js';
+export { MetricsExporter } from './metrics_exporter.js';
+export { ConsoleAlertSink, BrowserNotificationSink, WebhookAlertSink, AlertEngine } from './alerts.js';
+export { ThermalGovernor } from './thermal.js';
+export { CronExpression, Scheduler } from './scheduler.js';
+export { VDIMonitor } from './monitor.js';
+export { WebSocketBridgeTransport, TcpTransport, PoolConfig, StratumClient } from './stratum.js';
+export { Sv2Crypto, NoiseCipherState, NoiseNXHandshake, Sv2Codec, StratumV2Client } from './stratum_v2.js';
+export { MiningAlgorithm } from './algorithms.js';
+export { WorkerConfig, MinerWorker, SimulatedMinerWorker, CGMinerAPI, CGMinerWorker, HttpJsonMinerWorker } from './workers.js';
+export { MiningVM } from './mining_vm.js';
+export { RebalanceStrategy, LeastLoadedStrategy, BinPackingStrategy, PowerBudgetStrategy, AlgorithmAffinityStrategy } from './strategies.js';
+export { VDIManager } from './vdi_manager.js';
+export { ApiServer } from './api_server.js';
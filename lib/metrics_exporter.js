@@ -0,0 +1,194 @@
+// Metrics history export and import (CSV / JSON), and the Prometheus exposition of current metrics.
+
+import { PowerUsageSimulator } from './economics.js';
+import { MiningAlgorithm } from './algorithms.js';
+
+// --- Metrics History Export/Import ---
+class MetricsExporter {
+    /**
+     * Converts ConfigDBManager.metric_collection snapshots to CSV or JSON and back.
+     * Exports are filtered by { worker_id, vm_id, from, to } (all optional) and
+     * carry each worker's efficiency from PowerUsageSimulator.calculate_efficiency. That is
+     * power over the native hashrate, so efficiency_unit names the algorithm's unit (J/TH
+     * for SHA-256, J/kH for RandomX); metrics without an algorithm are SHA-256.
+     */
+    static filter_snapshots(snapshots, filters = {}) {
+        const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+        const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+        const result = [];
+        for (const snapshot of snapshots) {
+            const t = new Date(snapshot.timestamp).getTime();
+            if (t < from || t > to) continue;
+            const metrics = {};
+            for (const [worker_id, data] of Object.entries(snapshot.metrics)) {
+                if (filters.worker_id && worker_id !== filters.worker_id) continue;
+                if (filters.vm_id && data.vm_id !== filters.vm_id) continue;
+                const algorithm = MiningAlgorithm.find(data.algorithm || MiningAlgorithm.DEFAULT);
+                metrics[worker_id] = {
+                    ...data,
+                    'efficiency': algorithm ? PowerUsageSimulator.calculate_efficiency(data.hashrate, data.power_consumption) : null,
+                    'efficiency_unit': algorithm ? algorithm.efficiency_unit : null
+                };
+            }
+            if (Object.keys(metrics).length > 0) result.push({ 'timestamp': snapshot.timestamp, 'metrics': metrics });
+        }
+        return result;
+    }
+
+    static to_json(snapshots, filters = {}) {
+        return JSON.stringify({
+            'format': MetricsExporter.FORMAT,
+            'version': 1,
+            'exported_at': new Date().toISOString(),
+            'filters': filters,
+            'snapshots': MetricsExporter.filter_snapshots(snapshots, filters)
+        }, null, 2);
+    }
+
+    static to_csv(snapshots, filters = {}) {
+        const escape = (value) => {
+            if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [MetricsExporter.CSV_COLUMNS.join(',')];
+        for (const snapshot of MetricsExporter.filter_snapshots(snapshots, filters)) {
+            for (const [worker_id, data] of Object.entries(snapshot.metrics)) {
+                const row = { ...data, 'timestamp': snapshot.timestamp, 'worker_id': worker_id };
+                lines.push(MetricsExporter.CSV_COLUMNS.map(column => escape(row[column])).join(','));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static parse(text) {
+        /** Reads a file produced by to_json() or to_csv() back into snapshots. */
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            const document = JSON.parse(trimmed);
+            if (document.format !== MetricsExporter.FORMAT) throw new Error('Not a metrics history export');
+            return document.snapshots;
+        }
+        return MetricsExporter.parse_csv(trimmed);
+    }
+
+    static parse_csv(text) {
+        const rows = text.split(/\r?\n/).filter(line => line !== '').map(MetricsExporter.split_csv_line);
+        const header = rows.shift() || [];
+        if (!header.includes('timestamp') || !header.includes('worker_id')) {
+            throw new Error('CSV is missing the timestamp/worker_id columns');
+        }
+        const by_timestamp = {};
+        for (const cells of rows) {
+            const row = {};
+            header.forEach((column, i) => { row[column] = cells[i]; });
+            const data = {};
+            for (const column of MetricsExporter.CSV_COLUMNS) {
+                if (['timestamp', 'worker_id', 'efficiency', 'efficiency_unit'].includes(column)) continue;
+                const cell = row[column];
+                if (column === 'vm_id' || column === 'algorithm') data[column] = cell || null;
+                else if (column === 'online' || column === 'paused') data[column] = cell === 'true';
+                else data[column] = cell === '' || cell === undefined ? null : Number(cell);
+            }
+            (by_timestamp[row.timestamp] = by_timestamp[row.timestamp] || {})[row.worker_id] = data;
+        }
+        return Object.entries(by_timestamp).map(([timestamp, metrics]) => ({ timestamp, metrics }));
+    }
+
+    static split_csv_line(line) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else current += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                cells.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current);
+        return cells;
+    }
+
+    static to_prometheus(metrics, options = {}) {
+        /**
+         * Current metrics in the Prometheus text exposition format, for scraping the daemon.
+         * metrics is VDIMonitor.metrics; options: vms (VM summaries as served by the API),
+         * economics (VDIMonitor.economics) and currency. Unknown (null) values are left out.
+         */
+        const lines = [];
+        const family = (name, type, help, samples) => {
+            const known = samples.filter(([, value]) => typeof value === 'number' && isFinite(value));
+            if (known.length === 0) return;
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of known) lines.push(`${name}${MetricsExporter.prometheus_labels(labels)} ${value}`);
+        };
+        const workers = Object.entries(metrics).map(([worker_id, data]) => [{ 'worker': worker_id, 'vm': data.vm_id }, data]);
+        // Hashrate in H/s so one series covers every algorithm
+        family('vdi_worker_hashrate_hashes_per_second', 'gauge', 'Current worker hashrate.', workers.map(([labels, data]) => {
+            const algorithm = MiningAlgorithm.find(data.algorithm || MiningAlgorithm.DEFAULT);
+            return [{ ...labels, 'algorithm': algorithm ? algorithm.name : data.algorithm },
+                algorithm && typeof data.hashrate === 'number' ? algorithm.to_hashes_per_second(data.hashrate) : null];
+        }));
+        for (const [field, name, type, help] of MetricsExporter.PROMETHEUS_WORKER_METRICS) {
+            family(name, type, help, workers.map(([labels, data]) => [labels, data[field]]));
+        }
+        family('vdi_worker_online', 'gauge', 'Whether the worker answered its last poll.',
+            workers.map(([labels, data]) => [labels, data.online === false ? 0 : 1]));
+        family('vdi_worker_paused', 'gauge', 'Whether hashing is paused (e.g. by thermal protection).',
+            workers.map(([labels, data]) => [labels, data.paused ? 1 : 0]));
+
+        const economics = options.economics;
+        if (economics) {
+            const currency = options.currency || 'USD';
+            family('vdi_worker_profit_per_day', 'gauge', 'Estimated daily profit after pool fees and electricity.',
+                workers.map(([labels]) => [{ ...labels, currency }, economics.workers[labels.worker] && economics.workers[labels.worker].profit]));
+            family('vdi_fleet_revenue_btc_per_day', 'gauge', 'Estimated daily fleet revenue in BTC.', [[{}, economics.fleet.revenue_btc]]);
+            family('vdi_fleet_profit_per_day', 'gauge', 'Estimated daily fleet profit.', [[{ currency }, economics.fleet.profit]]);
+        }
+
+        const vms = options.vms || [];
+        family('vdi_vm_load', 'gauge', 'VM load as a fraction of its capacity.', vms.map(vm => [{ 'vm': vm.vm_id, 'status': vm.status }, vm.load / vm.capacity]));
+        family('vdi_vm_workers', 'gauge', 'Workers placed on the VM.', vms.map(vm => [{ 'vm': vm.vm_id }, vm.workers.length]));
+        family('vdi_vm_pool_up', 'gauge', 'Whether the VM is authorized on its pool connection.', vms.map(vm => [
+            { 'vm': vm.vm_id, 'pool': vm.connection.pool_url, 'protocol': vm.connection.protocol },
+            ['authorized', 'ready'].includes(vm.connection.state) ? 1 : 0
+        ]));
+        family('vdi_vm_pool_uptime_seconds', 'gauge', 'Time since the pool connection was established.',
+            vms.map(vm => [{ 'vm': vm.vm_id }, vm.connection.uptime_ms / 1000]));
+        family('vdi_vm_pool_latency_seconds', 'gauge', 'Smoothed pool round-trip latency.',
+            vms.map(vm => [{ 'vm': vm.vm_id }, vm.connection.latency_ms === null ? null : vm.connection.latency_ms / 1000]));
+        return lines.join('\n') + '\n';
+    }
+
+    static prometheus_labels(labels) {
+        const pairs = Object.entries(labels)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+}
+
+MetricsExporter.FORMAT = 'vdi-metrics-history';
+MetricsExporter.CSV_COLUMNS = [
+    'timestamp', 'vm_id', 'worker_id', 'algorithm', 'hashrate', 'power_consumption', 'temperature',
+    'fan_rpm', 'shares_accepted', 'shares_rejected', 'online', 'paused', 'efficiency', 'efficiency_unit'
+];
+// [metrics field, Prometheus name, type, help] exported per worker by to_prometheus()
+MetricsExporter.PROMETHEUS_WORKER_METRICS = [
+    ['power_consumption', 'vdi_worker_power_watts', 'gauge', 'Current worker power draw.'],
+    ['temperature', 'vdi_worker_temperature_celsius', 'gauge', 'Hottest chip temperature reported by the worker.'],
+    ['fan_rpm', 'vdi_worker_fan_rpm', 'gauge', 'Fan speed reported by the worker.'],
+    ['shares_accepted', 'vdi_worker_shares_accepted_total', 'counter', 'Shares accepted by the pool.'],
+    ['shares_rejected', 'vdi_worker_shares_rejected_total', 'counter', 'Shares rejected by the pool.']
+];
+
+export { MetricsExporter };
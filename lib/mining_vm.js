@@ -0,0 +1,189 @@
+// Mining VMs: a pool connection shared by the workers placed on it.
+
+import { StratumClient } from './stratum.js';
+import { StratumV2Client } from './stratum_v2.js';
+import { MiningAlgorithm } from './algorithms.js';
+
+// --- Virtual Machine (VM) Class ---
+class MiningVM {
+    /** Represents an individual VDI instance hosting one or more MinerWorkers and a StratumClient. */
+    constructor(vm_id, db_manager, pool_url = "default_pool", options = {}) {
+        this.vm_id = vm_id;
+        this.workers = [];
+        this.load_metric = 0.0;
+        this.capacity = options.capacity || 1.0;                 // Load this VM can carry (1.0 = one reference VM)
+        this.power_budget_watts = options.power_budget_watts || null; // null = no power limit
+        this.status = options.status || 'active'; // provisioning -> active -> draining -> stopped
+        this.ready = Promise.resolve(this);       // Resolves once the VM can accept workers
+        this.idle_since = null;                   // When the VM last became empty (for scale-down)
+        this.db_manager = db_manager;
+        this.pool_url = pool_url; // Configured pool; failover may connect elsewhere for a while
+        this.stratum_client = this.connect_to_pool(pool_url);
+        
+        // Save initial VM config
+        this.db_manager.save_vm_config(this);
+    }
+
+    set_status(status) {
+        this.status = status;
+        this.db_manager.save_vm_config(this);
+        console.log(`VM ${this.vm_id}: status -> ${status}.`);
+    }
+
+    static create_stratum_client(pool_url, vm, options = {}) {
+        /** stratum2+ URLs get a V2 client, everything else the V1 client. */
+        return /^stratum2\+/.test(pool_url)
+            ? new StratumV2Client(pool_url, vm, options)
+            : new StratumClient(pool_url, vm, options);
+    }
+
+    connect_to_pool(pool_url) {
+        return MiningVM.create_stratum_client(pool_url, this, this.connection_options(pool_url));
+    }
+
+    connection_options(pool_url) {
+        return {
+            // Deferred: a client can fail while it is still being constructed
+            on_failure: (reason) => Promise.resolve().then(() => this.fail_over(pool_url, reason)),
+            on_state_change: (state, detail) => {
+                if (this.on_connection_change) this.on_connection_change(this, state, detail);
+            }
+        };
+    }
+
+    pool_candidates() {
+        /**
+         * Pools this VM may connect to, in order: its configured pool, then each
+         * worker's pool list. Workers share the VM's connection, so they fail over together.
+         */
+        const urls = [this.pool_url];
+        for (const worker of this.workers) {
+            for (const pool of worker.pools) {
+                if (!urls.includes(pool.url)) urls.push(pool.url);
+            }
+        }
+        return urls;
+    }
+
+    fail_over(failed_url, reason) {
+        /** Moves the VM's connection to the pool after failed_url; returns the new URL or null. */
+        if (this.stratum_client.pool_url !== failed_url || this.status === 'stopped') return null; // Stale report
+        const candidates = this.pool_candidates();
+        const next_url = candidates[candidates.indexOf(failed_url) + 1];
+        if (!next_url) {
+            // Every pool has failed: start over from the primary after a pause
+            console.error(`VM ${this.vm_id}: No failover pool left after ${failed_url} (${reason}), retrying ${candidates[0]} in ${MiningVM.POOL_RETRY_MS / 1000}s.`);
+            setTimeout(() => {
+                if (this.stratum_client.pool_url === failed_url && this.status !== 'stopped') this.switch_pool(candidates[0]);
+            }, MiningVM.POOL_RETRY_MS);
+            return null;
+        }
+        console.warn(`VM ${this.vm_id}: Failing over from ${failed_url} to ${next_url} (${reason}).`);
+        this.db_manager.record_audit('pool.failover', { 'type': 'vm', 'id': this.vm_id },
+            { 'url': failed_url, 'reason': reason }, { 'url': next_url });
+        this.switch_pool(next_url);
+        return next_url;
+    }
+
+    switch_pool(pool_url) {
+        /** Replaces the pool connection and re-authorizes every worker with its login for that pool. */
+        this.stratum_client.disconnect();
+        this.stratum_client = this.connect_to_pool(pool_url);
+        for (const worker of this.workers) this.authorize_worker(worker);
+        this.db_manager.save_vm_config(this);
+    }
+
+    authorize_worker(worker) {
+        const { worker_name, password } = worker.credentials_for(this.stratum_client.pool_url);
+        return this.stratum_client.authorize(worker_name, password)
+            .catch(err => console.error(`VM ${this.vm_id}: Authorization of ${worker_name} failed: ${err.message}`));
+    }
+
+    add_worker(worker) {
+        /** Attaches a worker to this VM and authorizes it on the VM's pool connection. */
+        this.workers.push(worker);
+        return this.authorize_worker(worker);
+    }
+
+    calculate_load() {
+        // Hashrates are in each worker's native unit, so normalize per worker before summing
+        this.load_metric = this.workers.reduce((sum, w) => sum + MiningVM.hashrate_to_load(w.get_hashrate(), w.algorithm), 0);
+        return this.load_metric;
+    }
+
+    static hashrate_to_load(hashrate, algorithm = MiningAlgorithm.DEFAULT) {
+        /** Unknown algorithms count like SHA-256 rather than breaking the fleet view. */
+        return (MiningAlgorithm.find(algorithm) || MiningAlgorithm.get(MiningAlgorithm.DEFAULT)).to_load(hashrate);
+    }
+
+    is_overloaded(threshold = 0.8) {
+        return this.calculate_load() > threshold * this.capacity;
+    }
+
+    describe(now = Date.now()) {
+        /** The VM, its pool connection and its worker IDs, as the API and the dashboard show them. */
+        const client = this.stratum_client;
+        return {
+            'vm_id': this.vm_id,
+            'status': this.status,
+            'pool_url': this.pool_url,
+            'capacity': this.capacity,
+            'power_budget_watts': this.power_budget_watts,
+            'load': this.calculate_load(),
+            'connection': {
+                'pool_url': client.pool_url,
+                'protocol': client.protocol,
+                'state': client.state,
+                'state_detail': client.state_detail || null,
+                'connected_since': client.connected_since === null ? null : new Date(client.connected_since).toISOString(),
+                'uptime_ms': client.get_uptime_ms(now),
+                'latency_ms': client.latency_ms,
+                'last_job_at': client.current_job ? client.current_job.received_at : null,
+                // Logins the pool refused; the VM stays on its pool for the others
+                'rejected_workers': Object.keys(client.authorized_workers).filter(name => client.authorized_workers[name] === false)
+            },
+            'workers': this.workers.map(worker => worker.worker_id)
+        };
+    }
+
+    migrate_worker_out(worker_id, new_vm, options = {}) {
+        /**
+         * Removes a worker from this VM, updates its state/DB, and adds it to the new VM.
+         * Logged as one 'worker.migrated' audit entry; options.reverts marks it as an undo.
+         */
+        const workerIndex = this.workers.findIndex(w => w.worker_id === worker_id);
+        if (workerIndex === -1) {
+            console.error(`Error: Worker ${worker_id} not found on VM ${this.vm_id}.`);
+            return false;
+        }
+
+        const worker = this.workers[workerIndex];
+        this.workers.splice(workerIndex, 1); // 1. Remove the worker object
+        
+        this.db_manager.batch_audit(() => worker.set_new_parent(new_vm.vm_id)); // 2. Update worker's parent and DB
+        this.db_manager.record_audit('worker.migrated', { 'type': 'worker', 'id': worker_id },
+            { 'vm_id': this.vm_id }, { 'vm_id': new_vm.vm_id }, options.reverts || null);
+
+        // 3. Hand the pool session over make-before-break: the worker keeps its login on this
+        //    VM's connection (so in-flight shares still get answered) until the destination
+        //    has authorized it, or has given up trying.
+        const old_client = this.stratum_client;
+        const old_login = worker.credentials_for(old_client.pool_url).worker_name;
+        const handover = Promise.race([
+            new_vm.add_worker(worker),
+            new Promise(resolve => setTimeout(resolve, MiningVM.HANDOVER_TIMEOUT_MS))
+        ]);
+        handover.then(() => {
+            if (this.workers.some(w => w.worker_id === worker.worker_id)) return; // Migrated back meanwhile
+            old_client.release_worker(old_login);
+        });
+
+        console.log(`Migration Success: Worker ${worker_id} moved from VM **${this.vm_id}** to VM **${new_vm.vm_id}**.`);
+        return true;
+    }
+}
+
+MiningVM.POOL_RETRY_MS = 60 * 1000;
+MiningVM.HANDOVER_TIMEOUT_MS = 30 * 1000;
+
+export { MiningVM };
@@ -0,0 +1,128 @@
+// Metrics collection and reporting, independent of any front end.
+
+import { MiningEconomics } from './economics.js';
+import { AlertEngine } from './alerts.js';
+import { ThermalGovernor } from './thermal.js';
+import { MiningAlgorithm } from './algorithms.js';
+import { MiningVM } from './mining_vm.js';
+
+// --- Centralized Monitoring and Reporting ---
+class VDIMonitor {
+    /** Gathers metrics, persists them and runs them through the alert rules and thermal protection. */
+    constructor(vdi_manager, db_manager, alert_engine = new AlertEngine(db_manager)) {
+        this.vdi_manager = vdi_manager;
+        this.db_manager = db_manager;
+        this.alert_engine = alert_engine;
+        this.thermal_governor = new ThermalGovernor(vdi_manager, db_manager);
+        this.metrics = {};
+        this.economics = null; // MiningEconomics.fleet_economics() of the latest metrics
+        this.updated_at = null; // ISO timestamp of the latest metrics
+    }
+
+    poll_workers() {
+        /** Polls every worker's device API in parallel; offline workers don't hold up the rest. */
+        const workers = Object.values(this.vdi_manager.vms).flatMap(vm => vm.workers);
+        return Promise.all(workers.map(worker => worker.poll()));
+    }
+
+    async update_all_metrics() {
+        await this.poll_workers();
+        const current_metrics_data = {};
+        for (const vm of Object.values(this.vdi_manager.vms)) {
+            for (const worker of vm.workers) {
+                // Prefer the device's own share counters; fall back to what our pool connection saw
+                const share_stats = worker.get_share_counts()
+                    || vm.stratum_client.get_share_stats(worker.credentials_for(vm.stratum_client.pool_url).worker_name);
+                current_metrics_data[worker.worker_id] = {
+                    'vm_id': vm.vm_id,
+                    'algorithm': worker.algorithm,
+                    'hashrate': worker.get_hashrate(), // In the algorithm's native unit
+                    'power_consumption': worker.get_power_consumption(),
+                    'shares_accepted': share_stats.accepted,
+                    'shares_rejected': share_stats.rejected,
+                    'temperature': worker.get_temperature(),
+                    'fan_rpm': worker.get_fan_speed(),
+                    'online': worker.is_online(),
+                    'paused': worker.is_paused(),
+                };
+            }
+        }
+        
+        this.metrics = current_metrics_data;
+        this.updated_at = new Date().toISOString();
+        this.db_manager.record_metrics_snapshot(this.metrics);
+        this.alert_engine.evaluate(this.metrics);
+        this.thermal_governor.evaluate(this.metrics);
+        this.update_economics();
+        this.updateFrontEndDisplay();
+        console.log("All metrics updated and persisted.");
+    }
+    
+    update_economics() {
+        /** Recomputes per-worker and fleet profit with the saved economics settings. */
+        try {
+            this.economics = new MiningEconomics(this.db_manager.load_economics_settings()).fleet_economics(this.metrics);
+        } catch (err) {
+            console.warn(`Economics: ${err.message}`);
+            this.economics = null;
+        }
+        return this.economics;
+    }
+
+    alert_on_condition(metric_key, operator, threshold, options = {}) {
+        /**
+         * Registers an alert rule, e.g. alert_on_condition('temperature', '>', 85, { for_samples: 3 }).
+         * Options: name, scope ('worker' | 'fleet'), worker_id, algorithm, aggregate, for_samples, hysteresis.
+         */
+        return this.alert_engine.add_rule({ ...options, 'metric': metric_key, 'operator': operator, 'threshold': threshold });
+    }
+
+    economics_currency() {
+        return { ...MiningEconomics.DEFAULT_SETTINGS, ...this.db_manager.load_economics_settings() }.currency;
+    }
+
+    updateFrontEndDisplay() {
+        /** Called after every metrics update; headless monitors have nothing to draw, VDIDashboard does. */
+    }
+
+    static fleet_groups(vm_views, metrics, economics, options = {}) {
+        /**
+         * The fleet table's contents: [{ vm, rows }] in vm_views order, one row per worker
+         * with metrics. Options: filter (matched against worker and VM IDs; VMs left without
+         * rows are dropped) and sort { key, descending } (unknown values sink to the bottom).
+         */
+        const filter = (options.filter || '').trim().toLowerCase();
+        const { key, descending } = options.sort || VDIMonitor.DEFAULT_FLEET_SORT;
+        const compare = (a, b) => {
+            const x = a[key];
+            const y = b[key];
+            if (x === y) return 0;
+            if (x === null || x === undefined) return 1;
+            if (y === null || y === undefined) return -1;
+            return (x < y ? -1 : 1) * (descending ? -1 : 1);
+        };
+        const groups = [];
+        for (const vm of vm_views) {
+            const rows = vm.workers
+                .filter(worker_id => metrics[worker_id])
+                .map(worker_id => {
+                    const data = metrics[worker_id];
+                    const algorithm = MiningAlgorithm.find(data.algorithm) || MiningAlgorithm.get(MiningAlgorithm.DEFAULT);
+                    return { ...data, 'worker_id': worker_id,
+                        // Sorting compares H/s, since each algorithm reports in its own unit
+                        'hashrate_hs': algorithm.to_hashes_per_second(data.hashrate),
+                        'load': MiningVM.hashrate_to_load(data.hashrate, data.algorithm),
+                        'profit': economics && economics.workers[worker_id] ? economics.workers[worker_id].profit : null };
+                })
+                .filter(row => !filter || row.worker_id.toLowerCase().includes(filter) || vm.vm_id.toLowerCase().includes(filter))
+                .sort(compare);
+            if (rows.length === 0 && filter) continue;
+            groups.push({ vm, rows });
+        }
+        return groups;
+    }
+}
+
+VDIMonitor.DEFAULT_FLEET_SORT = { 'key': 'worker_id', 'descending': false };
+
+export { VDIMonitor };
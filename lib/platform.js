@@ -0,0 +1,9 @@
+// Runtime detection shared by the modules that use Node built-ins when they are available.
+
+// Loads a Node built-in (fs, net, tls, http) by name; null in browsers, which use
+// IndexedDB / localStorage and the WebSocket bridge instead. Needs Node 20.16+.
+const node_require = typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function'
+    ? (id) => process.getBuiltinModule(id)
+    : null;
+
+export { node_require };
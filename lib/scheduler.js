@@ -0,0 +1,474 @@
+// Scheduled operations: cron-like mining windows and maintenance jobs, and the cadence of
+// the metrics and rebalance loops.
+
+import { WorkerConfig } from './workers.js';
+
+// --- Cron Expressions ---
+class CronExpression {
+    /**
+     * Five-field cron syntax in local time: minute hour day-of-month month day-of-week.
+     * Each field is *, a number, a range (1-5), a step over either of those (8-18/2, or
+     * every 15th minute from *) or a comma list of them. Months also take jan-dec, days
+     * of the week sun-sat (0 and 7 are Sunday). As in cron, when both day fields are
+     * restricted a day matching either one counts.
+     */
+    constructor(expression) {
+        const fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== CronExpression.FIELDS.length) {
+            throw new Error(`Invalid cron expression "${expression}" (expected 5 fields: minute hour day month weekday)`);
+        }
+        this.expression = fields.join(' ');
+        [this.minutes, this.hours, this.days_of_month, this.months, this.days_of_week] = fields.map((field, i) => {
+            const [name, min, max, names] = CronExpression.FIELDS[i];
+            try {
+                return CronExpression.parse_field(field, min, max, names);
+            } catch (err) {
+                throw new Error(`Invalid cron ${name} "${field}" in "${expression}": ${err.message}`);
+            }
+        });
+        if (this.days_of_week.has(7)) this.days_of_week.add(0);
+        this.any_day_of_month = fields[2] === '*';
+        this.any_day_of_week = fields[4] === '*';
+    }
+
+    static parse_field(field, min, max, names = []) {
+        const value = (text) => {
+            const index = names.indexOf(text.toLowerCase());
+            const number = index >= 0 ? index + (names === CronExpression.MONTH_NAMES ? 1 : 0) : Number(text);
+            if (!/^\w+$/.test(text) || !Number.isInteger(number) || number < min || number > max) {
+                throw new Error(`"${text}" is not between ${min} and ${max}`);
+            }
+            return number;
+        };
+        const values = new Set();
+        for (const part of field.split(',')) {
+            const [range, step_text] = part.split('/');
+            const step = step_text === undefined ? 1 : Number(step_text);
+            if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step "${step_text}"`);
+            let [from, to] = [min, max];
+            if (range !== '*') {
+                const bounds = range.split('-');
+                from = value(bounds[0]);
+                to = bounds.length > 1 ? value(bounds[1]) : (step_text === undefined ? from : max);
+                if (bounds.length > 2 || to < from) throw new Error(`invalid range "${range}"`);
+            }
+            for (let v = from; v <= to; v += step) values.add(v);
+        }
+        return values;
+    }
+
+    matches_day(date) {
+        if (!this.months.has(date.getMonth() + 1)) return false;
+        const by_month = this.days_of_month.has(date.getDate());
+        const by_week = this.days_of_week.has(date.getDay());
+        if (this.any_day_of_month || this.any_day_of_week) return by_month && by_week;
+        return by_month || by_week;
+    }
+
+    matches(date) {
+        return this.matches_day(date) && this.hours.has(date.getHours()) && this.minutes.has(date.getMinutes());
+    }
+
+    next(after = new Date()) {
+        /** First matching minute after `after`, or null if there is none within a year (e.g. 30 Feb). */
+        const date = CronExpression.start_of_minute(after);
+        date.setTime(date.getTime() + CronExpression.MINUTE_MS);
+        const limit = after.getTime() + CronExpression.SEARCH_LIMIT_MS;
+        while (date.getTime() <= limit) {
+            if (!this.matches_day(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes()) || CronExpression.is_repeated(date)) {
+                date.setTime(date.getTime() + CronExpression.MINUTE_MS);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    previous(at = new Date()) {
+        /** Last matching minute at or before `at`, or null if there is none within a year. */
+        // Steps back in absolute time: a local time like 02:59 does not exist on the day DST starts
+        const date = CronExpression.start_of_minute(at);
+        const limit = at.getTime() - CronExpression.SEARCH_LIMIT_MS;
+        while (date.getTime() >= limit) {
+            if (!this.matches_day(date)) {
+                date.setHours(0, 0, 0, 0);
+                date.setTime(date.getTime() - CronExpression.MINUTE_MS); // 23:59 the day before
+            } else if (!this.hours.has(date.getHours())) {
+                date.setMinutes(0, 0, 0);
+                date.setTime(date.getTime() - CronExpression.MINUTE_MS);
+            } else if (!this.minutes.has(date.getMinutes()) || CronExpression.is_repeated(date)) {
+                date.setTime(date.getTime() - CronExpression.MINUTE_MS);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    static start_of_minute(date) {
+        // Not setSeconds(0, 0): in the hour repeated when DST ends, local setters pick its first pass
+        return new Date(Math.floor(date.getTime() / CronExpression.MINUTE_MS) * CronExpression.MINUTE_MS);
+    }
+
+    static is_repeated(date) {
+        /** Whether this local time already occurred an hour earlier (the hour repeated when DST ends); cron runs once, at the first. */
+        const earlier = new Date(date.getTime() - 60 * CronExpression.MINUTE_MS);
+        return earlier.getHours() === date.getHours() && earlier.getMinutes() === date.getMinutes();
+    }
+}
+
+CronExpression.MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+CronExpression.DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+CronExpression.FIELDS = [ // [name, min, max, names]
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day of month', 1, 31],
+    ['month', 1, 12, CronExpression.MONTH_NAMES],
+    ['day of week', 0, 7, CronExpression.DAY_NAMES]
+];
+CronExpression.MINUTE_MS = 60 * 1000;
+CronExpression.SEARCH_LIMIT_MS = 366 * 24 * 60 * 60 * 1000;
+
+// --- Scheduler ---
+class Scheduler {
+    /**
+     * Runs everything time-based: metrics updates every metrics_interval_ms, rebalance
+     * checks every rebalance_interval_ms, and the schedules kept in ConfigDBManager,
+     * checked every TICK_MS. A schedule is { id, name, enabled, action, target, params, start, end }:
+     *   action  'pause' (stop hashing), 'profile' (params.profile, e.g. 'eco') or 'drain'
+     *           (move a VM's workers elsewhere, e.g. for maintenance)
+     *   target  { vm_id }, { worker_id }, or {} for every worker
+     *   start/end  cron expressions; the schedule is in force from a start time until the
+     *           next end time, and is then undone: workers resume, the settings the profile
+     *           changed are put back (unless changed since) and the VM returns to service.
+     *           A profile schedule without an end switches profile at each start time.
+     * The open windows are kept in ConfigDBManager (schedule_state), so windows that opened
+     * or closed while the app was not running are caught up on; one-off runs missed by more
+     * than MISFIRE_GRACE_MS are skipped. Runs are audit entries ('schedule_run.started' /
+     * 'schedule_run.ended' / 'schedule_run.failed') by the { type: 'schedule', id } actor, as
+     * are the changes they make.
+     */
+    constructor(vdi_manager, monitor, db_manager, options = {}) {
+        this.vdi_manager = vdi_manager;
+        this.monitor = monitor;
+        this.db_manager = db_manager;
+        // What the timers run; the dashboard passes its offline-aware versions
+        this.update_metrics = options.update_metrics || (() => monitor.update_all_metrics());
+        this.rebalance = options.rebalance || (() => vdi_manager.monitor_and_rebalance());
+        this.timers = [];
+        // Pauses are not saved with the worker, so re-apply the ones still in force
+        const schedules = db_manager.load_schedules();
+        for (const [schedule_id, state] of Object.entries(this.get_states())) {
+            if (!state.active || !schedules[schedule_id] || schedules[schedule_id].action !== 'pause') continue;
+            for (const worker_id of state.worker_ids) {
+                const found = vdi_manager.find_worker(worker_id);
+                if (found) found.worker.pause(Scheduler.pause_reason(schedule_id));
+            }
+        }
+    }
+
+    // --- Cadence ---
+    static validate_settings(settings) {
+        for (const key of ['metrics_interval_ms', 'rebalance_interval_ms']) {
+            if (!(typeof settings[key] === 'number' && isFinite(settings[key]) && settings[key] >= Scheduler.MIN_INTERVAL_MS)) {
+                throw new Error(`${key} must be a number of at least ${Scheduler.MIN_INTERVAL_MS}`);
+            }
+        }
+        return settings;
+    }
+
+    static settings_for(db_manager) {
+        return { ...Scheduler.DEFAULT_SETTINGS, ...db_manager.load_scheduler_settings() };
+    }
+
+    settings() {
+        return Scheduler.settings_for(this.db_manager);
+    }
+
+    save_settings(settings) {
+        /** Validates and saves cadence overrides; running timers pick them up at once. */
+        Scheduler.validate_settings({ ...Scheduler.DEFAULT_SETTINGS, ...settings });
+        this.db_manager.save_scheduler_settings(settings);
+        if (this.is_running()) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    start() {
+        /** Updates metrics and checks the schedules now, then keeps doing so at the configured cadence. */
+        if (this.is_running()) return;
+        const settings = this.settings();
+        this.run_job('Metrics update', this.update_metrics);
+        this.run_job('Schedule check', () => this.tick());
+        this.timers = [
+            setInterval(() => this.run_job('Metrics update', this.update_metrics), settings.metrics_interval_ms),
+            setInterval(() => this.run_job('Rebalance check', this.rebalance), settings.rebalance_interval_ms),
+            setInterval(() => this.run_job('Schedule check', () => this.tick()), Scheduler.TICK_MS)
+        ];
+    }
+
+    run_job(name, job) {
+        /** Runs one timer job, logging a throw or a rejection so a failed run neither stops the timers nor goes unhandled. */
+        return Promise.resolve()
+            .then(() => job())
+            .catch(err => console.error(`Scheduler: ${name} failed: ${err.message}`));
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+    }
+
+    is_running() {
+        return this.timers.length > 0;
+    }
+
+    // --- Schedule Management ---
+    static validate_schedule(schedule) {
+        if (!Scheduler.ACTIONS.includes(schedule.action)) {
+            throw new Error(`Unknown schedule action '${schedule.action}' (expected ${Scheduler.ACTIONS.join(', ')})`);
+        }
+        const target = schedule.target || {};
+        if (target.vm_id && target.worker_id) throw new Error('Target either a vm_id or a worker_id, not both');
+        if (schedule.action === 'drain' && !target.vm_id) throw new Error('Drain schedules need a target vm_id');
+        if (schedule.action === 'profile') WorkerConfig.profile((schedule.params || {}).profile); // throws on an unknown profile
+        new CronExpression(schedule.start);
+        if (schedule.end) new CronExpression(schedule.end);
+        else if (schedule.action !== 'profile') throw new Error(`'${schedule.action}' schedules need an end time`);
+        return schedule;
+    }
+
+    add_schedule(schedule) {
+        const target = schedule.target || {};
+        const saved = {
+            'id': schedule.id || null,
+            'name': schedule.name || `${schedule.action} ${target.vm_id || target.worker_id || 'all workers'}`,
+            'enabled': schedule.enabled !== false,
+            'action': schedule.action,
+            'target': target,
+            'params': schedule.params || {},
+            'start': schedule.start,
+            'end': schedule.end || null,
+            'created_at': schedule.created_at || new Date().toISOString()
+        };
+        Scheduler.validate_schedule(saved);
+        if (!saved.id) saved.id = this.db_manager.get_next_schedule_id();
+        this.db_manager.save_schedule(saved);
+        return saved;
+    }
+
+    update_schedule(schedule_id, changes) {
+        /** Changes some fields of a schedule; a window it has open is closed first and reopened by the next tick. */
+        const current = this.db_manager.load_schedules()[schedule_id];
+        if (!current) throw new Error(`Schedule ${schedule_id} not found`);
+        const updated = Scheduler.validate_schedule({ ...current, ...changes, 'id': schedule_id, 'created_at': current.created_at });
+        this.close_window(current);
+        this.db_manager.save_schedule(updated);
+        return updated;
+    }
+
+    remove_schedule(schedule_id) {
+        const current = this.db_manager.load_schedules()[schedule_id];
+        if (!current) return false;
+        this.close_window(current);
+        this.db_manager.delete_schedule(schedule_id);
+        return true;
+    }
+
+    get_states() {
+        /** schedule_id -> { active, window (ISO start time it was opened for), worker_ids, diffs, ... } */
+        return this.db_manager.load_schedule_state();
+    }
+
+    // --- Evaluation ---
+    static pause_reason(schedule_id) {
+        return `schedule:${schedule_id}`;
+    }
+
+    static current_window(schedule, now) {
+        /** The start time of the window in force at `now` (or of the latest one-off run), else null. */
+        const start = new CronExpression(schedule.start).previous(new Date(now));
+        if (!start) return null;
+        if (!schedule.end) return start.getTime() >= new Date(schedule.created_at).getTime() ? start : null;
+        const end = new CronExpression(schedule.end).previous(new Date(now));
+        return end === null || start > end ? start : null;
+    }
+
+    tick(now = Date.now()) {
+        /** Opens and closes the schedule windows due by now; returns the runs made. */
+        const runs = [];
+        for (const schedule of Object.values(this.db_manager.load_schedules())) {
+            const run = this.db_manager.with_actor({ 'type': 'schedule', 'id': schedule.id }, () => this.evaluate_schedule(schedule, now));
+            if (run) runs.push(run);
+        }
+        return runs;
+    }
+
+    evaluate_schedule(schedule, now) {
+        const state = this.get_states()[schedule.id] || null;
+        const window = schedule.enabled ? Scheduler.current_window(schedule, now) : null;
+        const window_id = window && window.toISOString();
+        if (state && state.active && window_id !== state.window) return this.end_window(schedule, state);
+        if (!window || (state && state.window === window_id)) return null;
+        if (!schedule.end && now - window.getTime() > Scheduler.MISFIRE_GRACE_MS) return null;
+        return this.start_window(schedule, window_id);
+    }
+
+    start_window(schedule, window_id) {
+        const state = { 'active': Boolean(schedule.end), 'window': window_id, 'started_at': new Date().toISOString() };
+        let result;
+        try {
+            result = this.begin_action(schedule, state);
+        } catch (err) {
+            // Remember the window so a failing schedule is not retried every tick
+            this.db_manager.save_schedule_state(schedule.id, { ...state, 'active': false, 'error': err.message });
+            return this.record_run('failed', schedule, { 'window': window_id, 'error': err.message });
+        }
+        this.db_manager.save_schedule_state(schedule.id, state);
+        return this.record_run('started', schedule, { 'window': window_id, ...result });
+    }
+
+    end_window(schedule, state) {
+        const result = this.end_action(schedule, state);
+        this.db_manager.save_schedule_state(schedule.id, { 'active': false, 'window': state.window });
+        return this.record_run('ended', schedule, { 'window': state.window, ...result });
+    }
+
+    close_window(schedule) {
+        /** Undoes a schedule that is in force, e.g. before it is changed or removed. */
+        const state = this.get_states()[schedule.id];
+        if (!state || !state.active) return null;
+        return this.db_manager.with_actor(this.db_manager.current_actor || { 'type': 'schedule', 'id': schedule.id },
+            () => this.end_window(schedule, state));
+    }
+
+    workers_for(target) {
+        if (target.vm_id || target.worker_id) return this.vdi_manager.profile_targets(target);
+        return Object.values(this.vdi_manager.vms).flatMap(vm => vm.workers);
+    }
+
+    begin_action(schedule, state) {
+        /** Does what a schedule starts, keeping what end_action() needs in state; returns a summary for the run. */
+        switch (schedule.action) {
+            case 'pause': {
+                state.worker_ids = this.workers_for(schedule.target).map(worker => worker.worker_id);
+                const reason = Scheduler.pause_reason(schedule.id);
+                for (const worker_id of state.worker_ids) this.vdi_manager.find_worker(worker_id).worker.pause(reason);
+                return { 'workers': state.worker_ids };
+            }
+            case 'profile': {
+                state.diffs = {};
+                for (const worker of this.workers_for(schedule.target)) {
+                    const diff = worker.update_configuration(WorkerConfig.profile(schedule.params.profile, worker.algorithm));
+                    if (Object.keys(diff).length > 0) state.diffs[worker.worker_id] = diff;
+                }
+                return { 'profile': schedule.params.profile, 'workers': Object.keys(state.diffs) };
+            }
+            case 'drain': {
+                const vm = this.vdi_manager.vms[schedule.target.vm_id];
+                if (!vm) throw new Error(`VM ${schedule.target.vm_id} not found`);
+                state.worker_ids = vm.workers.map(worker => worker.worker_id);
+                this.vdi_manager.drain_vm(vm.vm_id)
+                    .then(() => { if (this.vdi_manager.on_state_change) this.vdi_manager.on_state_change(); })
+                    .catch(this.vdi_manager.bind_actor(err => this.record_run('failed', schedule, { 'window': state.window, 'error': err.message })));
+                return { 'vm_id': vm.vm_id, 'workers': state.worker_ids };
+            }
+        }
+        return {};
+    }
+
+    end_action(schedule, state) {
+        switch (schedule.action) {
+            case 'pause': {
+                const reason = Scheduler.pause_reason(schedule.id);
+                const resumed = state.worker_ids.filter(worker_id => {
+                    const found = this.vdi_manager.find_worker(worker_id);
+                    return found && found.worker.resume(reason);
+                });
+                return { 'workers': resumed };
+            }
+            case 'profile': {
+                // Put back what the profile changed, except settings someone has changed since
+                const restored = [];
+                for (const [worker_id, diff] of Object.entries(state.diffs || {})) {
+                    const found = this.vdi_manager.find_worker(worker_id);
+                    if (!found) continue;
+                    const current = found.worker.get_configuration();
+                    const changes = {};
+                    for (const [field, change] of Object.entries(diff)) {
+                        if (current[field] === change.to) changes[field] = change.from;
+                    }
+                    if (Object.keys(changes).length === 0) continue;
+                    found.worker.update_configuration(changes);
+                    restored.push(worker_id);
+                }
+                return { 'workers': restored };
+            }
+            case 'drain': {
+                // Back into service with the workers it had, or idle scale-down would remove it
+                const vm = this.vdi_manager.vms[schedule.target.vm_id];
+                if (!vm) return { 'vm_id': schedule.target.vm_id, 'workers': [] };
+                if (vm.status === 'draining') vm.set_status('active');
+                const returned = (state.worker_ids || []).filter(worker_id => {
+                    const found = this.vdi_manager.find_worker(worker_id);
+                    if (!found || found.vm === vm || vm.status !== 'active') return false;
+                    this.vdi_manager.last_migrated_at[worker_id] = Date.now(); // Keep the rebalancer from moving it straight back out
+                    return found.vm.migrate_worker_out(worker_id, vm) !== false;
+                });
+                if (returned.length > 0 && this.vdi_manager.on_state_change) this.vdi_manager.on_state_change();
+                return { 'vm_id': vm.vm_id, 'workers': returned };
+            }
+        }
+        return {};
+    }
+
+    record_run(phase, schedule, details) {
+        const run = { 'schedule_id': schedule.id, 'phase': phase, 'action': schedule.action, ...details };
+        this.db_manager.record_audit(`schedule_run.${phase}`, { 'type': 'schedule', 'id': schedule.id },
+            null, { 'name': schedule.name, 'action': schedule.action, 'target': schedule.target, ...details });
+        const log = phase === 'failed' ? console.warn : console.log;
+        log(`Schedule ${schedule.id} (${schedule.name}): ${phase}${details.error ? ` - ${details.error}` : ''}.`);
+        return run;
+    }
+
+    // --- Reporting ---
+    upcoming_runs(now = Date.now(), limit = Scheduler.UPCOMING_RUNS_LENGTH) {
+        /** The next start and end times of the enabled schedules, soonest first. */
+        const runs = [];
+        for (const schedule of Object.values(this.db_manager.load_schedules())) {
+            if (!schedule.enabled) continue;
+            for (const [phase, expression] of [['start', schedule.start], ['end', schedule.end]]) {
+                if (!expression) continue;
+                let at = new Date(now);
+                for (let i = 0; i < limit; i++) {
+                    at = new CronExpression(expression).next(at);
+                    if (!at) break;
+                    runs.push({ 'schedule_id': schedule.id, 'name': schedule.name, 'action': schedule.action, 'phase': phase, 'at': at.toISOString() });
+                }
+            }
+        }
+        return runs.sort((a, b) => a.at.localeCompare(b.at)).slice(0, limit);
+    }
+
+    past_runs(limit = Scheduler.UPCOMING_RUNS_LENGTH) {
+        return this.db_manager.load_audit_log({ 'action': 'schedule_run.', limit });
+    }
+}
+
+Scheduler.ACTIONS = ['pause', 'profile', 'drain'];
+Scheduler.DEFAULT_SETTINGS = {
+    'metrics_interval_ms': 5000,
+    'rebalance_interval_ms': 5000
+};
+Scheduler.MIN_INTERVAL_MS = 1000;
+Scheduler.TICK_MS = 30 * 1000;                 // How often schedules are checked (they have minute resolution)
+Scheduler.MISFIRE_GRACE_MS = 15 * 60 * 1000;   // One-off runs missed by more than this are skipped
+Scheduler.UPCOMING_RUNS_LENGTH = 20;
+
+export { CronExpression, Scheduler };
@@ -0,0 +1,974 @@
+// Persistence: pluggable storage adapters, the metrics time series and the configuration database.
+
+import { node_require } from './platform.js';
+import { StratumClient, PoolConfig } from './stratum.js';
+import { MiningAlgorithm } from './algorithms.js';
+
+// --- Storage Adapters (Pluggable persistence backends for ConfigDBManager) ---
+// Every adapter exposes the same two async methods:
+//   load()       -> Promise resolving to the last saved state object, or null
+//   save(state)  -> Promise resolving once the state has been written
+// Schema versioning and migrations are handled by ConfigDBManager, so a
+// backend only has to round-trip a plain JSON-compatible object.
+
+class MemoryStorageAdapter {
+    /** Keeps state in memory only; used when no durable backend is available. */
+    constructor() {
+        this.state = null;
+    }
+
+    load() {
+        return Promise.resolve(this.state ? JSON.parse(JSON.stringify(this.state)) : null);
+    }
+
+    save(state) {
+        this.state = JSON.parse(JSON.stringify(state));
+        return Promise.resolve();
+    }
+}
+
+class LocalStorageAdapter {
+    /** Stores the whole state as one JSON string under a single localStorage key. */
+    constructor(key = 'vdi_manager_state', storage = localStorage) {
+        this.key = key;
+        this.storage = storage;
+    }
+
+    load() {
+        const raw = this.storage.getItem(this.key);
+        return Promise.resolve(raw ? JSON.parse(raw) : null);
+    }
+
+    save(state) {
+        this.storage.setItem(this.key, JSON.stringify(state));
+        return Promise.resolve();
+    }
+}
+
+class IndexedDBStorageAdapter {
+    /** Stores the state as a single record in an IndexedDB object store. */
+    constructor(db_name = 'vdi_manager', store_name = 'state') {
+        this.db_name = db_name;
+        this.store_name = store_name;
+        this.db = null;
+    }
+
+    open_db() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.db_name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.store_name);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    run(mode, operation) {
+        return this.open_db().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.store_name, mode);
+            const request = operation(transaction.objectStore(this.store_name));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    load() {
+        return this.run('readonly', store => store.get('current')).then(state => state || null);
+    }
+
+    save(state) {
+        return this.run('readwrite', store => store.put(state, 'current')).then(() => undefined);
+    }
+}
+
+class JsonFileStorageAdapter {
+    /**
+     * Node.js backend: a JSON file, replaced atomically via write-then-rename. Writes run
+     * one at a time (they share the temp file); saves made while one is in flight are
+     * collapsed into a single write of the newest state, which is always renamed last.
+     */
+    constructor(file_path = 'vdi_manager_state.json') {
+        this.file_path = file_path;
+        this.fs = node_require('fs');
+        this.writing = Promise.resolve(); // The write in flight, if any; never rejects
+        this.queued = null;               // { text, done } waiting for it
+    }
+
+    load() {
+        return this.fs.promises.readFile(this.file_path, 'utf8')
+            .then(raw => JSON.parse(raw))
+            .catch(err => {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            });
+    }
+
+    save(state) {
+        const text = JSON.stringify(state); // Serialized now, the state keeps changing
+        if (this.queued) {
+            this.queued.text = text;
+            return this.queued.done;
+        }
+        const queued = { text };
+        queued.done = this.writing.then(() => {
+            this.queued = null; // Saves from here on wait for this write
+            return this.write(queued.text);
+        });
+        this.queued = queued;
+        this.writing = queued.done.catch(() => undefined);
+        return queued.done;
+    }
+
+    write(text) {
+        const temp_path = `${this.file_path}.tmp`;
+        return this.fs.promises.writeFile(temp_path, text)
+            .then(() => this.fs.promises.rename(temp_path, this.file_path));
+    }
+}
+
+
+// --- Metrics Time Series (Downsampled history behind the averages and charts) ---
+class MetricsTimeSeries {
+    /**
+     * Three resolution tiers per series:
+     *   raw    - the snapshots in ConfigDBManager.metric_collection (one per update cycle)
+     *   minute - 1-minute buckets rolled up as each snapshot arrives
+     *   hour   - 1-hour buckets rolled up the same way
+     * Series are keyed 'worker:<id>' and 'vm:<id>'; a VM's hashrate and power are
+     * the sum over its workers, its temperature the hottest worker. Hashrates are in
+     * the algorithm's native unit, so a VM running several algorithms records no
+     * hashrate (older snapshots without an algorithm are SHA-256). Buckets keep a
+     * per-field [sum, count] so averages over any window stay exact.
+     */
+    constructor(retention_ms = {}) {
+        this.retention_ms = { ...MetricsTimeSeries.DEFAULT_RETENTION_MS, ...retention_ms };
+        this.tiers = { 'minute': {}, 'hour': {} }; // tier -> series key -> [bucket]
+    }
+
+    static series_values(metrics) {
+        /** Flattens one VDIMonitor metrics dictionary into per-worker and per-VM values. */
+        const series = {};
+        const vm_algorithms = {}; // vm_id -> algorithm of its first worker, or null once they differ
+        for (const [worker_id, data] of Object.entries(metrics)) {
+            const values = {};
+            for (const field of MetricsTimeSeries.FIELDS) values[field] = typeof data[field] === 'number' ? data[field] : null;
+            series[`worker:${worker_id}`] = values;
+
+            if (!data.vm_id) continue;
+            const vm = series[`vm:${data.vm_id}`] || (series[`vm:${data.vm_id}`] = { 'hashrate': 0, 'power_consumption': 0, 'temperature': null });
+            const algorithm = data.algorithm || MiningAlgorithm.DEFAULT;
+            if (!(data.vm_id in vm_algorithms)) vm_algorithms[data.vm_id] = algorithm;
+            if (vm_algorithms[data.vm_id] !== algorithm) vm_algorithms[data.vm_id] = null;
+            vm.hashrate = vm_algorithms[data.vm_id] === null ? null : vm.hashrate + (values.hashrate || 0);
+            vm.power_consumption += values.power_consumption || 0;
+            if (values.temperature !== null) vm.temperature = Math.max(vm.temperature === null ? -Infinity : vm.temperature, values.temperature);
+        }
+        return series;
+    }
+
+    add_snapshot(snapshot) {
+        const timestamp = new Date(snapshot.timestamp).getTime();
+        for (const [key, values] of Object.entries(MetricsTimeSeries.series_values(snapshot.metrics))) {
+            for (const tier of Object.keys(this.tiers)) {
+                const buckets = this.tiers[tier][key] || (this.tiers[tier][key] = []);
+                const start = timestamp - (timestamp % MetricsTimeSeries.BUCKET_MS[tier]);
+                let bucket = buckets[buckets.length - 1];
+                if (!bucket || bucket.t !== start) {
+                    bucket = { 't': start };
+                    for (const field of MetricsTimeSeries.FIELDS) bucket[field] = [0, 0];
+                    buckets.push(bucket);
+                }
+                for (const field of MetricsTimeSeries.FIELDS) {
+                    if (values[field] === null) continue;
+                    bucket[field][0] += values[field];
+                    bucket[field][1] += 1;
+                }
+            }
+        }
+        this.prune(timestamp);
+    }
+
+    merge_snapshots(snapshots) {
+        /**
+         * Folds in history loaded from elsewhere (e.g. an imported file). Buckets
+         * that already exist win, so importing the same file twice changes nothing.
+         */
+        const imported = new MetricsTimeSeries(this.retention_ms);
+        const ordered = [...snapshots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        for (const snapshot of ordered) imported.add_snapshot(snapshot);
+        for (const [tier, series] of Object.entries(imported.tiers)) {
+            for (const [key, buckets] of Object.entries(series)) {
+                const existing = this.tiers[tier][key] || [];
+                const known = new Set(existing.map(bucket => bucket.t));
+                this.tiers[tier][key] = existing
+                    .concat(buckets.filter(bucket => !known.has(bucket.t)))
+                    .sort((a, b) => a.t - b.t);
+            }
+        }
+        this.prune();
+    }
+
+    prune(now = Date.now()) {
+        for (const [tier, series] of Object.entries(this.tiers)) {
+            const cutoff = now - this.retention_ms[tier];
+            for (const [key, buckets] of Object.entries(series)) {
+                const first_kept = buckets.findIndex(bucket => bucket.t >= cutoff);
+                if (first_kept === -1) delete series[key];
+                else if (first_kept > 0) buckets.splice(0, first_kept);
+            }
+        }
+    }
+
+    static tier_for_window(window_ms, retention_ms) {
+        /** The finest tier that still covers the whole window. */
+        if (window_ms <= retention_ms.raw) return 'raw';
+        if (window_ms <= retention_ms.minute) return 'minute';
+        return 'hour';
+    }
+
+    buckets(raw_snapshots, key, window_ms, now = Date.now()) {
+        /** Buckets (raw snapshots count as single-sample buckets) covering [now - window, now]. */
+        const since = now - window_ms;
+        const tier = MetricsTimeSeries.tier_for_window(window_ms, this.retention_ms);
+        if (tier !== 'raw') {
+            return (this.tiers[tier][key] || []).filter(bucket => bucket.t + MetricsTimeSeries.BUCKET_MS[tier] > since);
+        }
+        const result = [];
+        for (const snapshot of raw_snapshots) {
+            const t = new Date(snapshot.timestamp).getTime();
+            if (t < since) continue;
+            const values = MetricsTimeSeries.series_values(snapshot.metrics)[key];
+            if (!values) continue;
+            const bucket = { 't': t };
+            for (const field of MetricsTimeSeries.FIELDS) bucket[field] = values[field] === null ? [0, 0] : [values[field], 1];
+            result.push(bucket);
+        }
+        return result;
+    }
+
+    average(raw_snapshots, key, field, window_ms, now = Date.now()) {
+        /** Sample-weighted mean of a field over the window, or null without data. */
+        let sum = 0;
+        let count = 0;
+        for (const bucket of this.buckets(raw_snapshots, key, window_ms, now)) {
+            sum += bucket[field][0];
+            count += bucket[field][1];
+        }
+        return count === 0 ? null : sum / count;
+    }
+
+    points(raw_snapshots, key, field, window_ms, now = Date.now()) {
+        /** [{ t, value }] for charting, one point per bucket. */
+        return this.buckets(raw_snapshots, key, window_ms, now)
+            .filter(bucket => bucket[field][1] > 0)
+            .map(bucket => ({ 't': bucket.t, 'value': bucket[field][0] / bucket[field][1] }));
+    }
+
+    to_json() {
+        return { 'retention_ms': this.retention_ms, 'tiers': this.tiers };
+    }
+
+    static from_json(json) {
+        const series = new MetricsTimeSeries(json.retention_ms);
+        series.tiers = json.tiers;
+        return series;
+    }
+}
+
+MetricsTimeSeries.FIELDS = ['hashrate', 'temperature', 'power_consumption'];
+MetricsTimeSeries.BUCKET_MS = { 'minute': 60 * 1000, 'hour': 60 * 60 * 1000 };
+MetricsTimeSeries.DEFAULT_RETENTION_MS = {
+    'raw': 60 * 60 * 1000,           // 1 hour of raw snapshots
+    'minute': 48 * 60 * 60 * 1000,   // 48 hours of 1-minute buckets
+    'hour': 30 * 24 * 60 * 60 * 1000 // 30 days of 1-hour buckets
+};
+
+
+// NOTE: datetime.now().isoformat() is Node.js/Python style. 
+// We use the JavaScript equivalent for the browser environment.
+class ConfigDBManager {
+    /**
+     * Database interface for configuration and runtime metrics. The collections
+     * live in memory and are written through to a storage adapter (if given)
+     * after every change; use ConfigDBManager.open() to restore a saved state.
+     */
+    constructor(storage_adapter = null) {
+        // In-memory 'collections', mirrored to the storage adapter
+        this.vm_collection = {};     // Stores VM configuration
+        this.worker_collection = {}; // Stores Worker configuration
+        this.metric_collection = []; // Stores historical performance metrics (raw tier)
+        this.metric_series = new MetricsTimeSeries(); // 1-minute / 1-hour rollups of metric_collection
+        this.alert_rule_collection = {}; // Stores alert rules evaluated by AlertEngine
+        this.economics_settings = {};    // Overrides of MiningEconomics.DEFAULT_SETTINGS
+        this.thermal_policy = {};        // Overrides of ThermalGovernor.DEFAULT_POLICY
+        this.thermal_state = {};         // worker_id -> what the ThermalGovernor has done to it
+        this.pending_pool_changes = [];  // Pool edits made offline, replayed by VDIManager.replay_pool_changes()
+        this.schedule_collection = {};   // Stores the Scheduler's time-based rules
+        this.schedule_state = {};        // schedule_id -> the window the Scheduler has open (or last ran)
+        this.scheduler_settings = {};    // Overrides of Scheduler.DEFAULT_SETTINGS (metrics/rebalance cadence)
+        this.rebalance_settings = {};    // Overrides of VDIManager.DEFAULT_REBALANCE_SETTINGS (strategy)
+        this.audit_log = [];             // History of configuration changes, the newest MAX_AUDIT_ENTRIES
+        this.next_worker_id = 1; // Simple ID counter
+        this.next_vm_id = 1;
+        this.next_alert_rule_id = 1;
+        this.next_audit_id = 1;
+        this.next_pending_change_id = 1;
+        this.next_schedule_id = 1;
+        this.storage_adapter = storage_adapter;
+        this.persist_scheduled = false;
+        this.metrics_persist_timer = null; // Pending throttled write of new metric snapshots (see persist_metrics)
+        this.metrics_persisted_at = 0;
+        this.persist_error = null; // Why the latest write failed (e.g. storage full), until one succeeds
+        this.current_actor = null; // Who the audit entries being written are attributed to (see with_actor)
+        this.audit_batch_depth = 0;
+    }
+
+    static open(storage_adapter = ConfigDBManager.create_default_adapter()) {
+        /** Creates a manager and restores (and migrates) whatever the adapter has saved. */
+        const db = new ConfigDBManager(storage_adapter);
+        return storage_adapter.load().then(state => {
+            if (state) db.restore_state(ConfigDBManager.migrate(state));
+            return db;
+        });
+    }
+
+    static create_default_adapter() {
+        /** Picks the most durable backend the current runtime offers. */
+        if (typeof indexedDB !== 'undefined') return new IndexedDBStorageAdapter();
+        if (typeof localStorage !== 'undefined') return new LocalStorageAdapter();
+        if (node_require) return new JsonFileStorageAdapter();
+        return new MemoryStorageAdapter();
+    }
+
+    // --- Schema Versioning ---
+    static migrate(state) {
+        /** Upgrades a saved state one schema version at a time. */
+        let version = state.schema_version || 1;
+        if (version > ConfigDBManager.SCHEMA_VERSION) {
+            throw new Error(`Saved state has schema v${version}, newer than supported v${ConfigDBManager.SCHEMA_VERSION}`);
+        }
+        while (version < ConfigDBManager.SCHEMA_VERSION) {
+            state = ConfigDBManager.MIGRATIONS[version](state);
+            version++;
+            state.schema_version = version;
+            console.log(`DB: Migrated saved state to schema v${version}.`);
+        }
+        return state;
+    }
+
+    to_state() {
+        return {
+            'schema_version': ConfigDBManager.SCHEMA_VERSION,
+            'vm_collection': this.vm_collection,
+            'worker_collection': this.worker_collection,
+            'metric_collection': this.metric_collection,
+            'metric_series': this.metric_series.to_json(),
+            'alert_rule_collection': this.alert_rule_collection,
+            'economics_settings': this.economics_settings,
+            'thermal_policy': this.thermal_policy,
+            'thermal_state': this.thermal_state,
+            'pending_pool_changes': this.pending_pool_changes,
+            'schedule_collection': this.schedule_collection,
+            'schedule_state': this.schedule_state,
+            'scheduler_settings': this.scheduler_settings,
+            'rebalance_settings': this.rebalance_settings,
+            'audit_log': this.audit_log,
+            'next_worker_id': this.next_worker_id,
+            'next_vm_id': this.next_vm_id,
+            'next_alert_rule_id': this.next_alert_rule_id,
+            'next_audit_id': this.next_audit_id,
+            'next_pending_change_id': this.next_pending_change_id,
+            'next_schedule_id': this.next_schedule_id
+        };
+    }
+
+    restore_state(state) {
+        this.vm_collection = state.vm_collection || {};
+        this.worker_collection = state.worker_collection || {};
+        this.metric_collection = state.metric_collection || [];
+        if (state.metric_series) {
+            this.metric_series = MetricsTimeSeries.from_json(state.metric_series);
+        } else {
+            // Older saves only have raw snapshots: roll them up once
+            this.metric_series = new MetricsTimeSeries();
+            for (const snapshot of this.metric_collection) this.metric_series.add_snapshot(snapshot);
+        }
+        this.alert_rule_collection = state.alert_rule_collection || {};
+        this.economics_settings = state.economics_settings || {};
+        this.thermal_policy = state.thermal_policy || {};
+        this.thermal_state = state.thermal_state || {};
+        this.pending_pool_changes = state.pending_pool_changes || [];
+        this.schedule_collection = state.schedule_collection || {};
+        this.schedule_state = state.schedule_state || {};
+        this.scheduler_settings = state.scheduler_settings || {};
+        this.rebalance_settings = state.rebalance_settings || {};
+        this.audit_log = state.audit_log || [];
+        this.trim_audit_log();
+        this.next_audit_id = state.next_audit_id || 1;
+        this.next_pending_change_id = state.next_pending_change_id || 1;
+        this.next_schedule_id = state.next_schedule_id || 1;
+        this.next_worker_id = state.next_worker_id || 1;
+        this.next_vm_id = state.next_vm_id || 1;
+        this.next_alert_rule_id = state.next_alert_rule_id || 1;
+    }
+
+    persist() {
+        /** Writes the state through to the adapter; changes made in the same tick are coalesced. */
+        if (!this.storage_adapter || this.persist_scheduled) return;
+        this.persist_scheduled = true;
+        Promise.resolve().then(() => {
+            this.persist_scheduled = false;
+            return this.save_state();
+        });
+    }
+
+    persist_metrics(now = Date.now()) {
+        /**
+         * Metric snapshots arrive every update cycle, and the adapters rewrite the whole state,
+         * so they are written at most every METRICS_PERSIST_INTERVAL_MS. Any other change
+         * writes them along with it in the meantime.
+         */
+        if (!this.storage_adapter || this.metrics_persist_timer) return;
+        const wait = this.metrics_persisted_at + ConfigDBManager.METRICS_PERSIST_INTERVAL_MS - now;
+        if (wait <= 0) return this.persist();
+        this.metrics_persist_timer = setTimeout(() => this.persist(), wait);
+        if (this.metrics_persist_timer.unref) this.metrics_persist_timer.unref(); // Never what keeps Node running
+    }
+
+    flush() {
+        /** Writes now if metric snapshots are still waiting for their throttled write, e.g. before exiting. */
+        if (!this.metrics_persist_timer) return Promise.resolve();
+        return this.save_state();
+    }
+
+    save_state() {
+        /** Resolves once written; a failure is logged and kept in persist_error rather than thrown. */
+        clearTimeout(this.metrics_persist_timer);
+        this.metrics_persist_timer = null;
+        this.metrics_persisted_at = Date.now();
+        return Promise.resolve()
+            .then(() => this.storage_adapter.save(this.to_state())) // localStorage throws a full quota synchronously
+            .then(() => {
+                this.persist_error = null;
+            })
+            .catch(err => {
+                this.persist_error = ConfigDBManager.describe_persist_error(err);
+                console.error(`DB: Failed to persist state: ${err.message}`);
+            });
+    }
+
+    static describe_persist_error(err) {
+        const quota = err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 'ENOSPC';
+        return quota ? 'storage is full' : err.message;
+    }
+
+    // --- Utility Methods for ID generation (counters are persisted so IDs survive restarts) ---
+    get_next_worker_id() {
+        const id = `worker-${this.next_worker_id++}`;
+        this.persist();
+        return id;
+    }
+
+    get_next_vm_id() {
+        const id = `vm-${this.next_vm_id++}`;
+        this.persist();
+        return id;
+    }
+
+    get_next_alert_rule_id() {
+        const id = `rule-${this.next_alert_rule_id++}`;
+        this.persist();
+        return id;
+    }
+
+    get_next_schedule_id() {
+        const id = `schedule-${this.next_schedule_id++}`;
+        this.persist();
+        return id;
+    }
+
+    // --- VM Operations ---
+    save_vm_config(vm_obj) {
+        /** Saves or updates a VM's static configuration. */
+        const before = this.vm_collection[vm_obj.vm_id] || null;
+        this.vm_collection[vm_obj.vm_id] = {
+            'id': vm_obj.vm_id,
+            'status': vm_obj.status || 'active',
+            'ip_address': `192.168.1.${vm_obj.vm_id.split('-')[1] || 1}`,
+            'pool_url': vm_obj.pool_url || null, // Configured pool; the live connection may be on a failover pool
+            'protocol': vm_obj.stratum_client ? vm_obj.stratum_client.protocol : null,
+            'capacity': vm_obj.capacity,
+            'power_budget_watts': vm_obj.power_budget_watts
+        };
+        this.audit_record_change('vm', vm_obj.vm_id, before, this.vm_collection[vm_obj.vm_id]);
+        this.persist();
+        console.log(`DB: VM-${vm_obj.vm_id} config saved.`);
+    }
+        
+    load_all_vm_configs() {
+        /** Loads all persisted VM configurations. */
+        return this.vm_collection;
+    }
+
+    delete_vm_config(vm_id) {
+        /** Removes a decommissioned VM's record. */
+        this.audit_record_change('vm', vm_id, this.vm_collection[vm_id] || null, null);
+        delete this.vm_collection[vm_id];
+        this.persist();
+        console.log(`DB: VM-${vm_id} config deleted.`);
+    }
+    
+    // --- Worker Operations ---
+    save_worker_config(worker_obj) {
+        /** Saves or updates a Worker's static configuration and its parent VM ID. */
+        const before = this.worker_collection[worker_obj.worker_id] || null;
+        this.worker_collection[worker_obj.worker_id] = {
+            'id': worker_obj.worker_id,
+            'algorithm': worker_obj.algorithm,
+            'current_vm_id': worker_obj.parent_vm_id, 
+            'config': worker_obj.config,
+            'pools': (worker_obj.pools || []).map(pool => pool.to_json())
+        };
+        this.audit_record_change('worker', worker_obj.worker_id, before, this.worker_collection[worker_obj.worker_id]);
+        this.persist();
+        console.log(`DB: Worker-${worker_obj.worker_id} config saved. VM: ${worker_obj.parent_vm_id}`);
+    }
+
+    rename_worker_config(old_id, new_id) {
+        /** Re-keys a worker's record and any alert rules scoped to it. */
+        const record = this.worker_collection[old_id];
+        if (!record) throw new Error(`Worker ${old_id} not found`);
+        if (this.worker_collection[new_id]) throw new Error(`Worker ${new_id} already exists`);
+        delete this.worker_collection[old_id];
+        this.worker_collection[new_id] = { ...record, 'id': new_id };
+        this.record_audit('worker.renamed', { 'type': 'worker', 'id': new_id }, { 'id': old_id }, { 'id': new_id });
+        for (const rule of Object.values(this.alert_rule_collection)) {
+            if (rule.worker_id === old_id) rule.worker_id = new_id;
+        }
+        if (this.thermal_state[old_id]) {
+            this.thermal_state[new_id] = this.thermal_state[old_id];
+            delete this.thermal_state[old_id];
+        }
+        for (const schedule of Object.values(this.schedule_collection)) {
+            if (schedule.target.worker_id === old_id) schedule.target.worker_id = new_id;
+        }
+        for (const state of Object.values(this.schedule_state)) {
+            if (state.worker_ids) state.worker_ids = state.worker_ids.map(id => (id === old_id ? new_id : id));
+            if (state.diffs && state.diffs[old_id]) {
+                state.diffs[new_id] = state.diffs[old_id];
+                delete state.diffs[old_id];
+            }
+        }
+        for (const change of this.pending_pool_changes.filter(queued => queued.worker_id === old_id)) {
+            change.worker_id = new_id;
+            // As in VDIManager.rename_worker, logins that were simply the worker ID follow the rename
+            for (const pool of change.pools) {
+                if (pool.worker_name === old_id) pool.worker_name = new_id;
+            }
+        }
+        this.persist();
+        console.log(`DB: Worker-${old_id} renamed to ${new_id}.`);
+    }
+
+    load_workers_for_vm(vm_id) {
+        /** Loads workers assigned to a specific VM ID. */
+        return Object.values(this.worker_collection).filter(
+            config => config.current_vm_id === vm_id
+        );
+    }
+
+    // --- Metrics Operations ---
+    record_metrics_snapshot(metrics_data) {
+        /** Saves a timestamped snapshot of performance metrics (for historical analysis). */
+        const snapshot = {
+            'timestamp': new Date().toISOString(),
+            'metrics': metrics_data // The dictionary from VDIMonitor
+        };
+        this.metric_collection.push(snapshot);
+        this.metric_series.add_snapshot(snapshot);
+        // Raw snapshots are only kept for the raw tier's retention; older history lives in the rollups
+        const raw_cutoff = Date.now() - this.metric_series.retention_ms.raw;
+        while (this.metric_collection.length > 0 && new Date(this.metric_collection[0].timestamp).getTime() < raw_cutoff) {
+            this.metric_collection.shift();
+        }
+        this.persist_metrics();
+        console.log(`DB: Metrics snapshot saved. Total snapshots: ${this.metric_collection.length}`);
+    }
+
+    latest_metrics_snapshot() {
+        /** The most recent snapshot ({ timestamp, metrics }), e.g. to show while offline; null if none. */
+        return this.metric_collection[this.metric_collection.length - 1] || null;
+    }
+
+    get_metric_average(series_key, field, window_ms) {
+        /** e.g. get_metric_average('worker:ron47ron1.mining_btc', 'hashrate', 24 * 3600 * 1000) */
+        return this.metric_series.average(this.metric_collection, series_key, field, window_ms);
+    }
+
+    get_metric_points(series_key, field, window_ms) {
+        return this.metric_series.points(this.metric_collection, series_key, field, window_ms);
+    }
+
+    get_worker_history(worker_id, vm_id, window_ms) {
+        /**
+         * What the detailed metrics view shows for a worker: its hashrate averages over
+         * HISTORY_AVERAGES, its VM's 24h average and the chart points within window_ms.
+         */
+        const series_key = `worker:${worker_id}`;
+        const averages = {};
+        for (const [label, average_ms] of Object.entries(ConfigDBManager.HISTORY_AVERAGES)) {
+            averages[label] = this.get_metric_average(series_key, 'hashrate', average_ms);
+        }
+        const points = {};
+        for (const field of ConfigDBManager.HISTORY_FIELDS) points[field] = this.get_metric_points(series_key, field, window_ms);
+        return {
+            'window_ms': window_ms,
+            'averages': averages,
+            // VMs running several algorithms have no combined hashrate (see MetricsTimeSeries)
+            'vm_hashrate_24h': this.get_metric_average(`vm:${vm_id}`, 'hashrate', ConfigDBManager.HISTORY_AVERAGES['24h']),
+            'points': points
+        };
+    }
+
+    import_metrics_history(snapshots) {
+        /**
+         * Merges imported snapshots into the raw tier (within its retention) and the rollups.
+         * Data already present for a timestamp/worker is kept; returns how many snapshots added anything.
+         */
+        const by_timestamp = new Map(this.metric_collection.map(snapshot => [snapshot.timestamp, snapshot]));
+        const raw_cutoff = Date.now() - this.metric_series.retention_ms.raw;
+        let added = 0;
+        for (const snapshot of snapshots) {
+            const existing = by_timestamp.get(snapshot.timestamp);
+            if (!existing) {
+                added++;
+                if (new Date(snapshot.timestamp).getTime() < raw_cutoff) continue;
+                const copy = { 'timestamp': snapshot.timestamp, 'metrics': { ...snapshot.metrics } };
+                by_timestamp.set(snapshot.timestamp, copy);
+                this.metric_collection.push(copy);
+                continue;
+            }
+            const missing = Object.keys(snapshot.metrics).filter(worker_id => !existing.metrics[worker_id]);
+            for (const worker_id of missing) existing.metrics[worker_id] = snapshot.metrics[worker_id];
+            if (missing.length > 0) added++;
+        }
+        this.metric_collection.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.metric_series.merge_snapshots(snapshots);
+        this.persist();
+        console.log(`DB: Imported ${added} of ${snapshots.length} metrics snapshots.`);
+        return added;
+    }
+
+    // --- Alert Rule Operations ---
+    save_alert_rule(rule) {
+        this.audit_record_change('alert_rule', rule.id, this.alert_rule_collection[rule.id] || null, rule);
+        this.alert_rule_collection[rule.id] = rule;
+        this.persist();
+        console.log(`DB: Alert rule ${rule.id} saved.`);
+    }
+
+    load_alert_rules() {
+        return this.alert_rule_collection;
+    }
+
+    delete_alert_rule(rule_id) {
+        this.audit_record_change('alert_rule', rule_id, this.alert_rule_collection[rule_id] || null, null);
+        delete this.alert_rule_collection[rule_id];
+        this.persist();
+    }
+
+    // --- Economics Settings ---
+    save_economics_settings(settings) {
+        this.audit_record_change('economics', 'settings', this.economics_settings, settings);
+        this.economics_settings = settings;
+        this.persist();
+        console.log('DB: Economics settings saved.');
+    }
+
+    load_economics_settings() {
+        return this.economics_settings;
+    }
+
+    // --- Thermal Protection ---
+    save_thermal_policy(policy) {
+        this.audit_record_change('thermal_policy', 'settings', this.thermal_policy, policy);
+        this.thermal_policy = policy;
+        this.persist();
+        console.log('DB: Thermal policy saved.');
+    }
+
+    load_thermal_policy() {
+        return this.thermal_policy;
+    }
+
+    save_thermal_state(worker_id, state) {
+        /** Runtime state rather than configuration: the governor audits its actions itself. */
+        if (state === null) delete this.thermal_state[worker_id];
+        else this.thermal_state[worker_id] = state;
+        this.persist();
+    }
+
+    load_thermal_state() {
+        return this.thermal_state;
+    }
+
+    // --- Schedules ---
+    save_schedule(schedule) {
+        this.audit_record_change('schedule', schedule.id, this.schedule_collection[schedule.id] || null, schedule);
+        this.schedule_collection[schedule.id] = schedule;
+        this.persist();
+        console.log(`DB: Schedule ${schedule.id} saved.`);
+    }
+
+    load_schedules() {
+        return this.schedule_collection;
+    }
+
+    delete_schedule(schedule_id) {
+        this.audit_record_change('schedule', schedule_id, this.schedule_collection[schedule_id] || null, null);
+        delete this.schedule_collection[schedule_id];
+        delete this.schedule_state[schedule_id];
+        this.persist();
+    }
+
+    save_schedule_state(schedule_id, state) {
+        /** Runtime state rather than configuration: the Scheduler audits its runs itself. */
+        if (state === null) delete this.schedule_state[schedule_id];
+        else this.schedule_state[schedule_id] = state;
+        this.persist();
+    }
+
+    load_schedule_state() {
+        return this.schedule_state;
+    }
+
+    save_scheduler_settings(settings) {
+        this.audit_record_change('scheduler', 'settings', this.scheduler_settings, settings);
+        this.scheduler_settings = settings;
+        this.persist();
+        console.log('DB: Scheduler settings saved.');
+    }
+
+    load_scheduler_settings() {
+        return this.scheduler_settings;
+    }
+
+    save_rebalance_settings(settings) {
+        this.audit_record_change('rebalance', 'settings', this.rebalance_settings, settings);
+        this.rebalance_settings = settings;
+        this.persist();
+        console.log('DB: Rebalance settings saved.');
+    }
+
+    load_rebalance_settings() {
+        return this.rebalance_settings;
+    }
+
+    // --- Offline Pool Changes ---
+    queue_pool_change(worker_id, pools) {
+        /**
+         * Keeps a pool edit until it can be applied; a newer edit of the same worker
+         * replaces the queued one. The current actor is kept so the replay is attributed to it.
+         */
+        const change = {
+            'id': this.next_pending_change_id++,
+            'queued_at': new Date().toISOString(),
+            'actor': this.current_actor || ConfigDBManager.SYSTEM_ACTOR,
+            'worker_id': worker_id,
+            'pools': pools
+        };
+        this.pending_pool_changes = this.pending_pool_changes.filter(queued => queued.worker_id !== worker_id);
+        this.pending_pool_changes.push(change);
+        this.persist();
+        console.log(`DB: Pool change for Worker-${worker_id} queued (${this.pending_pool_changes.length} pending).`);
+        return change;
+    }
+
+    load_pending_pool_changes() {
+        /** Oldest first. */
+        return this.pending_pool_changes;
+    }
+
+    remove_pending_pool_change(change_id) {
+        this.pending_pool_changes = this.pending_pool_changes.filter(change => change.id !== change_id);
+        this.persist();
+    }
+
+    // --- Audit Log ---
+    // Entries: { id, timestamp, actor: { type: 'user' | 'api' | 'rebalancer' | 'thermal' | 'schedule' | 'alert_rule' | 'system', id },
+    //            action, target: { type, id }, before, after, reverts: id of the entry undone, or null }
+    with_actor(actor, fn) {
+        /** Attributes the audit entries written while fn runs to actor, e.g. { type: 'user' }. */
+        const previous = this.current_actor;
+        this.current_actor = actor;
+        try {
+            return fn();
+        } finally {
+            this.current_actor = previous;
+        }
+    }
+
+    batch_audit(fn) {
+        /**
+         * Runs fn without auditing the individual record writes it makes, for operations
+         * that record a single entry of their own (a migration, a pool change) or none.
+         */
+        this.audit_batch_depth++;
+        try {
+            return fn();
+        } finally {
+            this.audit_batch_depth--;
+        }
+    }
+
+    record_audit(action, target, before, after, reverts = null) {
+        const entry = {
+            'id': this.next_audit_id++,
+            'timestamp': new Date().toISOString(),
+            'actor': this.current_actor || ConfigDBManager.SYSTEM_ACTOR,
+            'action': action,
+            'target': target,
+            'before': before === undefined ? null : JSON.parse(JSON.stringify(before)),
+            'after': after === undefined ? null : JSON.parse(JSON.stringify(after)),
+            'reverts': reverts
+        };
+        this.audit_log.push(entry);
+        this.trim_audit_log();
+        this.persist();
+        return entry;
+    }
+
+    trim_audit_log() {
+        /** Drops the oldest entries beyond MAX_AUDIT_ENTRIES; they can no longer be looked up or reverted. */
+        const excess = this.audit_log.length - ConfigDBManager.MAX_AUDIT_ENTRIES;
+        if (excess > 0) this.audit_log.splice(0, excess);
+    }
+
+    audit_record_change(type, id, before, after) {
+        /** Logs a raw record write (created / updated / deleted), unless nothing changed or a batch covers it. */
+        if (this.audit_batch_depth > 0 || JSON.stringify(before) === JSON.stringify(after)) return null;
+        const action = before === null ? 'created' : (after === null ? 'deleted' : 'updated');
+        return this.record_audit(`${type}.${action}`, { 'type': type, 'id': id }, before, after);
+    }
+
+    load_audit_log(filters = {}) {
+        /** Newest first; filters: { target_type, target_id, action (prefix, e.g. 'thermal.'), limit }. */
+        const entries = this.audit_log.filter(entry =>
+            (!filters.target_type || entry.target.type === filters.target_type)
+            && (!filters.target_id || entry.target.id === filters.target_id)
+            && (!filters.action || entry.action.startsWith(filters.action)));
+        return entries.reverse().slice(0, filters.limit || entries.length);
+    }
+
+    get_audit_entry(entry_id) {
+        return this.audit_log.find(entry => entry.id === entry_id) || null;
+    }
+
+    find_revert_of(entry_id) {
+        return this.audit_log.find(entry => entry.reverts === entry_id) || null;
+    }
+}
+
+ConfigDBManager.SYSTEM_ACTOR = { 'type': 'system', 'id': null };
+ConfigDBManager.METRICS_PERSIST_INTERVAL_MS = 60 * 1000; // Snapshots newer than this are lost if the process dies
+ConfigDBManager.MAX_AUDIT_ENTRIES = 5000; // Keeps the state file bounded; each entry holds before/after copies
+ConfigDBManager.HISTORY_AVERAGES = { '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+ConfigDBManager.HISTORY_FIELDS = ['hashrate', 'temperature', 'power_consumption']; // Charted in the detailed metrics view
+
+ConfigDBManager.SCHEMA_VERSION = 13;
+ConfigDBManager.MIGRATIONS = {
+    // v1 -> v2: VM records gained the Stratum protocol alongside the pool URL.
+    1: (state) => {
+        for (const vm of Object.values(state.vm_collection || {})) {
+            if (!vm.protocol) vm.protocol = /^stratum2\+/.test(vm.pool_url || '') ? 'v2' : 'v1';
+        }
+        return state;
+    },
+    // v2 -> v3: alert rules are stored alongside the rest of the configuration.
+    2: (state) => {
+        state.alert_rule_collection = state.alert_rule_collection || {};
+        state.next_alert_rule_id = state.next_alert_rule_id || 1;
+        return state;
+    },
+    // v3 -> v4: metrics history moved to a tiered time series; restore_state() rebuilds
+    // the rollups from the raw snapshots when metric_series is missing.
+    3: (state) => {
+        state.metric_series = null;
+        return state;
+    },
+    // v4 -> v5: VMs carry a capacity and optional power budget for the rebalancing strategies.
+    4: (state) => {
+        for (const vm of Object.values(state.vm_collection || {})) {
+            if (vm.capacity === undefined) vm.capacity = 1.0;
+            if (vm.power_budget_watts === undefined) vm.power_budget_watts = null;
+        }
+        return state;
+    },
+    // v5 -> v6: profitability settings (tariff, difficulty, payout scheme) are stored.
+    5: (state) => {
+        state.economics_settings = state.economics_settings || {};
+        return state;
+    },
+    // v6 -> v7: workers carry an ordered pool list (primary + failover) with their
+    // own credentials; existing workers get their VM's pool as the only entry.
+    6: (state) => {
+        const vms = state.vm_collection || {};
+        for (const worker of Object.values(state.worker_collection || {})) {
+            if (worker.pools) continue;
+            const vm = vms[worker.current_vm_id];
+            const url = vm && vm.pool_url;
+            worker.pools = url && StratumClient.parse_pool_url(url)
+                ? [{ 'url': url, 'worker_name': worker.id, 'password': 'x' }]
+                : [];
+        }
+        return state;
+    },
+    // v7 -> v8: configuration changes are kept in an append-only audit log.
+    7: (state) => {
+        state.audit_log = state.audit_log || [];
+        state.next_audit_id = state.next_audit_id || 1;
+        return state;
+    },
+    // v8 -> v9: thermal protection policy and the governor's per-worker state.
+    8: (state) => {
+        state.thermal_policy = state.thermal_policy || {};
+        state.thermal_state = state.thermal_state || {};
+        return state;
+    },
+    // v9 -> v10: pool edits made while the dashboard was offline wait in a queue.
+    9: (state) => {
+        state.pending_pool_changes = state.pending_pool_changes || [];
+        state.next_pending_change_id = state.next_pending_change_id || 1;
+        return state;
+    },
+    // v10 -> v11: scheduled operations, their window state and the update cadence.
+    10: (state) => {
+        state.schedule_collection = state.schedule_collection || {};
+        state.schedule_state = state.schedule_state || {};
+        state.scheduler_settings = state.scheduler_settings || {};
+        state.next_schedule_id = state.next_schedule_id || 1;
+        return state;
+    },
+    // v11 -> v12: Stratum V2 pools need their authority key; entries without one are dropped
+    // (the worker keeps its other pools) rather than failing the whole restore.
+    11: (state) => {
+        const keyless_v2 = (pool) => {
+            const target = StratumClient.parse_pool_url(pool.url);
+            return Boolean(target) && target.protocol === 'stratum2' && !PoolConfig.AUTHORITY_KEY.test(target.path);
+        };
+        for (const worker of Object.values(state.worker_collection || {})) {
+            worker.pools = (worker.pools || []).filter(pool => !keyless_v2(pool));
+        }
+        return state;
+    },
+    // v12 -> v13: the rebalancing strategy is a saved setting.
+    12: (state) => {
+        state.rebalance_settings = state.rebalance_settings || {};
+        return state;
+    },
+};
+
+export { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter, JsonFileStorageAdapter, MetricsTimeSeries, ConfigDBManager };
@@ -0,0 +1,166 @@
+// Pluggable rebalancing strategies.
+
+// --- Rebalancing Strategies (Pluggable worker placement policies) ---
+// Strategies work on a plain placement model rather than live objects, so a
+// plan can be computed (and dry-run) without touching any VM:
+//   vm model     = { vm_id, pool_url, capacity, power_budget_watts, is_new, thermal_headroom, workers: [worker model] }
+//   worker model = { worker_id, algorithm, pools: [url], hashrate, power, temperature, thermal_action, load }
+// Loads are normalized per algorithm (MiningVM.hashrate_to_load), so workers of different
+// algorithms can share a VM; a worker only ever moves to a VM on one of its own pools, and
+// never to a VM already at its thermal limit (thermal_headroom <= 0 °C; null = unknown).
+// select_migration() returns { worker, target, reason } where target === null
+// asks the planner for a new VM, or null when nothing sensible can be moved.
+
+class RebalanceStrategy {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    static create(name, options = {}) {
+        /** A registered strategy by name, e.g. create('algorithm-affinity', { mode: 'anti-affinity' }). */
+        if (!Object.hasOwn(RebalanceStrategy.REGISTRY, name)) {
+            throw new Error(`Unknown rebalancing strategy '${name}' (expected ${Object.keys(RebalanceStrategy.REGISTRY).join(', ')})`);
+        }
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) throw new Error('strategy_options must be an object');
+        return new RebalanceStrategy.REGISTRY[name](options);
+    }
+
+    static load(vm) {
+        return vm.workers.reduce((sum, w) => sum + w.load, 0);
+    }
+
+    static power(vm) {
+        return vm.workers.reduce((sum, w) => sum + w.power, 0);
+    }
+
+    static load_limit(vm, context) {
+        return context.threshold * vm.capacity;
+    }
+
+    is_overloaded(vm, context) {
+        return RebalanceStrategy.load(vm) > RebalanceStrategy.load_limit(vm, context);
+    }
+
+    static mines_on(target, worker) {
+        /** Whether the target's pool is one the worker can mine on (i.e. same coin and algorithm). */
+        return worker.pools.includes(target.pool_url);
+    }
+
+    fits(target, worker, context) {
+        /** Whether the target is on the worker's pool, not running hot, and can take it without becoming overloaded. */
+        return RebalanceStrategy.mines_on(target, worker)
+            && (typeof target.thermal_headroom !== 'number' || target.thermal_headroom > 0)
+            && RebalanceStrategy.load(target) + worker.load <= RebalanceStrategy.load_limit(target, context);
+    }
+
+    select_migration(source, movable_workers, targets, context) {
+        throw new Error(`${this.constructor.name} does not implement select_migration()`);
+    }
+}
+
+class LeastLoadedStrategy extends RebalanceStrategy {
+    /** Moves the heaviest worker to the least-loaded VM that can absorb it. */
+    select_migration(source, movable_workers, targets, context) {
+        if (movable_workers.length === 0) return null;
+        const worker = movable_workers.reduce((max, w) => (w.load > max.load ? w : max), movable_workers[0]);
+        const candidates = targets
+            .filter(vm => this.fits(vm, worker, context))
+            .sort((a, b) => RebalanceStrategy.load(a) - RebalanceStrategy.load(b));
+        return { worker, target: candidates[0] || null, reason: 'heaviest worker to least-loaded VM' };
+    }
+}
+
+class BinPackingStrategy extends RebalanceStrategy {
+    /**
+     * Best-fit decreasing by capacity: tries workers from largest to smallest and
+     * places the first one that fits on the VM with the least room left after the
+     * move, keeping the remaining VMs as empty as possible.
+     */
+    select_migration(source, movable_workers, targets, context) {
+        const ordered = [...movable_workers].sort((a, b) => b.load - a.load);
+        for (const worker of ordered) {
+            let best = null;
+            let best_room = Infinity;
+            for (const vm of targets) {
+                if (!this.fits(vm, worker, context)) continue;
+                const room = RebalanceStrategy.load_limit(vm, context) - RebalanceStrategy.load(vm) - worker.load;
+                if (room < best_room) {
+                    best = vm;
+                    best_room = room;
+                }
+            }
+            if (best) return { worker, target: best, reason: 'best fit by remaining capacity' };
+        }
+        return ordered.length ? { worker: ordered[0], target: null, reason: 'no VM has room for any worker' } : null;
+    }
+}
+
+class PowerBudgetStrategy extends RebalanceStrategy {
+    /**
+     * Respects each VM's power_budget_watts (null = unlimited): a VM over budget
+     * counts as overloaded, and a move is only allowed where the worker's draw
+     * fits the target's remaining budget. Prefers the target with most headroom.
+     */
+    static headroom(vm) {
+        return vm.power_budget_watts === null ? Infinity : vm.power_budget_watts - RebalanceStrategy.power(vm);
+    }
+
+    is_overloaded(vm, context) {
+        return super.is_overloaded(vm, context) || PowerBudgetStrategy.headroom(vm) < 0;
+    }
+
+    fits(target, worker, context) {
+        return super.fits(target, worker, context) && PowerBudgetStrategy.headroom(target) >= worker.power;
+    }
+
+    select_migration(source, movable_workers, targets, context) {
+        if (movable_workers.length === 0) return null;
+        const worker = movable_workers.reduce((max, w) => (w.power > max.power ? w : max), movable_workers[0]);
+        const candidates = targets
+            .filter(vm => this.fits(vm, worker, context))
+            .sort((a, b) => PowerBudgetStrategy.headroom(b) - PowerBudgetStrategy.headroom(a));
+        return { worker, target: candidates[0] || null, reason: 'highest-draw worker to VM with most power headroom' };
+    }
+}
+
+class AlgorithmAffinityStrategy extends RebalanceStrategy {
+    /**
+     * options.mode = 'affinity' keeps algorithms together (prefers VMs already
+     * running the worker's algorithm, falling back to any VM); 'anti-affinity'
+     * spreads them (never places a worker next to one with the same algorithm).
+     */
+    constructor(options = {}) {
+        super(options);
+        if (options.mode !== undefined && !AlgorithmAffinityStrategy.MODES.includes(options.mode)) {
+            throw new Error(`mode must be one of ${AlgorithmAffinityStrategy.MODES.join(', ')} (got '${options.mode}')`);
+        }
+    }
+
+    select_migration(source, movable_workers, targets, context) {
+        if (movable_workers.length === 0) return null;
+        const mode = this.options.mode || 'affinity';
+        const worker = movable_workers.reduce((max, w) => (w.load > max.load ? w : max), movable_workers[0]);
+        const shares_algorithm = (vm) => vm.workers.some(w => w.algorithm === worker.algorithm);
+        const by_load = (a, b) => RebalanceStrategy.load(a) - RebalanceStrategy.load(b);
+        const fitting = targets.filter(vm => this.fits(vm, worker, context));
+
+        if (mode === 'anti-affinity') {
+            const allowed = fitting.filter(vm => !shares_algorithm(vm)).sort(by_load);
+            return { worker, target: allowed[0] || null, reason: `anti-affinity for ${worker.algorithm}` };
+        }
+        const preferred = fitting.filter(shares_algorithm).sort(by_load);
+        const fallback = fitting.sort(by_load);
+        return { worker, target: preferred[0] || fallback[0] || null, reason: `affinity for ${worker.algorithm}` };
+    }
+}
+
+AlgorithmAffinityStrategy.MODES = ['affinity', 'anti-affinity'];
+
+RebalanceStrategy.REGISTRY = { // Names used in the rebalance settings and the API
+    'least-loaded': LeastLoadedStrategy,
+    'bin-packing': BinPackingStrategy,
+    'power-budget': PowerBudgetStrategy,
+    'algorithm-affinity': AlgorithmAffinityStrategy
+};
+
+export { RebalanceStrategy, LeastLoadedStrategy, BinPackingStrategy, PowerBudgetStrategy, AlgorithmAffinityStrategy };
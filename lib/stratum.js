@@ -0,0 +1,614 @@
+// Stratum V1: transports, pool configuration and the JSON-RPC client.
+
+import { node_require } from './platform.js';
+
+// --- Stratum Transports (Line-oriented JSON over WebSocket bridge or raw TCP) ---
+class WebSocketBridgeTransport {
+    /**
+     * Browsers cannot open raw TCP sockets, so Stratum traffic is tunnelled through
+     * a WebSocket-to-TCP bridge. The bridge is told which pool to dial via the
+     * `pool` query parameter and relays the byte stream in both directions:
+     * newline-delimited JSON for V1, binary frames for V2.
+     */
+    constructor(bridge_url, pool_url, binary = false) {
+        this.bridge_url = bridge_url;
+        this.pool_url = pool_url;
+        this.binary = binary;
+        this.socket = null;
+    }
+
+    open(handlers) {
+        const separator = this.bridge_url.includes('?') ? '&' : '?';
+        this.socket = new WebSocket(`${this.bridge_url}${separator}pool=${encodeURIComponent(this.pool_url)}`);
+        if (this.binary) this.socket.binaryType = 'arraybuffer';
+        this.socket.onopen = () => handlers.on_open();
+        this.socket.onmessage = (event) => handlers.on_data(this.binary ? new Uint8Array(event.data) : event.data);
+        this.socket.onclose = () => handlers.on_close();
+        this.socket.onerror = (event) => handlers.on_error(event);
+    }
+
+    send(line) {
+        this.socket.send(line);
+    }
+
+    close() {
+        if (this.socket) this.socket.close();
+    }
+}
+
+class TcpTransport {
+    /** Direct TCP (or TLS, for stratum+ssl) connection to the pool, only available when running under Node.js. */
+    constructor(host, port, binary = false, tls = false) {
+        this.host = host;
+        this.port = port;
+        this.binary = binary;
+        this.tls = tls;
+        this.socket = null;
+    }
+
+    open(handlers) {
+        this.socket = this.tls
+            ? node_require('tls').connect({ host: this.host, port: this.port, servername: this.host }, () => handlers.on_open())
+            : node_require('net').createConnection({ host: this.host, port: this.port }, () => handlers.on_open());
+        if (!this.binary) this.socket.setEncoding('utf8');
+        this.socket.on('data', (chunk) => handlers.on_data(chunk));
+        this.socket.on('close', () => handlers.on_close());
+        this.socket.on('error', (err) => handlers.on_error(err));
+    }
+
+    send(line) {
+        this.socket.write(line);
+    }
+
+    close() {
+        // destroy(), not end(): a half-close waits for a peer that may be gone, and 'close' would never fire
+        if (this.socket) this.socket.destroy();
+    }
+}
+
+
+// --- Pool Configuration (Validated URL, credentials and failover order) ---
+class PoolConfig {
+    /**
+     * One pool a worker can mine on: the pool URL plus the worker name and
+     * password sent when authorizing. Workers keep an ordered list of these,
+     * primary first, followed by the failover pools.
+     */
+    constructor({ url, worker_name, password = 'x' } = {}) {
+        this.url = PoolConfig.validate_url(url);
+        this.worker_name = PoolConfig.validate_worker_name(worker_name);
+        this.password = password === null || password === '' ? 'x' : String(password);
+    }
+
+    static validate_url(url) {
+        const trimmed = typeof url === 'string' ? url.trim() : '';
+        const target = StratumClient.parse_pool_url(trimmed);
+        if (!target) throw new Error(`Invalid pool URL '${url}' (expected scheme://host[:port])`);
+        const scheme = `${target.protocol}+${target.scheme}`;
+        if (!PoolConfig.SCHEMES.includes(scheme)) {
+            throw new Error(`Unsupported pool scheme '${scheme}' (expected ${PoolConfig.SCHEMES.join(', ')})`);
+        }
+        if (target.port < 1 || target.port > 65535) throw new Error(`Invalid pool port ${target.port}`);
+        // Without the pool's authority key a V2 pool can't be authenticated, so anyone on the path could pose as it
+        if (target.protocol === 'stratum2' && !PoolConfig.AUTHORITY_KEY.test(target.path)) {
+            throw new Error(`Stratum V2 pool URL '${url}' needs the pool's authority key (stratum2+tcp://host:port/<authority_key>)`);
+        }
+        return trimmed;
+    }
+
+    static validate_worker_name(worker_name) {
+        // Pools expect "account" or "account.worker"; whitespace and quotes would break the login
+        const trimmed = typeof worker_name === 'string' ? worker_name.trim() : '';
+        if (!/^[A-Za-z0-9_\-@+]+(\.[A-Za-z0-9_\-@+]+)*$/.test(trimmed) || trimmed.length > 128) {
+            throw new Error(`Invalid worker name '${worker_name}'`);
+        }
+        return trimmed;
+    }
+
+    static list_from(entries, default_worker_name) {
+        /** Validates an ordered pool list; entries are URLs or { url, worker_name, password }. */
+        if (!Array.isArray(entries) || entries.length === 0) throw new Error('At least one pool is required');
+        const pools = entries.map(entry => (typeof entry === 'string'
+            ? new PoolConfig({ 'url': entry, 'worker_name': default_worker_name })
+            : new PoolConfig({ ...entry, 'worker_name': entry.worker_name || default_worker_name })));
+        const urls = pools.map(pool => pool.url);
+        const duplicate = urls.find((url, i) => urls.indexOf(url) !== i);
+        if (duplicate) throw new Error(`Pool ${duplicate} is listed more than once`);
+        return pools;
+    }
+
+    to_json() {
+        return { 'url': this.url, 'worker_name': this.worker_name, 'password': this.password };
+    }
+}
+
+PoolConfig.SCHEMES = ['stratum+tcp', 'stratum+ssl', 'stratum2+tcp'];
+PoolConfig.AUTHORITY_KEY = /^([0-9a-fA-F]{64}|[1-9A-HJ-NP-Za-km-z]{40,60})\/*$/; // Hex or base58check
+
+
+// --- Pool Session (What the V1 and V2 clients share) ---
+class PoolSession {
+    /**
+     * Base of StratumClient and StratumV2Client. Subclasses keep authorize_waiters
+     * (worker_name -> [resolve]) and implement has_pending_requests() and disconnect().
+     */
+    graceful_disconnect(timeout_ms = StratumClient.GRACEFUL_TIMEOUT_MS) {
+        return this.disconnect_when_idle(timeout_ms);
+    }
+
+    disconnect_when_idle(timeout_ms) {
+        /** Lets in-flight requests (e.g. share submits) settle, up to timeout_ms, before disconnecting. */
+        const started = Date.now();
+        return new Promise(resolve => {
+            const check = () => {
+                if (!this.has_pending_requests() || Date.now() - started >= timeout_ms) {
+                    this.disconnect();
+                    resolve();
+                } else {
+                    setTimeout(check, 100);
+                }
+            };
+            check();
+        });
+    }
+
+    wait_for_authorization(worker_name) {
+        /** Resolves with the worker's authorization once the session can send it (false if it closes first). */
+        return new Promise(resolve => (this.authorize_waiters[worker_name] = this.authorize_waiters[worker_name] || []).push(resolve));
+    }
+
+    settle_authorization(worker_name, result) {
+        for (const resolve of this.authorize_waiters[worker_name] || []) resolve(result);
+        delete this.authorize_waiters[worker_name];
+    }
+}
+
+
+// --- Stratum Client (Communication Management) ---
+class StratumClient extends PoolSession {
+    /**
+     * Handles the persistent connection and communication with a mining pool
+     * using the Stratum V1 JSON-RPC protocol.
+     *
+     * Options:
+     *   transport   - pre-built transport (e.g. one pointed at a local mock pool)
+     *   bridge_url  - WebSocket bridge used in the browser
+     *   user_agent  - sent with mining.subscribe
+     *   on_failure  - called once with (reason) when the pool is given up on: reconnects
+     *                 are exhausted or subscribing fails. A rejected worker is not a pool
+     *                 failure; it is only left unauthorized in authorized_workers
+     *   on_state_change(state, detail)
+     *   reconnect   - { base_ms, max_ms, max_attempts } exponential backoff between reconnects
+     *   stale_after_ms - no mining.notify for this long marks the connection stale;
+     *                 twice as long forces a reconnect
+     *   request_timeout_ms - a request unanswered this long fails and the connection is
+     *                 treated as dead (closed, then reconnected)
+     *
+     * States: connecting -> subscribed -> authorized (<-> stale) -> disconnected,
+     * and back to connecting while reconnect attempts remain.
+     */
+    constructor(pool_url, vm, options = {}) {
+        super();
+        this.pool_url = pool_url;
+        this.vm = vm;
+        this.options = options;
+        this.user_agent = options.user_agent || StratumClient.USER_AGENT;
+        this.protocol = 'v1';
+        this.reconnect = { ...StratumClient.RECONNECT, ...options.reconnect };
+        this.stale_after_ms = options.stale_after_ms || StratumClient.STALE_AFTER_MS;
+        this.request_timeout_ms = options.request_timeout_ms || StratumClient.REQUEST_TIMEOUT_MS;
+
+        this.state = 'disconnected';
+        this.state_detail = null;
+        this.connected_since = null;  // When the current session subscribed (for uptime)
+        this.last_job_at = null;
+        this.latency_ms = null;       // Smoothed request -> response round trip
+        this.reconnect_attempts = 0;
+        this.reconnect_timer = null;
+        this.health_timer = null;
+
+        this.next_request_id = 1;
+        this.pending_requests = {};  // request id -> { method, resolve, reject, sent_at, timer }
+        this.receive_buffer = '';
+
+        this.connected = false;
+        this.closing = false;        // Set by disconnect() so our own close isn't reported as a failure
+        this.failed = false;
+        this.subscription = null;    // { subscriptions, extranonce1, extranonce2_size }
+        this.difficulty = 1;
+        this.current_job = null;
+        this.jobs = {};              // job_id -> job, cleared whenever the pool sends clean_jobs
+        this.worker_credentials = {}; // worker name -> password, authorized once subscribed
+        this.authorized_workers = {};
+        this.authorize_waiters = {};  // worker name -> [resolve], for authorize() calls made before subscribing
+        this.share_stats = {};       // worker name -> { accepted, rejected }
+
+        this.connection = this.connect_to_pool();
+    }
+
+    static is_stratum_url(url) {
+        return typeof url === 'string' && /^stratum\+(tcp|ssl):\/\/[^\s:/]+(:\d+)?/.test(url);
+    }
+
+    static parse_pool_url(url) {
+        /** Splits a stratum+tcp://host:port or stratum2+tcp://host:port/authority_key URL into its parts. */
+        const match = /^(stratum2?)\+(tcp|ssl):\/\/([^\s:/]+)(?::(\d+))?(?:\/(\S*))?$/.exec(url);
+        if (!match) return null;
+        const default_port = match[1] === 'stratum2' ? 34254 : 3333;
+        return {
+            protocol: match[1],
+            scheme: match[2],
+            host: match[3],
+            port: match[4] ? parseInt(match[4], 10) : default_port,
+            path: match[5] || ''
+        };
+    }
+
+    static create_transport(pool_url, options = {}) {
+        /**
+         * Picks the transport available in the current runtime: a direct socket under Node.js
+         * (which also has a global WebSocket since Node 22), the WebSocket bridge in browsers.
+         */
+        if (node_require) {
+            const target = StratumClient.parse_pool_url(pool_url);
+            return new TcpTransport(target.host, target.port, options.binary, target.scheme === 'ssl');
+        }
+        if (typeof WebSocket !== 'undefined') {
+            return new WebSocketBridgeTransport(options.bridge_url || StratumClient.DEFAULT_BRIDGE_URL, pool_url, options.binary);
+        }
+        return null;
+    }
+
+    connect_to_pool() {
+        if (!StratumClient.is_stratum_url(this.pool_url) && !this.options.transport) {
+            console.warn(`VM ${this.vm.vm_id}: '${this.pool_url}' is not a Stratum V1 URL, staying offline.`);
+            return null;
+        }
+
+        const transport = this.options.transport || StratumClient.create_transport(this.pool_url, this.options);
+        if (!transport) {
+            console.error(`VM ${this.vm.vm_id}: No Stratum transport available in this environment.`);
+            return null;
+        }
+
+        this.set_state('connecting', this.pool_url);
+        transport.open({
+            on_open: () => this.handle_open(),
+            on_data: (chunk) => this.handle_data(chunk),
+            on_close: () => {
+                if (this.connection !== transport) return; // A connection we already replaced
+                const established = this.subscription !== null;
+                this.handle_close();
+                this.schedule_reconnect(established ? 'connection lost' : 'connection failed');
+            },
+            on_error: (err) => console.error(`VM ${this.vm.vm_id}: Stratum transport error`, err),
+        });
+        return transport;
+    }
+
+    disconnect() {
+        /** Closes the pool connection and fails any requests still waiting for a reply. */
+        this.closing = true;
+        clearTimeout(this.reconnect_timer);
+        if (this.connection) this.connection.close();
+        this.handle_close();
+    }
+
+    set_state(state, detail = null) {
+        if (state === this.state && detail === this.state_detail) return;
+        this.state = state;
+        this.state_detail = detail;
+        console.log(`VM ${this.vm.vm_id}: Stratum ${state}${detail ? ` (${detail})` : ''}.`);
+        if (this.options.on_state_change) this.options.on_state_change(state, detail);
+    }
+
+    static backoff_delay(attempt, reconnect) {
+        /** base * 2^attempt, capped, with +-20% jitter so a fleet doesn't reconnect in lockstep. */
+        const delay = Math.min(reconnect.max_ms, reconnect.base_ms * 2 ** attempt);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    schedule_reconnect(reason) {
+        /** Retries the same pool with exponential backoff, then gives it up (see on_failure). */
+        if (this.closing || this.failed) return;
+        if (this.reconnect_attempts >= this.reconnect.max_attempts) {
+            this.report_failure(`${reason} after ${this.reconnect_attempts} reconnect attempt(s)`);
+            return;
+        }
+        const delay = StratumClient.backoff_delay(this.reconnect_attempts++, this.reconnect);
+        this.set_state('disconnected', `${reason}, reconnecting in ${(delay / 1000).toFixed(1)}s`);
+        this.reconnect_timer = setTimeout(() => {
+            this.reconnect_timer = null;
+            if (!this.closing) this.connection = this.connect_to_pool();
+        }, delay);
+    }
+
+    check_health(now = Date.now()) {
+        /** Stale-job detection: pools send work at least every minute or so on a healthy connection. */
+        if (!this.subscription) return;
+        const silent_ms = now - (this.last_job_at || this.connected_since);
+        if (silent_ms > 2 * this.stale_after_ms) {
+            console.warn(`VM ${this.vm.vm_id}: No job from ${this.pool_url} for ${Math.round(silent_ms / 1000)}s, reconnecting.`);
+            this.connection.close(); // on_close schedules the reconnect
+        } else if (silent_ms > this.stale_after_ms && this.state !== 'stale') {
+            this.set_state('stale', `no new job for ${Math.round(silent_ms / 1000)}s`);
+        }
+    }
+
+    get_uptime_ms(now = Date.now()) {
+        return this.connected_since === null ? 0 : now - this.connected_since;
+    }
+
+    settled_state() {
+        /** The state a healthy subscribed session is in. */
+        return Object.values(this.authorized_workers).some(Boolean) ? 'authorized' : 'subscribed';
+    }
+
+    report_failure(reason) {
+        /** Tells the owner (once) that this pool is unusable so it can fail over. */
+        if (this.closing || this.failed) return;
+        this.failed = true;
+        for (const name of Object.keys(this.authorize_waiters)) this.settle_authorization(name, false);
+        console.warn(`VM ${this.vm.vm_id}: Pool ${this.pool_url} failed: ${reason}.`);
+        if (this.options.on_failure) this.options.on_failure(reason);
+    }
+
+    has_pending_requests() {
+        return Object.keys(this.pending_requests).length > 0;
+    }
+
+    // --- Connection Events ---
+    handle_open() {
+        this.connected = true;
+        console.log(`VM ${this.vm.vm_id}: Connected to ${this.pool_url}.`);
+        this.subscribe()
+            .then(() => Promise.all(
+                Object.keys(this.worker_credentials).map(name => this.send_authorize(name))
+            ))
+            .catch(err => {
+                console.error(`VM ${this.vm.vm_id}: Stratum handshake failed: ${err.message}`);
+                // A dropped or unresponsive connection is retried by on_close; a refusal from the pool is final
+                if (this.connected && this.subscription === null && !err.timed_out) this.report_failure(`subscribe failed: ${err.message}`);
+            });
+    }
+
+    handle_close() {
+        clearInterval(this.health_timer);
+        this.health_timer = null;
+        this.set_state('disconnected', this.closing ? 'closed' : null);
+        if (this.closing || this.failed) {
+            // No further attempt will be made on this client
+            for (const worker_name of Object.keys(this.authorize_waiters)) this.settle_authorization(worker_name, false);
+        }
+        if (!this.connected && this.subscription === null) return;
+        this.connected = false;
+        this.subscription = null;
+        this.connected_since = null;
+        this.receive_buffer = '';
+        this.authorized_workers = {};
+        for (const [id, pending] of Object.entries(this.pending_requests)) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Connection closed before ${pending.method} completed`));
+            delete this.pending_requests[id];
+        }
+        console.log(`VM ${this.vm.vm_id}: Disconnected from ${this.pool_url}.`);
+    }
+
+    handle_data(chunk) {
+        /** Stratum frames are newline-delimited; a chunk may hold several or only part of one. */
+        this.receive_buffer += chunk;
+        const lines = this.receive_buffer.split('\n');
+        this.receive_buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim() === '') continue;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (err) {
+                console.error(`VM ${this.vm.vm_id}: Ignoring malformed Stratum message: ${line}`);
+                continue;
+            }
+            this.handle_message(message);
+        }
+    }
+
+    handle_message(message) {
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+            console.error(`VM ${this.vm.vm_id}: Ignoring Stratum message that is not an object: ${JSON.stringify(message)}`);
+            return;
+        }
+        // Responses carry the id of our request; notifications carry a method instead.
+        if (message.id !== null && message.id !== undefined && this.pending_requests[message.id]) {
+            const pending = this.pending_requests[message.id];
+            delete this.pending_requests[message.id];
+            clearTimeout(pending.timer);
+            const sample = Date.now() - pending.sent_at;
+            this.latency_ms = this.latency_ms === null ? sample : Math.round(0.8 * this.latency_ms + 0.2 * sample);
+            if (message.error) {
+                const [code, text] = Array.isArray(message.error) ? message.error : [null, String(message.error)];
+                const error = new Error(text || 'Unknown Stratum error');
+                error.code = code;
+                pending.reject(error);
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        if (!Array.isArray(message.params)) {
+            console.error(`VM ${this.vm.vm_id}: Ignoring Stratum notification without a params array: ${JSON.stringify(message)}`);
+            return;
+        }
+        switch (message.method) {
+            case 'mining.set_difficulty':
+                this.handle_set_difficulty(message.params);
+                break;
+            case 'mining.notify':
+                this.handle_notify(message.params);
+                break;
+            case 'mining.set_extranonce': {
+                const [extranonce1, extranonce2_size] = message.params;
+                if (typeof extranonce1 !== 'string' || !Number.isInteger(extranonce2_size) || extranonce2_size < 0) {
+                    console.error(`VM ${this.vm.vm_id}: Ignoring malformed mining.set_extranonce: ${JSON.stringify(message.params)}`);
+                } else if (this.subscription) {
+                    this.subscription.extranonce1 = extranonce1;
+                    this.subscription.extranonce2_size = extranonce2_size;
+                }
+                break;
+            }
+            case 'client.show_message':
+                console.log(`Pool message (${this.pool_url}): ${String(message.params[0])}`);
+                break;
+            default:
+                console.warn(`VM ${this.vm.vm_id}: Unhandled Stratum message`, message);
+        }
+    }
+
+    // --- JSON-RPC Plumbing ---
+    send_request(method, params) {
+        /**
+         * Sends a request and returns a Promise for the pool's result. A pool that does not
+         * answer within request_timeout_ms is assumed gone: the request fails with
+         * err.timed_out set and the connection is closed, which schedules a reconnect.
+         */
+        if (!this.connected) {
+            return Promise.reject(new Error(`Not connected to ${this.pool_url}`));
+        }
+        const id = this.next_request_id++;
+        const connection = this.connection;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (!this.pending_requests[id]) return;
+                delete this.pending_requests[id];
+                const error = new Error(`${method} got no reply from ${this.pool_url} within ${this.request_timeout_ms} ms`);
+                error.timed_out = true;
+                reject(error);
+                console.warn(`VM ${this.vm.vm_id}: ${error.message}, closing the connection.`);
+                if (this.connection === connection) connection.close();
+            }, this.request_timeout_ms);
+            this.pending_requests[id] = { method, resolve, reject, 'sent_at': Date.now(), timer };
+            connection.send(JSON.stringify({ id, method, params }) + '\n');
+        });
+    }
+
+    // --- Stratum V1 Methods ---
+    subscribe() {
+        return this.send_request('mining.subscribe', [this.user_agent]).then(result => {
+            const [subscriptions, extranonce1, extranonce2_size] = result;
+            this.subscription = { subscriptions, extranonce1, extranonce2_size };
+            this.connected_since = Date.now();
+            this.reconnect_attempts = 0;
+            this.health_timer = setInterval(() => this.check_health(), StratumClient.HEALTH_CHECK_MS);
+            console.log(`VM ${this.vm.vm_id}: Subscribed (extranonce1=${extranonce1}, extranonce2_size=${extranonce2_size}).`);
+            this.set_state('subscribed');
+            return this.subscription;
+        });
+    }
+
+    authorize(worker_name, password = 'x') {
+        /**
+         * Registers a worker on this connection; it is sent now if subscribed, otherwise
+         * after subscribing. Resolves with the pool's answer (false if this client closes first).
+         */
+        this.worker_credentials[worker_name] = password;
+        if (!this.subscription) return this.wait_for_authorization(worker_name);
+        return this.send_authorize(worker_name);
+    }
+
+    send_authorize(worker_name) {
+        /**
+         * A rejected login is that worker's problem, not the pool's: the worker is left
+         * unauthorized (and tried again after the next reconnect) while the VM's other
+         * workers keep mining here. Transport errors are left to the reconnect logic.
+         */
+        return this.send_request('mining.authorize', [worker_name, this.worker_credentials[worker_name]])
+            .then(result => result === true, err => {
+                // Pools answer a bad login with false or with an error such as 24 "Unauthorized worker"
+                if (err.code === undefined) throw err;
+                console.warn(`VM ${this.vm.vm_id}: Pool refused worker ${worker_name}: ${err.message}`);
+                return false;
+            })
+            .then(authorized => {
+                this.authorized_workers[worker_name] = authorized;
+                console.log(`VM ${this.vm.vm_id}: Worker ${worker_name} ${authorized ? 'authorized' : 'rejected'} by pool.`);
+                this.settle_authorization(worker_name, authorized);
+                if (this.state !== 'stale') this.set_state(this.settled_state());
+                return authorized;
+            });
+    }
+
+    release_worker(worker_name) {
+        /**
+         * Forgets a worker that moved to another connection. Stratum V1 has no
+         * unauthorize, so this just stops the worker being re-authorized here.
+         */
+        delete this.worker_credentials[worker_name];
+        delete this.authorized_workers[worker_name];
+        if (this.state === 'authorized') this.set_state(this.settled_state());
+    }
+
+    handle_set_difficulty(params) {
+        if (!(typeof params[0] === 'number' && Number.isFinite(params[0]) && params[0] > 0)) {
+            console.error(`VM ${this.vm.vm_id}: Ignoring invalid pool difficulty: ${JSON.stringify(params[0])}`);
+            return;
+        }
+        this.difficulty = params[0];
+        console.log(`VM ${this.vm.vm_id}: Pool difficulty set to ${this.difficulty}.`);
+    }
+
+    handle_notify(params) {
+        const [job_id, prevhash, coinb1, coinb2, merkle_branch, version, nbits, ntime, clean_jobs] = params;
+        if (typeof job_id !== 'string' || job_id === '') {
+            console.error(`VM ${this.vm.vm_id}: Ignoring mining.notify without a job id: ${JSON.stringify(params)}`);
+            return;
+        }
+        if (clean_jobs) this.jobs = {};
+        this.current_job = {
+            job_id, prevhash, coinb1, coinb2, merkle_branch, version, nbits, ntime, clean_jobs,
+            'difficulty': this.difficulty,
+            'received_at': new Date().toISOString()
+        };
+        this.jobs[job_id] = this.current_job;
+        this.last_job_at = Date.now();
+        if (this.state === 'stale') this.set_state(this.settled_state());
+        console.log(`VM ${this.vm.vm_id}: New job ${job_id}${clean_jobs ? ' (clean)' : ''}.`);
+    }
+
+    submit_share(worker_name, job_id, extranonce2, ntime, nonce) {
+        /** Submits a share and resolves to true when the pool accepts it. */
+        if (!this.authorized_workers[worker_name]) {
+            return Promise.reject(new Error(`Worker ${worker_name} is not authorized on ${this.pool_url}`));
+        }
+        const stats = this.get_share_stats(worker_name);
+        return this.send_request('mining.submit', [worker_name, job_id, extranonce2, ntime, nonce])
+            .then(result => {
+                if (result === true) stats.accepted++;
+                else stats.rejected++;
+                return result === true;
+            }, err => {
+                // Rejections arrive as JSON-RPC errors (e.g. 21 "Job not found", 23 "Low difficulty share");
+                // anything without a code is a transport failure, not a pool verdict.
+                if (err.code === undefined) throw err;
+                stats.rejected++;
+                console.warn(`VM ${this.vm.vm_id}: Share from ${worker_name} rejected: ${err.message}`);
+                return false;
+            });
+    }
+
+    get_share_stats(worker_name) {
+        if (!this.share_stats[worker_name]) {
+            this.share_stats[worker_name] = { 'accepted': 0, 'rejected': 0 };
+        }
+        return this.share_stats[worker_name];
+    }
+}
+
+StratumClient.USER_AGENT = 'vdi-manager/1.0';
+StratumClient.DEFAULT_BRIDGE_URL = 'ws://localhost:8765/stratum';
+StratumClient.GRACEFUL_TIMEOUT_MS = 5000;
+StratumClient.RECONNECT = { 'base_ms': 1000, 'max_ms': 60000, 'max_attempts': 3 };
+StratumClient.STALE_AFTER_MS = 2 * 60 * 1000;
+StratumClient.HEALTH_CHECK_MS = 5000;
+StratumClient.REQUEST_TIMEOUT_MS = 30000;
+
+export { WebSocketBridgeTransport, TcpTransport, PoolConfig, PoolSession, StratumClient };
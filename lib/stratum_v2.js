@@ -0,0 +1,1020 @@
+// Stratum V2: cryptography, Noise NX handshake, binary codec and client.
+
+import { node_require } from './platform.js';
+import { PoolSession, StratumClient } from './stratum.js';
+
+// --- Stratum V2 Cryptography ---
+class Sv2Crypto {
+    /**
+     * Primitives required by the Stratum V2 Noise handshake
+     * (Noise_NX_Secp256k1+EllSwift_ChaChaPoly_SHA256). SHA-256, HMAC, ChaCha20-Poly1305
+     * and the secp256k1 key pair / ECDH come from Node's crypto (OpenSSL), so private and
+     * session keys never go through JS arithmetic. WebCrypto has neither secp256k1 nor
+     * ChaCha20-Poly1305, so Stratum V2 needs Node.js (the daemon).
+     *
+     * The BigInt code further down only ever sees public values: the ElligatorSwift
+     * encoding of public keys and the BIP340 check of the pool's certificate.
+     */
+
+    // --- Byte helpers ---
+    static concat_bytes(...parts) {
+        const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let offset = 0;
+        for (const p of parts) {
+            out.set(p, offset);
+            offset += p.length;
+        }
+        return out;
+    }
+
+    static bytes_to_hex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static hex_to_bytes(hex) {
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return out;
+    }
+
+    static bytes_to_bigint(bytes) {
+        return bytes.length === 0 ? 0n : BigInt('0x' + Sv2Crypto.bytes_to_hex(bytes));
+    }
+
+    static bigint_to_bytes(value, length = 32) {
+        return Sv2Crypto.hex_to_bytes(value.toString(16).padStart(length * 2, '0'));
+    }
+
+    static random_bytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    static node_crypto() {
+        /** Node's crypto module; throws where it is missing (browsers). */
+        if (!node_require) throw new Error('Stratum V2 needs Node.js crypto (secp256k1, ChaCha20-Poly1305); run the daemon');
+        return node_require('crypto');
+    }
+
+    // --- SHA-256 / HMAC / HKDF ---
+    static sha256(data) {
+        return new Uint8Array(Sv2Crypto.node_crypto().createHash('sha256').update(data).digest());
+    }
+
+    static hmac_sha256(key, data) {
+        return new Uint8Array(Sv2Crypto.node_crypto().createHmac('sha256', key).update(data).digest());
+    }
+
+    static hkdf2(chaining_key, input_key_material) {
+        /** The two-output HKDF used by Noise's MixKey and Split. */
+        const temp_key = Sv2Crypto.hmac_sha256(chaining_key, input_key_material);
+        const out1 = Sv2Crypto.hmac_sha256(temp_key, Uint8Array.of(0x01));
+        const out2 = Sv2Crypto.hmac_sha256(temp_key, Sv2Crypto.concat_bytes(out1, Uint8Array.of(0x02)));
+        return [out1, out2];
+    }
+
+    static tagged_hash(tag, data) {
+        const tag_hash = Sv2Crypto.sha256(new TextEncoder().encode(tag));
+        return Sv2Crypto.sha256(Sv2Crypto.concat_bytes(tag_hash, tag_hash, data));
+    }
+
+    // --- ChaCha20-Poly1305 (RFC 8439) ---
+    static aead_encrypt(key, nonce, ad, plaintext) {
+        const cipher = Sv2Crypto.node_crypto().createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+        cipher.setAAD(ad, { plaintextLength: plaintext.length });
+        return Sv2Crypto.concat_bytes(cipher.update(plaintext), cipher.final(), cipher.getAuthTag());
+    }
+
+    static aead_decrypt(key, nonce, ad, sealed) {
+        if (sealed.length < 16) throw new Error('Ciphertext shorter than the authentication tag');
+        const ciphertext = sealed.subarray(0, sealed.length - 16);
+        const decipher = Sv2Crypto.node_crypto().createDecipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+        decipher.setAAD(ad, { plaintextLength: ciphertext.length });
+        decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+        const plaintext = decipher.update(ciphertext);
+        try {
+            return Sv2Crypto.concat_bytes(plaintext, decipher.final());
+        } catch {
+            throw new Error('Authentication tag mismatch');
+        }
+    }
+
+    // --- secp256k1 field and group arithmetic (public values only) ---
+    static mod(a, m = Sv2Crypto.P) {
+        const r = a % m;
+        return r >= 0n ? r : r + m;
+    }
+
+    static pow_mod(base, exponent, m = Sv2Crypto.P) {
+        let result = 1n;
+        base = Sv2Crypto.mod(base, m);
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % m;
+            base = (base * base) % m;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    static inv(a, m = Sv2Crypto.P) {
+        return Sv2Crypto.pow_mod(a, m - 2n, m);
+    }
+
+    static sqrt(a) {
+        /** Square root in GF(p), or null when a is not a quadratic residue (p = 3 mod 4). */
+        const root = Sv2Crypto.pow_mod(a, (Sv2Crypto.P + 1n) / 4n);
+        return Sv2Crypto.mod(root * root) === Sv2Crypto.mod(a) ? root : null;
+    }
+
+    static is_valid_x(x) {
+        return Sv2Crypto.sqrt(x * x * x + 7n) !== null;
+    }
+
+    static lift_x(x) {
+        /** The curve point with the given x coordinate and even y, or null. */
+        const y = Sv2Crypto.sqrt(x * x * x + 7n);
+        if (y === null) return null;
+        return [x, y & 1n ? Sv2Crypto.P - y : y];
+    }
+
+    static point_add(p1, p2) {
+        // Affine points as [x, y]; null is the point at infinity.
+        const { mod, inv } = Sv2Crypto;
+        if (p1 === null) return p2;
+        if (p2 === null) return p1;
+        if (p1[0] === p2[0] && mod(p1[1] + p2[1]) === 0n) return null;
+        const lambda = p1[0] === p2[0]
+            ? mod(3n * p1[0] * p1[0] * inv(2n * p1[1]))
+            : mod((p2[1] - p1[1]) * inv(mod(p2[0] - p1[0])));
+        const x = mod(lambda * lambda - p1[0] - p2[0]);
+        return [x, mod(lambda * (p1[0] - x) - p1[1])];
+    }
+
+    static point_mul(point, scalar) {
+        let result = null;
+        let addend = point;
+        while (scalar > 0n) {
+            if (scalar & 1n) result = Sv2Crypto.point_add(result, addend);
+            addend = Sv2Crypto.point_add(addend, addend);
+            scalar >>= 1n;
+        }
+        return result;
+    }
+
+    // --- ElligatorSwift (BIP324) public key encoding ---
+    static xswiftec(u, t) {
+        /** Decodes the field elements (u, t) to an x coordinate on the curve. */
+        const { mod, inv, is_valid_x } = Sv2Crypto;
+        if (u === 0n) u = 1n;
+        if (t === 0n) t = 1n;
+        if (mod(u * u * u + t * t + 7n) === 0n) t = mod(2n * t);
+        const X = mod((u * u * u + 7n - t * t) * inv(2n * t));
+        const Y = mod((X + t) * inv(mod(Sv2Crypto.MINUS_3_SQRT * u)));
+        for (const x of [
+            mod(u + 4n * Y * Y),
+            mod((mod(-X * inv(Y)) - u) * inv(2n)),
+            mod((X * inv(Y) - u) * inv(2n)),
+        ]) {
+            if (is_valid_x(x)) return x;
+        }
+        throw new Error('xswiftec: no valid x coordinate');
+    }
+
+    static xswiftec_inv(x, u, branch) {
+        /** Finds t such that xswiftec(u, t) = x for one of the 8 branches, or null. */
+        const { mod, inv, sqrt, is_valid_x } = Sv2Crypto;
+        const c = Sv2Crypto.MINUS_3_SQRT;
+        let v, s;
+        if ((branch & 2) === 0) {
+            if (is_valid_x(mod(-x - u))) return null;
+            v = x;
+            s = mod(-(u * u * u + 7n) * inv(mod(u * u + u * v + v * v)));
+        } else {
+            s = mod(x - u);
+            if (s === 0n) return null;
+            const r = sqrt(mod(-s * (4n * (u * u * u + 7n) + 3n * s * u * u)));
+            if (r === null) return null;
+            if ((branch & 1) && r === 0n) return null;
+            v = mod((-u + r * inv(s)) * inv(2n));
+        }
+        const w = sqrt(s);
+        if (w === null) return null;
+        const half = inv(2n);
+        switch (branch & 5) {
+            case 0: return mod(-w * (u * (1n - c) * half + v));
+            case 1: return mod(w * (u * (1n + c) * half + v));
+            case 4: return mod(w * (u * (1n - c) * half + v));
+            default: return mod(-w * (u * (1n + c) * half + v));
+        }
+    }
+
+    static ellswift_encode(x) {
+        while (true) {
+            const u = Sv2Crypto.mod(Sv2Crypto.bytes_to_bigint(Sv2Crypto.random_bytes(32)));
+            const branch = Sv2Crypto.random_bytes(1)[0] & 7;
+            if (u === 0n) continue;
+            const t = Sv2Crypto.xswiftec_inv(x, u, branch);
+            if (t !== null) return Sv2Crypto.concat_bytes(Sv2Crypto.bigint_to_bytes(u), Sv2Crypto.bigint_to_bytes(t));
+        }
+    }
+
+    static ellswift_decode(encoded) {
+        /** Returns the x coordinate encoded by a 64-byte ElligatorSwift public key. */
+        const u = Sv2Crypto.mod(Sv2Crypto.bytes_to_bigint(encoded.subarray(0, 32)));
+        const t = Sv2Crypto.mod(Sv2Crypto.bytes_to_bigint(encoded.subarray(32, 64)));
+        return Sv2Crypto.xswiftec(u, t);
+    }
+
+    // --- Keys, ECDH and BIP340 verification ---
+    static generate_keypair() {
+        /** private_key is Node's ECDH object: the scalar itself stays inside OpenSSL. */
+        const private_key = Sv2Crypto.node_crypto().createECDH('secp256k1');
+        const point = private_key.generateKeys(); // 0x04 || x || y
+        return { private_key, public_key: Sv2Crypto.ellswift_encode(Sv2Crypto.bytes_to_bigint(point.subarray(1, 33))) };
+    }
+
+    static ecdh(private_key, remote_public_key) {
+        /** x-only ECDH against an ElligatorSwift key: the x coordinate of private_key * remote. */
+        const remote = Sv2Crypto.lift_x(Sv2Crypto.ellswift_decode(remote_public_key));
+        if (remote === null) throw new Error('Remote public key is not on the curve');
+        const uncompressed = Sv2Crypto.concat_bytes(Uint8Array.of(0x04), Sv2Crypto.bigint_to_bytes(remote[0]), Sv2Crypto.bigint_to_bytes(remote[1]));
+        return new Uint8Array(private_key.computeSecret(uncompressed));
+    }
+
+    static schnorr_verify(message, public_key_x, signature) {
+        /** BIP340 signature verification against a 32-byte x-only public key. */
+        const { mod, bytes_to_bigint, bigint_to_bytes } = Sv2Crypto;
+        const P = Sv2Crypto.lift_x(bytes_to_bigint(public_key_x));
+        const r = bytes_to_bigint(signature.subarray(0, 32));
+        const s = bytes_to_bigint(signature.subarray(32, 64));
+        if (P === null || r >= Sv2Crypto.P || s >= Sv2Crypto.N) return false;
+        const e = mod(bytes_to_bigint(Sv2Crypto.tagged_hash('BIP0340/challenge',
+            Sv2Crypto.concat_bytes(bigint_to_bytes(r), bigint_to_bytes(P[0]), message))), Sv2Crypto.N);
+        const R = Sv2Crypto.point_add(
+            Sv2Crypto.point_mul(Sv2Crypto.G, s),
+            Sv2Crypto.point_mul([P[0], Sv2Crypto.P - P[1]], e)
+        );
+        return R !== null && (R[1] & 1n) === 0n && R[0] === r;
+    }
+
+    static base58check_decode(text) {
+        const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+        let value = 0n;
+        for (const ch of text) {
+            const digit = alphabet.indexOf(ch);
+            if (digit === -1) throw new Error(`Invalid base58 character '${ch}'`);
+            value = value * 58n + BigInt(digit);
+        }
+        const hex = value === 0n ? '' : value.toString(16);
+        const body = Sv2Crypto.hex_to_bytes(hex.length % 2 ? '0' + hex : hex);
+        const leading_zeros = text.length - text.replace(/^1+/, '').length;
+        const bytes = Sv2Crypto.concat_bytes(new Uint8Array(leading_zeros), body);
+        const payload = bytes.subarray(0, bytes.length - 4);
+        const checksum = Sv2Crypto.sha256(Sv2Crypto.sha256(payload)).subarray(0, 4);
+        if (checksum.some((b, i) => b !== bytes[bytes.length - 4 + i])) throw new Error('Bad base58 checksum');
+        return payload;
+    }
+}
+
+Sv2Crypto.P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+Sv2Crypto.N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+Sv2Crypto.G = [
+    0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+];
+Sv2Crypto.MINUS_3_SQRT = Sv2Crypto.sqrt(Sv2Crypto.P - 3n);
+
+
+// --- Stratum V2 Noise NX Handshake ---
+class NoiseCipherState {
+    /** ChaChaPoly cipher with the Noise 64-bit little-endian nonce counter. */
+    constructor(key) {
+        this.key = key;
+        this.nonce = 0;
+    }
+
+    next_nonce() {
+        const nonce = new Uint8Array(12);
+        const view = new DataView(nonce.buffer);
+        view.setUint32(4, this.nonce % 0x100000000, true);
+        view.setUint32(8, Math.floor(this.nonce / 0x100000000), true);
+        this.nonce++;
+        return nonce;
+    }
+
+    encrypt_with_ad(ad, plaintext) {
+        return Sv2Crypto.aead_encrypt(this.key, this.next_nonce(), ad, plaintext);
+    }
+
+    decrypt_with_ad(ad, ciphertext) {
+        return Sv2Crypto.aead_decrypt(this.key, this.next_nonce(), ad, ciphertext);
+    }
+}
+
+class NoiseNXHandshake {
+    /**
+     * Initiator side of the Stratum V2 Noise NX handshake:
+     *   -> e
+     *   <- e, ee, s, es, SIGNATURE_NOISE_MESSAGE
+     * The pool proves its static key with a certificate signed by the authority
+     * key from the pool URL. The key is required: without it any server on the
+     * path could complete the handshake in the pool's place.
+     */
+    constructor(authority_public_key) {
+        if (!authority_public_key || authority_public_key.length !== 32) throw new Error('The pool\'s 32-byte authority key is required');
+        this.authority_public_key = authority_public_key;
+        this.hash = Sv2Crypto.sha256(new TextEncoder().encode(NoiseNXHandshake.PROTOCOL_NAME));
+        this.chaining_key = this.hash;
+        this.cipher = null;
+        this.ephemeral = null;
+        this.mix_hash(new Uint8Array(0)); // empty prologue
+    }
+
+    mix_hash(data) {
+        this.hash = Sv2Crypto.sha256(Sv2Crypto.concat_bytes(this.hash, data));
+    }
+
+    mix_key(input_key_material) {
+        const [chaining_key, temp_key] = Sv2Crypto.hkdf2(this.chaining_key, input_key_material);
+        this.chaining_key = chaining_key;
+        this.cipher = new NoiseCipherState(temp_key);
+    }
+
+    encrypt_and_hash(plaintext) {
+        const ciphertext = this.cipher ? this.cipher.encrypt_with_ad(this.hash, plaintext) : plaintext;
+        this.mix_hash(ciphertext);
+        return ciphertext;
+    }
+
+    decrypt_and_hash(ciphertext) {
+        const plaintext = this.cipher ? this.cipher.decrypt_with_ad(this.hash, ciphertext) : ciphertext;
+        this.mix_hash(ciphertext);
+        return plaintext;
+    }
+
+    write_initial_message() {
+        /** Message 1: the initiator's ElligatorSwift-encoded ephemeral key (64 bytes). */
+        this.ephemeral = Sv2Crypto.generate_keypair();
+        this.mix_hash(this.ephemeral.public_key);
+        this.encrypt_and_hash(new Uint8Array(0));
+        return this.ephemeral.public_key;
+    }
+
+    read_response_message(message) {
+        /** Message 2: returns the transport ciphers once the pool's identity checks out. */
+        if (message.length !== NoiseNXHandshake.RESPONSE_LENGTH) {
+            throw new Error(`Unexpected handshake response length ${message.length}`);
+        }
+        const remote_ephemeral = message.subarray(0, 64);
+        this.mix_hash(remote_ephemeral);
+        this.mix_key(Sv2Crypto.ecdh(this.ephemeral.private_key, remote_ephemeral));
+
+        const remote_static = this.decrypt_and_hash(message.subarray(64, 144));
+        this.mix_key(Sv2Crypto.ecdh(this.ephemeral.private_key, remote_static));
+
+        const certificate = this.decrypt_and_hash(message.subarray(144, 234));
+        this.verify_certificate(certificate, remote_static);
+
+        const [send_key, receive_key] = Sv2Crypto.hkdf2(this.chaining_key, new Uint8Array(0));
+        return { send: new NoiseCipherState(send_key), receive: new NoiseCipherState(receive_key) };
+    }
+
+    verify_certificate(certificate, remote_static) {
+        const view = new DataView(certificate.buffer, certificate.byteOffset, certificate.length);
+        const valid_from = view.getUint32(2, true);
+        const not_valid_after = view.getUint32(6, true);
+        const now = Math.floor(Date.now() / 1000);
+        if (now < valid_from || now > not_valid_after) {
+            throw new Error('Pool certificate is outside its validity window');
+        }
+        const signed = Sv2Crypto.sha256(Sv2Crypto.concat_bytes(
+            certificate.subarray(0, 10),
+            Sv2Crypto.bigint_to_bytes(Sv2Crypto.ellswift_decode(remote_static))
+        ));
+        if (!Sv2Crypto.schnorr_verify(signed, this.authority_public_key, certificate.subarray(10, 74))) {
+            throw new Error('Pool certificate is not signed by the configured authority key');
+        }
+    }
+}
+
+NoiseNXHandshake.PROTOCOL_NAME = 'Noise_NX_Secp256k1+EllSwift_ChaChaPoly_SHA256';
+NoiseNXHandshake.RESPONSE_LENGTH = 64 + (64 + 16) + (74 + 16);
+
+
+// --- Stratum V2 Binary Encoding ---
+class Sv2Writer {
+    /** Little-endian serializer for the Stratum V2 data types. */
+    constructor() {
+        this.parts = [];
+    }
+
+    fixed(length, fill) {
+        const bytes = new Uint8Array(length);
+        fill(new DataView(bytes.buffer));
+        this.parts.push(bytes);
+        return this;
+    }
+
+    u8(v) { return this.fixed(1, view => view.setUint8(0, v)); }
+    u16(v) { return this.fixed(2, view => view.setUint16(0, v, true)); }
+    u24(v) { return this.fixed(3, view => { view.setUint16(0, v & 0xffff, true); view.setUint8(2, v >>> 16); }); }
+    u32(v) { return this.fixed(4, view => view.setUint32(0, v, true)); }
+    u64(v) { return this.fixed(8, view => view.setBigUint64(0, BigInt(v), true)); }
+    f32(v) { return this.fixed(4, view => view.setFloat32(0, v, true)); }
+    bool(v) { return this.u8(v ? 1 : 0); }
+
+    u256(bytes) {
+        if (bytes.length !== 32) throw new Error('U256 must be exactly 32 bytes');
+        this.parts.push(bytes);
+        return this;
+    }
+
+    b0_32(bytes) {
+        if (bytes.length > 32) throw new Error('B0_32 longer than 32 bytes');
+        this.u8(bytes.length);
+        this.parts.push(bytes);
+        return this;
+    }
+
+    str0_255(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length > 255) throw new Error('STR0_255 longer than 255 bytes');
+        this.u8(bytes.length);
+        this.parts.push(bytes);
+        return this;
+    }
+
+    option_u32(v) {
+        return v === null || v === undefined ? this.u8(0) : this.u8(1).u32(v);
+    }
+
+    to_bytes() {
+        return Sv2Crypto.concat_bytes(...this.parts);
+    }
+}
+
+class Sv2Reader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        this.offset = 0;
+    }
+
+    advance(length) {
+        if (this.offset + length > this.bytes.length) throw new Error('Truncated Stratum V2 message');
+        const start = this.offset;
+        this.offset += length;
+        return start;
+    }
+
+    u8() { return this.view.getUint8(this.advance(1)); }
+    u16() { return this.view.getUint16(this.advance(2), true); }
+    u24() { const at = this.advance(3); return this.view.getUint16(at, true) | (this.view.getUint8(at + 2) << 16); }
+    u32() { return this.view.getUint32(this.advance(4), true); }
+    u64() { return this.view.getBigUint64(this.advance(8), true); }
+    f32() { return this.view.getFloat32(this.advance(4), true); }
+    bool() { return this.u8() !== 0; }
+    u256() { return this.bytes.slice(this.advance(32), this.offset); }
+    b0_32() { const length = this.u8(); return this.bytes.slice(this.advance(length), this.offset); }
+    str0_255() { const length = this.u8(); return new TextDecoder().decode(this.bytes.subarray(this.advance(length), this.offset)); }
+    option_u32() { return this.u8() === 0 ? null : this.u32(); }
+}
+
+class Sv2Codec {
+    /** Table-driven encoding of the Stratum V2 common and mining-protocol messages used by the client. */
+    static encode_frame(name, fields) {
+        const spec = Sv2Codec.MESSAGES[name];
+        const payload_writer = new Sv2Writer();
+        for (const [field, type] of spec.fields) payload_writer[type](fields[field]);
+        const payload = payload_writer.to_bytes();
+        const header = new Sv2Writer()
+            .u16(spec.channel_msg ? Sv2Codec.CHANNEL_MSG_BIT : 0)
+            .u8(spec.type)
+            .u24(payload.length)
+            .to_bytes();
+        return { header, payload };
+    }
+
+    static decode_header(header) {
+        const reader = new Sv2Reader(header);
+        return { extension_type: reader.u16() & ~Sv2Codec.CHANNEL_MSG_BIT, msg_type: reader.u8(), msg_length: reader.u24() };
+    }
+
+    static decode_payload(msg_type, payload) {
+        const name = Object.keys(Sv2Codec.MESSAGES).find(key => Sv2Codec.MESSAGES[key].type === msg_type);
+        if (!name) return { name: null, msg_type, fields: {} };
+        const reader = new Sv2Reader(payload);
+        const fields = {};
+        for (const [field, type] of Sv2Codec.MESSAGES[name].fields) fields[field] = reader[type]();
+        return { name, msg_type, fields };
+    }
+}
+
+Sv2Codec.HEADER_LENGTH = 6;
+Sv2Codec.CHANNEL_MSG_BIT = 0x8000;
+Sv2Codec.MAX_CHUNK_PLAINTEXT = 65535 - 16;
+Sv2Codec.MESSAGES = {
+    'SetupConnection': { type: 0x00, channel_msg: false, fields: [
+        ['protocol', 'u8'], ['min_version', 'u16'], ['max_version', 'u16'], ['flags', 'u32'],
+        ['endpoint_host', 'str0_255'], ['endpoint_port', 'u16'], ['vendor', 'str0_255'],
+        ['hardware_version', 'str0_255'], ['firmware', 'str0_255'], ['device_id', 'str0_255']] },
+    'SetupConnection.Success': { type: 0x01, channel_msg: false, fields: [['used_version', 'u16'], ['flags', 'u32']] },
+    'SetupConnection.Error': { type: 0x02, channel_msg: false, fields: [['flags', 'u32'], ['error_code', 'str0_255']] },
+    'OpenStandardMiningChannel': { type: 0x10, channel_msg: false, fields: [
+        ['request_id', 'u32'], ['user_identity', 'str0_255'], ['nominal_hash_rate', 'f32'], ['max_target', 'u256']] },
+    'OpenStandardMiningChannel.Success': { type: 0x11, channel_msg: false, fields: [
+        ['request_id', 'u32'], ['channel_id', 'u32'], ['target', 'u256'], ['extranonce_prefix', 'b0_32'], ['group_channel_id', 'u32']] },
+    'OpenMiningChannel.Error': { type: 0x12, channel_msg: false, fields: [['request_id', 'u32'], ['error_code', 'str0_255']] },
+    'NewMiningJob': { type: 0x15, channel_msg: true, fields: [
+        ['channel_id', 'u32'], ['job_id', 'u32'], ['min_ntime', 'option_u32'], ['version', 'u32'], ['merkle_root', 'u256']] },
+    'SubmitSharesStandard': { type: 0x1a, channel_msg: true, fields: [
+        ['channel_id', 'u32'], ['sequence_number', 'u32'], ['job_id', 'u32'], ['nonce', 'u32'], ['ntime', 'u32'], ['version', 'u32']] },
+    'SubmitShares.Success': { type: 0x1c, channel_msg: true, fields: [
+        ['channel_id', 'u32'], ['last_sequence_number', 'u32'], ['new_submits_accepted_count', 'u32'], ['new_shares_sum', 'u64']] },
+    'SubmitShares.Error': { type: 0x1d, channel_msg: true, fields: [
+        ['channel_id', 'u32'], ['sequence_number', 'u32'], ['error_code', 'str0_255']] },
+    'SetNewPrevHash': { type: 0x20, channel_msg: true, fields: [
+        ['channel_id', 'u32'], ['job_id', 'u32'], ['prev_hash', 'u256'], ['min_ntime', 'u32'], ['nbits', 'u32']] },
+    'SetTarget': { type: 0x21, channel_msg: true, fields: [['channel_id', 'u32'], ['maximum_target', 'u256']] },
+    'CloseChannel': { type: 0x18, channel_msg: true, fields: [['channel_id', 'u32'], ['reason_code', 'str0_255']] },
+};
+
+
+// --- Stratum V2 Client (Mining Protocol, standard channels) ---
+class StratumV2Client extends PoolSession {
+    /**
+     * Stratum V2 counterpart of StratumClient with the same public surface
+     * (authorize, submit_share, get_share_stats, current_job, disconnect) so a
+     * MiningVM can hold either one.
+     *
+     * `negotiation` resolves once the Noise handshake and SetupConnection have
+     * succeeded and rejects otherwise, which is the caller's cue to fall back to V1.
+     * A session lost after that is renegotiated with StratumClient's backoff, and its
+     * channels reopened, before the pool is given up on.
+     * Options: transport, bridge_url, negotiation_timeout_ms, reconnect, on_state_change(state, detail),
+     * on_failure(reason) as for StratumClient.
+     */
+    constructor(pool_url, vm, options = {}) {
+        super();
+        this.pool_url = pool_url;
+        this.vm = vm;
+        this.options = options;
+        this.protocol = 'v2';
+        this.target = StratumClient.parse_pool_url(pool_url);
+
+        this.reconnect = { ...StratumClient.RECONNECT, ...options.reconnect };
+        this.reconnect_attempts = 0;
+        this.reconnect_timer = null;
+        this.established = false;    // Set once negotiation has succeeded; later losses are reconnected
+
+        this.state = 'idle';
+        this.closing = false;
+        this.failed = false;
+        this.connected_since = null;
+        this.latency_ms = null;      // Smoothed OpenStandardMiningChannel / SubmitShares round trip
+        this.receive_buffer = new Uint8Array(0);
+        this.handshake = null;
+        this.ciphers = null;
+        this.pending_header = null;
+
+        this.next_request_id = 1;
+        this.pending_channels = {};  // request_id -> { worker_name, resolve }
+        this.channels = {};          // channel_id -> { worker_name, target, extranonce_prefix, jobs, prev_hash, sequence_number }
+        this.pending_shares = {};    // channel_id -> [{ sequence_number, resolve }]
+        this.current_job = null;
+        this.worker_credentials = {};
+        this.authorized_workers = {};
+        this.authorize_waiters = {};
+        this.share_stats = {};
+
+        this.negotiation = new Promise((resolve, reject) => {
+            this.resolve_negotiation = resolve;
+            this.reject_negotiation = reject;
+        });
+        this.negotiation.catch(() => {}); // failures are reported through set_state as well
+        this.connection = this.connect_to_pool();
+    }
+
+    set_state(state, detail = null) {
+        this.state = state;
+        console.log(`VM ${this.vm.vm_id}: Stratum V2 ${state}${detail ? ` (${detail})` : ''}.`);
+        if (this.options.on_state_change) this.options.on_state_change(state, detail);
+    }
+
+    fail_negotiation(reason) {
+        /**
+         * A connect, handshake or setup that did not complete. The first one fails the
+         * negotiation; after a lost session it counts as one more reconnect attempt.
+         */
+        if (!StratumV2Client.NEGOTIATING_STATES.includes(this.state)) return;
+        clearTimeout(this.negotiation_timer);
+        if (this.established) {
+            this.set_state('disconnected', reason);
+            this.close_session();
+            this.schedule_reconnect(reason);
+            return;
+        }
+        this.set_state('failed', reason);
+        this.reject_negotiation(new Error(reason));
+        this.close_session();
+        this.report_failure(reason);
+    }
+
+    schedule_reconnect(reason) {
+        /** Renegotiates with the same pool after a backoff, then gives it up (see on_failure). */
+        if (this.closing || this.failed) return;
+        if (this.reconnect_attempts >= this.reconnect.max_attempts) {
+            this.report_failure(`${reason} after ${this.reconnect_attempts} reconnect attempt(s)`);
+            return;
+        }
+        const delay = StratumClient.backoff_delay(this.reconnect_attempts++, this.reconnect);
+        this.set_state('disconnected', `${reason}, reconnecting in ${(delay / 1000).toFixed(1)}s`);
+        this.reconnect_timer = setTimeout(() => {
+            this.reconnect_timer = null;
+            if (!this.closing) this.connection = this.connect_to_pool();
+        }, delay);
+    }
+
+    report_failure(reason) {
+        if (this.closing || this.failed) return;
+        this.failed = true;
+        for (const name of Object.keys(this.authorize_waiters)) this.settle_authorization(name, false);
+        console.warn(`VM ${this.vm.vm_id}: Pool ${this.pool_url} failed: ${reason}.`);
+        if (this.options.on_failure) this.options.on_failure(reason);
+    }
+
+    connect_to_pool() {
+        if (!this.target || this.target.protocol !== 'stratum2') {
+            this.fail_negotiation(`'${this.pool_url}' is not a Stratum V2 URL`);
+            return null;
+        }
+
+        if (!node_require) {
+            this.fail_negotiation('Stratum V2 needs Node.js crypto, so V2 pools are only reachable from the daemon');
+            return null;
+        }
+        if (!this.target.path) {
+            this.fail_negotiation('no authority key in the pool URL, so the pool cannot be authenticated');
+            return null;
+        }
+        let authority_key;
+        try {
+            authority_key = StratumV2Client.parse_authority_key(this.target.path);
+        } catch (err) {
+            this.fail_negotiation(`invalid authority key: ${err.message}`);
+            return null;
+        }
+
+        const transport = this.options.transport
+            || StratumClient.create_transport(this.pool_url, { ...this.options, binary: true });
+        if (!transport) {
+            this.fail_negotiation('no transport available');
+            return null;
+        }
+
+        this.handshake = new NoiseNXHandshake(authority_key);
+        this.receive_buffer = new Uint8Array(0);
+        this.pending_header = null;
+        this.negotiation_timer = setTimeout(
+            () => this.fail_negotiation('negotiation timed out'),
+            this.options.negotiation_timeout_ms || StratumV2Client.NEGOTIATION_TIMEOUT_MS
+        );
+        this.set_state('connecting', this.pool_url);
+        transport.open({
+            on_open: () => this.handle_open(),
+            on_data: (chunk) => this.handle_data(chunk),
+            on_close: () => {
+                if (this.connection === transport) this.handle_close(); // Not one we already dropped
+            },
+            on_error: () => this.fail_negotiation('transport error'),
+        });
+        return transport;
+    }
+
+    static parse_authority_key(path) {
+        /** Accepts the authority key as 64 hex chars or base58check (2-byte version + 32-byte x-only key). */
+        const key = path.replace(/\/+$/, '');
+        if (/^[0-9a-fA-F]{64}$/.test(key)) return Sv2Crypto.hex_to_bytes(key);
+        const decoded = Sv2Crypto.base58check_decode(key);
+        if (decoded.length !== 34) throw new Error('unexpected authority key length');
+        return decoded.subarray(2);
+    }
+
+    disconnect() {
+        this.closing = true;
+        clearTimeout(this.reconnect_timer);
+        for (const name of Object.keys(this.authorize_waiters)) this.settle_authorization(name, false);
+        if (this.state === 'ready') this.set_state('disconnected');
+        else this.fail_negotiation('disconnected');
+        this.close_session();
+    }
+
+    get_uptime_ms(now = Date.now()) {
+        return this.connected_since === null ? 0 : now - this.connected_since;
+    }
+
+    record_latency(sent_at) {
+        const sample = Date.now() - sent_at;
+        this.latency_ms = this.latency_ms === null ? sample : Math.round(0.8 * this.latency_ms + 0.2 * sample);
+    }
+
+    has_pending_requests() {
+        return Object.keys(this.pending_channels).length > 0
+            || Object.values(this.pending_shares).some(queue => queue.length > 0);
+    }
+
+    // --- Connection Events ---
+    handle_open() {
+        this.set_state('handshake');
+        try {
+            this.connection.send(this.handshake.write_initial_message());
+        } catch (err) {
+            this.fail_negotiation(`handshake failed: ${err.message}`);
+        }
+    }
+
+    handle_close(reason = 'connection lost') {
+        /** The transport went away (or is being dropped): renegotiate a live session, fail a pending one. */
+        if (this.state !== 'ready') {
+            this.fail_negotiation('connection closed during negotiation');
+            return;
+        }
+        this.set_state('disconnected', reason);
+        this.close_session();
+        this.schedule_reconnect(reason);
+    }
+
+    close_session() {
+        /** Closes the transport and forgets the session: ciphers, channels and unanswered requests. */
+        const connection = this.connection;
+        this.connection = null;
+        if (connection) connection.close();
+        this.handshake = null;
+        this.ciphers = null;
+        this.authorized_workers = {};
+        this.channels = {}; // Channel IDs belong to the session; the next SetupConnection reopens them
+        for (const pending of Object.values(this.pending_channels)) pending.resolve(false);
+        this.pending_channels = {};
+        for (const queue of Object.values(this.pending_shares)) {
+            for (const share of queue) share.reject(new Error('Connection closed before the share was acknowledged'));
+        }
+        this.pending_shares = {};
+        this.connected_since = null;
+    }
+
+    handle_data(chunk) {
+        const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : new Uint8Array(chunk);
+        this.receive_buffer = Sv2Crypto.concat_bytes(this.receive_buffer, bytes);
+        try {
+            this.process_receive_buffer();
+        } catch (err) {
+            if (this.state === 'ready') {
+                console.error(`VM ${this.vm.vm_id}: Dropping Stratum V2 connection: ${err.message}`);
+                this.handle_close(err.message);
+            } else {
+                this.fail_negotiation(err.message);
+            }
+        }
+    }
+
+    take_bytes(length) {
+        if (this.receive_buffer.length < length) return null;
+        const bytes = this.receive_buffer.slice(0, length);
+        this.receive_buffer = this.receive_buffer.slice(length);
+        return bytes;
+    }
+
+    process_receive_buffer() {
+        if (!this.ciphers) {
+            const response = this.take_bytes(NoiseNXHandshake.RESPONSE_LENGTH);
+            if (!response) return;
+            this.ciphers = this.handshake.read_response_message(response);
+            this.handshake = null;
+            this.send_setup_connection();
+        }
+
+        // Encrypted frames: a sealed 6-byte header, then the payload sealed in chunks of at most 64 KiB.
+        while (true) {
+            if (!this.pending_header) {
+                const sealed_header = this.take_bytes(Sv2Codec.HEADER_LENGTH + 16);
+                if (!sealed_header) return;
+                this.pending_header = Sv2Codec.decode_header(this.ciphers.receive.decrypt_with_ad(new Uint8Array(0), sealed_header));
+            }
+            const length = this.pending_header.msg_length;
+            const chunks = Math.ceil(length / Sv2Codec.MAX_CHUNK_PLAINTEXT);
+            if (this.receive_buffer.length < length + chunks * 16) return;
+
+            const plain_chunks = [];
+            for (let remaining = length; remaining > 0; remaining -= Sv2Codec.MAX_CHUNK_PLAINTEXT) {
+                const sealed = this.take_bytes(Math.min(remaining, Sv2Codec.MAX_CHUNK_PLAINTEXT) + 16);
+                plain_chunks.push(this.ciphers.receive.decrypt_with_ad(new Uint8Array(0), sealed));
+            }
+            const header = this.pending_header;
+            this.pending_header = null;
+            if (header.extension_type !== 0) continue; // extensions are not negotiated
+            this.handle_message(Sv2Codec.decode_payload(header.msg_type, Sv2Crypto.concat_bytes(...plain_chunks)));
+        }
+    }
+
+    send_message(name, fields) {
+        const { header, payload } = Sv2Codec.encode_frame(name, fields);
+        const sealed = [this.ciphers.send.encrypt_with_ad(new Uint8Array(0), header)];
+        for (let offset = 0; offset < payload.length; offset += Sv2Codec.MAX_CHUNK_PLAINTEXT) {
+            sealed.push(this.ciphers.send.encrypt_with_ad(
+                new Uint8Array(0), payload.subarray(offset, offset + Sv2Codec.MAX_CHUNK_PLAINTEXT)
+            ));
+        }
+        this.connection.send(Sv2Crypto.concat_bytes(...sealed));
+    }
+
+    send_setup_connection() {
+        this.set_state('setup');
+        this.send_message('SetupConnection', {
+            'protocol': 0, // Mining Protocol
+            'min_version': 2,
+            'max_version': 2,
+            'flags': 0,    // standard channels only, no version rolling
+            'endpoint_host': this.target.host,
+            'endpoint_port': this.target.port,
+            'vendor': StratumClient.USER_AGENT,
+            'hardware_version': 'vdi',
+            'firmware': '',
+            'device_id': this.vm.vm_id,
+        });
+    }
+
+    handle_message(message) {
+        const fields = message.fields;
+        switch (message.name) {
+            case 'SetupConnection.Success':
+                clearTimeout(this.negotiation_timer);
+                this.established = true;
+                this.reconnect_attempts = 0;
+                this.connected_since = Date.now();
+                this.set_state('ready', `version ${fields.used_version}`);
+                this.resolve_negotiation(this);
+                for (const worker_name of Object.keys(this.worker_credentials)) {
+                    this.open_channel(worker_name).then(opened => this.settle_authorization(worker_name, opened));
+                }
+                break;
+            case 'SetupConnection.Error':
+                this.fail_negotiation(`SetupConnection rejected: ${fields.error_code}`);
+                break;
+            case 'OpenStandardMiningChannel.Success':
+                this.handle_channel_opened(fields);
+                break;
+            case 'OpenMiningChannel.Error':
+                this.handle_channel_error(fields);
+                break;
+            case 'NewMiningJob':
+                this.handle_new_mining_job(fields);
+                break;
+            case 'SetNewPrevHash':
+                this.handle_set_new_prev_hash(fields);
+                break;
+            case 'SetTarget':
+                if (this.channels[fields.channel_id]) this.channels[fields.channel_id].target = fields.maximum_target;
+                break;
+            case 'SubmitShares.Success':
+                this.settle_shares(fields.channel_id, share => share.sequence_number <= fields.last_sequence_number, true);
+                break;
+            case 'SubmitShares.Error':
+                console.warn(`VM ${this.vm.vm_id}: Share rejected on channel ${fields.channel_id}: ${fields.error_code}`);
+                this.settle_shares(fields.channel_id, share => share.sequence_number === fields.sequence_number, false);
+                break;
+            default:
+                console.warn(`VM ${this.vm.vm_id}: Unhandled Stratum V2 message type 0x${message.msg_type.toString(16)}`);
+        }
+    }
+
+    // --- Channels (one standard channel per worker) ---
+    authorize(worker_name, password = 'x') {
+        /** Opens a standard channel for the worker, now or as soon as the connection is set up. */
+        this.worker_credentials[worker_name] = password;
+        if (this.state !== 'ready') return this.wait_for_authorization(worker_name);
+        return this.open_channel(worker_name);
+    }
+
+    open_channel(worker_name, nominal_hash_rate = 0) {
+        const request_id = this.next_request_id++;
+        return new Promise(resolve => {
+            this.pending_channels[request_id] = { worker_name, resolve, 'sent_at': Date.now() };
+            this.send_message('OpenStandardMiningChannel', {
+                'request_id': request_id,
+                'user_identity': worker_name,
+                'nominal_hash_rate': nominal_hash_rate,
+                'max_target': new Uint8Array(32).fill(0xff),
+            });
+        });
+    }
+
+    handle_channel_opened(fields) {
+        const pending = this.pending_channels[fields.request_id];
+        if (!pending) return;
+        delete this.pending_channels[fields.request_id];
+        this.record_latency(pending.sent_at);
+        this.channels[fields.channel_id] = {
+            'worker_name': pending.worker_name,
+            'target': fields.target,
+            'extranonce_prefix': fields.extranonce_prefix,
+            'jobs': {},
+            'prev_hash': null,
+            'current_job': null,
+            'sequence_number': 0,
+        };
+        this.authorized_workers[pending.worker_name] = true;
+        console.log(`VM ${this.vm.vm_id}: Worker ${pending.worker_name} opened V2 channel ${fields.channel_id}.`);
+        pending.resolve(true);
+    }
+
+    handle_channel_error(fields) {
+        const pending = this.pending_channels[fields.request_id];
+        if (!pending) return;
+        delete this.pending_channels[fields.request_id];
+        this.authorized_workers[pending.worker_name] = false;
+        console.warn(`VM ${this.vm.vm_id}: Channel for ${pending.worker_name} refused: ${fields.error_code}`);
+        pending.resolve(false); // The worker's failure only: other channels keep mining on this pool
+    }
+
+    release_worker(worker_name) {
+        /** Closes the worker's channel after it has moved to another connection. */
+        delete this.worker_credentials[worker_name];
+        delete this.authorized_workers[worker_name];
+        const channel_id = this.find_channel_id(worker_name);
+        if (channel_id === null) return;
+        if (this.state === 'ready') {
+            this.send_message('CloseChannel', { 'channel_id': channel_id, 'reason_code': 'migrated' });
+        }
+        delete this.channels[channel_id];
+    }
+
+    find_channel_id(worker_name) {
+        const entry = Object.entries(this.channels).find(([, channel]) => channel.worker_name === worker_name);
+        return entry ? Number(entry[0]) : null;
+    }
+
+    // --- Jobs ---
+    handle_new_mining_job(fields) {
+        const channel = this.channels[fields.channel_id];
+        if (!channel) return;
+        const job = { ...fields, 'received_at': new Date().toISOString() };
+        channel.jobs[fields.job_id] = job;
+        // Jobs without min_ntime are future jobs, activated by the next SetNewPrevHash.
+        if (fields.min_ntime !== null && channel.prev_hash) this.activate_job(channel, job);
+    }
+
+    handle_set_new_prev_hash(fields) {
+        const channel = this.channels[fields.channel_id];
+        if (!channel) return;
+        channel.prev_hash = fields.prev_hash;
+        const job = channel.jobs[fields.job_id];
+        channel.jobs = job ? { [fields.job_id]: job } : {};
+        if (job) this.activate_job(channel, { ...job, 'min_ntime': fields.min_ntime, 'nbits': fields.nbits });
+    }
+
+    activate_job(channel, job) {
+        channel.current_job = { ...job, 'prev_hash': Sv2Crypto.bytes_to_hex(channel.prev_hash) };
+        this.current_job = channel.current_job;
+        console.log(`VM ${this.vm.vm_id}: New V2 job ${job.job_id} for ${channel.worker_name}.`);
+    }
+
+    // --- Shares ---
+    submit_share(worker_name, job_id, nonce, ntime, version) {
+        /** Sends SubmitSharesStandard and resolves to true once the pool acknowledges the sequence number. */
+        const channel_id = this.find_channel_id(worker_name);
+        if (channel_id === null || this.state !== 'ready') {
+            return Promise.reject(new Error(`Worker ${worker_name} has no open V2 channel on ${this.pool_url}`));
+        }
+        const channel = this.channels[channel_id];
+        const sequence_number = channel.sequence_number++;
+        return new Promise((resolve, reject) => {
+            (this.pending_shares[channel_id] = this.pending_shares[channel_id] || []).push({ sequence_number, resolve, reject });
+            this.send_message('SubmitSharesStandard', { channel_id, sequence_number, job_id, nonce, ntime, version });
+        });
+    }
+
+    settle_shares(channel_id, matches, accepted) {
+        const channel = this.channels[channel_id];
+        const queue = this.pending_shares[channel_id] || [];
+        if (!channel) return;
+        const stats = this.get_share_stats(channel.worker_name);
+        this.pending_shares[channel_id] = queue.filter(share => {
+            if (!matches(share)) return true;
+            if (accepted) stats.accepted++;
+            else stats.rejected++;
+            share.resolve(accepted);
+            return false;
+        });
+    }
+
+    get_share_stats(worker_name) {
+        if (!this.share_stats[worker_name]) {
+            this.share_stats[worker_name] = { 'accepted': 0, 'rejected': 0 };
+        }
+        return this.share_stats[worker_name];
+    }
+}
+
+StratumV2Client.NEGOTIATION_TIMEOUT_MS = 10000;
+StratumV2Client.NEGOTIATING_STATES = ['idle', 'connecting', 'handshake', 'setup'];
+
+export { Sv2Crypto, NoiseCipherState, NoiseNXHandshake, Sv2Writer, Sv2Reader, Sv2Codec, StratumV2Client };
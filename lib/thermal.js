@@ -0,0 +1,216 @@
+// Thermal protection: steps a hot worker's power target down, pauses it when that is not
+// enough, and restores it once it has cooled down.
+
+import { WorkerConfig } from './workers.js';
+
+// --- Thermal Governor ---
+class ThermalGovernor {
+    /**
+     * Runs after every metrics update (see VDIMonitor). Per worker:
+     *   - above temperature_limit_c for for_samples snapshots: lower the power target by
+     *     step_percent of the original (or of the draw, when none is set), down to
+     *     min_power_percent; past that, pause it
+     *   - at critical_temperature_c, or fans below min_fan_rpm while above resume_temperature_c:
+     *     pause at once
+     *   - at or below resume_temperature_c for cooldown_ms: resume and put the original
+     *     power target back (unless someone changed it in the meantime)
+     * What it has done to each worker is kept in ConfigDBManager (thermal_state), so a
+     * restart neither loses the original power target nor the pause. Every action is an
+     * audit entry ('thermal.throttled' / 'thermal.paused' / 'thermal.restored') by the
+     * { type: 'thermal' } actor.
+     */
+    constructor(vdi_manager, db_manager) {
+        this.vdi_manager = vdi_manager;
+        this.db_manager = db_manager;
+        this.hot_samples = {}; // worker_id -> consecutive snapshots above the limit
+        // Pauses are not saved with the worker, so re-apply the ones still in force
+        for (const [worker_id, state] of Object.entries(this.get_states())) {
+            const found = vdi_manager.find_worker(worker_id);
+            if (found && state.action === 'paused') found.worker.pause('thermal');
+        }
+    }
+
+    static validate_policy(policy) {
+        if (typeof policy.enabled !== 'boolean') throw new Error('enabled must be true or false');
+        const numbers = ['temperature_limit_c', 'critical_temperature_c', 'resume_temperature_c',
+            'min_fan_rpm', 'step_percent', 'min_power_percent', 'for_samples', 'cooldown_ms'];
+        for (const key of numbers) {
+            if (!(typeof policy[key] === 'number' && isFinite(policy[key]) && policy[key] >= 0)) {
+                throw new Error(`${key} must be a non-negative number`);
+            }
+        }
+        if (!(policy.resume_temperature_c < policy.temperature_limit_c && policy.temperature_limit_c < policy.critical_temperature_c)) {
+            throw new Error('Temperatures must rise from resume to limit to critical');
+        }
+        if (!(policy.step_percent > 0 && policy.step_percent < 100)) throw new Error('step_percent must be between 0 and 100');
+        if (!(policy.min_power_percent > 0 && policy.min_power_percent < 100)) throw new Error('min_power_percent must be between 0 and 100');
+        if (policy.for_samples < 1) throw new Error('for_samples must be at least 1');
+        return policy;
+    }
+
+    static policy_for(db_manager) {
+        return { ...ThermalGovernor.DEFAULT_POLICY, ...db_manager.load_thermal_policy() };
+    }
+
+    policy() {
+        return ThermalGovernor.policy_for(this.db_manager);
+    }
+
+    get_states() {
+        /** worker_id -> { action, since, temperature, original_power_target, power_target_watts, ... } */
+        return this.db_manager.load_thermal_state();
+    }
+
+    evaluate(metrics, now = Date.now()) {
+        /** Checks each worker's reading against the policy; returns the actions taken. */
+        const policy = this.policy();
+        if (!policy.enabled) return [];
+        const actions = [];
+        for (const [worker_id, data] of Object.entries(metrics)) {
+            if (data.online === false || data.temperature === null || data.temperature === undefined) continue;
+            const found = this.vdi_manager.find_worker(worker_id);
+            if (!found) continue;
+            const action = this.db_manager.with_actor(ThermalGovernor.ACTOR, () => this.evaluate_worker(found.worker, data, policy, now));
+            if (action) actions.push(action);
+        }
+        return actions;
+    }
+
+    evaluate_worker(worker, data, policy, now) {
+        const state = this.get_states()[worker.worker_id] || null;
+        const temperature = data.temperature;
+        const fan_failed = data.fan_rpm !== null && data.fan_rpm !== undefined
+            && data.fan_rpm < policy.min_fan_rpm && temperature > policy.resume_temperature_c;
+
+        if (state && state.action === 'paused') {
+            return this.cool_down(worker, state, temperature, policy, now);
+        }
+        if (temperature >= policy.critical_temperature_c || (fan_failed && !worker.is_paused())) {
+            const reason = temperature >= policy.critical_temperature_c
+                ? `${temperature} °C at or above ${policy.critical_temperature_c} °C`
+                : `fans at ${data.fan_rpm} RPM below ${policy.min_fan_rpm} RPM`;
+            return this.pause(worker, state, data, reason, now);
+        }
+        if (temperature > policy.temperature_limit_c) {
+            this.hot_samples[worker.worker_id] = (this.hot_samples[worker.worker_id] || 0) + 1;
+            if (this.hot_samples[worker.worker_id] < policy.for_samples) return null;
+            this.hot_samples[worker.worker_id] = 0;
+            return this.step_down(worker, state, data, policy, now);
+        }
+        this.hot_samples[worker.worker_id] = 0;
+        return state ? this.cool_down(worker, state, temperature, policy, now) : null;
+    }
+
+    step_down(worker, state, data, policy, now) {
+        /** Lowers the power target one step; pauses the worker once the floor is reached. */
+        const kept = this.initial_state(worker, state, data, now);
+        const step = state ? state.step + 1 : 1;
+        const floor = kept.base_power_watts * policy.min_power_percent / 100;
+        const target = Math.round(kept.base_power_watts * (1 - step * policy.step_percent / 100));
+        if (target < floor || target < WorkerConfig.SCHEMA.power_target_watts.min) {
+            return this.pause(worker, state, data, `still ${data.temperature} °C at the lowest power target`, now);
+        }
+
+        const from = worker.get_configuration().power_target_watts;
+        this.db_manager.batch_audit(() => worker.update_configuration({ 'power_target_watts': target }));
+        const next = {
+            ...kept,
+            'action': 'throttled',
+            'step': step,
+            'power_target_watts': target,
+            'temperature': data.temperature,
+            'cooling_since': null
+        };
+        this.save_state(worker.worker_id, next);
+        this.db_manager.record_audit('thermal.throttled', { 'type': 'worker', 'id': worker.worker_id },
+            { 'power_target_watts': from, 'temperature': data.temperature }, { 'power_target_watts': target });
+        console.warn(`Thermal: ${worker.worker_id} at ${data.temperature} °C, power target ${from === null ? 'default' : `${from} W`} -> ${target} W.`);
+        return { 'worker_id': worker.worker_id, 'action': 'throttled', 'power_target_watts': target };
+    }
+
+    pause(worker, state, data, reason, now) {
+        const kept = this.initial_state(worker, state, data, now);
+        worker.pause('thermal');
+        const next = {
+            ...kept,
+            'action': 'paused',
+            'step': state ? state.step : 0,
+            'power_target_watts': state ? state.power_target_watts : kept.original_power_target,
+            'temperature': data.temperature,
+            'reason': reason,
+            'cooling_since': null
+        };
+        this.save_state(worker.worker_id, next);
+        this.db_manager.record_audit('thermal.paused', { 'type': 'worker', 'id': worker.worker_id },
+            { 'temperature': data.temperature, 'fan_rpm': data.fan_rpm }, { 'reason': reason });
+        console.warn(`Thermal: ${worker.worker_id} paused (${reason}).`);
+        return { 'worker_id': worker.worker_id, 'action': 'paused', 'reason': reason };
+    }
+
+    cool_down(worker, state, temperature, policy, now) {
+        /** Restores the worker once it has stayed at or below the resume temperature for cooldown_ms. */
+        if (temperature > policy.resume_temperature_c) {
+            if (state.cooling_since !== null) this.save_state(worker.worker_id, { ...state, 'cooling_since': null });
+            return null;
+        }
+        if (state.cooling_since === null) {
+            this.save_state(worker.worker_id, { ...state, 'cooling_since': new Date(now).toISOString() });
+            return null;
+        }
+        if (now - new Date(state.cooling_since).getTime() < policy.cooldown_ms) return null;
+        return this.restore(worker, state, temperature);
+    }
+
+    restore(worker, state, temperature) {
+        const current = worker.get_configuration().power_target_watts;
+        // A power target someone set while the worker was throttled wins over the original
+        const restore_power = current === state.power_target_watts && current !== state.original_power_target;
+        if (restore_power) {
+            this.db_manager.batch_audit(() => worker.update_configuration({ 'power_target_watts': state.original_power_target }));
+        }
+        worker.resume('thermal');
+        this.save_state(worker.worker_id, null);
+        this.db_manager.record_audit('thermal.restored', { 'type': 'worker', 'id': worker.worker_id },
+            { 'action': state.action, 'power_target_watts': current },
+            { 'power_target_watts': restore_power ? state.original_power_target : current, 'temperature': temperature });
+        console.log(`Thermal: ${worker.worker_id} cooled down to ${temperature} °C, restored.`);
+        return { 'worker_id': worker.worker_id, 'action': 'restored' };
+    }
+
+    initial_state(worker, state, data, now) {
+        /** Fields kept from the first action until the worker is restored. */
+        if (state) {
+            const { since, original_power_target, base_power_watts, hashrate_before } = state;
+            return { since, original_power_target, base_power_watts, hashrate_before };
+        }
+        const original = worker.get_configuration().power_target_watts;
+        return {
+            'since': new Date(now).toISOString(),
+            'original_power_target': original,
+            // Steps are fractions of this; without a configured target, of what the device draws now
+            'base_power_watts': original !== null ? original
+                : Math.round(data.power_consumption) || worker.get_algorithm().typical_device.power_watts,
+            // What the worker hashed before any action, so the rebalancer keeps room for it
+            'hashrate_before': data.hashrate
+        };
+    }
+
+    save_state(worker_id, state) {
+        this.db_manager.save_thermal_state(worker_id, state);
+    }
+}
+
+ThermalGovernor.ACTOR = { 'type': 'thermal', 'id': null };
+ThermalGovernor.DEFAULT_POLICY = {
+    'enabled': true,
+    'temperature_limit_c': 85,    // Step the power target down above this
+    'critical_temperature_c': 95, // Pause immediately at or above this
+    'resume_temperature_c': 75,   // Restore once at or below this for cooldown_ms
+    'min_fan_rpm': 600,           // Slower fans on a warm worker count as a fan failure
+    'step_percent': 10,           // Of the original power target, per step
+    'min_power_percent': 60,      // Lowest power target before pausing instead
+    'for_samples': 2,             // Consecutive hot snapshots before each step
+    'cooldown_ms': 5 * 60 * 1000
+};
+
+export { ThermalGovernor };
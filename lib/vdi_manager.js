@@ -0,0 +1,675 @@
+// VM fleet management: placement, rebalancing, lifecycle and pool changes.
+
+import { PoolConfig } from './stratum.js';
+import { StratumV2Client } from './stratum_v2.js';
+import { WorkerConfig, MinerWorker } from './workers.js';
+import { MiningVM } from './mining_vm.js';
+import { RebalanceStrategy } from './strategies.js';
+import { MiningAlgorithm } from './algorithms.js';
+import { ThermalGovernor } from './thermal.js';
+
+// --- VDI Manager Class (Resource Allocation and Scalability) ---
+class VDIManager {
+    /**
+     * Manages the pool of Virtual Machines and handles rebalancing.
+     * Options: strategy (a RebalanceStrategy, default the one in the saved rebalance settings), overload_threshold,
+     * cooldown_ms (minimum time before a migrated worker may move again), max_migrations per cycle,
+     * idle_window_ms and min_vms for the idle scale-down (0 lets it stop every VM).
+     */
+    constructor(db_manager, options = {}) {
+        VDIManager.validate_rebalance_options({ 'threshold': options.overload_threshold, 'max_migrations': options.max_migrations, 'min_vms': options.min_vms });
+        this.db_manager = db_manager;
+        this.vms = {}; 
+        this.strategy = options.strategy || VDIManager.create_strategy(db_manager.load_rebalance_settings());
+        this.overload_threshold = options.overload_threshold ?? 0.8;
+        this.cooldown_ms = options.cooldown_ms !== undefined ? options.cooldown_ms : 5 * 60 * 1000;
+        this.max_migrations = options.max_migrations ?? 1; // Rebalance one worker at a time by default
+        this.idle_window_ms = options.idle_window_ms !== undefined ? options.idle_window_ms : 10 * 60 * 1000;
+        this.min_vms = options.min_vms ?? 1; // Scale-down never goes below this many VMs
+        this.last_migrated_at = {}; // worker_id -> ms timestamp, for the cooldown
+        this.pending_migrations = {}; // worker_id -> target vm_id while a deferred migration is in flight
+        this.on_state_change = null; // Called after deferred changes (e.g. migrations onto a new VM)
+        this.on_connection_change = null; // (vm, state, detail) whenever a VM's pool connection changes state
+        this.initialize_vms_from_db(); 
+    }
+
+    initialize_vms_from_db() {
+        /** Rebuilds the VDI state from the database records or creates initial state. */
+        const vm_configs = this.db_manager.load_all_vm_configs();
+        
+        if (Object.keys(vm_configs).length === 0) {
+            console.log("No existing VMs found in DB, spinning up initial VM and worker.");
+            const vm = this.spin_up_new_vm(MiningAlgorithm.get('SHA-256').default_pool.url);
+            const worker = MinerWorker.create(
+                "ron47ron1.mining_btc", // Using the ID from your HTML
+                "SHA-256", 
+                vm.vm_id, 
+                this.db_manager,
+                { initial: true }
+            );
+            worker.set_pools([vm.pool_url]);
+            vm.add_worker(worker);
+            
+            this.db_manager.next_worker_id = 2;
+            this.db_manager.next_vm_id = 2;
+            
+        } else {
+            // Restoring saved state is not a configuration change, so it isn't audited
+            this.db_manager.batch_audit(() => this.restore_vms(vm_configs));
+        }
+        
+        console.log(`VDIManager initialized with ${Object.keys(this.vms).length} VMs and ${Object.keys(this.db_manager.worker_collection).length} workers.`);
+    }
+
+    restore_vms(vm_configs) {
+        /** Recreates VMs and their workers from the saved records. */
+        // 1. Recreate VMs
+        for (const vm_config of Object.values(vm_configs)) {
+            if (vm_config.status === 'stopped') {
+                // Decommissioning was interrupted after the VM had stopped; finish it
+                this.db_manager.delete_vm_config(vm_config.id);
+                continue;
+            }
+            // Provisioning or draining can't resume after a restart; idle VMs are scaled down later
+            const vm = new MiningVM(vm_config.id, this.db_manager, vm_config.pool_url, { ...vm_config, status: 'active' });
+            this.vms[vm.vm_id] = vm;
+            this.watch_connection(vm);
+            
+            // 2. Recreate Workers and assign them
+            const worker_configs = this.db_manager.load_workers_for_vm(vm.vm_id);
+            for (const w_config of worker_configs) {
+                const worker = MinerWorker.create(
+                    w_config.id, 
+                    w_config.algorithm, 
+                    vm.vm_id, 
+                    this.db_manager,
+                    w_config.config
+                );
+                if (w_config.pools && w_config.pools.length > 0) worker.set_pools(w_config.pools);
+                vm.add_worker(worker);
+            }
+        }
+    }
+
+    watch_connection(vm) {
+        vm.on_connection_change = (source_vm, state, detail) => {
+            if (this.on_connection_change) this.on_connection_change(source_vm, state, detail);
+        };
+    }
+
+    // --- Rebalance Settings ---
+    static create_strategy(settings) {
+        /** The RebalanceStrategy that saved settings name (throws on an unknown one). */
+        const { strategy, strategy_options } = { ...VDIManager.DEFAULT_REBALANCE_SETTINGS, ...settings };
+        return RebalanceStrategy.create(strategy, strategy_options);
+    }
+
+    rebalance_settings() {
+        return { ...VDIManager.DEFAULT_REBALANCE_SETTINGS, ...this.db_manager.load_rebalance_settings() };
+    }
+
+    save_rebalance_settings(settings) {
+        /** Validates and saves the strategy (by REGISTRY name) and its options; the next rebalance uses it. */
+        const unknown = Object.keys(settings).filter(key => !(key in VDIManager.DEFAULT_REBALANCE_SETTINGS));
+        if (unknown.length > 0) throw new Error(`Unknown rebalance setting(s): ${unknown.join(', ')}`);
+        const strategy = VDIManager.create_strategy(settings);
+        this.db_manager.save_rebalance_settings(settings);
+        this.strategy = strategy;
+        console.log(`Rebalancing strategy set to ${strategy.constructor.name}.`);
+        return this.rebalance_settings();
+    }
+
+    build_placement_model() {
+        /**
+         * Snapshot of current placement for the strategies (loads are recomputed, never stale).
+         * Workers with a migration still in flight are counted on their destination VM.
+         * Throttled or paused workers count with the load they had before, so their VM keeps
+         * room for them to come back; a VM's thermal headroom is how far its hottest worker
+         * is below the thermal policy's limit (null when no worker reports a temperature).
+         */
+        const thermal_states = this.db_manager.load_thermal_state();
+        const temperature_limit = ThermalGovernor.policy_for(this.db_manager).temperature_limit_c;
+        const model = {};
+        for (const vm of Object.values(this.vms)) {
+            model[vm.vm_id] = {
+                'vm_id': vm.vm_id,
+                'pool_url': vm.pool_url,
+                'capacity': vm.capacity,
+                'power_budget_watts': vm.power_budget_watts,
+                'status': vm.status,
+                'is_new': false,
+                'thermal_headroom': null,
+                'workers': []
+            };
+        }
+        for (const vm of Object.values(this.vms)) {
+            for (const w of vm.workers) {
+                const destination = model[this.pending_migrations[w.worker_id]] || model[vm.vm_id];
+                const thermal = thermal_states[w.worker_id];
+                const load = MiningVM.hashrate_to_load(w.get_hashrate(), w.algorithm);
+                destination.workers.push({
+                    'worker_id': w.worker_id,
+                    'algorithm': w.algorithm,
+                    // A worker without its own pool list mines on whatever its VM is connected to
+                    'pools': w.pools.length > 0 ? w.pools.map(pool => pool.url) : [vm.pool_url],
+                    'hashrate': w.get_hashrate(),
+                    'power': w.get_power_consumption(),
+                    'temperature': w.get_temperature(),
+                    'thermal_action': thermal ? thermal.action : null,
+                    'load': thermal ? Math.max(load, MiningVM.hashrate_to_load(thermal.hashrate_before, w.algorithm)) : load
+                });
+            }
+        }
+        for (const vm of Object.values(model)) {
+            const temperatures = vm.workers.map(w => w.temperature).filter(t => t !== null && t !== undefined);
+            if (temperatures.length > 0) vm.thermal_headroom = temperature_limit - Math.max(...temperatures);
+        }
+        return Object.values(model);
+    }
+
+    is_in_cooldown(worker_id, now = Date.now()) {
+        const last = this.last_migrated_at[worker_id];
+        return last !== undefined && now - last < this.cooldown_ms;
+    }
+
+    static validate_rebalance_options(options) {
+        /**
+         * threshold is a fraction of VM capacity, max_migrations and min_vms counts, strategy a
+         * RebalanceStrategy.REGISTRY name (with strategy_options); any may be left out for the manager's own.
+         */
+        const { threshold, max_migrations, min_vms, strategy } = options;
+        if (threshold != null && !(typeof threshold === 'number' && Number.isFinite(threshold) && threshold >= 0)) {
+            throw new Error('threshold must be a non-negative number (a fraction of VM capacity)');
+        }
+        if (max_migrations != null && !(Number.isInteger(max_migrations) && max_migrations >= 0)) {
+            throw new Error('max_migrations must be a non-negative integer');
+        }
+        if (min_vms != null && !(Number.isInteger(min_vms) && min_vms >= 0)) {
+            throw new Error('min_vms must be a non-negative integer');
+        }
+        if (strategy != null) RebalanceStrategy.create(strategy, options.strategy_options ?? {}); // Throws on an unknown name or bad options
+        return options;
+    }
+
+    plan_rebalance(options = {}) {
+        /**
+         * Computes migration steps with the current strategy (or options.strategy, for this
+         * plan only) without applying them.
+         * Each step is { worker_id, from_vm_id, to_vm_id, new_vm, reason }; steps with
+         * new_vm set target a VM that would have to be spun up (to_vm_id is a placeholder).
+         */
+        VDIManager.validate_rebalance_options(options);
+        const max_migrations = options.max_migrations ?? this.max_migrations;
+        const context = { 'threshold': options.threshold ?? this.overload_threshold };
+        const strategy = options.strategy != null ? RebalanceStrategy.create(options.strategy, options.strategy_options ?? {}) : this.strategy;
+        const model = this.build_placement_model();
+        const steps = [];
+        let new_vm_count = 0;
+
+        const accepts_workers = (vm) => vm.status === 'active' || vm.status === 'provisioning';
+        for (const source of model) {
+            if (source.status !== 'active') continue; // draining VMs are emptied by drain_vm()
+            while (steps.length < max_migrations && strategy.is_overloaded(source, context)) {
+                // Workers under thermal protection stay put until they are restored
+                const movable = source.workers.filter(w => !this.is_in_cooldown(w.worker_id) && w.thermal_action === null
+                    && !steps.some(step => step.worker_id === w.worker_id));
+                const targets = model.filter(vm => vm !== source && accepts_workers(vm));
+                const choice = strategy.select_migration(source, movable, targets, context);
+                if (!choice) break;
+
+                let target = choice.target;
+                if (target === null) {
+                    target = {
+                        'vm_id': `new-vm-${++new_vm_count}`,
+                        'pool_url': source.pool_url,
+                        'capacity': source.capacity,
+                        'power_budget_watts': source.power_budget_watts,
+                        'status': 'provisioning',
+                        'is_new': true,
+                        'thermal_headroom': null,
+                        'workers': []
+                    };
+                    model.push(target);
+                }
+                // Apply to the model so later steps see the projected placement
+                source.workers = source.workers.filter(w => w !== choice.worker);
+                target.workers.push(choice.worker);
+                steps.push({
+                    'worker_id': choice.worker.worker_id,
+                    'from_vm_id': source.vm_id,
+                    'to_vm_id': target.vm_id,
+                    'new_vm': target.is_new,
+                    'reason': choice.reason
+                });
+            }
+        }
+
+        return {
+            'strategy': strategy.constructor.name,
+            'created_at': new Date().toISOString(),
+            'threshold': context.threshold,
+            'steps': steps,
+            'projected_loads': Object.fromEntries(model.map(vm => [vm.vm_id, RebalanceStrategy.load(vm)]))
+        };
+    }
+
+    monitor_and_rebalance(options = {}) {
+        /** Checks for overloaded VMs and migrates workers; with { dry_run: true } only returns the plan. */
+        console.log("\n--- Starting Rebalance Check ---");
+        const plan = this.plan_rebalance(options);
+        plan.dry_run = Boolean(options.dry_run);
+        if (plan.steps.length === 0) {
+            console.log("No VMs currently overloaded.");
+        } else if (plan.dry_run) {
+            console.log(`Dry run (${plan.strategy}): ${plan.steps.length} migration(s) planned.`);
+        }
+        if (!plan.dry_run) {
+            // Changes the rebalancer makes on its own are attributed to it in the audit log
+            const actor = this.db_manager.current_actor || { 'type': 'rebalancer', 'id': plan.strategy };
+            this.db_manager.with_actor(actor, () => {
+                if (plan.steps.length > 0) this.apply_rebalance_plan(plan);
+                this.scale_down_idle_vms();
+            });
+        }
+        return plan;
+    }
+
+    bind_actor(fn) {
+        /** Wraps a deferred callback so the audit entries it writes keep the actor that scheduled it. */
+        const actor = this.db_manager.current_actor;
+        return (...args) => this.db_manager.with_actor(actor, () => fn(...args));
+    }
+
+    apply_rebalance_plan(plan) {
+        const spun_up = {}; // placeholder id -> real MiningVM
+        for (const step of plan.steps) {
+            const source = this.vms[step.from_vm_id];
+            if (!source) continue;
+            this.last_migrated_at[step.worker_id] = Date.now();
+
+            if (!step.new_vm) {
+                source.migrate_worker_out(step.worker_id, this.vms[step.to_vm_id]);
+                continue;
+            }
+            if (!spun_up[step.to_vm_id]) {
+                spun_up[step.to_vm_id] = this.spin_up_new_vm(source.pool_url, {
+                    capacity: source.capacity,
+                    power_budget_watts: source.power_budget_watts
+                });
+                console.log(`VM ${source.vm_id} overloaded, spinning up new VM ${spun_up[step.to_vm_id].vm_id}.`);
+            }
+            const new_vm_instance = spun_up[step.to_vm_id];
+            this.pending_migrations[step.worker_id] = new_vm_instance.vm_id;
+            // Migrate once the new VM has finished provisioning
+            new_vm_instance.ready.then(this.bind_actor(() => {
+                delete this.pending_migrations[step.worker_id];
+                source.migrate_worker_out(step.worker_id, new_vm_instance);
+                if (this.on_state_change) this.on_state_change(); // Update display after migration
+            }));
+        }
+    }
+
+    // --- VM Lifecycle (drain, stop, decommission, idle scale-down) ---
+    drain_vm(vm_id) {
+        /**
+         * Marks a VM 'draining' and migrates all its workers elsewhere, placing each
+         * with the current strategy (spinning up a VM if nothing has room). Resolves
+         * with the VM once it is empty.
+         */
+        const vm = this.vms[vm_id];
+        if (!vm) return Promise.reject(new Error(`VM ${vm_id} not found`));
+        vm.set_status('draining');
+
+        const context = { 'threshold': this.overload_threshold };
+        const model = this.build_placement_model();
+        const source = model.find(m => m.vm_id === vm_id);
+        const targets = model.filter(m => m !== source && (m.status === 'active' || m.status === 'provisioning'));
+        let overflow_vm = null;
+        const moves = [];
+
+        for (const worker of [...source.workers]) {
+            const choice = this.strategy.select_migration(source, [worker], targets, context);
+            let target_vm;
+            if (choice && choice.target) {
+                choice.target.workers.push(worker);
+                target_vm = this.vms[choice.target.vm_id];
+            } else {
+                if (!overflow_vm) {
+                    overflow_vm = this.spin_up_new_vm(vm.pool_url, {
+                        capacity: vm.capacity,
+                        power_budget_watts: vm.power_budget_watts
+                    });
+                    targets.push({ 'vm_id': overflow_vm.vm_id, 'pool_url': overflow_vm.pool_url, 'capacity': overflow_vm.capacity,
+                        'power_budget_watts': overflow_vm.power_budget_watts, 'status': 'provisioning',
+                        'is_new': false, 'thermal_headroom': null, 'workers': [] });
+                }
+                targets[targets.length - 1].workers.push(worker);
+                target_vm = overflow_vm;
+            }
+            source.workers = source.workers.filter(w => w !== worker);
+            this.last_migrated_at[worker.worker_id] = Date.now();
+            moves.push(target_vm.ready.then(this.bind_actor(() => vm.migrate_worker_out(worker.worker_id, target_vm))));
+        }
+
+        console.log(`VM ${vm_id}: draining ${moves.length} worker(s).`);
+        return Promise.all(moves).then(() => vm);
+    }
+
+    stop_vm(vm_id) {
+        /** Disconnects an empty VM from its pool (after in-flight shares settle) and marks it stopped. */
+        const vm = this.vms[vm_id];
+        if (!vm) return Promise.reject(new Error(`VM ${vm_id} not found`));
+        if (vm.workers.length > 0) return Promise.reject(new Error(`VM ${vm_id} still hosts ${vm.workers.length} worker(s); drain it first`));
+        return vm.stratum_client.graceful_disconnect().then(this.bind_actor(() => {
+            vm.set_status('stopped');
+            return vm;
+        }));
+    }
+
+    decommission_vm(vm_id) {
+        /** Drain -> stop -> remove. Refuses to remove the last VMs (see min_vms). */
+        const active = Object.values(this.vms).filter(vm => vm.status !== 'stopped' && vm.status !== 'draining');
+        if (active.length <= this.min_vms) {
+            return Promise.reject(new Error(`Refusing to decommission ${vm_id}: at least ${this.min_vms} VM(s) must stay up`));
+        }
+        return this.drain_vm(vm_id)
+            .then(this.bind_actor(() => this.stop_vm(vm_id)))
+            .then(this.bind_actor(vm => {
+                delete this.vms[vm_id];
+                this.db_manager.delete_vm_config(vm_id);
+                console.log(`VM ${vm_id} decommissioned.`);
+                if (this.on_state_change) this.on_state_change();
+                return vm;
+            }));
+    }
+
+    scale_down_idle_vms(now = Date.now()) {
+        /** Decommissions VMs that have had no workers for longer than idle_window_ms. */
+        const decommissions = [];
+        for (const vm of Object.values(this.vms)) {
+            if (vm.status !== 'active' || vm.workers.length > 0 || Object.values(this.pending_migrations).includes(vm.vm_id)) {
+                vm.idle_since = null;
+                continue;
+            }
+            if (vm.idle_since === null) vm.idle_since = now;
+            if (now - vm.idle_since < this.idle_window_ms) continue;
+            console.log(`VM ${vm.vm_id} idle for ${Math.round((now - vm.idle_since) / 1000)}s, scaling down.`);
+            decommissions.push(this.decommission_vm(vm.vm_id)
+                .catch(err => console.warn(`Scale-down of ${vm.vm_id} skipped: ${err.message}`)));
+        }
+        return Promise.all(decommissions);
+    }
+
+    spin_up_new_vm(pool_url = "default_pool", options = {}) {
+        const new_id = this.db_manager.get_next_vm_id();
+        const new_vm = new MiningVM(new_id, this.db_manager, pool_url, { ...options, status: 'provisioning' });
+        this.vms[new_id] = new_vm;
+        this.watch_connection(new_vm);
+        // Provisioning is simulated: the VM accepts workers after a short boot delay
+        new_vm.ready = new Promise(resolve => setTimeout(this.bind_actor(() => {
+            new_vm.set_status('active');
+            resolve(new_vm);
+        }), VDIManager.PROVISIONING_DELAY_MS));
+        console.log(`New VM spun up: ${new_id}`);
+        return new_vm;
+    }
+
+    upgrade_to_stratum_v2(workerId, v2PoolAddress, on_state_change = null) {
+        /**
+         * Negotiates a Stratum V2 connection for the worker's VM next to the live V1 one.
+         * Resolves to 'v2' once the VM has switched over, or 'v1' if negotiation failed
+         * and the VM kept its existing V1 connection.
+         */
+        const vm = Object.values(this.vms).find(v => v.workers.some(w => w.worker_id === workerId));
+        if (!vm) return Promise.reject(new Error(`Worker ${workerId} not found`));
+
+        const v1_client = vm.stratum_client;
+        const v2_client = new StratumV2Client(v2PoolAddress, vm, { on_state_change });
+        return v2_client.negotiation.then(() => {
+            vm.stratum_client = v2_client;
+            vm.pool_url = v2PoolAddress;
+            v1_client.disconnect();
+            // From here on the V2 connection reports and fails over like any other
+            Object.assign(v2_client.options, vm.connection_options(v2PoolAddress));
+            for (const worker of vm.workers) vm.authorize_worker(worker);
+            this.db_manager.save_vm_config(vm);
+            console.log(`VM ${vm.vm_id} upgraded to Stratum V2 at ${v2PoolAddress}`);
+            return 'v2';
+        }, err => {
+            v2_client.disconnect();
+            console.warn(`VM ${vm.vm_id}: Stratum V2 negotiation failed (${err.message}), staying on V1 ${v1_client.pool_url}`);
+            return 'v1';
+        });
+    }
+
+    find_worker(workerId) {
+        for (const vm of Object.values(this.vms)) {
+            const worker = vm.workers.find(w => w.worker_id === workerId);
+            if (worker) return { vm, worker };
+        }
+        return null;
+    }
+
+    update_pool_settings(workerId, pools, options = {}) {
+        /**
+         * Replaces a worker's ordered pool list (PoolConfig entries or URLs; throws if
+         * any is invalid). The worker's VM reconnects to the new primary pool when the
+         * worker is alone on it; otherwise the worker moves to a VM on that pool.
+         * Logged as a revertible 'pool.changed' audit entry (options.reverts marks an undo).
+         */
+        const found = this.find_worker(workerId);
+        if (!found) return false;
+        const { vm, worker } = found;
+        const before = { 'vm_id': vm.vm_id, 'pool_url': vm.pool_url, 'pools': worker.pools.map(pool => pool.to_json()) };
+        this.db_manager.batch_audit(() => {
+            worker.set_pools(pools);
+            const primary = worker.pools[0].url;
+            if (primary === vm.pool_url) return;
+
+            if (vm.workers.length === 1) {
+                vm.pool_url = primary;
+                vm.switch_pool(primary);
+            } else {
+                const target = Object.values(this.vms).find(v => v !== vm && v.pool_url === primary && v.status === 'active')
+                    || this.spin_up_new_vm(primary, { capacity: vm.capacity, power_budget_watts: vm.power_budget_watts });
+                this.pending_migrations[workerId] = target.vm_id;
+                target.ready.then(this.bind_actor(() => {
+                    delete this.pending_migrations[workerId];
+                    vm.migrate_worker_out(workerId, target);
+                    if (this.on_state_change) this.on_state_change();
+                }));
+            }
+        });
+        const after = { 'pools': worker.pools.map(pool => pool.to_json()) };
+        if (JSON.stringify(after.pools) !== JSON.stringify(before.pools)) {
+            this.db_manager.record_audit('pool.changed', { 'type': 'worker', 'id': workerId }, before, after, options.reverts || null);
+        }
+        console.log(`Worker ${workerId}'s pool address updated to ${worker.pools[0].url} (${worker.pools.length - 1} failover pool(s))`);
+        return true;
+    }
+
+    // --- Adding Workers ---
+    create_worker(workerId, algorithm, options = {}) {
+        /**
+         * Adds a worker to the fleet. Options: pools (PoolConfig entries or URLs, primary
+         * first; defaults to the algorithm's default pool) and config (driver and tuning, as
+         * for MinerWorker.create). The worker goes to the least-loaded active VM on its
+         * primary pool that has room for a typical device, or to a new VM. Throws on an
+         * invalid name, algorithm or pool; resolves with the worker once it is placed.
+         */
+        const name = PoolConfig.validate_worker_name(workerId);
+        if (this.db_manager.worker_collection[name]) throw new Error(`Worker ${name} already exists`);
+        const mining_algorithm = MiningAlgorithm.get(algorithm);
+        const pools = PoolConfig.list_from(options.pools && options.pools.length > 0
+            ? options.pools : [mining_algorithm.default_pool], name);
+        const driver_type = (options.config && options.config.driver && options.config.driver.type) || 'simulator';
+        if (!MinerWorker.DRIVERS[driver_type]) throw new Error(`Unknown miner driver '${driver_type}'`); // Before any VM is spun up
+        const expected_load = mining_algorithm.to_load(mining_algorithm.typical_device.hashrate);
+
+        const candidates = Object.values(this.vms)
+            .filter(vm => vm.status === 'active' && vm.pool_url === pools[0].url
+                && vm.calculate_load() + expected_load <= this.overload_threshold * vm.capacity)
+            .sort((a, b) => a.load_metric - b.load_metric);
+        const vm = candidates[0] || this.spin_up_new_vm(pools[0].url);
+
+        let worker;
+        this.db_manager.batch_audit(() => {
+            worker = MinerWorker.create(name, mining_algorithm.name, vm.vm_id, this.db_manager, options.config || {});
+            worker.set_pools(pools.map(pool => pool.to_json()));
+        });
+        this.db_manager.record_audit('worker.created', { 'type': 'worker', 'id': name }, null, this.db_manager.worker_collection[name]);
+        console.log(`Worker ${name} (${mining_algorithm.name}) created on VM ${vm.vm_id}.`);
+        return vm.ready.then(this.bind_actor(() => {
+            vm.add_worker(worker);
+            if (this.on_state_change) this.on_state_change();
+            return worker;
+        }));
+    }
+
+    // --- Tuning Profiles ---
+    profile_targets(target) {
+        /** The workers addressed by { worker_id } or { vm_id }. */
+        if (target.worker_id) {
+            const found = this.find_worker(target.worker_id);
+            if (!found) throw new Error(`Worker ${target.worker_id} not found`);
+            return [found.worker];
+        }
+        const vm = this.vms[target.vm_id];
+        if (!vm) throw new Error(`VM ${target.vm_id} not found`);
+        return vm.workers;
+    }
+
+    preview_profile(name, target) {
+        /** Per-worker diffs that apply_profile() would make; workers already on the profile are left out. */
+        WorkerConfig.profile(name); // Throws on an unknown profile even when there are no workers
+        const diffs = {};
+        for (const worker of this.profile_targets(target)) {
+            const diff = worker.preview_configuration(WorkerConfig.profile(name, worker.algorithm));
+            if (Object.keys(diff).length > 0) diffs[worker.worker_id] = diff;
+        }
+        return diffs;
+    }
+
+    apply_profile(name, target) {
+        /**
+         * Applies a tuning profile (each worker gets its algorithm's preset, see
+         * MiningAlgorithm profiles) to one worker ({ worker_id }) or to every worker on
+         * a VM ({ vm_id }). Returns the per-worker diffs that were applied.
+         */
+        WorkerConfig.profile(name);
+        const diffs = {};
+        for (const worker of this.profile_targets(target)) {
+            const diff = worker.update_configuration(WorkerConfig.profile(name, worker.algorithm));
+            if (Object.keys(diff).length > 0) diffs[worker.worker_id] = diff;
+        }
+        console.log(`Profile '${name}' applied to ${Object.keys(diffs).length} worker(s).`);
+        return diffs;
+    }
+
+    rename_worker(workerId, newWorkerId) {
+        /** Renames a worker everywhere it is keyed and re-authorizes it under its new name. */
+        const found = this.find_worker(workerId);
+        if (!found) throw new Error(`Worker ${workerId} not found`);
+        const name = PoolConfig.validate_worker_name(newWorkerId);
+        if (name === workerId) return found.worker;
+        this.db_manager.rename_worker_config(workerId, name); // throws if the name is taken
+
+        const { vm, worker } = found;
+        const client = vm.stratum_client;
+        const old_login = worker.credentials_for(client.pool_url).worker_name;
+        worker.worker_id = name;
+        // Pool logins that were simply the worker ID follow the rename
+        for (const pool of worker.pools) {
+            if (pool.worker_name === workerId) pool.worker_name = name;
+        }
+        this.db_manager.batch_audit(() => this.db_manager.save_worker_config(worker)); // Part of 'worker.renamed'
+
+        const new_login = worker.credentials_for(client.pool_url).worker_name;
+        if (new_login !== old_login) {
+            if (client.share_stats[old_login]) client.share_stats[new_login] = client.share_stats[old_login];
+            delete client.share_stats[old_login];
+            delete client.worker_credentials[old_login];
+            delete client.authorized_workers[old_login];
+            vm.authorize_worker(worker);
+        }
+        for (const table of [this.last_migrated_at, this.pending_migrations]) {
+            if (table[workerId] !== undefined) {
+                table[name] = table[workerId];
+                delete table[workerId];
+            }
+        }
+        console.log(`Worker ${workerId} renamed to ${name}`);
+        return worker;
+    }
+
+    // --- Offline Pool Changes ---
+    queue_pool_change(workerId, pools) {
+        /**
+         * For pool edits made while the dashboard has no network (switching pools needs a
+         * connection): validates them now, so mistakes show at once, and keeps them in
+         * ConfigDBManager until replay_pool_changes().
+         */
+        if (!this.find_worker(workerId)) throw new Error(`Worker ${workerId} not found`);
+        const validated = PoolConfig.list_from(pools, workerId).map(pool => pool.to_json());
+        return this.db_manager.queue_pool_change(workerId, validated);
+    }
+
+    replay_pool_changes() {
+        /**
+         * Applies the queued pool edits oldest first, each attributed to whoever made it.
+         * Edits that no longer apply (e.g. the worker was removed) are dropped.
+         * Returns { applied: [change], failed: [{ change, error }] }.
+         */
+        const result = { 'applied': [], 'failed': [] };
+        for (const change of [...this.db_manager.load_pending_pool_changes()]) {
+            try {
+                const applied = this.db_manager.with_actor(change.actor, () => this.update_pool_settings(change.worker_id, change.pools));
+                if (!applied) throw new Error(`Worker ${change.worker_id} no longer exists`);
+                result.applied.push(change);
+            } catch (err) {
+                console.warn(`Queued pool change for ${change.worker_id} dropped: ${err.message}`);
+                result.failed.push({ 'change': change, 'error': err.message });
+            }
+            this.db_manager.remove_pending_pool_change(change.id);
+        }
+        if (result.applied.length > 0 && this.on_state_change) this.on_state_change();
+        return result;
+    }
+
+    // --- Undo ---
+    revert_audit_entry(entry_id) {
+        /**
+         * Undoes a pool change or a migration from the audit log, provided nothing has
+         * changed the worker since. The undo is itself logged with `reverts` set.
+         */
+        const entry = this.db_manager.get_audit_entry(entry_id);
+        if (!entry) throw new Error(`Audit entry ${entry_id} not found`);
+        if (!VDIManager.REVERTIBLE_ACTIONS.includes(entry.action)) throw new Error(`'${entry.action}' changes cannot be reverted`);
+        if (this.db_manager.find_revert_of(entry_id)) throw new Error(`Audit entry ${entry_id} has already been reverted`);
+        const found = this.find_worker(entry.target.id);
+        if (!found) throw new Error(`Worker ${entry.target.id} no longer exists`);
+
+        if (entry.action === 'pool.changed') {
+            const current = JSON.stringify(found.worker.pools.map(pool => pool.to_json()));
+            if (current !== JSON.stringify(entry.after.pools)) throw new Error(`The pools of ${entry.target.id} have changed since`);
+            // A worker without its own pool list simply followed its VM's pool
+            const pools = entry.before.pools.length > 0 ? entry.before.pools : [entry.before.pool_url];
+            this.update_pool_settings(entry.target.id, pools, { 'reverts': entry.id });
+        } else {
+            const origin = this.vms[entry.before.vm_id];
+            if (found.vm.vm_id !== entry.after.vm_id) throw new Error(`${entry.target.id} has moved since`);
+            if (!origin || origin.status !== 'active') throw new Error(`VM ${entry.before.vm_id} is no longer active`);
+            this.last_migrated_at[entry.target.id] = Date.now(); // Keep the rebalancer from undoing the undo
+            found.vm.migrate_worker_out(entry.target.id, origin, { 'reverts': entry.id });
+        }
+        if (this.on_state_change) this.on_state_change();
+        return this.db_manager.find_revert_of(entry_id);
+    }
+}
+
+
+VDIManager.PROVISIONING_DELAY_MS = 1000;
+VDIManager.REVERTIBLE_ACTIONS = ['pool.changed', 'worker.migrated'];
+VDIManager.DEFAULT_REBALANCE_SETTINGS = { 'strategy': 'least-loaded', 'strategy_options': {} };
+
+export { VDIManager };
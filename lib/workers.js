@@ -0,0 +1,521 @@
+// Miner workers: the base class and the device drivers.
+
+import { node_require } from './platform.js';
+import { WebSocketBridgeTransport, TcpTransport, PoolConfig, StratumClient } from './stratum.js';
+import { MiningAlgorithm } from './algorithms.js';
+
+// --- Worker Configuration (Validated tuning settings and named profiles) ---
+class WorkerConfig {
+    /**
+     * A worker's tuning: algorithm, chip frequency, core voltage, fan mode ('auto',
+     * 'manual' at fan_speed_percent, or 'max') and power target. A null field leaves
+     * the device on its own default (the algorithm is required). Instances are immutable snapshots; changes go
+     * through merge() and are compared with diff().
+     */
+    constructor(settings = {}) {
+        const unknown = Object.keys(settings).filter(field => !(field in WorkerConfig.SCHEMA));
+        if (unknown.length > 0) throw new Error(`Unknown worker setting(s): ${unknown.join(', ')}`);
+        for (const field of Object.keys(WorkerConfig.SCHEMA)) {
+            // The algorithm comes first, so chip settings are checked against its limits
+            this[field] = WorkerConfig.validate_field(field, settings[field], this.algorithm);
+        }
+        if (this.fan_mode === 'manual' && this.fan_speed_percent === null) {
+            throw new Error("Fan mode 'manual' needs fan_speed_percent");
+        }
+    }
+
+    static validate_field(field, value, algorithm = MiningAlgorithm.DEFAULT) {
+        const spec = WorkerConfig.field_spec(field, algorithm);
+        if (value === null || value === undefined || value === '') {
+            if (spec.required) throw new Error(`${field} is required`);
+            return null;
+        }
+        if (spec.type === 'number') {
+            const number = typeof value === 'string' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || number < spec.min || number > spec.max) {
+                throw new Error(`${field} must be between ${spec.min} and ${spec.max} ${spec.unit} (got '${value}')`);
+            }
+            return number;
+        }
+        if (spec.type === 'algorithm') return MiningAlgorithm.get(value).name;
+        if (spec.type === 'enum' && !spec.values.includes(value)) {
+            throw new Error(`${field} must be one of ${spec.values.join(', ')} (got '${value}')`);
+        }
+        if (typeof value !== 'string' || value.trim() === '') throw new Error(`${field} must be a non-empty string`);
+        return value.trim();
+    }
+
+    static field_spec(field, algorithm = MiningAlgorithm.DEFAULT) {
+        /** SCHEMA[field], with the bounds of a chip setting taken from the algorithm's devices. */
+        const spec = WorkerConfig.SCHEMA[field];
+        return spec.chip ? { ...spec, ...MiningAlgorithm.get(algorithm).chip_limits[field] } : spec;
+    }
+
+    static profile(name, algorithm = MiningAlgorithm.DEFAULT) {
+        /** The named tuning preset for the algorithm's devices; applying one leaves the algorithm alone. */
+        const profiles = MiningAlgorithm.get(algorithm).profiles;
+        if (!Object.hasOwn(profiles, name)) throw new Error(`Unknown profile '${name}' (expected ${Object.keys(profiles).join(', ')})`);
+        return profiles[name];
+    }
+
+    merge(changes) {
+        /** A new, validated config with the given fields replaced. */
+        return new WorkerConfig({ ...this.to_json(), ...changes });
+    }
+
+    diff(other) {
+        /** Fields whose value differs in other, as { field: { from, to } }. */
+        const changes = {};
+        for (const field of Object.keys(WorkerConfig.SCHEMA)) {
+            if (this[field] !== other[field]) changes[field] = { 'from': this[field], 'to': other[field] };
+        }
+        return changes;
+    }
+
+    to_json() {
+        const json = {};
+        for (const field of Object.keys(WorkerConfig.SCHEMA)) json[field] = this[field];
+        return json;
+    }
+}
+
+WorkerConfig.SCHEMA = {
+    'algorithm': { 'type': 'algorithm', 'required': true }, // A MiningAlgorithm name or alias
+    'frequency_mhz': { 'type': 'number', 'chip': true, 'unit': 'MHz' }, // Bounds: MiningAlgorithm chip_limits
+    'voltage_mv': { 'type': 'number', 'chip': true, 'unit': 'mV' },
+    'fan_mode': { 'type': 'enum', 'values': ['auto', 'manual', 'max'] },
+    'fan_speed_percent': { 'type': 'number', 'min': 0, 'max': 100, 'unit': '%' },
+    'power_target_watts': { 'type': 'number', 'min': 100, 'max': 10000, 'unit': 'W' }
+};
+
+
+// --- Base Worker/Miner Class for Abstraction ---
+class MinerWorker {
+    /**
+     * Represents a physical/virtual mining device (ASIC/GPU/etc.). Subclasses are
+     * drivers: they implement read_device() and poll() caches the reading in
+     * `status`, so the synchronous getters used by the monitor and rebalancer
+     * never block on the network. A failed or timed-out poll marks the worker offline.
+     */
+    constructor(worker_id, algorithm, parent_vm_id, db_manager, config = {}) {
+        this.worker_id = worker_id;
+        this.algorithm = MiningAlgorithm.get(algorithm).name; // Canonical name; throws on an unknown algorithm
+        this.parent_vm_id = parent_vm_id; // Track parent VM
+        this.config = config;
+        this.db_manager = db_manager;
+        this.timeout_ms = (config.driver && config.driver.timeout_ms) || MinerWorker.DEFAULT_TIMEOUT_MS;
+        this.status = MinerWorker.offline_status('not polled yet');
+        this.pools = []; // PoolConfig list: primary first, then failover pools
+        this.pauses = {}; // reason (e.g. 'thermal') -> since, while hashing is stopped; not persisted
+        // Save initial config to DB
+        this.db_manager.save_worker_config(this);
+    }
+
+    set_pools(entries) {
+        /** Validates and persists the worker's ordered pool list (throws on an invalid entry). */
+        this.pools = PoolConfig.list_from(entries, this.worker_id);
+        this.db_manager.save_worker_config(this);
+    }
+
+    credentials_for(pool_url) {
+        /** Login for a pool: the matching pool entry, else the primary's, else the worker ID. */
+        const pool = this.pools.find(p => p.url === pool_url) || this.pools[0];
+        return pool
+            ? { 'worker_name': pool.worker_name, 'password': pool.password }
+            : { 'worker_name': this.worker_id, 'password': 'x' };
+    }
+
+    static create(worker_id, algorithm, parent_vm_id, db_manager, config = {}) {
+        /** Instantiates the driver named by config.driver.type (defaults to the simulator). */
+        const type = (config.driver && config.driver.type) || 'simulator';
+        const driver_class = MinerWorker.DRIVERS[type];
+        if (!driver_class) throw new Error(`Unknown miner driver '${type}' for worker ${worker_id}`);
+        return new driver_class(worker_id, algorithm, parent_vm_id, db_manager, config);
+    }
+
+    static offline_status(error) {
+        return {
+            'online': false,
+            'hashrate': 0,
+            'power_consumption': 0,
+            'temperature': null,
+            'fan_rpm': null,
+            'shares_accepted': null,
+            'shares_rejected': null,
+            'error': error,
+            'last_poll': null
+        };
+    }
+
+    static with_timeout(promise, timeout_ms) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`no response within ${timeout_ms} ms`)), timeout_ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    read_device() {
+        return Promise.reject(new Error(`${this.constructor.name} does not implement read_device()`));
+    }
+
+    poll() {
+        /** Refreshes `status` from the device and resolves with it; never rejects. */
+        return MinerWorker.with_timeout(this.read_device(), this.timeout_ms)
+            .then(reading => {
+                this.status = { ...MinerWorker.offline_status(null), ...reading, 'online': true };
+            }, err => {
+                if (this.status.online) console.warn(`Worker ${this.worker_id}: went offline (${err.message}).`);
+                this.status = MinerWorker.offline_status(err.message);
+            })
+            .then(() => {
+                this.status.last_poll = new Date().toISOString();
+                return this.status;
+            });
+    }
+
+    is_online() {
+        return this.status.online;
+    }
+
+    get_hashrate() {
+        return this.status.hashrate; // In the algorithm's native unit (TH/s for SHA-256)
+    }
+
+    get_algorithm() {
+        return MiningAlgorithm.get(this.algorithm);
+    }
+
+    get_power_consumption() {
+        return this.status.power_consumption; // Watts
+    }
+
+    get_temperature() {
+        return this.status.temperature; // °C (hottest chip), null if unknown
+    }
+
+    get_fan_speed() {
+        return this.status.fan_rpm; // RPM (fastest fan), null if unknown
+    }
+
+    get_share_counts() {
+        /** Shares as counted by the device itself, or null when only the pool connection knows. */
+        if (this.status.shares_accepted === null) return null;
+        return { 'accepted': this.status.shares_accepted, 'rejected': this.status.shares_rejected };
+    }
+
+    get_configuration() {
+        /** Current tuning as a WorkerConfig; the algorithm is kept on the worker itself. */
+        return new WorkerConfig({ ...(this.config.tuning || {}), 'algorithm': this.algorithm });
+    }
+
+    preview_configuration(changes) {
+        /** What update_configuration(changes) would change, as { field: { from, to } }; throws if invalid. */
+        const current = this.get_configuration();
+        return current.diff(current.merge(changes));
+    }
+
+    update_configuration(changes) {
+        /**
+         * Validates and applies tuning changes (see WorkerConfig), persists them and pushes
+         * them to the device. Returns the diff; nothing is saved when it is empty.
+         */
+        const current = this.get_configuration();
+        const next = current.merge(changes);
+        const diff = current.diff(next);
+        if (Object.keys(diff).length === 0) return diff;
+
+        const { algorithm, ...tuning } = next.to_json();
+        this.algorithm = algorithm;
+        this.config = { ...this.config, 'tuning': tuning };
+        // Persist the new configuration
+        this.db_manager.save_worker_config(this);
+        this.apply_tuning(next).catch(err => console.warn(`Worker ${this.worker_id}: device rejected tuning (${err.message}).`));
+        const summary = Object.entries(diff).map(([field, change]) => `${field} ${change.from} -> ${change.to}`).join(', ');
+        console.log(`Worker ${this.worker_id}: Updated config (${summary})`);
+        return diff;
+    }
+
+    apply_profile(name) {
+        return this.update_configuration(WorkerConfig.profile(name, this.algorithm));
+    }
+
+    apply_tuning(config) {
+        /** Pushes tuning to the device. Drivers without a tuning API only keep the saved settings. */
+        return Promise.resolve();
+    }
+
+    is_paused() {
+        return Object.keys(this.pauses).length > 0;
+    }
+
+    pause(reason) {
+        /**
+         * Stops hashing; the worker keeps its VM and pool login. Pauses for different reasons
+         * (thermal protection, a schedule) stack. Returns false if already paused for this reason.
+         */
+        if (this.pauses[reason]) return false;
+        const was_paused = this.is_paused();
+        this.pauses[reason] = new Date().toISOString();
+        if (!was_paused) {
+            this.apply_pause(true).catch(err => console.warn(`Worker ${this.worker_id}: device did not pause (${err.message}).`));
+        }
+        console.log(`Worker ${this.worker_id}: Paused (${reason}).`);
+        return true;
+    }
+
+    resume(reason) {
+        /** Undoes pause(reason); the worker only hashes again once no other pause is left. */
+        if (!this.pauses[reason]) return false;
+        delete this.pauses[reason];
+        if (!this.is_paused()) {
+            this.apply_pause(false).catch(err => console.warn(`Worker ${this.worker_id}: device did not resume (${err.message}).`));
+        }
+        console.log(`Worker ${this.worker_id}: Resumed (${reason}).`);
+        return true;
+    }
+
+    apply_pause(paused) {
+        /** Tells the device to stop or restart hashing; drivers without such a command only record it. */
+        return Promise.resolve();
+    }
+
+    set_new_parent(new_vm_id) {
+        /** Updates the worker's parent VM ID and persists the change. */
+        this.parent_vm_id = new_vm_id;
+        // **Critical Step:** Update the database immediately
+        this.db_manager.save_worker_config(this); 
+        console.log(`Worker ${this.worker_id}: Parent VM updated to ${new_vm_id} in DB.`);
+    }
+}
+
+MinerWorker.DEFAULT_TIMEOUT_MS = 5000;
+
+
+// --- Simulator Driver (No hardware required) ---
+class SimulatedMinerWorker extends MinerWorker {
+    /**
+     * Produces random readings around the algorithm's typical device (for SHA-256 the
+     * same ones the dashboard has always shown). A power target scales power and hashrate
+     * (with the usual efficiency gain when underclocking). Chip temperature follows the
+     * power draw, less with the fans at max; in auto mode the fans follow the temperature.
+     * A paused device idles.
+     */
+    constructor(worker_id, algorithm, parent_vm_id, db_manager, config = {}) {
+        super(worker_id, algorithm, parent_vm_id, db_manager, config);
+        this.status = { ...MinerWorker.offline_status(null), ...this.sample(), 'online': true };
+    }
+
+    sample() {
+        const tuning = this.get_configuration();
+        const device = this.get_algorithm().typical_device;
+        const scale = tuning.power_target_watts === null ? 1 : tuning.power_target_watts / device.power_watts;
+        const power_consumption = this.is_paused()
+            ? device.power_watts * SimulatedMinerWorker.IDLE_POWER_FRACTION
+            : device.power_watts * (0.975 + Math.random() * 0.05) * scale; // Watts
+        const heat = power_consumption / device.power_watts; // ~1.0 at the typical draw
+        const temperature = Math.floor(35 + 35 * heat + Math.random() * 10 - (tuning.fan_mode === 'max' ? 8 : 0));
+        // Auto fan curve: 20% up to 42 °C, full speed from 90 °C
+        let fan_rpm = Math.round(SimulatedMinerWorker.MAX_FAN_RPM * Math.min(Math.max((temperature - 30) / 60, 0.2), 1));
+        if (tuning.fan_mode === 'max') fan_rpm = SimulatedMinerWorker.MAX_FAN_RPM;
+        if (tuning.fan_mode === 'manual') fan_rpm = Math.round(SimulatedMinerWorker.MAX_FAN_RPM * tuning.fan_speed_percent / 100);
+        return {
+            'hashrate': this.is_paused() ? 0 : device.hashrate * (0.95 + Math.random() * 0.1) * Math.pow(scale, 0.8), // Native unit
+            'power_consumption': power_consumption,
+            'temperature': temperature,
+            'fan_rpm': fan_rpm
+        };
+    }
+
+    read_device() {
+        return Promise.resolve(this.sample());
+    }
+}
+
+
+SimulatedMinerWorker.MAX_FAN_RPM = 6000;
+SimulatedMinerWorker.IDLE_POWER_FRACTION = 0.03; // Control board and fans of a paused device
+
+
+// --- CGMiner / BOSminer JSON API Driver ---
+class CGMinerAPI {
+    /**
+     * Minimal client for the CGMiner-compatible JSON API (TCP port 4028, also served
+     * by BOSminer). Every command uses a fresh connection: the miner writes one
+     * JSON reply (often NUL-terminated) and closes the socket. In the browser the
+     * connection goes through the same WebSocket bridge as Stratum. A command that
+     * gets no reply within options.timeout_ms fails and its connection is closed.
+     */
+    constructor(host, port = 4028, options = {}) {
+        this.host = host;
+        this.port = port;
+        this.options = options;
+        this.timeout_ms = options.timeout_ms || MinerWorker.DEFAULT_TIMEOUT_MS;
+    }
+
+    create_transport() {
+        // Node.js first: it has a global WebSocket too (since Node 22), but can dial the miner directly
+        if (node_require) return new TcpTransport(this.host, this.port);
+        return new WebSocketBridgeTransport(this.options.bridge_url || StratumClient.DEFAULT_BRIDGE_URL, `tcp://${this.host}:${this.port}`);
+    }
+
+    command(name, parameter = null) {
+        return new Promise((resolve, reject) => {
+            const transport = this.create_transport();
+            let response = '';
+            let settled = false;
+            const timer = setTimeout(() => {
+                if (settled) return;
+                settled = true;
+                transport.close();
+                reject(new Error(`${name}: no response from ${this.host}:${this.port} within ${this.timeout_ms} ms`));
+            }, this.timeout_ms);
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                try {
+                    const reply = JSON.parse(response.replace(/\0/g, '').trim());
+                    const status = reply.STATUS && reply.STATUS[0];
+                    if (status && (status.STATUS === 'E' || status.STATUS === 'F')) {
+                        reject(new Error(`${name}: ${status.Msg}`));
+                    } else {
+                        resolve(reply);
+                    }
+                } catch (err) {
+                    reject(new Error(`${name}: malformed reply from ${this.host}:${this.port}`));
+                }
+            };
+            transport.open({
+                on_open: () => transport.send(JSON.stringify(parameter === null ? { command: name } : { command: name, parameter })),
+                on_data: (chunk) => {
+                    response += chunk;
+                    if (response.includes('\0')) {
+                        finish();
+                        transport.close();
+                    }
+                },
+                on_close: () => finish(),
+                on_error: (err) => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(timer);
+                    reject(new Error(`${name}: cannot reach ${this.host}:${this.port} (${err.message || 'connection error'})`));
+                },
+            });
+        });
+    }
+}
+
+class CGMinerWorker extends MinerWorker {
+    /**
+     * Polls `summary`, `devs`, `temps` and `fans`. The last two (and `tunerstatus`,
+     * used for power draw) are BOSminer extensions, so their absence on stock
+     * CGMiner is tolerated; `summary` failing means the miner is offline.
+     */
+    constructor(worker_id, algorithm, parent_vm_id, db_manager, config = {}) {
+        super(worker_id, algorithm, parent_vm_id, db_manager, config);
+        const driver = config.driver || {};
+        this.api = new CGMinerAPI(driver.host, driver.port || 4028, driver);
+    }
+
+    apply_pause(paused) {
+        // BOSminer's pause/resume commands; stock CGMiner rejects them, which is only logged
+        return this.api.command(paused ? 'pause' : 'resume');
+    }
+
+    read_device() {
+        const optional = (name) => this.api.command(name).catch(() => null);
+        return Promise.all([
+            this.api.command('summary'),
+            optional('devs'),
+            optional('temps'),
+            optional('fans'),
+            optional('tunerstatus'),
+        ]).then(([summary, devs, temps, fans, tuner]) => {
+            const totals = summary.SUMMARY[0];
+            const mhs = totals['MHS 5s'] !== undefined ? totals['MHS 5s'] : totals['MHS av'];
+            const chip_temps = [
+                ...((temps && temps.TEMPS) || []).map(t => t.Chip),
+                ...((devs && devs.DEVS) || []).map(d => d.Temperature),
+            ].filter(t => typeof t === 'number' && t > 0);
+            const fan_rpms = ((fans && fans.FANS) || []).map(f => f.RPM).filter(rpm => typeof rpm === 'number');
+            const tuner_status = tuner && tuner.TUNERSTATUS && tuner.TUNERSTATUS[0];
+            return {
+                'hashrate': mhs * 1e6 / this.get_algorithm().unit_hs, // MH/s -> native unit
+                'power_consumption': tuner_status ? tuner_status.ApproximateMinerPowerConsumption : 0,
+                'temperature': chip_temps.length ? Math.max(...chip_temps) : null,
+                'fan_rpm': fan_rpms.length ? Math.max(...fan_rpms) : null,
+                'shares_accepted': totals.Accepted,
+                'shares_rejected': totals.Rejected
+            };
+        });
+    }
+}
+
+
+// --- Generic HTTP JSON Driver ---
+class HttpJsonMinerWorker extends MinerWorker {
+    /**
+     * Fetches a JSON status document and picks readings out of it with dotted
+     * paths, e.g. driver: { type: 'http', url: 'http://10.0.0.5/api/status',
+     * fields: { hashrate: 'miner.hashrate_ths', temperature: 'temps.chip_max' } }.
+     * `hashrate_scale` converts the device's unit to the algorithm's native unit
+     * (e.g. 1e-3 for a SHA-256 miner reporting GH/s).
+     */
+    constructor(worker_id, algorithm, parent_vm_id, db_manager, config = {}) {
+        super(worker_id, algorithm, parent_vm_id, db_manager, config);
+        const driver = config.driver || {};
+        this.url = driver.url;
+        this.fields = { ...HttpJsonMinerWorker.DEFAULT_FIELDS, ...(driver.fields || {}) };
+        this.hashrate_scale = driver.hashrate_scale || 1;
+    }
+
+    static pick(document, path) {
+        if (!path) return null;
+        const value = path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), document);
+        return typeof value === 'number' ? value : null;
+    }
+
+    read_device() {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout_ms) : null;
+        return fetch(this.url, { signal: controller ? controller.signal : undefined })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} from ${this.url}`);
+                return response.json();
+            })
+            .then(document => {
+                const pick = (field) => HttpJsonMinerWorker.pick(document, this.fields[field]);
+                const hashrate = pick('hashrate');
+                if (hashrate === null) throw new Error(`no hashrate at '${this.fields.hashrate}'`);
+                return {
+                    'hashrate': hashrate * this.hashrate_scale,
+                    'power_consumption': pick('power_consumption') || 0,
+                    'temperature': pick('temperature'),
+                    'fan_rpm': pick('fan_rpm'),
+                    'shares_accepted': pick('shares_accepted'),
+                    'shares_rejected': pick('shares_rejected')
+                };
+            })
+            .finally(() => clearTimeout(timer));
+    }
+}
+
+HttpJsonMinerWorker.DEFAULT_FIELDS = {
+    'hashrate': 'hashrate',
+    'power_consumption': 'power',
+    'temperature': 'temperature',
+    'fan_rpm': 'fan_rpm',
+    'shares_accepted': 'accepted',
+    'shares_rejected': 'rejected'
+};
+
+MinerWorker.DRIVERS = {
+    'simulator': SimulatedMinerWorker,
+    'cgminer': CGMinerWorker,
+    'bosminer': CGMinerWorker,
+    'http': HttpJsonMinerWorker
+};
+
+export { WorkerConfig, MinerWorker, SimulatedMinerWorker, CGMinerAPI, CGMinerWorker, HttpJsonMinerWorker };
@@ -0,0 +1,66 @@
+// Headless daemon: runs the VM fleet on a rig host without a browser and serves the
+// REST API, the Prometheus /metrics endpoint and the dashboard (see lib/api_server.js).
+//   node server.js
+// Environment: VDI_PORT (default 8080), VDI_HOST (default 127.0.0.1; 0.0.0.0 to listen on
+// every interface), VDI_STATE_FILE (JSON state, default ./vdi_manager_state.json),
+// VDI_API_TOKEN (bearer token for the API; by default a random one is kept in
+// <state file>.token) and VDI_ALERT_WEBHOOK (URL that receives alerts as JSON).
+
+import { randomBytes } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ConfigDBManager, JsonFileStorageAdapter, VDIManager, VDIMonitor, Scheduler, WebhookAlertSink, ApiServer } from './lib/index.js';
+
+function loadApiToken(env, state_file) {
+    /** VDI_API_TOKEN, or a random token generated on first start and kept readable by this user only. */
+    if (env.VDI_API_TOKEN) return { 'token': env.VDI_API_TOKEN, 'source': 'VDI_API_TOKEN' };
+    const token_file = `${state_file}.token`;
+    try {
+        return { 'token': readFileSync(token_file, 'utf8').trim(), 'source': token_file };
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    const token = randomBytes(24).toString('hex');
+    writeFileSync(token_file, `${token}\n`, { 'mode': 0o600 });
+    return { 'token': token, 'source': token_file };
+}
+
+async function startDaemon(env) {
+    // lib/platform.js loads fs, net and http through process.getBuiltinModule
+    if (typeof process.getBuiltinModule !== 'function') throw new Error(`Node.js 20.16 or later is required (running ${process.version})`);
+    const state_file = env.VDI_STATE_FILE || 'vdi_manager_state.json';
+    const api_token = loadApiToken(env, state_file);
+    const db_manager = await ConfigDBManager.open(new JsonFileStorageAdapter(state_file));
+    const vdi_manager = new VDIManager(db_manager);
+    const monitor = new VDIMonitor(vdi_manager, db_manager);
+    vdi_manager.on_state_change = () => monitor.update_all_metrics()
+        .catch(err => console.error(`Metrics update failed: ${err.message}`));
+    if (env.VDI_ALERT_WEBHOOK) monitor.alert_engine.add_sink(new WebhookAlertSink(env.VDI_ALERT_WEBHOOK));
+
+    // Metrics updates, rebalance checks and the saved schedules, at the configured cadence
+    const scheduler = new Scheduler(vdi_manager, monitor, db_manager);
+    scheduler.start();
+
+    const api = new ApiServer(vdi_manager, monitor, {
+        'token': api_token.token,
+        'port': env.VDI_PORT ? parseInt(env.VDI_PORT, 10) : ApiServer.DEFAULT_PORT,
+        'host': env.VDI_HOST,
+        'static_root': fileURLToPath(new URL('.', import.meta.url)), // index.html and dashboard.js live next to this file
+        'scheduler': scheduler
+    });
+    await api.listen();
+    console.log(`API: clients must send "Authorization: Bearer <token>" with the token from ${api_token.source}.`);
+
+    const shutdown = () => {
+        console.log('Shutting down...');
+        scheduler.stop();
+        Promise.all([api.close(), db_manager.flush()]).then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+startDaemon(process.env).catch(err => {
+    console.error(`Daemon failed to start: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Service worker for the installed dashboard: caches the app shell so it opens without a
+// network. The data shown offline comes from ConfigDBManager (IndexedDB), not from here.
+
+// Bump the version whenever SHELL_FILES changes, so installed copies drop the old cache
+const CACHE_NAME = 'vdi-dashboard-v2';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'dashboard.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'lib/index.js',
+    'lib/platform.js',
+    'lib/storage.js',
+    'lib/economics.js',
+    'lib/metrics_exporter.js',
+    'lib/alerts.js',
+    'lib/thermal.js',
+    'lib/scheduler.js',
+    'lib/monitor.js',
+    'lib/stratum.js',
+    'lib/stratum_v2.js',
+    'lib/algorithms.js',
+    'lib/workers.js',
+    'lib/mining_vm.js',
+    'lib/strategies.js',
+    'lib/vdi_manager.js',
+    'lib/api_server.js'
+];
+// Live data served by the daemon (server.js) is never cached
+const LIVE_PATHS = /\/(api\/|metrics$)/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || LIVE_PATHS.test(url.pathname)) return;
+
+    // Stale-while-revalidate: answer from the cache at once and refresh it in the background,
+    // so a new version shows up on the next launch
+    event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(event.request, { 'ignoreSearch': true }).then(cached => {
+        const fetched = fetch(event.request)
+            .then(response => {
+                if (response.ok) cache.put(event.request, response.clone());
+                return response;
+            })
+            .catch(err => {
+                // Offline navigation to a URL that was never cached: fall back to the shell
+                if (event.request.mode === 'navigate') return cache.match('index.html');
+                throw err;
+            });
+        if (cached) {
+            event.waitUntil(fetched.catch(() => undefined));
+            return cached;
+        }
+        return fetched;
+    })));
+});
@@ -0,0 +1,80 @@
+// Alert rules: validation and fleet-wide aggregation.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertEngine } from '../lib/alerts.js';
+
+function engine() {
+    const rules = {};
+    let next_id = 1;
+    const db_manager = {
+        'get_next_alert_rule_id': () => `rule-${next_id++}`,
+        'save_alert_rule': (rule) => { rules[rule.id] = rule; },
+        'load_alert_rules': () => rules
+    };
+    return new AlertEngine(db_manager, []);
+}
+
+const METRICS = {
+    'acct.s19': { 'algorithm': 'SHA-256', 'hashrate': 100, 'temperature': 70, 'power_consumption': 3250, 'shares_accepted': 9, 'shares_rejected': 1 },
+    'acct.s21': { 'algorithm': 'SHA-256', 'hashrate': 200, 'temperature': 80, 'power_consumption': 3500, 'shares_accepted': 10, 'shares_rejected': 0 },
+    'acct.xmr': { 'algorithm': 'RandomX', 'hashrate': 20, 'temperature': null, 'power_consumption': 140, 'shares_accepted': 5, 'shares_rejected': 0 },
+    'acct.down': { 'hashrate': null, 'temperature': null, 'power_consumption': null, 'shares_accepted': 0, 'shares_rejected': 0 }
+};
+
+// --- Rule Management ---
+
+test('rules need a finite numeric threshold and a known aggregate and algorithm', () => {
+    const alerts = engine();
+    for (const threshold of ['85', NaN, Infinity, null, undefined]) {
+        assert.throws(() => alerts.add_rule({ 'metric': 'temperature', 'operator': '>', threshold }), /finite number/, String(threshold));
+    }
+    assert.throws(() => alerts.add_rule({ 'metric': 'temperature', 'operator': '>', 'threshold': 85, 'aggregate': 'median' }), /Unknown alert aggregate/);
+    assert.throws(() => alerts.add_rule({ 'metric': 'hashrate', 'operator': '<', 'threshold': 1, 'algorithm': 'X11' }), /Unknown algorithm/);
+    assert.equal(alerts.add_rule({ 'metric': 'hashrate', 'operator': '<', 'threshold': 1, 'algorithm': 'sha256' }).algorithm, 'SHA-256');
+});
+
+test('for_samples, hysteresis and scope are validated and explicit values kept', () => {
+    const alerts = engine();
+    const rule = (fields) => ({ 'metric': 'temperature', 'operator': '<', 'threshold': 20, ...fields });
+    for (const for_samples of ['abc', -3, 0, 1.5]) {
+        assert.throws(() => alerts.add_rule(rule({ for_samples })), /for_samples must be an integer/, String(for_samples));
+    }
+    for (const hysteresis of ['2', -1, NaN, Infinity]) {
+        assert.throws(() => alerts.add_rule(rule({ hysteresis })), /hysteresis must be a non-negative number/, String(hysteresis));
+    }
+    for (const scope of ['vm', 'Fleet', '']) assert.throws(() => alerts.add_rule(rule({ scope })), /Unknown alert scope/, scope);
+    const saved = alerts.add_rule(rule({ 'hysteresis': 0, 'for_samples': 2, 'scope': 'fleet' }));
+    assert.deepEqual([saved.hysteresis, saved.for_samples, saved.scope], [0, 2, 'fleet']);
+    assert.deepEqual([alerts.add_rule(rule({})).for_samples, alerts.add_rule(rule({})).scope], [1, 'worker']);
+});
+
+test('a rule below its threshold resolves once the value clears the hysteresis', () => {
+    const alerts = engine();
+    alerts.add_rule({ 'metric': 'hashrate', 'operator': '<', 'threshold': 50, 'hysteresis': 5, 'worker_id': 'acct.s19' });
+    const hashrate = (value) => alerts.evaluate({ 'acct.s19': { ...METRICS['acct.s19'], 'hashrate': value } }).map(alert => alert.state);
+    assert.deepEqual(hashrate(40), ['firing']);
+    assert.deepEqual(hashrate(54), []);
+    assert.deepEqual(hashrate(56), ['resolved']);
+});
+
+// --- Evaluation ---
+
+test('fleet values leave out workers whose metric is unknown', () => {
+    assert.equal(AlertEngine.fleet_value(METRICS, 'temperature', 'max'), 80);
+    assert.equal(AlertEngine.fleet_value(METRICS, 'temperature', 'min'), 70);
+    assert.equal(AlertEngine.fleet_value(METRICS, 'temperature', 'avg'), 75);
+    assert.equal(AlertEngine.fleet_value(METRICS, 'power_consumption', 'sum'), 6890);
+    assert.equal(AlertEngine.fleet_value({ 'acct.down': METRICS['acct.down'] }, 'temperature', 'max'), null);
+});
+
+test('fleet hashrate is summed per algorithm, never across native units', () => {
+    assert.deepEqual(AlertEngine.fleet_values(METRICS, 'hashrate', 'sum'), { 'fleet/SHA-256': 300, 'fleet/RandomX': 20 });
+    assert.deepEqual(AlertEngine.fleet_values(METRICS, 'power_consumption', 'sum'), { 'fleet': 6890 });
+
+    const alerts = engine();
+    alerts.add_rule({ 'metric': 'hashrate', 'operator': '<', 'threshold': 250, 'scope': 'fleet', 'algorithm': 'SHA-256' });
+    assert.deepEqual(alerts.evaluate(METRICS), []);
+    const transitions = alerts.evaluate({ ...METRICS, 'acct.s21': { ...METRICS['acct.s21'], 'hashrate': 0 } });
+    assert.deepEqual(transitions.map(alert => [alert.target, alert.value, alert.state]), [['fleet/SHA-256', 100, 'firing']]);
+});
@@ -0,0 +1,237 @@
+// HTTP API: authentication, content types and error statuses, against a stub fleet.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { ApiServer } from '../lib/api_server.js';
+
+const TOKEN = 'test-token-0123456789abcdef';
+
+let api;
+let base_url;
+let fleet;
+
+function stub_fleet() {
+    const workers = {};
+    const audit_log = [
+        { 'id': 1, 'action': 'pool.changed', 'target': { 'type': 'worker', 'id': 'acct.rig1' } },
+        { 'id': 2, 'action': 'pool.changed', 'target': { 'type': 'worker', 'id': 'acct.rig1' }, 'reverts': 1 }
+    ];
+    let economics_settings = {};
+    const db_manager = {
+        'worker_collection': workers,
+        'with_actor': (actor, fn) => fn(),
+        'load_schedules': () => ({}),
+        'load_audit_log': ({ limit }) => [...audit_log].reverse().slice(0, limit),
+        'get_audit_entry': (id) => audit_log.find(entry => entry.id === id) || null,
+        'find_revert_of': (id) => audit_log.find(entry => entry.reverts === id) || null,
+        'load_economics_settings': () => economics_settings,
+        'save_economics_settings': (settings) => { economics_settings = settings; }
+    };
+    return {
+        db_manager,
+        'vms': {},
+        'created': [],
+        'find_worker': () => null,
+        'create_worker'(worker_id, algorithm) {
+            this.created.push(worker_id);
+            workers[worker_id] = { worker_id, algorithm };
+            return Promise.resolve({ worker_id });
+        },
+        'monitor_and_rebalance': () => ({ 'steps': [] })
+    };
+}
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    fleet = stub_fleet();
+    const monitor = {
+        'metrics': {}, 'economics': null, 'updated_at': null, 'economics_currency': () => 'USD', 'update_economics': () => null,
+        'alert_engine': { 'get_active_alerts': () => [], 'silence_rule': () => false }
+    };
+    api = new ApiServer(fleet, monitor, { 'token': TOKEN, 'port': 0 });
+    const address = await api.listen();
+    base_url = `http://127.0.0.1:${address.port}`;
+});
+
+afterEach(async () => {
+    await api.close();
+    mock.restoreAll();
+});
+
+function request(method, path, { body, headers = {}, token = TOKEN } = {}) {
+    return fetch(`${base_url}${path}`, {
+        method,
+        'headers': { ...(token ? { 'Authorization': `Bearer ${token}` } : {}), ...headers },
+        body
+    });
+}
+
+function raw_request(lines) {
+    /** Sends a request line by line, for targets fetch() would normalize; resolves to the status code. */
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(new URL(base_url).port, '127.0.0.1', () => socket.end(`${lines.join('\r\n')}\r\n\r\n`));
+        let reply = '';
+        socket.on('data', chunk => { reply += chunk; });
+        socket.on('end', () => resolve(Number(reply.split(' ')[1])));
+        socket.on('error', reject);
+    });
+}
+
+function post_json(path, body) {
+    return request('POST', path, { 'body': JSON.stringify(body), 'headers': { 'Content-Type': 'application/json' } });
+}
+
+// --- Setup ---
+
+test('a token is required and the server listens on this machine only by default', () => {
+    assert.throws(() => new ApiServer(fleet, {}, {}), /needs a token/);
+    assert.throws(() => new ApiServer(fleet, {}, { 'token': 'short' }), /at least 16 characters/);
+    assert.equal(api.host, '127.0.0.1');
+});
+
+// --- Authentication ---
+
+test('API routes and /metrics answer 401 without the right bearer token', async () => {
+    for (const path of ['/api/vms', '/metrics']) {
+        const missing = await request('GET', path, { 'token': null });
+        assert.equal(missing.status, 401);
+        assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+        assert.equal((await request('GET', path, { 'token': `${TOKEN}x` })).status, 401);
+    }
+    const allowed = await request('GET', '/api/vms');
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(await allowed.json(), []);
+    assert.equal((await request('GET', '/metrics')).status, 200);
+});
+
+test('an unauthenticated POST changes nothing', async () => {
+    const response = await request('POST', '/api/workers', {
+        'token': null,
+        'body': JSON.stringify({ 'worker_id': 'evil', 'algorithm': 'SHA-256' }),
+        'headers': { 'Content-Type': 'application/json' }
+    });
+    assert.equal(response.status, 401);
+    assert.deepEqual(fleet.created, []);
+});
+
+// --- Content Types ---
+
+test('bodies that are not application/json are refused with 415', async () => {
+    const body = JSON.stringify({ 'worker_id': 'evil', 'algorithm': 'SHA-256', 'pools': ['stratum+tcp://attacker.example:3333'] });
+    for (const content_type of ['text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data; boundary=x']) {
+        const response = await request('POST', '/api/workers', { body, 'headers': { 'Content-Type': content_type } });
+        assert.equal(response.status, 415, content_type);
+    }
+    assert.equal((await request('POST', '/api/rebalance')).status, 415, 'POST without a content type');
+    assert.deepEqual(fleet.created, []);
+});
+
+test('application/json bodies are accepted, with or without a charset', async () => {
+    const response = await request('POST', '/api/workers', {
+        'body': JSON.stringify({ 'worker_id': 'acct.rig2', 'algorithm': 'SHA-256' }),
+        'headers': { 'Content-Type': 'application/json; charset=utf-8' }
+    });
+    assert.equal(response.status, 201);
+    assert.deepEqual(fleet.created, ['acct.rig2']);
+});
+
+// --- Error Statuses ---
+
+test('errors map to 400, 404, 409, 413, 503 and 500', async () => {
+    assert.equal((await post_json('/api/workers', { 'algorithm': 'SHA-256' })).status, 400);
+    assert.equal((await request('POST', '/api/workers', { 'body': '{', 'headers': { 'Content-Type': 'application/json' } })).status, 400);
+    assert.equal((await post_json('/api/profiles/eco', { 'worker_id': 'ghost' })).status, 404);
+    assert.equal((await request('GET', '/api/workers/ghost')).status, 404);
+    assert.equal((await request('GET', '/api/nothing')).status, 404);
+
+    assert.equal((await post_json('/api/workers', { 'worker_id': 'acct.rig2', 'algorithm': 'SHA-256' })).status, 201);
+    assert.equal((await post_json('/api/workers', { 'worker_id': 'acct.rig2', 'algorithm': 'SHA-256' })).status, 409);
+
+    assert.equal((await post_json('/api/workers', { 'padding': 'x'.repeat(ApiServer.MAX_BODY_BYTES) })).status, 413);
+    assert.equal((await request('GET', '/api/schedules')).status, 503);
+    assert.equal((await request('DELETE', '/api/vms')).status, 405);
+
+    fleet.monitor_and_rebalance = () => null.steps; // A bug, not a bad request
+    const response = await post_json('/api/rebalance', {});
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { 'error': 'Internal server error' });
+});
+
+test('malformed request targets answer 400 and leave the server running', async () => {
+    assert.equal(await raw_request(['GET // HTTP/1.1', 'Host: localhost', 'Connection: close']), 400);
+    assert.equal(await raw_request(['GET /api/workers/%E0%A4%A HTTP/1.1', 'Host: localhost', `Authorization: Bearer ${TOKEN}`, 'Connection: close']), 400);
+    assert.equal((await request('GET', '/api/vms')).status, 200);
+});
+
+// --- Dashboard Routes ---
+
+test('the change log lists the newest entries first with the entry that reverted each', async () => {
+    const response = await request('GET', '/api/audit?limit=5');
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).map(entry => [entry.id, entry.reverted_by]), [[2, null], [1, 2]]);
+    assert.equal((await request('GET', '/api/audit?limit=0')).status, 400);
+    assert.equal((await post_json('/api/audit/7/revert', {})).status, 404);
+});
+
+test('economics settings are validated before they are saved', async () => {
+    const saved = await request('PUT', '/api/economics/settings', {
+        'body': JSON.stringify({ 'btc_price': 70000 }), 'headers': { 'Content-Type': 'application/json' }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal((await saved.json()).btc_price, 70000);
+    for (const body of [{ 'btc_price': 'abc' }, { 'tariff': { 'rate_per_kwh': -1 } }, { 'unknown': 1 }]) {
+        const response = await request('PUT', '/api/economics/settings', { 'body': JSON.stringify(body), 'headers': { 'Content-Type': 'application/json' } });
+        assert.equal(response.status, 400, JSON.stringify(body));
+    }
+    assert.equal((await (await request('GET', '/api/economics/settings')).json()).btc_price, 70000);
+});
+
+test('rebalance options are validated before anything is planned', async () => {
+    let calls = 0;
+    fleet.monitor_and_rebalance = () => ({ 'steps': [], 'calls': ++calls });
+    for (const body of [{ 'threshold': 'abc' }, { 'threshold': -0.5 }, { 'max_migrations': 1.5 }, { 'max_migrations': '2' }]) {
+        assert.equal((await post_json('/api/rebalance', body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal(calls, 0);
+    assert.equal((await post_json('/api/rebalance', { 'threshold': 0, 'max_migrations': 0, 'dry_run': true })).status, 200);
+});
+
+test('history, rename, decommission and silence answer 404 for what does not exist', async () => {
+    assert.equal((await request('GET', '/api/workers/ghost/history')).status, 404);
+    assert.equal((await post_json('/api/workers/ghost/rename', { 'worker_id': 'acct.rig3' })).status, 404);
+    assert.equal((await post_json('/api/vms/ghost/decommission', {})).status, 404);
+    assert.equal((await post_json('/api/alerts/ghost/silence', {})).status, 404);
+    assert.equal((await post_json('/api/alerts/ghost/silence', { 'duration_ms': 'soon' })).status, 400);
+});
+
+test('pools sent without a password keep the password stored for that URL', async () => {
+    const worker = {
+        'worker_id': 'acct.rig1', 'algorithm': 'SHA-256', 'is_online': () => true, 'get_configuration': () => ({ 'to_json': () => ({}) }),
+        'pools': [{ 'url': 'stratum+tcp://main.example:3333', 'worker_name': 'acct.rig1', 'password': 'secret' },
+            { 'url': 'stratum+tcp://backup.example:3333', 'worker_name': 'other.login', 'password': 'backup-secret' }]
+    };
+    let saved;
+    fleet.find_worker = (worker_id) => (worker_id === 'acct.rig1' ? { 'vm': { 'vm_id': 'vm-1' }, worker } : null);
+    fleet.update_pool_settings = (worker_id, pools) => { saved = pools; return true; };
+    const response = await request('PUT', '/api/workers/acct.rig1/pools', {
+        'body': JSON.stringify({ 'pools': [
+            { 'url': 'stratum+tcp://backup.example:3333', 'worker_name': 'other.login' },
+            'stratum+tcp://main.example:3333',
+            { 'url': 'stratum+tcp://new.example:3333', 'password': '' },
+            { 'url': 'stratum+tcp://main2.example:3333', 'password': 'typed' }
+        ] }),
+        'headers': { 'Content-Type': 'application/json' }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(JSON.stringify(await response.json()).includes('secret'), false);
+    assert.deepEqual(saved.map(pool => pool.password), ['backup-secret', 'secret', '', 'typed']);
+});
+
+test('a Stratum V2 upgrade needs a V2 pool URL with its authority key', async () => {
+    const key = '9auqWEzQDVyd2oe1JVGFLMLHZtCo2FFqZwtKA5gd9xbuEu7PH72';
+    assert.equal((await post_json('/api/workers/ghost/upgrade-v2', { 'pool_url': 'stratum2+tcp://v2.pool.example' })).status, 400);
+    assert.equal((await post_json('/api/workers/ghost/upgrade-v2', { 'pool_url': `stratum+tcp://pool.example/${key}` })).status, 400);
+    assert.equal((await post_json('/api/workers/ghost/upgrade-v2', { 'pool_url': `stratum2+tcp://v2.pool.example/${key}` })).status, 404);
+});
@@ -0,0 +1,125 @@
+// Power efficiency, electricity tariffs and revenue / profit, against hand-computed reference values.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PowerUsageSimulator, ElectricityTariff, MiningEconomics } from '../lib/economics.js';
+
+function assert_close(actual, expected, relative = 1e-4) {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relative, `${actual} is not within ${relative} of ${expected}`);
+}
+
+// Monday 2026-10-19 and Saturday 2026-10-24, local time
+const MONDAY = (hh, mm = 0) => new Date(2026, 9, 19, hh, mm);
+const SATURDAY = (hh, mm = 0) => new Date(2026, 9, 24, hh, mm);
+
+// Reference network from the MiningEconomics docstring, with fees and pool fee zeroed
+const REFERENCE = { 'network_difficulty': 1e14, 'block_subsidy_btc': 3.125, 'avg_tx_fees_btc': 0, 'pool_fee': 0 };
+
+// --- PowerUsageSimulator ---
+
+test('power draw and efficiency convert between TH/s, W and J/TH', () => {
+    assert.equal(PowerUsageSimulator.calculate_power_draw(100, 32.5), 3250);
+    assert.equal(PowerUsageSimulator.calculate_efficiency(100, 3250), 32.5);
+    assert.equal(PowerUsageSimulator.calculate_efficiency(0, 3250), Infinity);
+});
+
+// --- ElectricityTariff ---
+
+test('a flat tariff costs power * 24 h * rate', () => {
+    const tariff = new ElectricityTariff({ 'rate_per_kwh': 0.10 });
+    assert_close(tariff.daily_cost(3250, MONDAY(12)), 7.80);
+    assert.equal(tariff.rate_at(MONDAY(18)), 0.10);
+});
+
+test('time-of-use periods set the rate by time and weekday, first match wins', () => {
+    const tariff = new ElectricityTariff({ 'rate_per_kwh': 0.10, 'time_of_use': [
+        { 'start': '17:00', 'end': '21:00', 'rate_per_kwh': 0.30 },
+        { 'start': '00:00', 'end': '24:00', 'rate_per_kwh': 0.05, 'days': [0, 6] },
+        { 'start': '22:00', 'end': '06:00', 'rate_per_kwh': 0.07 }
+    ] });
+    assert.equal(tariff.rate_at(MONDAY(16, 59)), 0.10);
+    assert.equal(tariff.rate_at(MONDAY(17)), 0.30);
+    assert.equal(tariff.rate_at(MONDAY(21)), 0.10, 'end is exclusive');
+    assert.equal(tariff.rate_at(MONDAY(23)), 0.07, 'wraps past midnight');
+    assert.equal(tariff.rate_at(MONDAY(5, 59)), 0.07);
+    assert.equal(tariff.rate_at(SATURDAY(18)), 0.30, 'the peak period is listed first');
+    assert.equal(tariff.rate_at(SATURDAY(12)), 0.05);
+});
+
+test('the daily cost uses the time-weighted average rate of that weekday', () => {
+    const tariff = new ElectricityTariff({ 'rate_per_kwh': 0.10, 'time_of_use': [
+        { 'start': '17:00', 'end': '21:00', 'rate_per_kwh': 0.30 },
+        { 'start': '00:00', 'end': '24:00', 'rate_per_kwh': 0.05, 'days': [0, 6] }
+    ] });
+    // Weekday: 4 h at 0.30 and 20 h at 0.10 = 3.20 for 24 kWh
+    assert_close(tariff.average_rate(MONDAY(0)), 3.2 / 24);
+    assert_close(tariff.daily_cost(1000, MONDAY(0)), 3.20);
+    // Saturday: 4 h at 0.30 and 20 h at 0.05 = 2.20
+    assert_close(tariff.daily_cost(1000, SATURDAY(0)), 2.20);
+});
+
+test('an invalid rate_per_kwh is rejected', () => {
+    for (const rate of [-0.01, 'abc', NaN, Infinity, null]) {
+        assert.throws(() => new ElectricityTariff({ 'rate_per_kwh': rate }), /rate_per_kwh must be a non-negative number/, String(rate));
+        assert.throws(() => new MiningEconomics({ 'tariff': { 'rate_per_kwh': rate } }), /rate_per_kwh/, String(rate));
+    }
+    assert.throws(() => new ElectricityTariff({ 'time_of_use': [{ 'start': '17:00', 'end': '21:00', 'rate_per_kwh': NaN }] }), /non-negative rate_per_kwh/);
+    assert.throws(() => new ElectricityTariff({ 'time_of_use': [{ 'start': '25:00', 'end': '21:00', 'rate_per_kwh': 0.3 }] }), /Invalid time "25:00"/);
+    assert.equal(new ElectricityTariff({ 'rate_per_kwh': 0 }).daily_cost(3250), 0);
+});
+
+// --- MiningEconomics ---
+
+test('100 TH/s at difficulty 1e14 finds 2.0117e-5 blocks/day, worth 6.2864e-5 BTC', () => {
+    const economics = new MiningEconomics(REFERENCE);
+    assert_close(economics.expected_blocks_per_day(100), 2.0117e-5);
+    assert_close(economics.expected_btc_per_day(100), 6.2864e-5);
+    assert.equal(economics.expected_btc_per_day(0), 0);
+});
+
+test('transaction fees add to the block reward and the pool fee is taken off', () => {
+    const economics = new MiningEconomics({ ...REFERENCE, 'avg_tx_fees_btc': 0.1, 'pool_fee': 0.025 });
+    // 2.0117e-5 blocks * 3.225 BTC * 0.975
+    assert_close(economics.expected_btc_per_day(100), 2.01166e-5 * 3.225 * 0.975);
+});
+
+test('PPLNS scales revenue by the pool luck; FPPS ignores it', () => {
+    const fpps = new MiningEconomics({ ...REFERENCE, 'pplns_luck': 1.2 });
+    const pplns = new MiningEconomics({ ...REFERENCE, 'payout_scheme': 'PPLNS', 'pplns_luck': 1.2 });
+    assert_close(fpps.expected_btc_per_day(100), 6.2864e-5);
+    assert_close(pplns.expected_btc_per_day(100), 6.2864e-5 * 1.2);
+});
+
+test('worker economics subtracts the energy cost from revenue', () => {
+    const economics = new MiningEconomics({ ...REFERENCE, 'btc_price': 60000, 'tariff': { 'rate_per_kwh': 0.10 } });
+    const result = economics.worker_economics(100, 3250, MONDAY(12));
+    assert_close(result.revenue, 6.2864e-5 * 60000); // 3.7719 per day
+    assert_close(result.energy_kwh, 78);
+    assert_close(result.energy_cost, 7.80);
+    assert_close(result.profit, 6.2864e-5 * 60000 - 7.80);
+    assert_close(result.break_even_rate_per_kwh, 6.2864e-5 * 60000 / 78);
+    assert.equal(result.efficiency_j_per_th, 32.5);
+    assert.equal(economics.worker_economics(100, 0).break_even_rate_per_kwh, null);
+});
+
+test('fleet economics skips other algorithms and offline workers earn nothing but still draw', () => {
+    const economics = new MiningEconomics({ ...REFERENCE, 'btc_price': 60000, 'tariff': { 'rate_per_kwh': 0.10 } });
+    const { workers, fleet } = economics.fleet_economics({
+        'a': { 'hashrate': 100, 'power_consumption': 3250, 'algorithm': 'SHA-256' },
+        'b': { 'hashrate': 100, 'power_consumption': 3250, 'online': false },
+        'ltc': { 'hashrate': 9.5, 'power_consumption': 3400, 'algorithm': 'Scrypt' }
+    }, MONDAY(12));
+    assert.deepEqual(Object.keys(workers), ['a', 'b']);
+    assert.equal(workers.b.revenue, 0);
+    assert_close(workers.b.energy_cost, 7.80);
+    assert.equal(fleet.hashrate, 100);
+    assert.equal(fleet.power_consumption, 6500);
+    assert_close(fleet.profit, workers.a.profit + workers.b.profit);
+});
+
+test('invalid economics settings are rejected', () => {
+    assert.throws(() => new MiningEconomics({ 'network_difficulty': 0 }), /network_difficulty must be a positive number/);
+    assert.throws(() => new MiningEconomics({ 'btc_price': Infinity }), /btc_price must be a non-negative number/);
+    assert.throws(() => new MiningEconomics({ 'pool_fee': 1 }), /pool_fee must be a fraction/);
+    assert.throws(() => new MiningEconomics({ 'payout_scheme': 'PPS+' }), /Unknown payout scheme "PPS\+"/);
+});
@@ -0,0 +1,31 @@
+// Metrics history export and import, and the Prometheus exposition.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsExporter } from '../lib/metrics_exporter.js';
+
+const SNAPSHOTS = [{
+    'timestamp': '2026-10-19T12:00:00.000Z',
+    'metrics': {
+        'acct.s19': { 'vm_id': 'vm-1', 'algorithm': 'SHA-256', 'hashrate': 100, 'power_consumption': 3250 },
+        'acct.xmr': { 'vm_id': 'vm-1', 'algorithm': 'RandomX', 'hashrate': 20, 'power_consumption': 140 },
+        'acct.old': { 'vm_id': 'vm-2', 'hashrate': 50, 'power_consumption': 1500 }
+    }
+}];
+
+// --- History Export ---
+
+test('efficiency is exported in the unit of each worker\'s algorithm', () => {
+    const { metrics } = MetricsExporter.filter_snapshots(SNAPSHOTS)[0];
+    assert.deepEqual([metrics['acct.s19'].efficiency, metrics['acct.s19'].efficiency_unit], [32.5, 'J/TH']);
+    assert.deepEqual([metrics['acct.xmr'].efficiency, metrics['acct.xmr'].efficiency_unit], [7, 'J/kH']);
+    assert.deepEqual([metrics['acct.old'].efficiency, metrics['acct.old'].efficiency_unit], [30, 'J/TH']);
+});
+
+test('a CSV export imports back without the derived efficiency columns', () => {
+    const csv = MetricsExporter.to_csv(SNAPSHOTS);
+    assert.match(csv.split('\n')[1], /,32\.5,J\/TH$/);
+    const imported = MetricsExporter.parse(csv)[0].metrics['acct.xmr'];
+    assert.equal(imported.hashrate, 20);
+    assert.equal('efficiency' in imported || 'efficiency_unit' in imported, false);
+});
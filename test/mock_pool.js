@@ -0,0 +1,112 @@
+// Minimal Stratum V1 pool for the tests and for local development: answers subscribe,
+// authorize and submit, and sends a difficulty and a clean job after each subscribe.
+// On its own it listens on 127.0.0.1:3333 (or MOCK_POOL_PORT):
+//   npm run mock-pool
+// and a worker pointed at stratum+tcp://127.0.0.1:3333 mines against it.
+
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+class MockStratumPool {
+    /**
+     * Options: rejected_workers (names whose mining.authorize is answered false),
+     * unauthorized_workers (answered with error 24 instead), silent_methods (methods that are never answered, e.g. to test timeouts) and difficulty.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.sockets = new Set();
+        this.received = []; // Every request from every client, in arrival order
+        this.connections = 0;
+        this.next_job_id = 1;
+        this.server = net.createServer(socket => this.handle_connection(socket));
+    }
+
+    listen(port = 0, host = '127.0.0.1') {
+        /** Resolves with the pool's stratum+tcp:// URL; port 0 picks a free port. */
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.url()));
+        });
+    }
+
+    url() {
+        const { address, port } = this.server.address();
+        return `stratum+tcp://${address}:${port}`;
+    }
+
+    handle_connection(socket) {
+        this.sockets.add(socket);
+        this.connections++;
+        socket.setEncoding('utf8');
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (line.trim() !== '') this.handle_request(socket, JSON.parse(line));
+            }
+        });
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => this.sockets.delete(socket));
+    }
+
+    handle_request(socket, request) {
+        this.received.push(request);
+        if ((this.options.silent_methods || []).includes(request.method)) return;
+        const reply = (result, error = null) => MockStratumPool.send(socket, { 'id': request.id, result, error });
+        switch (request.method) {
+            case 'mining.subscribe':
+                reply([[['mining.notify', 'ae6812eb4cd7735a302a8a9dd95cf71f']], '08000002', 4]);
+                MockStratumPool.send(socket, { 'id': null, 'method': 'mining.set_difficulty', 'params': [this.options.difficulty || 1024] });
+                this.send_job(socket, true);
+                break;
+            case 'mining.authorize':
+                if ((this.options.unauthorized_workers || []).includes(request.params[0])) reply(null, [24, 'Unauthorized worker', null]);
+                else reply(!(this.options.rejected_workers || []).includes(request.params[0]));
+                break;
+            case 'mining.submit':
+                reply(true);
+                break;
+            default:
+                reply(null, [20, `Unknown method ${request.method}`, null]);
+        }
+    }
+
+    send_job(socket, clean_jobs = false) {
+        const job_id = (this.next_job_id++).toString(16);
+        MockStratumPool.send(socket, {
+            'id': null,
+            'method': 'mining.notify',
+            'params': [job_id, '00'.repeat(32), '01000000', 'ffffffff', [], '20000000', '1703a30c', Math.floor(Date.now() / 1000).toString(16), clean_jobs]
+        });
+        return job_id;
+    }
+
+    notify(clean_jobs = false) {
+        /** Sends a new job to every connected client. */
+        for (const socket of this.sockets) this.send_job(socket, clean_jobs);
+    }
+
+    drop_connections() {
+        for (const socket of this.sockets) socket.destroy();
+        this.sockets.clear();
+    }
+
+    close() {
+        this.drop_connections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    static send(socket, message) {
+        if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const pool = new MockStratumPool();
+    pool.listen(parseInt(process.env.MOCK_POOL_PORT || '3333', 10))
+        .then(url => console.log(`Mock pool listening on ${url}`));
+}
+
+export { MockStratumPool };
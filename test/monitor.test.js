@@ -0,0 +1,51 @@
+// The fleet table's rows: grouped by VM, filtered and sorted across algorithms.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VDIMonitor } from '../lib/monitor.js';
+
+const VMS = [
+    { 'vm_id': 'vm-1', 'workers': ['acct.rig2', 'acct.rig1'] },
+    { 'vm_id': 'vm-2', 'workers': ['acct.gpu1', 'acct.new'] }, // acct.new has not reported yet
+    { 'vm_id': 'vm-3', 'workers': [] }
+];
+const METRICS = {
+    'acct.rig1': { 'vm_id': 'vm-1', 'algorithm': 'SHA-256', 'hashrate': 50, 'temperature': 70 },
+    'acct.rig2': { 'vm_id': 'vm-1', 'algorithm': 'SHA-256', 'hashrate': 100, 'temperature': null },
+    'acct.gpu1': { 'vm_id': 'vm-2', 'algorithm': 'Ethash', 'hashrate': 400, 'temperature': 60 }
+};
+const ECONOMICS = { 'workers': { 'acct.rig1': { 'profit': 2.5 } } };
+
+function ids(groups) {
+    return groups.map(({ vm, rows }) => [vm.vm_id, rows.map(row => row.worker_id)]);
+}
+
+test('rows are grouped by VM and sorted by worker ID unless asked otherwise', () => {
+    const groups = VDIMonitor.fleet_groups(VMS, METRICS, ECONOMICS);
+    assert.deepEqual(ids(groups), [['vm-1', ['acct.rig1', 'acct.rig2']], ['vm-2', ['acct.gpu1']], ['vm-3', []]]);
+    const [rig1, rig2] = groups[0].rows;
+    assert.equal(rig1.temperature, 70, 'rows carry the metrics');
+    assert.equal(rig1.load, 0.5);
+    assert.equal(rig1.profit, 2.5);
+    assert.equal(rig2.profit, null);
+    assert.equal(groups[1].rows[0].hashrate_hs, 400e6);
+});
+
+test('sorting by hashrate compares H/s and puts unknown values last either way', () => {
+    const by_hashrate = VDIMonitor.fleet_groups([{ 'vm_id': 'vm-1', 'workers': ['acct.rig1', 'acct.gpu1'] }], METRICS, null,
+        { 'sort': { 'key': 'hashrate_hs', 'descending': false } });
+    assert.deepEqual(ids(by_hashrate), [['vm-1', ['acct.gpu1', 'acct.rig1']]], '400 MH/s is less than 50 TH/s');
+
+    for (const descending of [false, true]) {
+        const by_temperature = VDIMonitor.fleet_groups(VMS, METRICS, null, { 'sort': { 'key': 'temperature', descending } });
+        assert.deepEqual(by_temperature[0].rows.map(row => row.worker_id), ['acct.rig1', 'acct.rig2']);
+    }
+    const descending = VDIMonitor.fleet_groups(VMS, METRICS, null, { 'sort': { 'key': 'worker_id', 'descending': true } });
+    assert.deepEqual(descending[0].rows.map(row => row.worker_id), ['acct.rig2', 'acct.rig1']);
+});
+
+test('the filter matches worker or VM IDs and drops VMs left empty', () => {
+    assert.deepEqual(ids(VDIMonitor.fleet_groups(VMS, METRICS, null, { 'filter': ' RIG2 ' })), [['vm-1', ['acct.rig2']]]);
+    assert.deepEqual(ids(VDIMonitor.fleet_groups(VMS, METRICS, null, { 'filter': 'vm-2' })), [['vm-2', ['acct.gpu1']]]);
+    assert.deepEqual(ids(VDIMonitor.fleet_groups(VMS, METRICS, null, { 'filter': 'nothing' })), []);
+});
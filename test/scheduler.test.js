@@ -0,0 +1,164 @@
+// Cron expressions and the Scheduler's windows, in a time zone with daylight saving time.
+
+process.env.TZ = 'Europe/Berlin'; // CET/CEST: 2026-03-29 02:00 -> 03:00, 2026-10-25 03:00 -> 02:00
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression, Scheduler } from '../lib/scheduler.js';
+import { ConfigDBManager, MemoryStorageAdapter } from '../lib/storage.js';
+import { MinerWorker } from '../lib/workers.js';
+
+const BALANCED = { 'frequency_mhz': 650, 'voltage_mv': 1360, 'fan_mode': 'auto', 'fan_speed_percent': null, 'power_target_watts': 2100 };
+
+let db_manager;
+let workers;
+let scheduler;
+
+beforeEach(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    db_manager = await ConfigDBManager.open(new MemoryStorageAdapter());
+    workers = ['acct.rig1', 'acct.rig2'].map(worker_id => MinerWorker.create(worker_id, 'SHA-256', 'vm-1', db_manager, { 'tuning': BALANCED }));
+    const vm = { 'vm_id': 'vm-1', workers };
+    const vdi_manager = {
+        'vms': { 'vm-1': vm },
+        'find_worker': (worker_id) => {
+            const worker = workers.find(w => w.worker_id === worker_id);
+            return worker ? { vm, worker } : null;
+        },
+        'profile_targets': (target) => (target.worker_id ? workers.filter(w => w.worker_id === target.worker_id) : workers)
+    };
+    scheduler = new Scheduler(vdi_manager, {}, db_manager);
+});
+
+afterEach(() => mock.restoreAll());
+
+// --- Parsing ---
+
+test('fields take numbers, ranges, steps, lists and names', () => {
+    const cron = new CronExpression('*/15 8-18/4 1,15 jan-mar mon-fri');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [8, 12, 16]);
+    assert.deepEqual([...cron.days_of_month], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.days_of_week], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...new CronExpression('5/20 * * * *').minutes], [5, 25, 45]);
+    assert.equal(new CronExpression('0 0 * * 7').days_of_week.has(0), true, '7 is Sunday too');
+    assert.equal(new CronExpression('  0   22 * *  SUN ').expression, '0 22 * * SUN');
+});
+
+test('invalid expressions are refused with the field at fault', () => {
+    assert.throws(() => new CronExpression('0 22 * *'), /expected 5 fields/);
+    assert.throws(() => new CronExpression('0 22 * * * *'), /expected 5 fields/);
+    assert.throws(() => new CronExpression('60 * * * *'), /Invalid cron minute "60"/);
+    assert.throws(() => new CronExpression('0 24 * * *'), /Invalid cron hour/);
+    assert.throws(() => new CronExpression('0 0 0 * *'), /Invalid cron day of month/);
+    assert.throws(() => new CronExpression('0 0 * foo *'), /Invalid cron month/);
+    assert.throws(() => new CronExpression('0 0 * * 8'), /Invalid cron day of week/);
+    assert.throws(() => new CronExpression('*/0 * * * *'), /invalid step/);
+    assert.throws(() => new CronExpression('5-1 * * * *'), /invalid range/);
+    assert.throws(() => new CronExpression('1-2-3 * * * *'), /invalid range/);
+    assert.throws(() => new CronExpression('1.5 * * * *'), /not between/);
+});
+
+test('a day matches either restricted day field, but both when one is *', () => {
+    const either = new CronExpression('0 0 13 * fri');
+    assert.equal(either.matches_day(new Date('2026-03-06T12:00:00+01:00')), true, 'a Friday');
+    assert.equal(either.matches_day(new Date('2026-04-13T12:00:00+02:00')), true, 'the 13th, a Monday');
+    assert.equal(either.matches_day(new Date('2026-03-09T12:00:00+01:00')), false);
+    assert.equal(new CronExpression('0 0 13 * *').matches_day(new Date('2026-03-06T12:00:00+01:00')), false);
+    assert.equal(new CronExpression('0 0 * * fri').matches_day(new Date('2026-04-13T12:00:00+02:00')), false);
+});
+
+// --- Next / Previous ---
+
+test('next and previous cross day, month and year boundaries', () => {
+    const first_of_month = new CronExpression('30 2 1 * *');
+    assert.equal(first_of_month.next(new Date('2026-01-31T23:59:00+01:00')).toISOString(), new Date('2026-02-01T02:30:00+01:00').toISOString());
+    assert.equal(first_of_month.next(new Date('2026-12-15T00:00:00+01:00')).toISOString(), new Date('2027-01-01T02:30:00+01:00').toISOString());
+    assert.equal(first_of_month.previous(new Date('2026-03-01T02:29:00+01:00')).toISOString(), new Date('2026-02-01T02:30:00+01:00').toISOString());
+    const nightly = new CronExpression('0 22 * * *');
+    assert.equal(nightly.previous(new Date('2026-03-01T05:00:00+01:00')).toISOString(), new Date('2026-02-28T22:00:00+01:00').toISOString());
+    assert.equal(nightly.previous(new Date('2026-03-01T22:00:30+01:00')).toISOString(), new Date('2026-03-01T22:00:00+01:00').toISOString(), 'at counts');
+    assert.equal(nightly.next(new Date('2026-03-01T22:00:00+01:00')).toISOString(), new Date('2026-03-02T22:00:00+01:00').toISOString(), 'after does not');
+    assert.equal(new CronExpression('0 0 30 feb *').next(new Date('2026-01-01T00:00:00+01:00')), null);
+});
+
+test('a time skipped when DST starts does not run that day, and previous() steps over the gap', () => {
+    const cron = new CronExpression('30 2 * * *');
+    assert.equal(cron.next(new Date('2026-03-28T03:00:00+01:00')).toISOString(), new Date('2026-03-30T02:30:00+02:00').toISOString());
+    assert.equal(cron.previous(new Date('2026-03-29T12:00:00+02:00')).toISOString(), new Date('2026-03-28T02:30:00+01:00').toISOString());
+    assert.equal(new CronExpression('30 * * * *').previous(new Date('2026-03-29T03:00:00+02:00')).toISOString(),
+        new Date('2026-03-29T01:30:00+01:00').toISOString());
+    assert.equal(new CronExpression('0 * * * *').next(new Date('2026-03-29T01:30:00+01:00')).toISOString(), new Date('2026-03-29T03:00:00+02:00').toISOString());
+});
+
+test('a time repeated when DST ends runs once, at its first occurrence', () => {
+    const cron = new CronExpression('30 2 * * *');
+    assert.equal(cron.next(new Date('2026-10-24T03:00:00+02:00')).toISOString(), new Date('2026-10-25T02:30:00+02:00').toISOString());
+    assert.equal(cron.next(new Date('2026-10-25T02:30:00+02:00')).toISOString(), new Date('2026-10-26T02:30:00+01:00').toISOString());
+    assert.equal(cron.next(new Date('2026-10-25T02:10:00+01:00')).toISOString(), new Date('2026-10-26T02:30:00+01:00').toISOString());
+    assert.equal(cron.previous(new Date('2026-10-25T02:45:00+01:00')).toISOString(), new Date('2026-10-25T02:30:00+02:00').toISOString());
+});
+
+// --- Windows ---
+
+test('a window with an end is in force from its start until the next end', () => {
+    const schedule = { 'start': '0 22 * * *', 'end': '0 6 * * *', 'created_at': '2026-01-01T00:00:00.000Z' };
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-02T23:00:00+01:00').getTime()).toISOString(),
+        new Date('2026-03-02T22:00:00+01:00').toISOString());
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-03T05:59:00+01:00').getTime()).toISOString(),
+        new Date('2026-03-02T22:00:00+01:00').toISOString());
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-03T06:00:00+01:00').getTime()), null);
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-03T12:00:00+01:00').getTime()), null);
+});
+
+test('a window without an end is the latest start since the schedule was created', () => {
+    const schedule = { 'start': '0 3 * * *', 'end': null, 'created_at': new Date('2026-03-02T12:00:00+01:00').toISOString() };
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-02T20:00:00+01:00').getTime()), null, 'started before it existed');
+    assert.equal(Scheduler.current_window(schedule, new Date('2026-03-03T03:05:00+01:00').getTime()).toISOString(),
+        new Date('2026-03-03T03:00:00+01:00').toISOString());
+});
+
+// --- Tick ---
+
+test('tick pauses the targeted workers for a window and resumes them when it closes', () => {
+    const schedule = scheduler.add_schedule({ 'action': 'pause', 'target': { 'worker_id': 'acct.rig1' }, 'start': '0 22 * * *', 'end': '0 6 * * *' });
+    const [started] = scheduler.tick(new Date('2026-03-02T22:00:30+01:00').getTime());
+    assert.equal(started.phase, 'started');
+    assert.deepEqual(started.workers, ['acct.rig1']);
+    assert.deepEqual(workers.map(worker => worker.is_paused()), [true, false]);
+    assert.deepEqual(scheduler.tick(new Date('2026-03-03T02:00:00+01:00').getTime()), [], 'nothing to do inside the window');
+
+    const [ended] = scheduler.tick(new Date('2026-03-03T06:00:30+01:00').getTime());
+    assert.equal(ended.phase, 'ended');
+    assert.deepEqual(workers.map(worker => worker.is_paused()), [false, false]);
+    assert.equal(scheduler.get_states()[schedule.id].active, false);
+    assert.deepEqual(scheduler.past_runs().map(entry => entry.action), ['schedule_run.ended', 'schedule_run.started']);
+});
+
+test('closing a profile window puts back what it changed, except settings edited meanwhile', () => {
+    scheduler.add_schedule({ 'action': 'profile', 'params': { 'profile': 'eco' }, 'target': {}, 'start': '0 22 * * *', 'end': '0 6 * * *' });
+    scheduler.tick(new Date('2026-03-02T22:00:30+01:00').getTime());
+    assert.deepEqual(workers.map(worker => worker.get_configuration().frequency_mhz), [525, 525]);
+    workers[1].update_configuration({ 'power_target_watts': 1800 });
+
+    const [ended] = scheduler.tick(new Date('2026-03-03T06:00:30+01:00').getTime());
+    assert.deepEqual(ended.workers, ['acct.rig1', 'acct.rig2']);
+    const [first, second] = workers.map(worker => worker.get_configuration());
+    assert.deepEqual([first.frequency_mhz, first.voltage_mv, first.power_target_watts], [650, 1360, 2100]);
+    assert.deepEqual([second.frequency_mhz, second.voltage_mv, second.power_target_watts], [650, 1360, 1800]);
+});
+
+test('a run without an end missed by more than MISFIRE_GRACE_MS is skipped', () => {
+    const created_at = new Date('2026-03-01T12:00:00+01:00').toISOString();
+    const schedule = scheduler.add_schedule({ 'action': 'profile', 'params': { 'profile': 'eco' }, 'target': {}, 'start': '0 3 * * *', created_at });
+    const late = new Date('2026-03-02T03:00:00+01:00').getTime() + Scheduler.MISFIRE_GRACE_MS + 60 * 1000;
+    assert.deepEqual(scheduler.tick(late), []);
+    assert.equal(scheduler.get_states()[schedule.id], undefined);
+    assert.equal(workers[0].get_configuration().frequency_mhz, 650);
+
+    const [run] = scheduler.tick(new Date('2026-03-03T03:10:00+01:00').getTime());
+    assert.equal(run.phase, 'started');
+    assert.equal(workers[0].get_configuration().frequency_mhz, 525);
+    assert.deepEqual(scheduler.tick(new Date('2026-03-03T03:11:00+01:00').getTime()), [], 'each start runs once');
+});
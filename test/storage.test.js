@@ -0,0 +1,201 @@
+// Storage adapters, the metric rollups and ConfigDBManager persistence.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonFileStorageAdapter, MemoryStorageAdapter, MetricsTimeSeries, ConfigDBManager } from '../lib/storage.js';
+
+const temp_dirs = [];
+
+function temp_file() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vdi-storage-'));
+    temp_dirs.push(dir);
+    return path.join(dir, 'state.json');
+}
+
+after(() => {
+    for (const dir of temp_dirs) fs.rmSync(dir, { 'recursive': true, 'force': true });
+});
+
+// --- JsonFileStorageAdapter ---
+
+test('load returns null until something is saved', async () => {
+    const adapter = new JsonFileStorageAdapter(temp_file());
+    assert.equal(await adapter.load(), null);
+    await adapter.save({ 'schema_version': 1 });
+    assert.deepEqual(await adapter.load(), { 'schema_version': 1 });
+});
+
+test('the state file is written as compact JSON', async () => {
+    const file_path = temp_file();
+    await new JsonFileStorageAdapter(file_path).save({ 'schema_version': 1, 'audit_log': [] });
+    assert.equal(fs.readFileSync(file_path, 'utf8'), '{"schema_version":1,"audit_log":[]}');
+});
+
+test('overlapping saves from different ticks never collide and the newest state wins', async () => {
+    const file_path = temp_file();
+    const adapter = new JsonFileStorageAdapter(file_path);
+    const renames = [];
+    const rename = adapter.fs.promises.rename;
+    adapter.fs = { ...adapter.fs, 'promises': { ...adapter.fs.promises, 'rename': (from, to) => rename(from, to).then(() => renames.push(from)) } };
+
+    const saves = [];
+    for (let i = 0; i < 20; i++) {
+        saves.push(adapter.save({ 'counter': i }));
+        await new Promise(resolve => setImmediate(resolve)); // A new tick, as with separate persist() calls
+    }
+    await Promise.all(saves);
+    assert.deepEqual(await adapter.load(), { 'counter': 19 });
+    assert.ok(renames.length <= 20);
+    assert.equal(fs.existsSync(`${file_path}.tmp`), false);
+});
+
+test('a failed write does not block later saves', async () => {
+    const file_path = temp_file();
+    const adapter = new JsonFileStorageAdapter(file_path);
+    const write = adapter.write.bind(adapter);
+    let failures = 1;
+    adapter.write = (text) => (failures-- > 0 ? Promise.reject(new Error('disk full')) : write(text));
+    await assert.rejects(adapter.save({ 'counter': 1 }), /disk full/);
+    await adapter.save({ 'counter': 2 });
+    assert.deepEqual(await adapter.load(), { 'counter': 2 });
+});
+
+// --- MetricsTimeSeries ---
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 2, 2, 10, 0, 0); // On an hour boundary
+
+function snapshot(t, metrics) {
+    return { 'timestamp': new Date(t).toISOString(), 'metrics': metrics };
+}
+
+function rig(vm_id, hashrate, temperature, extra = {}) {
+    return { 'vm_id': vm_id, 'algorithm': 'SHA-256', 'hashrate': hashrate, 'temperature': temperature, 'power_consumption': 2000, ...extra };
+}
+
+test('snapshots roll up into minute and hour buckets that average by sample', () => {
+    const series = new MetricsTimeSeries();
+    series.add_snapshot(snapshot(T0 + 10 * 1000, { 'acct.rig1': rig('vm-1', 100, 60), 'acct.rig2': rig('vm-1', 50, 70) }));
+    series.add_snapshot(snapshot(T0 + 40 * 1000, { 'acct.rig1': rig('vm-1', 110, 62), 'acct.rig2': rig('vm-1', 50, 66) }));
+    series.add_snapshot(snapshot(T0 + 70 * 1000, { 'acct.rig1': rig('vm-1', 120, 64, { 'temperature': null }) }));
+
+    const minutes = series.tiers.minute['worker:acct.rig1'];
+    assert.deepEqual(minutes.map(bucket => bucket.t), [T0, T0 + 60 * 1000]);
+    assert.deepEqual(minutes[0].hashrate, [210, 2]);
+    assert.deepEqual(minutes[1].temperature, [0, 0], 'a missing value is not a sample');
+    assert.deepEqual(series.tiers.hour['worker:acct.rig1'].map(bucket => [bucket.t, bucket.hashrate]), [[T0, [330, 3]]]);
+    assert.deepEqual(series.tiers.minute['vm:vm-1'].map(bucket => bucket.hashrate), [[310, 2], [120, 1]], 'a VM sums its workers');
+    assert.deepEqual(series.tiers.minute['vm:vm-1'][0].temperature, [136, 2], 'and takes the hottest');
+
+    const now = T0 + 2 * HOUR;
+    assert.equal(MetricsTimeSeries.tier_for_window(HOUR, series.retention_ms), 'raw');
+    assert.equal(MetricsTimeSeries.tier_for_window(3 * HOUR, series.retention_ms), 'minute');
+    assert.equal(MetricsTimeSeries.tier_for_window(72 * HOUR, series.retention_ms), 'hour');
+    assert.equal(series.average([], 'worker:acct.rig1', 'hashrate', 3 * HOUR, now), 110);
+    assert.equal(series.average([], 'worker:acct.rig2', 'hashrate', 72 * HOUR, now), 50);
+    assert.equal(series.average([], 'worker:acct.rig1', 'hashrate', HOUR, now), null, 'the raw tier reads the snapshots given');
+    assert.deepEqual(series.points([], 'worker:acct.rig1', 'temperature', 3 * HOUR, now), [{ 't': T0, 'value': 61 }]);
+});
+
+test('a VM running several algorithms records no combined hashrate', () => {
+    const series = new MetricsTimeSeries();
+    series.add_snapshot(snapshot(T0, { 'acct.rig1': rig('vm-1', 100, 60), 'acct.gpu1': rig('vm-1', 0.5, 55, { 'algorithm': 'Ethash' }) }));
+    assert.deepEqual(series.tiers.minute['vm:vm-1'][0].hashrate, [0, 0]);
+    assert.deepEqual(series.tiers.minute['vm:vm-1'][0].power_consumption, [4000, 1]);
+});
+
+test('each tier drops buckets older than its retention, and empty series', () => {
+    const series = new MetricsTimeSeries({ 'minute': 2 * 60 * 1000, 'hour': 2 * HOUR });
+    series.add_snapshot(snapshot(T0, { 'acct.rig1': rig('vm-1', 100, 60) }));
+    series.add_snapshot(snapshot(T0 + 60 * 1000, { 'acct.rig1': rig('vm-1', 100, 60), 'acct.rig2': rig('vm-2', 50, 60) }));
+    series.add_snapshot(snapshot(T0 + 150 * 1000, { 'acct.rig1': rig('vm-1', 100, 60) }));
+    assert.deepEqual(series.tiers.minute['worker:acct.rig1'].map(bucket => bucket.t), [T0 + 60 * 1000, T0 + 120 * 1000]);
+
+    series.add_snapshot(snapshot(T0 + 2 * HOUR + 60 * 1000, { 'acct.rig1': rig('vm-1', 100, 60) }));
+    assert.equal(series.tiers.minute['worker:acct.rig2'], undefined);
+    assert.deepEqual(series.tiers.hour['worker:acct.rig1'].map(bucket => bucket.t), [T0 + HOUR * 2]);
+    assert.equal(series.tiers.hour['worker:acct.rig2'], undefined);
+
+    const restored = MetricsTimeSeries.from_json(JSON.parse(JSON.stringify(series.to_json())));
+    assert.deepEqual(restored.retention_ms, series.retention_ms);
+    assert.deepEqual(restored.tiers, series.tiers);
+});
+
+test('merging history keeps the buckets already there', () => {
+    const start = Date.now() - (Date.now() % HOUR) - HOUR; // merge_snapshots prunes against the clock
+    const series = new MetricsTimeSeries();
+    series.add_snapshot(snapshot(start, { 'acct.rig1': rig('vm-1', 100, 60) }));
+    const history = [snapshot(start + 90 * 1000, { 'acct.rig1': rig('vm-1', 80, 60) }), snapshot(start + 30 * 1000, { 'acct.rig1': rig('vm-1', 40, 60) })];
+    series.merge_snapshots(history);
+    series.merge_snapshots(history);
+    assert.deepEqual(series.tiers.minute['worker:acct.rig1'].map(bucket => [bucket.t, bucket.hashrate]), [[start, [100, 1]], [start + 60 * 1000, [80, 1]]]);
+});
+
+// --- ConfigDBManager ---
+
+test('the audit log keeps only the newest MAX_AUDIT_ENTRIES, also when loaded', async (t) => {
+    const max_entries = ConfigDBManager.MAX_AUDIT_ENTRIES;
+    ConfigDBManager.MAX_AUDIT_ENTRIES = 3;
+    t.after(() => { ConfigDBManager.MAX_AUDIT_ENTRIES = max_entries; });
+    t.mock.method(console, 'log', () => {});
+    const adapter = new MemoryStorageAdapter();
+    const db_manager = await ConfigDBManager.open(adapter);
+    for (let i = 0; i < 5; i++) db_manager.record_audit('test.changed', { 'type': 'test', 'id': i }, null, i);
+    assert.deepEqual(db_manager.load_audit_log().map(entry => entry.id), [5, 4, 3]);
+    assert.equal(db_manager.get_audit_entry(2), null);
+
+    await adapter.save({ ...db_manager.to_state(), 'audit_log': [...db_manager.audit_log, ...db_manager.audit_log] });
+    const reopened = await ConfigDBManager.open(adapter);
+    assert.equal(reopened.audit_log.length, 3);
+    assert.equal(reopened.next_audit_id, 6);
+});
+
+test('metric snapshots are written at most every METRICS_PERSIST_INTERVAL_MS, other changes at once', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const adapter = new MemoryStorageAdapter();
+    const saves = t.mock.method(adapter, 'save');
+    const db_manager = new ConfigDBManager(adapter);
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    const metrics = { 'acct.rig1': { 'vm_id': 'vm-1', 'algorithm': 'SHA-256', 'hashrate': 50 } };
+
+    db_manager.record_metrics_snapshot(metrics);
+    await settle();
+    db_manager.record_metrics_snapshot(metrics);
+    db_manager.record_metrics_snapshot(metrics);
+    await settle();
+    assert.equal(saves.mock.callCount(), 1, 'the first snapshot is written, the next ones wait');
+    assert.notEqual(db_manager.metrics_persist_timer, null);
+
+    db_manager.save_economics_settings({ 'currency': 'EUR' });
+    await settle();
+    assert.equal(saves.mock.callCount(), 2);
+    assert.equal(adapter.state.metric_collection.length, 3, 'a configuration change writes the waiting snapshots too');
+    assert.equal(db_manager.metrics_persist_timer, null);
+
+    db_manager.record_metrics_snapshot(metrics);
+    await db_manager.flush();
+    assert.equal(adapter.state.metric_collection.length, 4);
+    await db_manager.flush();
+    assert.equal(saves.mock.callCount(), 3, 'nothing left to flush');
+});
+
+test('a failed write is kept in persist_error until a write succeeds', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const errors = t.mock.method(console, 'error', () => {});
+    const adapter = new MemoryStorageAdapter();
+    const full = Object.assign(new Error('The quota has been exceeded.'), { 'name': 'QuotaExceededError' });
+    t.mock.method(adapter, 'save', () => { throw full; }, { 'times': 1 });
+    const db_manager = new ConfigDBManager(adapter);
+
+    await db_manager.save_state();
+    assert.equal(db_manager.persist_error, 'storage is full');
+    assert.equal(errors.mock.callCount(), 1);
+    assert.equal(ConfigDBManager.describe_persist_error(Object.assign(new Error('ENOSPC'), { 'code': 'ENOSPC' })), 'storage is full');
+    assert.equal(ConfigDBManager.describe_persist_error(new Error('EACCES: permission denied')), 'EACCES: permission denied');
+
+    await db_manager.save_state();
+    assert.equal(db_manager.persist_error, null);
+});
@@ -0,0 +1,176 @@
+// Rebalancing strategies, on the plain placement model documented in lib/strategies.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RebalanceStrategy, LeastLoadedStrategy, BinPackingStrategy, PowerBudgetStrategy, AlgorithmAffinityStrategy } from '../lib/strategies.js';
+
+const POOL = 'stratum+tcp://pool.example:3333';
+const OTHER_POOL = 'stratum+tcp://other.example:3333';
+const CONTEXT = { 'threshold': 0.8 };
+
+function worker(worker_id, load, fields = {}) {
+    return { worker_id, 'algorithm': 'SHA-256', 'pools': [POOL], 'hashrate': load, 'power': 1000, 'temperature': 70, 'thermal_action': null, load, ...fields };
+}
+
+function vm(vm_id, workers, fields = {}) {
+    return { vm_id, 'pool_url': POOL, 'capacity': 100, 'power_budget_watts': null, 'is_new': false, 'thermal_headroom': null, workers, ...fields };
+}
+
+// --- RebalanceStrategy ---
+
+test('load and power sum over the VM workers', () => {
+    const source = vm('vm-1', [worker('a', 30, { 'power': 1200 }), worker('b', 20, { 'power': 800 })]);
+    assert.equal(RebalanceStrategy.load(source), 50);
+    assert.equal(RebalanceStrategy.power(source), 2000);
+});
+
+test('a VM is overloaded above threshold * capacity', () => {
+    const strategy = new LeastLoadedStrategy();
+    assert.equal(strategy.is_overloaded(vm('vm-1', [worker('a', 80)]), CONTEXT), false);
+    assert.equal(strategy.is_overloaded(vm('vm-1', [worker('a', 81)]), CONTEXT), true);
+});
+
+test('fits requires the worker pool, thermal headroom and room under the limit', () => {
+    const strategy = new LeastLoadedStrategy();
+    const moving = worker('a', 30);
+    assert.equal(strategy.fits(vm('vm-2', [worker('b', 50)]), moving, CONTEXT), true);
+    assert.equal(strategy.fits(vm('vm-2', [worker('b', 51)]), moving, CONTEXT), false);
+    assert.equal(strategy.fits(vm('vm-2', [], { 'pool_url': OTHER_POOL }), moving, CONTEXT), false);
+    assert.equal(strategy.fits(vm('vm-2', [], { 'thermal_headroom': 0 }), moving, CONTEXT), false);
+    assert.equal(strategy.fits(vm('vm-2', [], { 'thermal_headroom': 5 }), moving, CONTEXT), true);
+});
+
+test('the base class has no placement policy', () => {
+    assert.throws(() => new RebalanceStrategy().select_migration(vm('vm-1', []), [], [], CONTEXT), /does not implement select_migration/);
+});
+
+test('every strategy is registered by name', () => {
+    assert.deepEqual(RebalanceStrategy.REGISTRY, {
+        'least-loaded': LeastLoadedStrategy,
+        'bin-packing': BinPackingStrategy,
+        'power-budget': PowerBudgetStrategy,
+        'algorithm-affinity': AlgorithmAffinityStrategy
+    });
+});
+
+test('strategies are created by registered name, with their options checked', () => {
+    assert.ok(RebalanceStrategy.create('bin-packing') instanceof BinPackingStrategy);
+    assert.equal(RebalanceStrategy.create('algorithm-affinity', { 'mode': 'anti-affinity' }).options.mode, 'anti-affinity');
+    for (const name of ['round-robin', 'constructor']) assert.throws(() => RebalanceStrategy.create(name), /Unknown rebalancing strategy/);
+    assert.throws(() => RebalanceStrategy.create('least-loaded', null), /strategy_options must be an object/);
+    assert.throws(() => RebalanceStrategy.create('algorithm-affinity', { 'mode': 'spread' }), /mode must be one of affinity, anti-affinity/);
+});
+
+// --- LeastLoadedStrategy ---
+
+test('least-loaded moves the heaviest worker to the least-loaded VM that fits', () => {
+    const heavy = worker('heavy', 40);
+    const source = vm('vm-1', [worker('light', 10), heavy, worker('mid', 35)]);
+    const busy = vm('vm-2', [worker('b', 30)]);
+    const idle = vm('vm-3', [worker('c', 5)]);
+    const choice = new LeastLoadedStrategy().select_migration(source, source.workers, [busy, idle], CONTEXT);
+    assert.equal(choice.worker, heavy);
+    assert.equal(choice.target, idle);
+});
+
+test('least-loaded skips VMs that would become overloaded or mine elsewhere', () => {
+    const source = vm('vm-1', [worker('heavy', 60), worker('b', 30)]);
+    const full = vm('vm-2', [worker('c', 30)]);
+    const foreign = vm('vm-3', [], { 'pool_url': OTHER_POOL });
+    const choice = new LeastLoadedStrategy().select_migration(source, source.workers, [full, foreign], CONTEXT);
+    assert.equal(choice.worker.worker_id, 'heavy');
+    assert.equal(choice.target, null, 'null target asks the planner for a new VM');
+});
+
+test('least-loaded has nothing to move without movable workers', () => {
+    assert.equal(new LeastLoadedStrategy().select_migration(vm('vm-1', [worker('a', 90)]), [], [vm('vm-2', [])], CONTEXT), null);
+});
+
+// --- BinPackingStrategy ---
+
+test('bin-packing places the largest worker on the VM with the least room left', () => {
+    const source = vm('vm-1', [worker('small', 20), worker('large', 50), worker('mid', 25)]);
+    const roomy = vm('vm-2', []);
+    const snug = vm('vm-3', [worker('c', 25)]);
+    const choice = new BinPackingStrategy().select_migration(source, source.workers, [roomy, snug], CONTEXT);
+    assert.equal(choice.worker.worker_id, 'large');
+    assert.equal(choice.target, snug);
+});
+
+test('bin-packing falls back to a smaller worker when the largest fits nowhere', () => {
+    const source = vm('vm-1', [worker('large', 70), worker('small', 20)]);
+    const target = vm('vm-2', [worker('c', 50)]);
+    const choice = new BinPackingStrategy().select_migration(source, source.workers, [target], CONTEXT);
+    assert.equal(choice.worker.worker_id, 'small');
+    assert.equal(choice.target, target);
+});
+
+test('bin-packing asks for a new VM for the largest worker when nothing fits', () => {
+    const source = vm('vm-1', [worker('large', 70), worker('small', 20)]);
+    const choice = new BinPackingStrategy().select_migration(source, source.workers, [vm('vm-2', [worker('c', 75)])], CONTEXT);
+    assert.equal(choice.worker.worker_id, 'large');
+    assert.equal(choice.target, null);
+    assert.equal(new BinPackingStrategy().select_migration(source, [], [], CONTEXT), null);
+});
+
+// --- PowerBudgetStrategy ---
+
+test('power-budget treats a VM over its power budget as overloaded', () => {
+    const strategy = new PowerBudgetStrategy();
+    const over_budget = vm('vm-1', [worker('a', 10, { 'power': 2000 }), worker('b', 10, { 'power': 1500 })], { 'power_budget_watts': 3000 });
+    assert.equal(strategy.is_overloaded(over_budget, CONTEXT), true);
+    assert.equal(strategy.is_overloaded({ ...over_budget, 'power_budget_watts': null }, CONTEXT), false);
+});
+
+test('power-budget moves the highest-draw worker to the VM with most power headroom', () => {
+    const hungry = worker('hungry', 10, { 'power': 2000 });
+    const source = vm('vm-1', [worker('a', 30, { 'power': 1500 }), hungry], { 'power_budget_watts': 3000 });
+    const tight = vm('vm-2', [worker('b', 5, { 'power': 2500 })], { 'power_budget_watts': 5000 });
+    const roomy = vm('vm-3', [worker('c', 5, { 'power': 1000 })], { 'power_budget_watts': 5000 });
+    const too_small = vm('vm-4', [], { 'power_budget_watts': 1500 });
+    const choice = new PowerBudgetStrategy().select_migration(source, source.workers, [tight, too_small, roomy], CONTEXT);
+    assert.equal(choice.worker, hungry);
+    assert.equal(choice.target, roomy);
+});
+
+test('power-budget asks for a new VM when no target has the power to spare', () => {
+    const source = vm('vm-1', [worker('a', 10, { 'power': 2000 })], { 'power_budget_watts': 1000 });
+    const choice = new PowerBudgetStrategy().select_migration(source, source.workers, [vm('vm-2', [], { 'power_budget_watts': 1999 })], CONTEXT);
+    assert.equal(choice.target, null);
+});
+
+// --- AlgorithmAffinityStrategy ---
+
+const SCRYPT_POOLS = { 'algorithm': 'Scrypt', 'pools': [POOL] };
+
+test('affinity prefers a VM already running the algorithm, even if busier', () => {
+    const moving = worker('ltc', 30, SCRYPT_POOLS);
+    const source = vm('vm-1', [moving, worker('a', 60)]);
+    const empty = vm('vm-2', []);
+    const same = vm('vm-3', [worker('ltc-2', 20, SCRYPT_POOLS)]);
+    const choice = new AlgorithmAffinityStrategy().select_migration(source, [moving], [empty, same], CONTEXT);
+    assert.equal(choice.target, same);
+    assert.equal(choice.reason, 'affinity for Scrypt');
+});
+
+test('affinity falls back to the least-loaded VM that fits', () => {
+    const moving = worker('ltc', 30, SCRYPT_POOLS);
+    const source = vm('vm-1', [moving, worker('a', 60)]);
+    const busy = vm('vm-2', [worker('b', 40)]);
+    const idle = vm('vm-3', [worker('c', 10)]);
+    const full_same = vm('vm-4', [worker('ltc-2', 60, SCRYPT_POOLS)]);
+    const choice = new AlgorithmAffinityStrategy({ 'mode': 'affinity' }).select_migration(source, [moving], [busy, full_same, idle], CONTEXT);
+    assert.equal(choice.target, idle);
+});
+
+test('anti-affinity never places a worker next to one with the same algorithm', () => {
+    const moving = worker('btc', 30);
+    const source = vm('vm-1', [moving, worker('a', 60)]);
+    const same = vm('vm-2', [worker('btc-2', 5)]);
+    const mixed = vm('vm-3', [worker('ltc', 20, SCRYPT_POOLS)]);
+    const strategy = new AlgorithmAffinityStrategy({ 'mode': 'anti-affinity' });
+    assert.equal(strategy.select_migration(source, [moving], [same, mixed], CONTEXT).target, mixed);
+    const choice = strategy.select_migration(source, [moving], [same], CONTEXT);
+    assert.equal(choice.target, null);
+    assert.equal(choice.reason, 'anti-affinity for SHA-256');
+});
@@ -0,0 +1,177 @@
+// Stratum V1 client against the local mock pool (test/mock_pool.js).
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketBridgeTransport, TcpTransport, PoolConfig, StratumClient } from '../lib/stratum.js';
+import { MockStratumPool } from './mock_pool.js';
+
+const VM = { 'vm_id': 'vm-test' };
+const RECONNECT = { 'base_ms': 20, 'max_ms': 50, 'max_attempts': 3 };
+
+function wait_for(predicate, timeout_ms = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (predicate()) resolve();
+            else if (Date.now() - started > timeout_ms) reject(new Error('Timed out waiting for condition'));
+            else setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+let pool;
+let clients;
+
+beforeEach(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    pool = new MockStratumPool({ 'rejected_workers': ['acct.bad'], 'unauthorized_workers': ['acct.unknown'] });
+    await pool.listen();
+    clients = [];
+});
+
+afterEach(async () => {
+    for (const client of clients) client.disconnect();
+    await pool.close();
+    mock.restoreAll();
+});
+
+function connect(options = {}) {
+    const client = new StratumClient(pool.url(), VM, { 'reconnect': RECONNECT, ...options });
+    clients.push(client);
+    return client;
+}
+
+// --- Transport Selection ---
+
+test('Node.js uses a direct socket even where a global WebSocket exists', () => {
+    const had_websocket = 'WebSocket' in globalThis;
+    const original = globalThis.WebSocket;
+    globalThis.WebSocket = original || class {};
+    try {
+        const transport = StratumClient.create_transport('stratum+ssl://pool.example:4444');
+        assert.ok(transport instanceof TcpTransport);
+        assert.equal(transport.host, 'pool.example');
+        assert.equal(transport.port, 4444);
+        assert.equal(transport.tls, true);
+        assert.ok(!(transport instanceof WebSocketBridgeTransport));
+    } finally {
+        if (had_websocket) globalThis.WebSocket = original;
+        else delete globalThis.WebSocket;
+    }
+});
+
+// --- Pool Configuration ---
+
+test('Stratum V2 pool URLs are refused without the pool\'s authority key', () => {
+    const url = 'stratum2+tcp://v2.pool.example:34254/9auqWEzQDVyd2oe1JVGFLMLHZtCo2FFqZwtKA5gd9xbuEu7PH72';
+    assert.equal(PoolConfig.validate_url(url), url);
+    assert.equal(PoolConfig.validate_url(`stratum2+tcp://v2.pool.example/${'ab'.repeat(32)}`), `stratum2+tcp://v2.pool.example/${'ab'.repeat(32)}`);
+    for (const keyless of ['stratum2+tcp://v2.pool.example', 'stratum2+tcp://v2.pool.example:34254/', 'stratum2+tcp://v2.pool.example/...']) {
+        assert.throws(() => PoolConfig.validate_url(keyless), /authority key/, keyless);
+    }
+});
+
+// --- Session ---
+
+test('subscribes, authorizes a worker and receives a job', async () => {
+    const client = connect();
+    assert.equal(await client.authorize('acct.rig1', 'x'), true);
+    await wait_for(() => client.current_job !== null);
+    assert.equal(client.state, 'authorized');
+    assert.equal(client.subscription.extranonce1, '08000002');
+    assert.equal(client.difficulty, 1024);
+    assert.equal(client.current_job.clean_jobs, true);
+    assert.deepEqual(pool.received.map(request => request.method), ['mining.subscribe', 'mining.authorize']);
+});
+
+test('submitted shares are counted per worker', async () => {
+    const client = connect();
+    await client.authorize('acct.rig1');
+    await wait_for(() => client.current_job !== null);
+    assert.equal(await client.submit_share('acct.rig1', client.current_job.job_id, '00000000', client.current_job.ntime, 'deadbeef'), true);
+    assert.deepEqual(client.get_share_stats('acct.rig1'), { 'accepted': 1, 'rejected': 0 });
+    await assert.rejects(client.submit_share('acct.other', '1', '00000000', '0', '0'), /not authorized/);
+});
+
+test('new jobs clear a stale state', async () => {
+    const client = connect({ 'stale_after_ms': 1000 });
+    await client.authorize('acct.rig1');
+    client.check_health(Date.now() + 1500);
+    assert.equal(client.state, 'stale');
+    pool.notify();
+    await wait_for(() => client.state === 'authorized');
+});
+
+test('reconnects with backoff and re-authorizes after the pool drops the connection', async () => {
+    const client = connect();
+    await client.authorize('acct.rig1');
+    pool.drop_connections();
+    await wait_for(() => pool.connections === 2 && client.state === 'authorized');
+    assert.equal(pool.received.filter(request => request.method === 'mining.authorize').length, 2);
+});
+
+// --- Failure Handling ---
+
+test('a rejected worker stays unauthorized without failing the pool for the others', async () => {
+    const on_failure = mock.fn();
+    const client = connect({ on_failure });
+    assert.equal(await client.authorize('acct.bad'), false);
+    assert.equal(await client.authorize('acct.unknown'), false);
+    assert.equal(await client.authorize('acct.rig1'), true);
+    assert.deepEqual(client.authorized_workers, { 'acct.bad': false, 'acct.unknown': false, 'acct.rig1': true });
+    assert.equal(client.state, 'authorized');
+    assert.equal(client.failed, false);
+    assert.equal(on_failure.mock.callCount(), 0);
+    assert.equal(pool.connections, 1);
+});
+
+test('closing a TCP transport destroys the socket instead of half-closing it', async () => {
+    const client = connect();
+    await client.authorize('acct.rig1');
+    const socket = client.connection.socket;
+    client.disconnect();
+    assert.equal(socket.destroyed, true);
+});
+
+test('an unanswered request times out and the connection is reconnected', async () => {
+    await pool.close();
+    pool = new MockStratumPool({ 'silent_methods': ['mining.submit'] });
+    await pool.listen();
+    const client = connect({ 'request_timeout_ms': 100 });
+    await client.authorize('acct.rig1');
+    await assert.rejects(client.submit_share('acct.rig1', '1', '00000000', '0', '0'), err => err.timed_out === true);
+    assert.equal(client.has_pending_requests(), false);
+    await wait_for(() => pool.connections === 2 && client.state === 'authorized');
+    assert.equal(client.failed, false);
+});
+
+test('messages that are not JSON objects are ignored', async () => {
+    const client = connect();
+    await client.authorize('acct.rig1');
+    client.handle_data('null\n42\n"text"\n[1]\n');
+    pool.notify();
+    await wait_for(() => client.current_job && client.current_job.job_id === '2');
+    assert.equal(client.state, 'authorized');
+});
+
+test('notifications with missing or mistyped params are ignored', async () => {
+    const client = connect();
+    await client.authorize('acct.rig1');
+    const difficulty = client.difficulty;
+    const job = client.current_job;
+    const lines = [
+        { 'id': null, 'method': 'mining.notify', 'params': null },
+        { 'id': null, 'method': 'mining.notify', 'params': [null, 'ab'] },
+        { 'id': null, 'method': 'mining.set_difficulty' },
+        { 'id': null, 'method': 'mining.set_difficulty', 'params': ['high'] },
+        { 'id': null, 'method': 'mining.set_extranonce', 'params': { '0': 'ff' } },
+        { 'id': null, 'method': 'mining.set_extranonce', 'params': [1, 'four'] },
+        { 'id': null, 'method': 'client.show_message' }
+    ];
+    assert.doesNotThrow(() => client.handle_data(lines.map(line => JSON.stringify(line)).join('\n') + '\n'));
+    assert.equal(client.difficulty, difficulty);
+    assert.equal(client.current_job, job);
+    assert.equal(client.subscription.extranonce1, '08000002');
+    assert.equal(client.state, 'authorized');
+});
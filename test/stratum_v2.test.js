@@ -0,0 +1,241 @@
+// Stratum V2: the handshake's cryptography, the authority key requirement and reconnects,
+// against an in-memory pool that answers the Noise handshake, SetupConnection and channel opens.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sv2Crypto, NoiseCipherState, NoiseNXHandshake, Sv2Codec, StratumV2Client } from '../lib/stratum_v2.js';
+
+const VM = { 'vm_id': 'vm-test' };
+const bytes = (hex) => Sv2Crypto.hex_to_bytes(hex.toLowerCase());
+
+const RECONNECT = { 'base_ms': 20, 'max_ms': 50, 'max_attempts': 3 };
+
+function wait_for(predicate, timeout_ms = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (predicate()) resolve();
+            else if (Date.now() - started > timeout_ms) reject(new Error('Timed out waiting for condition'));
+            else setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+function schnorr_sign(secret, message) {
+    /** BIP340 signing, which the client never needs, for the pool's certificate. */
+    const { G, N } = Sv2Crypto;
+    const public_point = Sv2Crypto.point_mul(G, secret);
+    const d = public_point[1] & 1n ? N - secret : secret;
+    const k0 = Sv2Crypto.mod(Sv2Crypto.bytes_to_bigint(Sv2Crypto.random_bytes(32)), N);
+    const R = Sv2Crypto.point_mul(G, k0);
+    const k = R[1] & 1n ? N - k0 : k0;
+    const r = Sv2Crypto.bigint_to_bytes(R[0]);
+    const e = Sv2Crypto.mod(Sv2Crypto.bytes_to_bigint(Sv2Crypto.tagged_hash('BIP0340/challenge',
+        Sv2Crypto.concat_bytes(r, Sv2Crypto.bigint_to_bytes(public_point[0]), message))), N);
+    return Sv2Crypto.concat_bytes(r, Sv2Crypto.bigint_to_bytes(Sv2Crypto.mod(k + e * d, N)));
+}
+
+class MockV2Pool {
+    /** Responder side of the handshake behind a transport the client can reopen. */
+    constructor() {
+        this.authority_secret = 0x5eed5eedn;
+        this.static_key = Sv2Crypto.generate_keypair();
+        this.sessions = 0;
+        this.session = null;
+        this.next_channel_id = 1;
+    }
+
+    url() {
+        const authority_key = Sv2Crypto.point_mul(Sv2Crypto.G, this.authority_secret)[0];
+        return `stratum2+tcp://v2.pool.example:34254/${Sv2Crypto.bytes_to_hex(Sv2Crypto.bigint_to_bytes(authority_key))}`;
+    }
+
+    transport() {
+        return {
+            'open': (handlers) => {
+                this.sessions++;
+                this.session = { handlers, 'ciphers': null };
+                setImmediate(() => handlers.on_open());
+            },
+            'send': (bytes) => this.receive(bytes),
+            'close': () => this.drop(),
+        };
+    }
+
+    drop() {
+        const session = this.session;
+        this.session = null;
+        if (session) setImmediate(() => session.handlers.on_close());
+    }
+
+    deliver(bytes) {
+        const session = this.session;
+        setImmediate(() => {
+            if (this.session === session) session.handlers.on_data(bytes);
+        });
+    }
+
+    receive(bytes) {
+        if (!this.session.ciphers) {
+            this.deliver(this.respond_to_handshake(bytes));
+            return;
+        }
+        const receive = this.session.ciphers.receive;
+        const header = Sv2Codec.decode_header(receive.decrypt_with_ad(new Uint8Array(0), bytes.subarray(0, Sv2Codec.HEADER_LENGTH + 16)));
+        const message = Sv2Codec.decode_payload(header.msg_type, receive.decrypt_with_ad(new Uint8Array(0), bytes.subarray(Sv2Codec.HEADER_LENGTH + 16)));
+        if (message.name === 'SetupConnection') this.send('SetupConnection.Success', { 'used_version': 2, 'flags': 0 });
+        if (message.name === 'OpenStandardMiningChannel') {
+            this.send('OpenStandardMiningChannel.Success', {
+                'request_id': message.fields.request_id, 'channel_id': this.next_channel_id++,
+                'target': new Uint8Array(32).fill(0xff), 'extranonce_prefix': new Uint8Array(4), 'group_channel_id': 0
+            });
+        }
+    }
+
+    respond_to_handshake(initiator_ephemeral) {
+        // The initiator's transcript, mirrored: <- e, ee, s, es, SIGNATURE_NOISE_MESSAGE
+        const handshake = new NoiseNXHandshake(new Uint8Array(32));
+        handshake.mix_hash(initiator_ephemeral);
+        handshake.decrypt_and_hash(new Uint8Array(0));
+        const ephemeral = Sv2Crypto.generate_keypair();
+        handshake.mix_hash(ephemeral.public_key);
+        handshake.mix_key(Sv2Crypto.ecdh(ephemeral.private_key, initiator_ephemeral));
+        const sealed_static = handshake.encrypt_and_hash(this.static_key.public_key);
+        handshake.mix_key(Sv2Crypto.ecdh(this.static_key.private_key, initiator_ephemeral));
+
+        const certificate = new Uint8Array(74);
+        const view = new DataView(certificate.buffer);
+        const now = Math.floor(Date.now() / 1000);
+        view.setUint32(2, now - 60, true);
+        view.setUint32(6, now + 3600, true);
+        const static_x = Sv2Crypto.bigint_to_bytes(Sv2Crypto.ellswift_decode(this.static_key.public_key));
+        certificate.set(schnorr_sign(this.authority_secret, Sv2Crypto.sha256(Sv2Crypto.concat_bytes(certificate.subarray(0, 10), static_x))), 10);
+        const sealed_certificate = handshake.encrypt_and_hash(certificate);
+
+        const [initiator_key, responder_key] = Sv2Crypto.hkdf2(handshake.chaining_key, new Uint8Array(0));
+        this.session.ciphers = { 'receive': new NoiseCipherState(initiator_key), 'send': new NoiseCipherState(responder_key) };
+        return Sv2Crypto.concat_bytes(ephemeral.public_key, sealed_static, sealed_certificate);
+    }
+
+    send(name, fields) {
+        const { header, payload } = Sv2Codec.encode_frame(name, fields);
+        const send = this.session.ciphers.send;
+        this.deliver(Sv2Crypto.concat_bytes(send.encrypt_with_ad(new Uint8Array(0), header), send.encrypt_with_ad(new Uint8Array(0), payload)));
+    }
+}
+
+let clients = [];
+
+beforeEach(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+afterEach(() => {
+    for (const client of clients) client.disconnect();
+    clients = [];
+    mock.restoreAll();
+});
+
+// --- Cryptography ---
+
+test('ChaCha20-Poly1305 matches RFC 8439 and refuses a tampered message', () => {
+    const key = bytes('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+    const nonce = bytes('070000004041424344454647');
+    const ad = bytes('50515253c0c1c2c3c4c5c6c7');
+    const plaintext = new TextEncoder().encode("Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.");
+    const sealed = Sv2Crypto.aead_encrypt(key, nonce, ad, plaintext);
+    assert.equal(Sv2Crypto.bytes_to_hex(sealed.subarray(0, 16)), 'd31a8d34648e60db7b86afbc53ef7ec2');
+    assert.equal(Sv2Crypto.bytes_to_hex(sealed.subarray(sealed.length - 16)), '1ae10b594f09e26a7e902ecbd0600691');
+    assert.deepEqual(Sv2Crypto.aead_decrypt(key, nonce, ad, sealed), plaintext);
+    sealed[0] ^= 1;
+    assert.throws(() => Sv2Crypto.aead_decrypt(key, nonce, ad, sealed), /tag mismatch/);
+});
+
+test('BIP340 test vectors verify and a changed message does not', () => {
+    const vectors = [
+        ['F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9', '0'.repeat(64),
+            'E907831F80848D1069A5371B402410364BDF1C5F8307B0084C55F1CE2DCA821525F66A4A85EA8B71E482A74F382D2CE5EBEEE8FDB2172F477DF4900D310536C0'],
+        ['DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659', '243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89',
+            '6896BD60EEAE296DB48A229FF71DFE071BDE413E6D43F917DC8DCF8C78DE33418906D11AC976ABCCB20B091292BFF4EA897EFCB639EA871CFA95F6DE339E4B0A'],
+    ];
+    for (const [public_key, message, signature] of vectors) {
+        assert.equal(Sv2Crypto.schnorr_verify(bytes(message), bytes(public_key), bytes(signature)), true);
+        const changed = bytes(message);
+        changed[31] ^= 1;
+        assert.equal(Sv2Crypto.schnorr_verify(changed, bytes(public_key), bytes(signature)), false);
+    }
+});
+
+test('both sides of an ElligatorSwift ECDH derive the same secret', () => {
+    const initiator = Sv2Crypto.generate_keypair();
+    const responder = Sv2Crypto.generate_keypair();
+    assert.equal(initiator.public_key.length, 64);
+    assert.deepEqual(Sv2Crypto.ecdh(initiator.private_key, responder.public_key), Sv2Crypto.ecdh(responder.private_key, initiator.public_key));
+});
+
+// --- Pool Authentication ---
+
+test('the handshake cannot be started without the pool\'s authority key', () => {
+    assert.throws(() => new NoiseNXHandshake(), /authority key is required/);
+    assert.throws(() => new NoiseNXHandshake(new Uint8Array(16)), /authority key is required/);
+});
+
+test('a pool URL without an authority key fails negotiation before anything is sent', async () => {
+    const transport = { 'open': mock.fn(), 'send': mock.fn(), 'close': () => {} };
+    const on_failure = mock.fn();
+    const client = new StratumV2Client('stratum2+tcp://v2.pool.example:34254', VM, { transport, on_failure });
+    await assert.rejects(client.negotiation, /no authority key/);
+    assert.equal(client.state, 'failed');
+    assert.equal(transport.open.mock.callCount(), 0);
+    assert.equal(on_failure.mock.callCount(), 1);
+});
+
+test('the client authenticates a pool whose certificate the authority key signed', async () => {
+    const pool = new MockV2Pool();
+    const client = new StratumV2Client(pool.url(), VM, { 'transport': pool.transport() });
+    clients.push(client);
+    await client.negotiation;
+    assert.equal(await client.authorize('acct.rig1'), true);
+    assert.equal(client.state, 'ready');
+});
+
+test('a pool whose certificate another key signed is refused', async () => {
+    const pool = new MockV2Pool();
+    const impostor_url = pool.url();
+    pool.authority_secret += 1n; // The certificate is now signed with a key the URL doesn't name
+    const client = new StratumV2Client(impostor_url, VM, { 'transport': pool.transport() });
+    clients.push(client);
+    await assert.rejects(client.negotiation, /not signed by the configured authority key/);
+    assert.equal(client.state, 'failed');
+});
+
+// --- Reconnects ---
+
+test('a lost session is renegotiated with backoff and its channels reopened', async () => {
+    const pool = new MockV2Pool();
+    const on_failure = mock.fn();
+    const client = new StratumV2Client(pool.url(), VM, { 'transport': pool.transport(), 'reconnect': RECONNECT, on_failure });
+    clients.push(client);
+    assert.equal(await client.authorize('acct.rig1'), true);
+    pool.drop();
+    await wait_for(() => client.state === 'disconnected');
+    await wait_for(() => pool.sessions === 2 && client.authorized_workers['acct.rig1'] === true);
+    assert.equal(client.state, 'ready');
+    assert.equal(Object.keys(client.channels).length, 1);
+    assert.equal(client.reconnect_attempts, 0);
+    assert.equal(on_failure.mock.callCount(), 0);
+});
+
+test('the pool is given up on once the reconnect attempts are used up', async () => {
+    const pool = new MockV2Pool();
+    const on_failure = mock.fn();
+    const client = new StratumV2Client(pool.url(), VM, { 'transport': pool.transport(), 'reconnect': RECONNECT, on_failure });
+    clients.push(client);
+    await client.negotiation;
+    pool.receive = () => pool.drop(); // Every later handshake is cut off
+    pool.drop();
+    await wait_for(() => on_failure.mock.callCount() === 1);
+    assert.equal(pool.sessions, 1 + RECONNECT.max_attempts);
+    assert.match(on_failure.mock.calls[0].arguments[0], /after 3 reconnect attempt\(s\)/);
+});
@@ -0,0 +1,150 @@
+// The ThermalGovernor's throttling, pausing and recovery thresholds, on simulated workers.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThermalGovernor } from '../lib/thermal.js';
+import { ConfigDBManager, MemoryStorageAdapter } from '../lib/storage.js';
+import { MinerWorker } from '../lib/workers.js';
+
+const BALANCED = { 'frequency_mhz': 650, 'voltage_mv': 1360, 'fan_mode': 'auto', 'fan_speed_percent': null, 'power_target_watts': 2100 };
+const T0 = Date.UTC(2026, 2, 2, 10, 0, 0);
+const COOLDOWN_MS = ThermalGovernor.DEFAULT_POLICY.cooldown_ms;
+
+let db_manager;
+let workers;
+let vdi_manager;
+let governor;
+
+function reading(temperature, extra = {}) {
+    return { 'acct.rig1': { 'temperature': temperature, 'fan_rpm': 3000, 'power_consumption': 2100, 'hashrate': 60, 'online': true, ...extra } };
+}
+
+function power_target() {
+    return workers[0].get_configuration().power_target_watts;
+}
+
+beforeEach(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    db_manager = await ConfigDBManager.open(new MemoryStorageAdapter());
+    workers = [MinerWorker.create('acct.rig1', 'SHA-256', 'vm-1', db_manager, { 'tuning': BALANCED })];
+    const vm = { 'vm_id': 'vm-1', workers };
+    vdi_manager = {
+        'find_worker': (worker_id) => {
+            const worker = workers.find(w => w.worker_id === worker_id);
+            return worker ? { vm, worker } : null;
+        }
+    };
+    governor = new ThermalGovernor(vdi_manager, db_manager);
+});
+
+afterEach(() => mock.restoreAll());
+
+// --- Throttling ---
+
+test('a worker above the limit for for_samples snapshots steps its power target down', () => {
+    assert.deepEqual(governor.evaluate(reading(85), T0), [], 'at the limit is not above it');
+    assert.deepEqual(governor.evaluate(reading(88), T0), [], 'one hot sample is not enough');
+    assert.deepEqual(governor.evaluate(reading(88), T0), [{ 'worker_id': 'acct.rig1', 'action': 'throttled', 'power_target_watts': 1890 }]);
+    assert.equal(power_target(), 1890);
+
+    governor.evaluate(reading(88), T0);
+    governor.evaluate(reading(80), T0); // A cooler sample starts the count again
+    assert.deepEqual(governor.evaluate(reading(88), T0), []);
+    assert.equal(governor.evaluate(reading(88), T0)[0].power_target_watts, 1680, 'steps are of the original target');
+
+    const state = governor.get_states()['acct.rig1'];
+    assert.deepEqual([state.action, state.step, state.original_power_target, state.base_power_watts], ['throttled', 2, 2100, 2100]);
+    const entries = db_manager.audit_log.filter(entry => entry.action === 'thermal.throttled');
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[1].actor, ThermalGovernor.ACTOR);
+    assert.equal(workers[0].is_paused(), false);
+});
+
+test('a worker still hot at min_power_percent is paused', () => {
+    db_manager.save_thermal_policy({ ...ThermalGovernor.DEFAULT_POLICY, 'for_samples': 1 });
+    const targets = [];
+    for (let i = 0; i < 4; i++) targets.push(governor.evaluate(reading(90), T0)[0].power_target_watts);
+    assert.deepEqual(targets, [1890, 1680, 1470, 1260], 'down to 60% of 2100 W');
+    const [paused] = governor.evaluate(reading(90), T0);
+    assert.deepEqual(paused, { 'worker_id': 'acct.rig1', 'action': 'paused', 'reason': 'still 90 °C at the lowest power target' });
+    assert.equal(workers[0].is_paused(), true);
+    assert.equal(power_target(), 1260);
+});
+
+test('critical temperature or failed fans pause at once', () => {
+    assert.equal(governor.evaluate(reading(95), T0)[0].reason, '95 °C at or above 95 °C');
+    assert.equal(workers[0].is_paused(), true);
+    assert.equal(power_target(), 2100, 'the power target is left alone');
+
+    workers.push(MinerWorker.create('acct.rig2', 'SHA-256', 'vm-1', db_manager, { 'tuning': BALANCED }));
+    const fans = { 'acct.rig2': { 'temperature': 80, 'fan_rpm': 300, 'power_consumption': 2100, 'hashrate': 60 } };
+    assert.equal(governor.evaluate(fans, T0)[0].reason, 'fans at 300 RPM below 600 RPM');
+
+    workers.push(MinerWorker.create('acct.rig3', 'SHA-256', 'vm-1', db_manager, { 'tuning': BALANCED }));
+    const cool = { 'acct.rig3': { ...fans['acct.rig2'], 'temperature': 75 } };
+    assert.deepEqual(governor.evaluate(cool, T0), [], 'slow fans on a cool worker are fine');
+});
+
+test('offline workers, missing readings and a disabled policy are ignored', () => {
+    assert.deepEqual(governor.evaluate(reading(99, { 'online': false }), T0), []);
+    assert.deepEqual(governor.evaluate(reading(null), T0), []);
+    assert.deepEqual(governor.evaluate({ 'acct.gone': reading(99)['acct.rig1'] }, T0), []);
+    db_manager.save_thermal_policy({ 'enabled': false });
+    assert.deepEqual(governor.evaluate(reading(99), T0), []);
+    assert.equal(workers[0].is_paused(), false);
+});
+
+// --- Recovery ---
+
+test('a worker is restored after cooldown_ms at or below the resume temperature', () => {
+    governor.evaluate(reading(96), T0);
+    assert.deepEqual(governor.evaluate(reading(80), T0 + 1000), [], 'above the resume temperature');
+    assert.deepEqual(governor.evaluate(reading(75), T0 + 2000), []);
+    assert.equal(governor.get_states()['acct.rig1'].cooling_since, new Date(T0 + 2000).toISOString());
+    governor.evaluate(reading(76), T0 + 3000);
+    assert.equal(governor.get_states()['acct.rig1'].cooling_since, null, 'warming up again restarts the cooldown');
+
+    governor.evaluate(reading(70), T0 + 4000);
+    assert.deepEqual(governor.evaluate(reading(70), T0 + 4000 + COOLDOWN_MS - 1), []);
+    assert.deepEqual(governor.evaluate(reading(70), T0 + 4000 + COOLDOWN_MS), [{ 'worker_id': 'acct.rig1', 'action': 'restored' }]);
+    assert.equal(workers[0].is_paused(), false);
+    assert.deepEqual(governor.get_states(), {});
+});
+
+test('restoring puts the original power target back, unless it was changed meanwhile', () => {
+    db_manager.save_thermal_policy({ ...ThermalGovernor.DEFAULT_POLICY, 'for_samples': 1 });
+    governor.evaluate(reading(88), T0);
+    governor.evaluate(reading(70), T0);
+    governor.evaluate(reading(70), T0 + COOLDOWN_MS);
+    assert.equal(power_target(), 2100);
+    const [restored] = db_manager.audit_log.filter(entry => entry.action === 'thermal.restored');
+    assert.deepEqual(restored.after, { 'power_target_watts': 2100, 'temperature': 70 });
+
+    governor.evaluate(reading(88), T0);
+    workers[0].update_configuration({ 'power_target_watts': 1500 });
+    governor.evaluate(reading(70), T0);
+    governor.evaluate(reading(70), T0 + COOLDOWN_MS);
+    assert.equal(power_target(), 1500);
+});
+
+test('a thermal pause survives a restart', () => {
+    governor.evaluate(reading(96), T0);
+    workers[0] = MinerWorker.create('acct.rig1', 'SHA-256', 'vm-1', db_manager, { 'tuning': BALANCED });
+    assert.equal(workers[0].is_paused(), false);
+    new ThermalGovernor(vdi_manager, db_manager);
+    assert.equal(workers[0].is_paused(), true);
+});
+
+// --- Policy ---
+
+test('policies must order their temperatures and keep percentages in range', () => {
+    const policy = { ...ThermalGovernor.DEFAULT_POLICY };
+    assert.equal(ThermalGovernor.validate_policy(policy), policy);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'enabled': 'yes' }), /enabled must be true or false/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'cooldown_ms': -1 }), /cooldown_ms must be a non-negative number/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'resume_temperature_c': 90 }), /Temperatures must rise/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'critical_temperature_c': 85 }), /Temperatures must rise/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'step_percent': 100 }), /step_percent must be between 0 and 100/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'min_power_percent': 0 }), /min_power_percent must be between 0 and 100/);
+    assert.throws(() => ThermalGovernor.validate_policy({ ...policy, 'for_samples': 0 }), /for_samples must be at least 1/);
+});
@@ -0,0 +1,171 @@
+// VM lifecycle and undo against a local mock pool, with the state seeded so no default VM is created.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { VDIManager } from '../lib/vdi_manager.js';
+import { MiningVM } from '../lib/mining_vm.js';
+import { ConfigDBManager, MemoryStorageAdapter } from '../lib/storage.js';
+import { MockStratumPool } from './mock_pool.js';
+
+const PROVISIONING_DELAY_MS = VDIManager.PROVISIONING_DELAY_MS;
+const HANDOVER_TIMEOUT_MS = MiningVM.HANDOVER_TIMEOUT_MS;
+
+let pool;
+let db_manager;
+let vdi_manager;
+
+function start(options = {}) {
+    /** vm-1 (capacity 1) hosts acct.rig1 and acct.rig2; vm-2 (capacity 4) is empty. */
+    db_manager.batch_audit(() => {
+        for (const [vm_id, capacity] of [['vm-1', 1], ['vm-2', 4]]) {
+            db_manager.save_vm_config({ vm_id, 'status': 'active', 'pool_url': pool.url(), capacity, 'power_budget_watts': null });
+        }
+        for (const worker_id of ['acct.rig1', 'acct.rig2']) {
+            db_manager.save_worker_config({ worker_id, 'algorithm': 'SHA-256', 'parent_vm_id': 'vm-1', 'config': {}, 'pools': [] });
+        }
+    });
+    db_manager.next_vm_id = 3;
+    vdi_manager = new VDIManager(db_manager, { 'cooldown_ms': 0, ...options });
+    return vdi_manager;
+}
+
+function worker_ids(vm_id) {
+    return vdi_manager.vms[vm_id].workers.map(worker => worker.worker_id);
+}
+
+beforeEach(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    VDIManager.PROVISIONING_DELAY_MS = 0;
+    MiningVM.HANDOVER_TIMEOUT_MS = 0;
+    pool = new MockStratumPool();
+    await pool.listen();
+    db_manager = await ConfigDBManager.open(new MemoryStorageAdapter());
+    vdi_manager = null;
+});
+
+afterEach(async () => {
+    if (vdi_manager) for (const vm of Object.values(vdi_manager.vms)) vm.stratum_client.disconnect();
+    await pool.close();
+    VDIManager.PROVISIONING_DELAY_MS = PROVISIONING_DELAY_MS;
+    MiningVM.HANDOVER_TIMEOUT_MS = HANDOVER_TIMEOUT_MS;
+    mock.restoreAll();
+});
+
+// --- Drain / Decommission ---
+
+test('draining a VM moves all its workers to a VM with room', async () => {
+    start();
+    const vm = await vdi_manager.drain_vm('vm-1');
+    assert.equal(vm.status, 'draining');
+    assert.deepEqual(worker_ids('vm-1'), []);
+    assert.deepEqual(worker_ids('vm-2').sort(), ['acct.rig1', 'acct.rig2']);
+    assert.equal(Object.keys(vdi_manager.vms).length, 2, 'no overflow VM was needed');
+    assert.deepEqual(Object.values(db_manager.worker_collection).map(config => config.current_vm_id), ['vm-2', 'vm-2']);
+    assert.equal(db_manager.audit_log.filter(entry => entry.action === 'worker.migrated').length, 2);
+    await assert.rejects(vdi_manager.drain_vm('vm-9'), /VM vm-9 not found/);
+});
+
+test('decommissioning refuses to go below min_vms', async () => {
+    start({ 'min_vms': 2 });
+    await assert.rejects(vdi_manager.decommission_vm('vm-1'), /Refusing to decommission vm-1: at least 2 VM\(s\) must stay up/);
+    assert.equal(vdi_manager.vms['vm-1'].status, 'active');
+    assert.deepEqual(worker_ids('vm-1'), ['acct.rig1', 'acct.rig2'], 'nothing was drained');
+});
+
+test('decommissioning drains, stops and removes the VM', async () => {
+    start({ 'min_vms': 1 });
+    const vm = await vdi_manager.decommission_vm('vm-1');
+    assert.equal(vm.status, 'stopped');
+    assert.deepEqual(Object.keys(vdi_manager.vms), ['vm-2']);
+    assert.equal(db_manager.vm_collection['vm-1'], undefined);
+    assert.deepEqual(worker_ids('vm-2').sort(), ['acct.rig1', 'acct.rig2']);
+    await assert.rejects(vdi_manager.decommission_vm('vm-2'), /Refusing to decommission/, 'the last VM stays');
+});
+
+test('min_vms is validated like the rebalance options, and an explicit 0 is kept', async () => {
+    assert.throws(() => new VDIManager(db_manager, { 'min_vms': -1 }), /min_vms must be a non-negative integer/);
+    assert.throws(() => new VDIManager(db_manager, { 'min_vms': 1.5 }), /min_vms must be a non-negative integer/);
+    assert.throws(() => new VDIManager(db_manager, { 'overload_threshold': 'high' }), /threshold must be a non-negative number/);
+    start({ 'min_vms': 0 });
+    assert.equal(vdi_manager.min_vms, 0);
+    await vdi_manager.decommission_vm('vm-1');
+    await vdi_manager.decommission_vm('vm-2');
+    assert.deepEqual(Object.keys(vdi_manager.vms), ['vm-3'], 'the overflow VM the last drain needed');
+});
+
+test('stopping a VM that still hosts workers is refused', async () => {
+    start();
+    await assert.rejects(vdi_manager.stop_vm('vm-1'), /still hosts 2 worker\(s\); drain it first/);
+});
+
+// --- Rebalance Settings ---
+
+test('the saved strategy is used after a restart, and a plan may use another', () => {
+    start();
+    assert.equal(vdi_manager.strategy.constructor.name, 'LeastLoadedStrategy');
+    assert.throws(() => vdi_manager.save_rebalance_settings({ 'strategy': 'round-robin' }), /Unknown rebalancing strategy 'round-robin'/);
+    assert.throws(() => vdi_manager.save_rebalance_settings({ 'threshold': 0.5 }), /Unknown rebalance setting\(s\): threshold/);
+    assert.deepEqual(vdi_manager.save_rebalance_settings({ 'strategy': 'bin-packing' }), { 'strategy': 'bin-packing', 'strategy_options': {} });
+    assert.equal(db_manager.audit_log.at(-1).action, 'rebalance.updated');
+
+    for (const vm of Object.values(vdi_manager.vms)) vm.stratum_client.disconnect();
+    vdi_manager = new VDIManager(db_manager);
+    assert.equal(vdi_manager.strategy.constructor.name, 'BinPackingStrategy');
+    assert.equal(vdi_manager.plan_rebalance({ 'strategy': 'power-budget' }).strategy, 'PowerBudgetStrategy');
+    assert.equal(vdi_manager.plan_rebalance().strategy, 'BinPackingStrategy', 'only for that plan');
+    assert.throws(() => vdi_manager.plan_rebalance({ 'strategy': 'algorithm-affinity', 'strategy_options': { 'mode': 'x' } }), /mode must be one of/);
+});
+
+// --- Undo ---
+
+test('reverting a migration moves the worker back, once', () => {
+    start();
+    vdi_manager.vms['vm-1'].migrate_worker_out('acct.rig1', vdi_manager.vms['vm-2']);
+    const migration = db_manager.audit_log.find(entry => entry.action === 'worker.migrated');
+    const revert = vdi_manager.revert_audit_entry(migration.id);
+    assert.equal(revert.reverts, migration.id);
+    assert.deepEqual([revert.before, revert.after], [{ 'vm_id': 'vm-2' }, { 'vm_id': 'vm-1' }]);
+    assert.deepEqual(worker_ids('vm-1').sort(), ['acct.rig1', 'acct.rig2']);
+    assert.equal(db_manager.worker_collection['acct.rig1'].current_vm_id, 'vm-1');
+    assert.throws(() => vdi_manager.revert_audit_entry(migration.id), /has already been reverted/);
+});
+
+test('a migration is not reverted once the worker has moved again or its VM is draining', async () => {
+    start();
+    const [vm_1, vm_2] = [vdi_manager.vms['vm-1'], vdi_manager.vms['vm-2']];
+    vm_1.migrate_worker_out('acct.rig1', vm_2);
+    const first = db_manager.audit_log.find(entry => entry.action === 'worker.migrated');
+    vm_2.migrate_worker_out('acct.rig1', vm_1);
+    assert.throws(() => vdi_manager.revert_audit_entry(first.id), /acct.rig1 has moved since/);
+
+    await vdi_manager.drain_vm('vm-1');
+    const drained = db_manager.audit_log.find(entry => entry.action === 'worker.migrated' && entry.target.id === 'acct.rig2');
+    assert.throws(() => vdi_manager.revert_audit_entry(drained.id), /VM vm-1 is no longer active/);
+});
+
+test('reverting a pool change restores the previous list, unless it has changed since', () => {
+    start();
+    const backup = 'stratum+tcp://backup.example.com:3333';
+    vdi_manager.update_pool_settings('acct.rig2', [pool.url(), backup]);
+    const change = db_manager.audit_log.find(entry => entry.action === 'pool.changed');
+    assert.deepEqual(change.after.pools.map(entry => entry.url), [pool.url(), backup]);
+    assert.deepEqual(worker_ids('vm-1'), ['acct.rig1', 'acct.rig2'], 'same primary, so no move');
+
+    const revert = vdi_manager.revert_audit_entry(change.id);
+    assert.equal(revert.reverts, change.id);
+    const worker = vdi_manager.find_worker('acct.rig2').worker;
+    assert.deepEqual(worker.pools.map(entry => entry.url), [pool.url()], 'a worker without its own list gets its VM pool');
+
+    vdi_manager.update_pool_settings('acct.rig1', [pool.url(), backup]);
+    const other = db_manager.audit_log.find(entry => entry.action === 'pool.changed' && entry.target.id === 'acct.rig1');
+    vdi_manager.update_pool_settings('acct.rig1', [pool.url()]);
+    assert.throws(() => vdi_manager.revert_audit_entry(other.id), /The pools of acct.rig1 have changed since/);
+});
+
+test('only pool changes and migrations can be reverted', () => {
+    start();
+    db_manager.record_audit('worker.renamed', { 'type': 'worker', 'id': 'acct.rig1' }, {}, {});
+    const entry = db_manager.audit_log.find(item => item.action === 'worker.renamed');
+    assert.throws(() => vdi_manager.revert_audit_entry(entry.id), /'worker.renamed' changes cannot be reverted/);
+    assert.throws(() => vdi_manager.revert_audit_entry('missing'), /Audit entry missing not found/);
+});
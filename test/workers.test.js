@@ -0,0 +1,97 @@
+// Miner drivers and worker tuning.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { TcpTransport } from '../lib/stratum.js';
+import { WorkerConfig, CGMinerAPI } from '../lib/workers.js';
+
+beforeEach(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+function miner_api_server(handle_command) {
+    /** A CGMiner-style API on a free port: one JSON command per connection, handle_command(socket, request). */
+    const server = net.createServer(socket => {
+        server.sockets.add(socket);
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => handle_command(socket, JSON.parse(chunk)));
+        socket.on('close', () => server.sockets.delete(socket));
+    });
+    server.sockets = new Set();
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function stop(server) {
+    for (const socket of server.sockets) socket.destroy();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+// --- Tuning Profiles ---
+
+test('profiles are the preset of the worker\'s algorithm', () => {
+    assert.equal(WorkerConfig.profile('eco', 'SHA-256').frequency_mhz, 525);
+    const randomx = WorkerConfig.profile('eco', 'RandomX');
+    assert.equal(randomx.power_target_watts, 140); // 80% of a 180 W device, not a 1600 W ASIC's target
+    assert.equal(randomx.frequency_mhz, null);
+    assert.equal(WorkerConfig.profile('performance', 'Scrypt').power_target_watts, 4620);
+    for (const name of ['turbo', 'constructor']) assert.throws(() => WorkerConfig.profile(name, 'Scrypt'), /Unknown profile/);
+});
+
+test('chip frequency and voltage are bounded by the algorithm\'s devices', () => {
+    for (const algorithm of ['Ethash', 'RandomX']) {
+        assert.equal(new WorkerConfig({ algorithm, 'voltage_mv': 850 }).voltage_mv, 850);
+    }
+    assert.equal(new WorkerConfig({ 'algorithm': 'Ethash', 'frequency_mhz': 1500 }).frequency_mhz, 1500);
+    assert.throws(() => new WorkerConfig({ 'algorithm': 'SHA-256', 'voltage_mv': 850 }), /voltage_mv must be between 1000 and 1600 mV \(got '850'\)/);
+    assert.throws(() => new WorkerConfig({ 'algorithm': 'SHA-256', 'frequency_mhz': 1500 }), /frequency_mhz must be between 100 and 1200 MHz/);
+    assert.throws(() => new WorkerConfig({ 'algorithm': 'RandomX', 'voltage_mv': 400 }), /voltage_mv must be between 500 and 1600 mV/);
+
+    const asic = new WorkerConfig({ 'algorithm': 'SHA-256', 'voltage_mv': 1300 });
+    assert.throws(() => asic.merge({ 'algorithm': 'Ethash', 'voltage_mv': 850 }).merge({ 'algorithm': 'SHA-256' }), /voltage_mv must be between 1000/);
+});
+
+// --- CGMinerAPI ---
+
+test('Node.js dials the miner directly even where a global WebSocket exists', () => {
+    const had_websocket = 'WebSocket' in globalThis;
+    const original = globalThis.WebSocket;
+    globalThis.WebSocket = original || class {};
+    try {
+        const transport = new CGMinerAPI('10.0.0.5', 4028).create_transport();
+        assert.ok(transport instanceof TcpTransport);
+        assert.equal(transport.host, '10.0.0.5');
+    } finally {
+        if (had_websocket) globalThis.WebSocket = original;
+        else delete globalThis.WebSocket;
+    }
+});
+
+test('a command resolves with the NUL-terminated reply and fails on an error status', async () => {
+    const server = await miner_api_server((socket, request) => {
+        const status = request.command === 'summary' ? 'S' : 'E';
+        socket.end(JSON.stringify({ 'STATUS': [{ 'STATUS': status, 'Msg': `${request.command} reply` }], 'SUMMARY': [{ 'MHS 5s': 95000000 }] }) + '\0');
+    });
+    try {
+        const api = new CGMinerAPI('127.0.0.1', server.address().port);
+        const reply = await api.command('summary');
+        assert.equal(reply.SUMMARY[0]['MHS 5s'], 95000000);
+        await assert.rejects(api.command('pause'), /pause: pause reply/);
+    } finally {
+        await stop(server);
+    }
+});
+
+test('a hung miner times the command out and its connection is closed', async () => {
+    const server = await miner_api_server(() => {}); // Accepts the command, never answers
+    try {
+        const api = new CGMinerAPI('127.0.0.1', server.address().port, { 'timeout_ms': 100 });
+        await assert.rejects(api.command('summary'), /summary: no response from 127\.0\.0\.1:\d+ within 100 ms/);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(server.sockets.size, 0, 'the timed-out connection was not closed');
+    } finally {
+        await stop(server);
+    }
+});